@@ -0,0 +1,260 @@
+/**
+ * @description "Explain access" dialog for the SF Sharing Button Chrome extension.
+ *
+ * Answers "why can this user see this record?": UserRecordAccess gives the user's effective
+ * access, and the contributing paths are rebuilt from what the API exposes — system and object
+ * permissions, ownership, share rows (directly or through groups) and the role hierarchy.
+ * Teams, territories and implicit sharing are only visible through their share rows.
+ *
+ * @function explainAccess - Gets a user's access to a record and the paths that grant it
+ * @function open - Opens the dialog for a record
+ */
+(function () {
+  const MAX_GROUP_DEPTH = 5; // Public groups can be nested; stop following them after this many levels
+
+  // Group types a user belongs to through their role
+  const ROLE_SUBORDINATE_GROUP_TYPES = ["RoleAndSubordinates", "RoleAndSubordinatesInternal"];
+
+  /**
+   * @description Gets the IDs of the ancestors of a role, closest first
+   * @param {string} roleId - The role ID
+   * @param {Map<string, Object>} rolesById - All roles of the org
+   * @returns {string[]} The ancestor role IDs
+   */
+  function getRoleAncestors(roleId, rolesById) {
+    const ancestors = [];
+    let role = rolesById.get(roleId);
+    while (role && role.ParentRoleId && !ancestors.includes(role.ParentRoleId)) {
+      ancestors.push(role.ParentRoleId);
+      role = rolesById.get(role.ParentRoleId);
+    }
+    return ancestors;
+  }
+
+  /**
+   * @description Gets the groups a user belongs to, directly, through their role, or through nested groups
+   * @param {Object} user - The user (Id, UserRoleId, UserType)
+   * @param {Map<string, Object>} rolesById - All roles of the org
+   * @returns {Promise<Map<string, {name: string, via: string}>>} The groups by ID, with how the user belongs to them
+   */
+  async function getUserGroups(user, rolesById) {
+    const api = window.sfSharingApi;
+    const q = api.soqlString;
+    const groups = new Map();
+
+    const direct = await api.query(`SELECT GroupId, Group.Name, Group.Type FROM GroupMember WHERE UserOrGroupId = ${q(user.Id)}`);
+    direct.forEach(m => groups.set(m.GroupId, { name: m.Group?.Name || m.GroupId, via: "" }));
+
+    if (user.UserRoleId) {
+      const roleIds = [user.UserRoleId].concat(getRoleAncestors(user.UserRoleId, rolesById));
+      const roleGroups = await api.query(
+        `SELECT Id, Type, RelatedId FROM Group WHERE (Type = 'Role' AND RelatedId = ${q(user.UserRoleId)}) ` +
+        `OR (Type IN (${ROLE_SUBORDINATE_GROUP_TYPES.map(q).join(",")}) AND RelatedId IN (${roleIds.map(q).join(",")}))`
+      );
+      roleGroups.forEach((g) => {
+        const roleName = rolesById.get(g.RelatedId)?.Name || g.RelatedId;
+        groups.set(g.Id, { name: `${roleName} (${g.Type})`, via: "" });
+      });
+    }
+
+    if (user.UserType === "Standard") {
+      const organization = await api.query("SELECT Id, Name FROM Group WHERE Type = 'Organization' LIMIT 1");
+      organization.forEach(g => groups.set(g.Id, { name: g.Name || "All Internal Users", via: "" }));
+    }
+
+    // Groups can be members of other groups: follow them up a few levels
+    let frontier = Array.from(groups.keys());
+    for (let depth = 0; depth < MAX_GROUP_DEPTH && frontier.length > 0; depth++) {
+      const parents = await api.query(
+        `SELECT GroupId, Group.Name, UserOrGroupId FROM GroupMember WHERE UserOrGroupId IN (${frontier.map(q).join(",")})`
+      );
+      frontier = [];
+      parents.forEach((m) => {
+        if (groups.has(m.GroupId)) return;
+        groups.set(m.GroupId, { name: m.Group?.Name || m.GroupId, via: groups.get(m.UserOrGroupId).name });
+        frontier.push(m.GroupId);
+      });
+    }
+    return groups;
+  }
+
+  /**
+   * @description Gets a user's access to a record and the paths that contribute to it
+   * @param {string} recordId - The record ID
+   * @param {string|null} objectName - The object API name
+   * @param {string} userId - The user ID
+   * @param {Function} t - Translation function ((key, params) => text)
+   * @returns {Promise<{access: Object|null, paths: string[]}>} The UserRecordAccess row and the path descriptions
+   */
+  async function explainAccess(recordId, objectName, userId, t) {
+    const api = window.sfSharingApi;
+    const { formatAccessLevel, formatRowCause } = window.sfSharingUi;
+    const q = api.soqlString;
+    const paths = [];
+
+    const [access] = await api.query(
+      "SELECT RecordId, HasReadAccess, HasEditAccess, HasDeleteAccess, HasTransferAccess, HasAllAccess, MaxAccessLevel " +
+      `FROM UserRecordAccess WHERE UserId = ${q(userId)} AND RecordId = ${q(recordId)}`
+    );
+
+    const [user] = await api.query(`SELECT Id, Name, UserRoleId, UserType FROM User WHERE Id = ${q(userId)}`);
+    const roles = await api.query("SELECT Id, Name, ParentRoleId FROM UserRole");
+    const rolesById = new Map(roles.map(r => [r.Id, r]));
+    const userRoleName = rolesById.get(user.UserRoleId)?.Name;
+    const isAboveInHierarchy = roleId => Boolean(user.UserRoleId && roleId &&
+      getRoleAncestors(roleId, rolesById).includes(user.UserRoleId));
+
+    // System permissions bypass sharing entirely
+    const systemPermissions = await api.query(
+      "SELECT PermissionSet.Label, PermissionSet.IsOwnedByProfile, PermissionSet.Profile.Name, " +
+      "PermissionSet.PermissionsViewAllData, PermissionSet.PermissionsModifyAllData FROM PermissionSetAssignment " +
+      `WHERE AssigneeId = ${q(userId)} AND (PermissionSet.PermissionsViewAllData = true OR PermissionSet.PermissionsModifyAllData = true)`
+    );
+    systemPermissions.forEach((a) => {
+      const ps = a.PermissionSet;
+      paths.push(t("explainPathPermission", {
+        permission: ps.PermissionsModifyAllData ? "Modify All Data" : "View All Data",
+        source: ps.IsOwnedByProfile ? `${t("explainProfile")} ${ps.Profile?.Name}` : ps.Label
+      }));
+    });
+
+    if (objectName) {
+      const objectPermissions = await api.query(
+        "SELECT Parent.Label, Parent.IsOwnedByProfile, Parent.Profile.Name, PermissionsViewAllRecords, PermissionsModifyAllRecords " +
+        `FROM ObjectPermissions WHERE SobjectType = ${q(objectName)} ` +
+        "AND (PermissionsViewAllRecords = true OR PermissionsModifyAllRecords = true) " +
+        `AND ParentId IN (SELECT PermissionSetId FROM PermissionSetAssignment WHERE AssigneeId = ${q(userId)})`
+      );
+      objectPermissions.forEach((p) => {
+        paths.push(t("explainPathPermission", {
+          permission: `${p.PermissionsModifyAllRecords ? "Modify All" : "View All"} (${objectName})`,
+          source: p.Parent.IsOwnedByProfile ? `${t("explainProfile")} ${p.Parent.Profile?.Name}` : p.Parent.Label
+        }));
+      });
+    }
+
+    const groups = await getUserGroups(user, rolesById);
+    const groupDescription = (groupId) => {
+      const group = groups.get(groupId);
+      return group.via ? `${group.name} ← ${group.via}` : group.name;
+    };
+
+    // Ownership, including queues the user belongs to and managers above the owner
+    let ownerId = null;
+    if (objectName) {
+      try {
+        const [record] = await api.query(`SELECT OwnerId FROM ${objectName} WHERE Id = ${q(recordId)}`);
+        ownerId = record ? record.OwnerId : null;
+      } catch (e) {
+        // Objects controlled by their parent have no owner
+      }
+    }
+    if (ownerId === userId) {
+      paths.push(t("explainPathOwner"));
+    } else if (ownerId && groups.has(ownerId)) {
+      paths.push(t("explainPathQueue", { group: groupDescription(ownerId) }));
+    } else if (ownerId && ownerId.startsWith("005")) {
+      const [owner] = await api.query(`SELECT Name, UserRoleId FROM User WHERE Id = ${q(ownerId)}`);
+      if (owner && isAboveInHierarchy(owner.UserRoleId)) {
+        paths.push(t("explainPathRoleOwner", { role: userRoleName, name: owner.Name }));
+      }
+    }
+
+    // Share rows granted to the user, to a group they belong to, or to someone below them in the hierarchy
+    const rows = objectName && window.sfSharingRoutes.getRoute(objectName)
+      ? await api.getShareRows(recordId, objectName)
+      : [];
+    const otherUserRows = [];
+    rows.filter(row => row.rowCause !== "Owner").forEach((row) => {
+      const details = { reason: formatRowCause(row.rowCause), access: formatAccessLevel(row.accessLevel) };
+      if (row.userOrGroupId === userId) {
+        paths.push(t("explainPathShare", details));
+      } else if (groups.has(row.userOrGroupId)) {
+        paths.push(t("explainPathGroup", Object.assign({ group: groupDescription(row.userOrGroupId) }, details)));
+      } else if (row.userOrGroupId.startsWith("005")) {
+        otherUserRows.push(Object.assign(details, row));
+      }
+    });
+
+    if (otherUserRows.length > 0 && user.UserRoleId) {
+      const sharedUsers = await api.query(
+        `SELECT Id, UserRoleId FROM User WHERE Id IN (${otherUserRows.map(r => q(r.userOrGroupId)).join(",")})`
+      );
+      const roleByUser = new Map(sharedUsers.map(u => [u.Id, u.UserRoleId]));
+      otherUserRows.filter(row => isAboveInHierarchy(roleByUser.get(row.userOrGroupId))).forEach((row) => {
+        paths.push(t("explainPathRole", { role: userRoleName, name: row.name, access: row.access, reason: row.reason }));
+      });
+    }
+
+    return { access: access || null, paths };
+  }
+
+  /**
+   * @description Opens the "Explain access" dialog for a record
+   * @param {Object} options - Dialog options
+   * @param {string} options.recordId - The record ID
+   * @param {string|null} options.objectName - The object API name, if it could be resolved
+   * @param {Function} options.t - Translation function ((key, params) => text)
+   */
+  function open({ recordId, objectName, t }) {
+    const api = window.sfSharingApi;
+    const { el, formatAccessLevel } = window.sfSharingUi;
+
+    const content = el("div", { className: "content" }, [el("div", { className: "message" }, [t("explainChooseUser")])]);
+    const lookup = window.sfSharingUi.createLookup({
+      t,
+      search: term => api.searchShareTargets("User", term),
+      onSelect: (user) => {
+        if (user) explain(user);
+      },
+      onError: e => content.replaceChildren(el("div", { className: "message error" }, [e.message]))
+    });
+
+    /**
+     * @description Explains the access of the chosen user and renders the result
+     * @param {{id: string, name: string}} user - The chosen user
+     */
+    function explain(user) {
+      content.replaceChildren(el("div", { className: "message" }, [t("explainLoading")]));
+      explainAccess(recordId, objectName, user.id, t).then(({ access, paths }) => {
+        if (lookup.input.value !== user.name) return; // Another user was chosen in the meantime
+
+        const flag = (label, value) => el("span", { className: value ? "badge yes" : "badge" }, [`${value ? "✓" : "✗"} ${label}`]);
+        const summary = access
+          ? el("div", { className: "badges" }, [
+            flag(t("explainRead"), access.HasReadAccess),
+            flag(t("explainEdit"), access.HasEditAccess),
+            flag(t("explainDelete"), access.HasDeleteAccess),
+            flag(t("explainTransfer"), access.HasTransferAccess),
+            el("span", {}, [t("explainMaxAccess", { level: formatAccessLevel(access.MaxAccessLevel) })])
+          ])
+          : el("div", {}, [t("explainNoAccessRow")]);
+
+        content.replaceChildren(
+          el("div", { className: "section" }, [el("h3", {}, [t("explainAccessHeading", { name: user.name })]), summary]),
+          el("div", { className: "section" }, [
+            el("h3", {}, [t("explainPathsHeading")]),
+            paths.length > 0
+              ? el("ul", { className: "paths" }, paths.map(path => el("li", {}, [path])))
+              : el("div", {}, [t("explainNoPaths")])
+          ])
+        );
+      }).catch((e) => {
+        content.replaceChildren(el("div", { className: "message error" }, [`${t("explainError")} ${e.message}`]));
+      });
+    }
+
+    const modal = window.sfSharingUi.openModal({
+      title: t("explainTitle"),
+      subtitle: [objectName, recordId].filter(Boolean).join(" • "),
+      t
+    });
+    modal.append(el("div", { className: "toolbar" }, [lookup.element]), content);
+    lookup.input.focus();
+  }
+
+  globalThis.sfSharingExplainer = {
+    explainAccess,
+    open
+  };
+})();
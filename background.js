@@ -2,19 +2,424 @@
  * @description Background script for the SF Sharing Button Chrome extension.
  *
  * This script handles communication between the content script and the extension.
- * It listens for messages from the content script and opens new tabs with sharing URLs
- * when the sharing button is clicked.
+ * It listens for messages from the content script and opens sharing URLs the way the user
+ * chose in the options page when the sharing button is clicked. It also relays Salesforce
+ * REST API calls for the content script, attaching the user's existing session for the org
+ * the page belongs to. The "open-sharing" keyboard shortcut opens the sharing page of the
+ * record shown in the active tab, and the "Open Sharing" context menu the one of the record
+ * a link points to.
+ *
+ * @function getTranslation - Gets translated text in the language of the language mode
+ * @function getOrgInfo - Identifies the org of a page and remembers orgs that have no profile
+ * @function openSharingUrl - Opens a sharing URL according to the open mode setting
+ * @function openSharingForTab - Opens the sharing page of the record shown in a tab, or of a given record
+ * @function showOpenSharingError - Shows an error on a tab's page when opening sharing failed
+ * @function createContextMenu - Creates the "Open Sharing" context menu for links
+ * @function getCustomDomainPatterns - Gets the match patterns of the custom domains and Experience Cloud sites the user granted access to
+ * @function registerCustomDomainScripts - Injects the content scripts into the granted custom domains and Experience Cloud sites
+ * @function getSession - Finds an API-capable session for the org behind a page URL
+ * @function callSalesforceApi - Performs a REST API call with the org's session
  *
  * @listens chrome.runtime.onMessage
- * @param {Object} msg - The message object containing type and url properties
- * @param {string} msg.type - The type of message (expected: "openSharing")
- * @param {string} msg.url - The URL to open in a new tab
+ * @listens chrome.commands.onCommand
+ * @listens chrome.contextMenus.onClicked
+ */
+
+importScripts("translations.js", "i18n.js", "settings.js", "hosts.js", "record-id.js", "sharing-routes.js", "debug-log.js");
+
+const CONTEXT_MENU_ID = "open-sharing-link"; // ID of the link context menu item
+const DETECTED_ORGS_KEY = "detectedOrgs"; // chrome.storage.local key of the orgs seen without a profile
+const CUSTOM_DOMAIN_SCRIPT_ID = "custom-domains"; // ID of the content scripts registered for custom domains
+
+let customDomainRegistration = Promise.resolve(); // Last registration of the custom domain content scripts
+let contextMenuCreation = Promise.resolve(); // Last creation of the context menu
+
+/**
+ * @description Gets translated text for the specified key in the language of the language mode.
+ * The language is resolved on each call, as the service worker does not hear about changes
+ * while it is asleep.
+ * @param {string} key - The translation key
+ * @param {Object} [params] - The placeholder values
+ * @returns {Promise<string>} The translated text
+ */
+async function getTranslation(key, params) {
+  const settings = await sfSharingSettings.getSettings();
+  // Not tied to a page, so the "salesforce" mode follows the Salesforce language seen last
+  sfSharingI18n.setLanguage(sfSharingI18n.resolveLanguage(settings, {
+    browserLocale: chrome.i18n.getUILanguage(),
+    salesforceLocale: (await sfSharingSettings.getSalesforceLocales()).latest
+  }));
+  return sfSharingI18n.t(key, params);
+}
+
+/**
+ * @description Identifies the org of a page from its session, and remembers orgs that have no
+ * profile so the options page and the toolbar popup can offer to create one
+ * @param {string} pageUrl - The URL of a Salesforce page
+ * @returns {Promise<{orgId: string|null, settings: Object}>} The org ID and the settings for the org
+ */
+async function getOrgInfo(pageUrl) {
+  const session = await getSession(pageUrl).catch(() => null);
+  const orgId = session ? session.orgId : null;
+  const host = new URL(pageUrl).host;
+  const settings = sfSharingSettings.applyOrgProfile(await sfSharingSettings.getSettings(), orgId, host);
+
+  if (orgId && !settings.orgProfile) {
+    const { [DETECTED_ORGS_KEY]: detected = {} } = await chrome.storage.local.get(DETECTED_ORGS_KEY);
+    // Written once per org, not on every page load
+    if (!detected[orgId]) {
+      detected[orgId] = { host, myDomain: sfSharingSettings.getMyDomainName(host), lastSeen: new Date().toISOString() };
+      await chrome.storage.local.set({ [DETECTED_ORGS_KEY]: detected });
+    }
+  }
+  return { orgId, settings };
+}
+
+/**
+ * @description Opens a sharing URL according to the "open mode" setting. A disposition coming
+ * from a modified click (Ctrl/Cmd-click, middle-click, Shift-click) takes precedence, so the
+ * button follows the same conventions as links.
+ * @param {string} url - The sharing URL
+ * @param {chrome.tabs.Tab} [sourceTab] - The tab the request comes from
+ * @param {string} [disposition] - "foreground", "background" or "window" for modified clicks
+ * @returns {Promise<void>} Resolves once the page is opening
+ */
+async function openSharingUrl(url, sourceTab, disposition) {
+  // The org profile of the source page can have its own open mode
+  const settings = sourceTab && sourceTab.url
+    ? (await getOrgInfo(sourceTab.url)).settings
+    : await sfSharingSettings.getSettings();
+  const mode = disposition || settings.openMode;
+  const nextToSource = sourceTab ? { index: sourceTab.index + 1, openerTabId: sourceTab.id } : {};
+
+  switch (mode) {
+    case "background":
+      await chrome.tabs.create(Object.assign({ url, active: false }, nextToSource));
+      return;
+
+    case "window":
+      await chrome.windows.create({ url });
+      return;
+
+    case "popup":
+      await chrome.windows.create({ url, type: "popup", width: settings.popupWidth, height: settings.popupHeight });
+      return;
+
+    case "reuse": {
+      // Reuse the tab opened last time, as long as it is still open
+      const { sharingTabId } = await chrome.storage.session.get("sharingTabId");
+      if (sharingTabId) {
+        try {
+          const tab = await chrome.tabs.update(sharingTabId, { url, active: true });
+          await chrome.windows.update(tab.windowId, { focused: true });
+          return;
+        } catch (e) {
+          // The tab was closed: open a new one below
+        }
+      }
+      const tab = await chrome.tabs.create(Object.assign({ url }, nextToSource));
+      await chrome.storage.session.set({ sharingTabId: tab.id });
+      return;
+    }
+
+    case "sameTab":
+      if (sourceTab) {
+        await chrome.tabs.update(sourceTab.id, { url });
+        return;
+      }
+      break;
+  }
+
+  await chrome.tabs.create({ url }); // "foreground", the default
+}
+
+/**
+ * @description Opens the sharing page of the record shown in a tab, or of the given record. The
+ * record and its object come from the tab's content script, so this works even where the button
+ * was not inserted.
+ * @param {chrome.tabs.Tab} tab - The tab
+ * @param {string} [recordId] - The record, when it is not the one shown in the tab
+ * @returns {Promise<void>} Resolves once the page is opening
+ */
+async function openSharingForTab(tab, recordId) {
+  let context;
+  try {
+    // Only the top frame knows the record of the page
+    context = await chrome.tabs.sendMessage(tab.id, { type: "getRecordContext", recordId }, { frameId: 0 });
+  } catch (e) {
+    return; // Not a Salesforce page, or the page was open before the extension was loaded
+  }
+
+  if (!context || !context.recordId) {
+    chrome.tabs.sendMessage(tab.id, { type: "showError", key: "errorNoRecordId" }, { frameId: 0 });
+    return;
+  }
+
+  const { customDomains } = await sfSharingSettings.getSettings();
+  const origin = sfSharingHosts.getSharingOrigin(tab.url, customDomains);
+  const url = sfSharingRoutes.buildSharingUrl(origin, context.recordId, context.objectName);
+  if (!url) {
+    chrome.tabs.sendMessage(tab.id, { type: "showError", key: "errorNoSharingPage", objectName: context.objectName }, { frameId: 0 }).catch(() => {});
+    return;
+  }
+  await openSharingUrl(url, tab);
+}
+
+/**
+ * @description Shows an error on a tab's page when opening sharing failed, e.g. because the tab
+ * closed or the sharing page could not be opened. Pages without the content script show nothing.
+ * @param {chrome.tabs.Tab} tab - The tab
+ */
+function showOpenSharingError(tab) {
+  chrome.tabs.sendMessage(tab.id, { type: "showError", key: "errorOpenSharingFailed" }, { frameId: 0 }).catch(() => {});
+}
+
+/**
+ * @description Creates the "Open Sharing" context menu for links on Salesforce pages
+ * (list views, related lists, lookups, search results, Chatter...). Creations replace each other
+ * in turn, as one change often triggers several (adding a custom domain grants a permission and
+ * changes the settings), and interleaved ones would create the item twice.
+ * @returns {Promise<void>} Resolves once the menu is created
+ */
+function createContextMenu() {
+  contextMenuCreation = contextMenuCreation.then(async () => {
+    const title = await getTranslation("contextMenuOpenSharing");
+    // Same pages as the button
+    const documentUrlPatterns = chrome.runtime.getManifest().content_scripts[0].matches.concat(await getCustomDomainPatterns());
+    await chrome.contextMenus.removeAll();
+    await new Promise((resolve) => {
+      chrome.contextMenus.create({ id: CONTEXT_MENU_ID, title, contexts: ["link"], documentUrlPatterns }, () => {
+        void chrome.runtime.lastError; // Read to mark it handled, e.g. when a creation raced another
+        resolve();
+      });
+    });
+  }).catch(() => {});
+  return contextMenuCreation;
+}
+
+/**
+ * @description Gets the match patterns of the custom domains added in the options page, and of the
+ * Experience Cloud site hosts, that the user granted access to
+ * @returns {Promise<string[]>} The match patterns (e.g. https://sf.acme.com/*)
+ */
+async function getCustomDomainPatterns() {
+  const { customDomains } = await sfSharingSettings.getSettings();
+  const patterns = Object.keys(customDomains).map(sfSharingHosts.toMatchPattern)
+    .concat(sfSharingHosts.EXPERIENCE_SITE_PATTERNS);
+  const granted = await Promise.all(patterns.map(pattern => chrome.permissions.contains({ origins: [pattern] })));
+  return patterns.filter((pattern, i) => granted[i]);
+}
+
+/**
+ * @description Injects the content scripts into the custom domains and Experience Cloud sites the
+ * user granted access to, as the manifest only lists Salesforce's own internal hosts. Registrations replace each other in turn,
+ * so quick changes cannot leave a stale one behind.
+ * @returns {Promise<void>} Resolves once the content scripts are registered
+ */
+function registerCustomDomainScripts() {
+  customDomainRegistration = customDomainRegistration.then(async () => {
+    const matches = await getCustomDomainPatterns();
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [CUSTOM_DOMAIN_SCRIPT_ID] });
+    if (registered.length > 0) await chrome.scripting.unregisterContentScripts({ ids: [CUSTOM_DOMAIN_SCRIPT_ID] });
+    if (matches.length === 0) return;
+
+    const { js, run_at: runAt } = chrome.runtime.getManifest().content_scripts[0];
+    await chrome.scripting.registerContentScripts([{ id: CUSTOM_DOMAIN_SCRIPT_ID, matches, js, runAt }]);
+  }).catch(() => {});
+  return customDomainRegistration;
+}
+
+/**
+ * @description Finds an API-capable session for the org behind the given page URL.
+ *
+ * The `sid` cookie of Lightning and Visualforce hosts cannot be used against the REST API,
+ * but its value starts with the org ID. That prefix is used to find the matching `sid`
+ * cookie on the org's *.salesforce.com host, which can.
+ *
+ * @param {string} pageUrl - The URL of the Salesforce page the request comes from
+ * @returns {Promise<{orgId: string, instanceUrl: string, sessionId: string}|null>} The session, or null if the user is not logged in
+ */
+async function getSession(pageUrl) {
+  const pageCookie = await chrome.cookies.get({ url: pageUrl, name: "sid" });
+  if (!pageCookie) return null;
+
+  const orgId = pageCookie.value.split("!")[0];
+  // Government Cloud Plus orgs live on salesforce.mil
+  const apiDomain = new URL(pageUrl).hostname.endsWith(".mil") ? "salesforce.mil" : "salesforce.com";
+  const cookies = await chrome.cookies.getAll({ name: "sid", domain: apiDomain, secure: true });
+  const candidates = cookies.filter(c => c.value.startsWith(orgId + "!") && c.domain !== "help.salesforce.com");
+  if (candidates.length === 0) return null;
+
+  // Prefer the My Domain host, which is what the REST API expects
+  const cookie = candidates.find(c => c.domain.includes(`.my.${apiDomain}`)) || candidates[0];
+  return {
+    orgId,
+    instanceUrl: `https://${cookie.domain.replace(/^\./, "")}`,
+    sessionId: cookie.value
+  };
+}
+
+/**
+ * @description Performs a Salesforce REST API call using the session of the sender's org
+ * @param {Object} msg - The "sfApi" message
+ * @param {string} msg.path - The API path, starting with /services/
+ * @param {string} [msg.method] - The HTTP method (default: GET)
+ * @param {Object} [msg.body] - The JSON body for write requests
+ * @param {string} pageUrl - The URL of the Salesforce page the request comes from
+ * @returns {Promise<Object>} The response as { ok, status, orgId, data }
+ */
+async function callSalesforceApi(msg, pageUrl) {
+  if (typeof msg.path !== "string" || !msg.path.startsWith("/services/")) {
+    return { ok: false, status: 400, data: [{ errorCode: "INVALID_PATH", message: "API path must start with /services/" }] };
+  }
+
+  const method = msg.method || "GET";
+  if (method !== "GET" && (await sfSharingSettings.getSettings()).disableWriteActions) {
+    return { ok: false, status: 403, data: [{ errorCode: "WRITE_ACTIONS_DISABLED", message: "Write actions are disabled by your organization" }] };
+  }
+
+  const session = await getSession(pageUrl);
+  if (!session) {
+    return { ok: false, status: 401, data: [{ errorCode: "NO_SESSION", message: "No Salesforce session found for this org" }] };
+  }
+
+  const response = await fetch(session.instanceUrl + msg.path, {
+    method,
+    headers: {
+      "Authorization": `Bearer ${session.sessionId}`,
+      "Accept": "application/json",
+      "Content-Type": "application/json"
+    },
+    body: msg.body ? JSON.stringify(msg.body) : undefined
+  });
+
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch (e) {
+    data = text;
+  }
+  return { ok: response.ok, status: response.status, orgId: session.orgId, data };
+}
+
+/**
+ * @description Handles messages from the content script
+ * @param {Object} msg - The message object containing a type and its payload
+ * @param {string} msg.type - The type of message ("openSharing", "openSharingUrls", "openSharingForTab", "getOrgInfo" or "sfApi")
+ * @param {string} [msg.url] - The sharing URL to open ("openSharing")
+ * @param {string} [msg.disposition] - How a modified click asks to open the URL ("openSharing")
+ * @param {string[]} [msg.urls] - The sharing URLs to open in background tabs ("openSharingUrls")
+ * @param {number} [msg.tabId] - The tab whose record's sharing page to open ("openSharingForTab")
  * @param {Object} sender - Information about the message sender
  * @param {Function} sendResponse - Callback function to send response back to sender
+ * @returns {boolean|undefined} True when the response is sent asynchronously
  */
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg && msg.type === "openSharing" && msg.url) {
-    chrome.tabs.create({ url: msg.url });
-    sendResponse({ ok: true });
+    openSharingUrl(msg.url, sender.tab, msg.disposition)
+      .then(() => sendResponse({ ok: true }))
+      .catch(e => sendResponse({ ok: false, error: e.message }));
+    return true; // Keep the channel open for the async response
+  }
+
+  // "Sharing for selected" on list views opens one background tab per record, in row order
+  if (msg && msg.type === "openSharingUrls" && Array.isArray(msg.urls)) {
+    // Each tab goes after the previous one, so they keep the order of the rows
+    msg.urls.reduce((previous, url, i) => previous.then(() => {
+      const sourceTab = sender.tab && Object.assign({}, sender.tab, { index: sender.tab.index + i });
+      return openSharingUrl(url, sourceTab, "background");
+    }), Promise.resolve())
+      .then(() => sendResponse({ ok: true }))
+      .catch(e => sendResponse({ ok: false, error: e.message }));
+    return true; // Keep the channel open for the async response
+  }
+
+  // The toolbar popup has no tab of its own, so it names the tab it shows
+  if (msg && msg.type === "openSharingForTab" && msg.tabId) {
+    chrome.tabs.get(msg.tabId)
+      .then(tab => openSharingForTab(tab))
+      .then(() => sendResponse({ ok: true }))
+      .catch(e => sendResponse({ ok: false, error: e.message }));
+    return true; // Keep the channel open for the async response
+  }
+
+  // Debug mode entries of the content scripts, kept for the options page
+  if (msg && msg.type === "debugLog" && Array.isArray(msg.entries)) {
+    sfSharingDebugLog.append(msg.entries).then(() => sendResponse({ ok: true }));
+    return true; // Keep the channel open for the async response
+  }
+
+  if (msg && msg.type === "getOrgInfo") {
+    getOrgInfo(msg.pageUrl || sender.url)
+      .then(sendResponse)
+      .catch(e => sendResponse({ orgId: null, error: e.message }));
+    return true; // Keep the channel open for the async response
+  }
+
+  if (msg && msg.type === "sfApi") {
+    callSalesforceApi(msg, msg.pageUrl || sender.url)
+      .then(sendResponse)
+      .catch(e => sendResponse({ ok: false, status: 0, data: [{ errorCode: "NETWORK_ERROR", message: e.message }] }));
+    return true; // Keep the channel open for the async response
+  }
+});
+
+/**
+ * @description Handles the keyboard shortcuts declared in manifest.json
+ * @param {string} command - The command name
+ * @param {chrome.tabs.Tab} tab - The active tab
+ */
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === "open-sharing" && tab) {
+    openSharingForTab(tab).catch(() => showOpenSharingError(tab));
+  }
+});
+
+/**
+ * @description Opens the sharing page of the record a right-clicked link points to
+ * @param {chrome.contextMenus.OnClickData} info - The clicked item and link
+ * @param {chrome.tabs.Tab} tab - The tab the link is in
+ */
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId !== CONTEXT_MENU_ID || !tab) return;
+
+  const recordId = sfSharingRecordId.extractRecordIdFromUrl(info.linkUrl || "");
+  if (!recordId) {
+    chrome.tabs.sendMessage(tab.id, { type: "showError", key: "errorNoRecordIdInLink" }, { frameId: 0 }).catch(() => {});
+    return;
+  }
+  openSharingForTab(tab, recordId).catch(() => showOpenSharingError(tab));
+});
+
+// Context menus survive restarts, but have to be created on install and update,
+// and renamed when the language changes
+chrome.runtime.onInstalled.addListener(createContextMenu);
+chrome.runtime.onInstalled.addListener(registerCustomDomainScripts);
+
+// Access to custom domains and Experience Cloud sites is granted and revoked in the options page
+// or the extension's details
+[chrome.permissions.onAdded, chrome.permissions.onRemoved].forEach(event => event.addListener(() => {
+  registerCustomDomainScripts();
+  createContextMenu();
+}));
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "sync" && changes.customDomains) {
+    registerCustomDomainScripts();
+    createContextMenu();
+  }
+  if ((area === "sync" || area === "managed") && (changes.languageMode || changes.selectedLanguage || changes.locked)) {
+    createContextMenu();
+  }
+  if (area === "local" && changes.salesforceLocales) {
+    createContextMenu(); // The Salesforce user language changed
+  }
+
+  // Policy changes apply to open pages right away, like settings saved in the options page
+  if (area === "managed") {
+    chrome.tabs.query({}).then((tabs) => {
+      tabs.forEach(tab => chrome.tabs.sendMessage(tab.id, { type: "settingsUpdated" }).catch(() => {}));
+    });
   }
-});
\ No newline at end of file
+});
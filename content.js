@@ -7,24 +7,57 @@
  *
  * The script attempts to insert the button into the Lightning global actions menu first.
  * If that fails, it falls back to creating a floating button in the top-right corner.
- * It uses a MutationObserver to handle dynamic page changes and re-insert the button
- * when needed.
+ * page-watcher.js reports navigations and settled DOM changes, so the button follows the record
+ * and is re-inserted when the page re-renders, within a budget of insertion attempts.
  *
+ * @function loadSettings - Loads the settings for the page's org
  * @function detectLanguage - Detects user's browser language
- * @function getPreferredLanguage - Gets user's preferred language from settings or browser
- * @function getTranslation - Gets translated text based on browser language
- * @function getTranslationAsync - Gets translated text with async language preference support
- * @function isValidSfId - Validates Salesforce record IDs (15 or 18 characters)
- * @function extractRecordId - Extracts record ID from URL patterns or data attributes
- * @function deepQuerySelector - Searches through shadow DOM for elements
+ * @function readPageLocale - Reads the logged-in user's language from the page
+ * @function getSalesforceLocale - Gets the logged-in user's Salesforce language
+ * @function getPreferredLanguage - Gets user's preferred language from settings, Salesforce or browser
+ * @function getTranslation - Gets translated text in the preferred language (sfSharingI18n.t)
+ * @function refreshLanguage - Translates the button in place after a language change
+ * @function isValidSfId - Validates Salesforce record IDs (checksum and key prefix, see record-id.js)
+ * @function detectRecord - Runs the record ID strategies and remembers which one matched
+ * @function getFocusedConsoleTab - Finds the focused workspace tab or subtab in console apps
+ * @function extractRecordId - Extracts the 18-character record ID from URL patterns or data attributes
+ * @function deepQuerySelector - Searches through nested shadow roots (sfSharingPageWatcher.deepQuerySelector)
+ * @function updateButtonTarget - Shows the record the button opens in its tooltip
+ * @function applySharingAvailability - Disables the button when the object's OWD makes sharing unavailable
+ * @function retargetButton - Points an existing button to the current record
+ * @function applyOrgBadge - Shows the org profile's label or color on the button
+ * @function resolveRecordObject - Resolves the object API name of a record
+ * @function getDiagnostics - Collects what the extension knows about the page, for error details
+ * @function showError - Shows an error toast with a Details expander and a diagnostic report
+ * @function showSuccess - Shows a success toast
+ * @function getOpenDisposition - Maps a modified or middle click to how the sharing page should open
+ * @function openSharing - Resolves the record's object and opens its Classic sharing page
+ * @function openSharingPanel - Opens the in-page sharing panel for the current record
+ * @function openExplainAccess - Opens the "Explain access" dialog for the current record
+ * @function exportSharing - Downloads the share rows of the current record as CSV or JSON
+ * @function buildMenuToggle - Creates the actions menu toggle shown next to the button
+ * @function attachClickHandlers - Adds the click, modified-click and middle-click handlers to a button
  * @function buildButton - Creates the sharing button with click handler
  * @function insertInGlobalActionsUl - Inserts button into Lightning global actions
- * @function insertInClassicPage - Inserts button into classic Salesforce pages (my.salesforce.com)
+ * @function insertInClassicPage - Inserts button into classic Salesforce pages (my.salesforce.com, Visualforce)
+ * @function insertInHighlightsPanel - Inserts button into the Lightning record highlights panel actions
+ * @function insertInClassicButtonRow - Inserts button into the Classic detail button row
  * @function insertFloatingButton - Creates floating button as fallback
+ * @function makeDraggable - Lets the user drag the floating button and remembers its position per host
+ * @function getInsertStrategy - Picks the insertion function for the placement setting
+ * @function getHostKind - Classifies the page's host (see hosts.js), custom domains included
+ * @function isClassicInterface - Tells whether the page has the Classic interface
+ * @function getPageType - Tells Lightning, console, Classic, Visualforce, Setup and Experience pages apart
+ * @function checkObjectFilter - Applies the per-object allow or deny list to the current record
  * @function tryInsert - Main insertion logic with fallback strategy
- * @function checkUrlChange - Checks for URL changes and re-inserts the button if needed
+ * @function attemptInsert - Runs tryInsert() within the insertion budget
+ * @function logDebug - In debug mode, logs a decision to the debug log and updates the overlay
+ * @function renderDebugOverlay - In debug mode, shows the detection and insertion state on the page
+ * @function updateListView - Sets up or removes the list view support as the org's settings say
+ * @function checkRecordChange - Follows the record after a navigation or a console tab switch
  *
- * @listens DOM mutations via MutationObserver
+ * @listens navigations and DOM changes via sfSharingPageWatcher
+ * @listens chrome.runtime.onMessage for "settingsUpdated", "getRecordContext" and "showError"
  * @sends chrome.runtime.sendMessage with type "openSharing" and sharing URL
  */
 
@@ -38,79 +71,182 @@
   const LI_ID = "gpt-sf-sharing-li"; // ID for the <li> element in the global actions menu
   const BTN_ID = "gpt-sf-sharing-btn"; // ID for the button in the global actions menu
   const BTN_FLOAT_ID = "gpt-sf-sharing-float"; // ID for the floating button
+  const MENU_ID = "gpt-sf-sharing-menu"; // ID for the actions menu toggle next to the button
+  const FLOAT_POSITIONS_KEY = "floatingPositions"; // chrome.storage.local key of the floating button positions per host
+  const DEBUG_OVERLAY_ID = "gpt-sf-sharing-debug"; // ID for the shadow host of the debug overlay
+  const FALLBACK_DELAY = 1500; // Milliseconds before the floating button replaces a placement that did not show up
+  const DEBUG_FLUSH_DELAY = 1000; // Milliseconds debug entries are gathered before they go to the background script
+
+  let settings = window.sfSharingSettings.DEFAULT_SETTINGS; // Replaced by the settings for this org once loaded
+  let orgId = null; // ID of the page's org, once known
+  const getTranslation = window.sfSharingI18n.t; // Text in the language resolved by loadSettings()
+  const deepQuerySelector = window.sfSharingPageWatcher.deepQuerySelector; // Cached lookups through shadow roots
+
+  // Record ID strategies that need the page, run after the URL strategies of record-id.js
+  const PAGE_STRATEGIES = [
+    { name: "dataRecordId", extract: () => document.querySelector("[data-recordid]")?.getAttribute("data-recordid") }
+  ];
+
+  // In console apps the URL can lag behind the focused workspace tab or subtab, so the focused
+  // tab is looked at before the URL
+  const CONSOLE_STRATEGIES = [
+    {
+      name: "consoleFocusedTab",
+      extract: () => {
+        const tab = getFocusedConsoleTab();
+        return tab ? window.sfSharingRecordId.extractRecordIdFromUrl(tab.href) : null;
+      }
+    }
+  ];
+
+  // Last record detection, reported with the strategy that matched to debug detection
+  let lastDetection = { recordId: null, strategy: null, tried: [] };
+
+  // Outcome of the last tryInsert(), shown in the toolbar popup: "pending", "inserted", "floating",
+  // or why the button was not inserted ("orgDisabled", "notRecordPage", "objectFiltered")
+  let insertStatus = "pending";
+  let insertStrategy = null; // Name of the insertion function tryInsert() last ran
+
+  // Insertion attempts: ten in a row, then one more every 3 seconds, refilled on each navigation
+  const insertBudget = window.sfSharingPageWatcher.createBudget({ capacity: 10, refillMs: 3000 });
+  let budgetRetry = null; // Timer of the attempt waiting for the budget
+
+  // Debug mode entries waiting to be sent to the background script's ring buffer
+  let debugEntries = [];
+  let debugFlushTimer = null;
+
+  // Statuses that only a navigation or new settings can change, so DOM changes do not retry them
+  const SETTLED_STATUSES = ["orgDisabled", "notRecordPage", "objectFiltered"];
+
+  // Object filter outcome per record: true or false once the object is resolved, null while resolving
+  const objectFilterResults = new Map();
+
+  // Translation keys of the labels of the sharing models returned by EntityDefinition, as shown in Setup
+  const SHARING_MODEL_KEYS = {
+    Private: "sharingModelPrivate",
+    Read: "sharingModelRead",
+    ReadWrite: "sharingModelReadWrite",
+    ReadWriteTransfer: "sharingModelReadWriteTransfer",
+    FullAccess: "sharingModelFullAccess",
+    ControlledByParent: "sharingModelControlledByParent",
+    ControlledByCampaign: "sharingModelControlledByCampaign",
+    ControlledByLeadOrContact: "sharingModelControlledByLeadOrContact"
+  };
+
+  /**
+   * @description Loads the settings for the page's org. The background script identifies the org
+   * from its session and applies its profile; without it, profiles are matched by My Domain only.
+   * @returns {Promise<void>} Resolves once settings (and orgId, when known) and the language are set
+   */
+  function loadSettings() {
+    return chrome.runtime.sendMessage({ type: "getOrgInfo" }).then((info) => {
+      if (!info || !info.settings) throw new Error(info && info.error);
+      orgId = info.orgId;
+      settings = info.settings;
+    }).catch(() => window.sfSharingSettings.getSettings().then((items) => {
+      settings = window.sfSharingSettings.applyOrgProfile(items, null, window.location.host);
+    })).then(getPreferredLanguage).then((lang) => {
+      window.sfSharingI18n.setLanguage(lang);
+    }, () => {
+      window.sfSharingI18n.setLanguage(detectLanguage());
+    });
+  }
 
   /**
    * @description Detects the user's language preference and returns the appropriate language code
    * @returns {string} The language code (defaults to 'en' if not supported)
    */
   function detectLanguage() {
-    // Default to browser language detection
-    const browserLang = navigator.language || navigator.userLanguage || 'en';
-    let langCode = browserLang.split('-')[0].toLowerCase(); // Get primary language code
+    return window.sfSharingI18n.matchLanguage(navigator.language || navigator.userLanguage || 'en') || 'en';
+  }
 
-    // Check if we have translations for this language
-    if (window.sfSharingTranslations && window.sfSharingTranslations[langCode]) {
-      return langCode;
+  /**
+   * @description Reads the logged-in user's language from the page. Classic pages set it in
+   * UserContext and Lightning pages in the $Locale of their Aura bootstrap, both inline scripts.
+   * @returns {string|null} The user's LanguageLocaleKey (e.g. "pt_BR"), or null if not found
+   */
+  function readPageLocale() {
+    for (const script of document.querySelectorAll("script:not([src])")) {
+      const match = script.textContent.match(/"(?:language|langLocale)"\s*:\s*"([a-z]{2,3}(?:_[A-Z]{2})?)"/);
+      if (match) return match[1];
     }
-
-    // Fallback to English if language not supported
-    return 'en';
+    return null;
   }
 
   /**
-   * @description Gets the user's preferred language from settings or browser
-   * @returns {Promise<string>} Promise that resolves to the language code
+   * @description Gets the logged-in user's Salesforce language: from the page, else from the
+   * language remembered for this org, else from the UserInfo API. A remembered language is
+   * refreshed in the background, so a change in Salesforce shows from the next page on.
+   * @returns {Promise<string|null>} The user's LanguageLocaleKey, or null if it cannot be found
    */
-  function getPreferredLanguage() {
-    return new Promise((resolve) => {
-      try {
-        chrome.storage.sync.get({
-          languageMode: 'auto',
-          selectedLanguage: 'en'
-        }, function(items) {
-          let langCode;
-
-          if (items.languageMode === 'manual') {
-            langCode = items.selectedLanguage;
-          } else {
-            // Auto mode - use browser language
-            const browserLang = navigator.language || navigator.userLanguage || 'en';
-            langCode = browserLang.split('-')[0].toLowerCase();
-          }
-
-          // Check if we have translations for this language
-          if (window.sfSharingTranslations && window.sfSharingTranslations[langCode]) {
-            resolve(langCode);
-          } else {
-            resolve('en'); // Fallback to English
-          }
-        });
-      } catch (e) {
-        // If storage is not available, fall back to browser language detection
-        resolve(detectLanguage());
-      }
+  async function getSalesforceLocale() {
+    const { getSalesforceLocales, getMyDomainName, rememberSalesforceLocale } = window.sfSharingSettings;
+    const host = window.location.host;
+    const fetchLocale = () => window.sfSharingApi.getUserLanguage().then((locale) => {
+      if (locale) rememberSalesforceLocale(host, locale);
+      return locale;
     });
+
+    const pageLocale = readPageLocale();
+    if (pageLocale) {
+      rememberSalesforceLocale(host, pageLocale);
+      return pageLocale;
+    }
+    const remembered = (await getSalesforceLocales()).byOrg[getMyDomainName(host)];
+    if (remembered) {
+      fetchLocale().catch(() => {});
+      return remembered.locale;
+    }
+    return fetchLocale().catch(() => null);
   }
 
   /**
-   * @description Gets translated text for the specified key based on user's preferred language
-   * @param {string} key - The translation key
-   * @returns {string} The translated text
+   * @description Gets the user's preferred language from the settings: the language chosen in the
+   * options page, the Salesforce user's language or the browser language
+   * @returns {Promise<string>} Promise that resolves to the language code
    */
-  function getTranslation(key) {
-    // Use synchronous fallback for immediate access
-    const lang = detectLanguage();
-    const translations = window.sfSharingTranslations || {};
-    return translations[lang]?.[key] || translations['en']?.[key] || key;
+  async function getPreferredLanguage() {
+    const salesforceLocale = settings.languageMode === "salesforce" ? await getSalesforceLocale() : null;
+    return window.sfSharingI18n.resolveLanguage(settings, {
+      browserLocale: navigator.language || navigator.userLanguage || "en",
+      salesforceLocale
+    });
   }
 
   /**
-   * @description Validates Salesforce record IDs (15 or 18 characters)
+   * @description Validates Salesforce record IDs: format, key prefix and, for 18-character IDs, checksum
    * @param {string} id - The record ID to validate
    * @returns {boolean} True if the ID is a valid Salesforce record ID, false otherwise
    */
   function isValidSfId(id) {
-    return /^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/.test(id || "");
+    return window.sfSharingRecordId.isValidSfId(id);
+  }
+
+  /**
+   * @description Detects the record of the current page with the URL strategies of record-id.js,
+   * then with the page strategies
+   * @returns {{recordId: string|null, strategy: string|null, tried: string[]}} The detection
+   */
+  function detectRecord() {
+    const { URL_STRATEGIES, detectRecordId } = window.sfSharingRecordId;
+    const strategies = getPageType() === "console"
+      ? CONSOLE_STRATEGIES.concat(URL_STRATEGIES, PAGE_STRATEGIES)
+      : URL_STRATEGIES.concat(PAGE_STRATEGIES);
+    lastDetection = detectRecordId(window.location.href, strategies);
+    return lastDetection;
+  }
+
+  /**
+   * @description Finds the tab of the focused workspace tab or subtab in a console app. Both tab
+   * bars mark their selected tab, but only the bars of the focused workspace are visible, and the
+   * subtab bar comes after the workspace tab bar, so the last visible selected tab is the focused one.
+   * @returns {HTMLAnchorElement|null} The tab link, or null outside console apps
+   */
+  function getFocusedConsoleTab() {
+    const selected = Array.from(document.querySelectorAll(
+      ".navexConsoleTabset a[role='tab'][aria-selected='true'], .oneConsoleTabset a[role='tab'][aria-selected='true']"
+    )).filter(tab => tab.href && tab.offsetParent !== null);
+    return selected[selected.length - 1] || null;
   }
 
   /**
@@ -118,59 +254,327 @@
    * @returns {string|null} The record ID if found, null otherwise
    */
   function extractRecordId() {
-    const href = window.location.href; // Get the current URL
-    const hash = window.location.hash ? decodeURIComponent(window.location.hash) : ""; // Get the hash part of the URL
-
-    const patterns = [
-      /\/lightning\/r\/[^/]+\/([a-zA-Z0-9]{15,18})\//, // /lightning/r/Object/ID/view
-      /\/lightning\/r\/([a-zA-Z0-9]{15,18})\//,        // /lightning/r/ID/view
-      /\/sObject\/([a-zA-Z0-9]{15,18})\//,            // /sObject/ID/view (console)
-      /\/r\/[^/]+\/([a-zA-Z0-9]{15,18})\//,           // /r/Object/ID/view (console)
-      /\/([a-zA-Z0-9]{15,18})$/,                      // /ID (classic pages like my.salesforce.com/a0p5w000005tyFK)
-      /\/([a-zA-Z0-9]{15,18})\//                       // /ID/ (classic pages with trailing slash)
-    ];
-
-    for (const re of patterns) {
-      let m = href.match(re); // Match the pattern against the URL
-      if (m && isValidSfId(m[1])) return m[1]; // If the pattern matches and the ID is valid, return the ID
-      m = hash.match(re); // Match the pattern against the hash
-      if (m && isValidSfId(m[1])) return m[1]; // If the pattern matches and the ID is valid, return the ID
+    return detectRecord().recordId;
+  }
+
+  /**
+   * @description Disables the button when the object's organization-wide default leaves nothing to share,
+   * since no __Share object exists in that case. The tooltip names the OWD so users know why.
+   * If the sharing model cannot be read (e.g. no API access), the button stays enabled.
+   * @param {HTMLButtonElement} btn - The sharing button
+   */
+  function applySharingAvailability(btn) {
+    const recordId = extractRecordId();
+    if (!recordId || !window.sfSharingApi) return;
+
+    window.sfSharingApi.getSharingModel(recordId).then((model) => {
+      if (!model || model.shareable || extractRecordId() !== recordId) return;
+
+      btn.setAttribute("aria-disabled", "true");
+      btn.style.opacity = "0.5";
+      btn.style.cursor = "not-allowed";
+      btn.title = getTranslation("sharingUnavailableTitle", {
+        object: model.objectName,
+        internal: SHARING_MODEL_KEYS[model.internal] ? getTranslation(SHARING_MODEL_KEYS[model.internal]) : model.internal,
+        external: SHARING_MODEL_KEYS[model.external] ? getTranslation(SHARING_MODEL_KEYS[model.external]) : model.external || "-"
+      });
+    }).catch(() => {
+      // Leave the button usable if the sharing model cannot be determined
+    });
+  }
+
+  /**
+   * @description Shows the record the button opens in its tooltip, with the label of the focused
+   * console tab when there is one, so it is clear which of several loaded records it targets
+   * @param {HTMLElement} btn - The sharing button
+   */
+  function updateButtonTarget(btn) {
+    const recordId = extractRecordId();
+    btn.title = getTranslation("buttonTitle");
+    if (!recordId) return;
+
+    const tab = lastDetection.strategy === "consoleFocusedTab" ? getFocusedConsoleTab() : null;
+    const tabLabel = tab ? (tab.title || tab.textContent).trim() : "";
+    resolveRecordObject(recordId).then((objectName) => {
+      if (extractRecordId() !== recordId || btn.getAttribute("aria-disabled") === "true") return;
+      const record = [tabLabel, objectName, recordId].filter(Boolean).join(" · ");
+      btn.title = `${getTranslation("buttonTitle")}\n${getTranslation("buttonTargetTitle", { record })}`;
+    }).catch(() => {}); // The tooltip keeps its plain title
+  }
+
+  /**
+   * @description Shows the org profile's label as a colored badge on the button, or its color as a
+   * border, so production is never mistaken for a sandbox
+   * @param {HTMLElement} btn - The sharing button
+   */
+  function applyOrgBadge(btn) {
+    const profile = settings.orgProfile;
+    if (!profile || profile.badgeStyle === "none") return;
+
+    if (profile.badgeStyle === "border") {
+      btn.style.boxShadow = `0 0 0 2px ${profile.color}`;
+      return;
     }
+    if (!profile.label) return;
+
+    const badge = document.createElement("span");
+    badge.textContent = profile.label;
+    badge.style.cssText = [
+      "margin-left:6px", // Space from the icon
+      "padding:0 5px", // Pill shape
+      "border-radius:8px", // Rounded corners
+      `background:${profile.color}`, // Org color
+      "color:#fff", // White text
+      "font-size:10px", // Small text
+      "font-weight:700", // Bold
+      "line-height:16px", // Compact height
+      "vertical-align:middle" // Align with the text
+    ].join(";");
+    btn.appendChild(badge);
+  }
+
+  /**
+   * @description Points an existing button to the current record, e.g. after switching console
+   * tabs, without re-inserting it
+   * @param {HTMLElement} btn - The sharing button
+   */
+  function retargetButton(btn) {
+    btn.removeAttribute("aria-disabled");
+    btn.style.opacity = "";
+    btn.style.cursor = "pointer";
+    updateButtonTarget(btn);
+    applySharingAvailability(btn);
+  }
 
-    const el = document.querySelector("[data-recordid]"); // Try to find the record ID in the data-recordid attribute
-    if (el && isValidSfId(el.getAttribute("data-recordid"))) { // If the record ID is valid, return it
-      return el.getAttribute("data-recordid");
+  /**
+   * @description Resolves the object API name of a record, from describeGlobal when the API is
+   * available and from the well-known standard key prefixes otherwise
+   * @param {string} recordId - The record ID
+   * @returns {Promise<string|null>} The object API name, or null if it cannot be resolved
+   */
+  async function resolveRecordObject(recordId) {
+    return (window.sfSharingApi && await window.sfSharingApi.resolveObjectName(recordId)) ||
+      window.sfSharingRoutes.getObjectNameFromPrefix(recordId);
+  }
+
+  /**
+   * @description Collects what the extension knows about the page: how the record was looked
+   * for, where the button went and why
+   * @returns {Object} The diagnostics
+   */
+  function getDiagnostics() {
+    return {
+      url: window.location.href,
+      pageType: getPageType(),
+      recordId: lastDetection.recordId,
+      recordStrategy: lastDetection.strategy,
+      patternsTried: lastDetection.tried,
+      insertStrategy,
+      insertStatus,
+      insertStats: insertBudget.getStats()
+    };
+  }
+
+  /**
+   * @description Shows an error toast. Its Details expander lists the URL, the record ID patterns
+   * tried, the insertion strategy and the page type, and "Copy diagnostic report" copies them
+   * with the extension version and browser for a bug report.
+   * @param {string} message - The error message
+   */
+  function showError(message) {
+    const diagnostics = getDiagnostics();
+    const none = getTranslation("diagnosticNone");
+    const report = [
+      "Sharing Button for Salesforce - diagnostic report",
+      `Message: ${message}`,
+      `Extension version: ${chrome.runtime.getManifest().version}`,
+      `Browser: ${navigator.userAgent}`,
+      `Language: ${window.sfSharingI18n.getLanguage()}`,
+      `URL: ${diagnostics.url}`,
+      `Page type: ${diagnostics.pageType}`,
+      `Record ID: ${diagnostics.recordId || "none"} (strategy: ${diagnostics.recordStrategy || "none"})`,
+      `Patterns tried: ${diagnostics.patternsTried.join(", ") || "none"}`,
+      `Insertion strategy: ${diagnostics.insertStrategy || "none"}`,
+      `Insertion status: ${diagnostics.insertStatus}`,
+      `Insertion attempts: ${diagnostics.insertStats.attempts} (refused: ${diagnostics.insertStats.refused})`,
+      `Time: ${new Date().toISOString()}`
+    ].join("\n");
+
+    window.sfSharingUi.showToast({
+      variant: "error",
+      message,
+      details: [
+        { label: getTranslation("diagnosticUrl"), value: diagnostics.url },
+        { label: getTranslation("diagnosticPatternsTried"), value: diagnostics.patternsTried.join(", ") || none },
+        { label: getTranslation("diagnosticInsertStrategy"), value: diagnostics.insertStrategy || none },
+        { label: getTranslation("diagnosticPageType"), value: diagnostics.pageType }
+      ],
+      report,
+      classic: isClassicInterface(),
+      t: getTranslation
+    });
+  }
+
+  /**
+   * @description Shows a success toast
+   * @param {string} message - The message
+   */
+  function showSuccess(message) {
+    window.sfSharingUi.showToast({ variant: "success", message, classic: isClassicInterface(), t: getTranslation });
+  }
+
+  /**
+   * @description Maps a click to how the sharing page should open, following browser conventions for links:
+   * Ctrl/Cmd-click and middle-click open a background tab, Ctrl/Cmd+Shift-click a foreground tab,
+   * and Shift-click a new window
+   * @param {MouseEvent} event - The click event
+   * @returns {string|null} The disposition, or null for a plain click
+   */
+  function getOpenDisposition(event) {
+    const modifier = event.ctrlKey || event.metaKey;
+    if (event.button === 1 || (modifier && !event.shiftKey)) return "background";
+    if (modifier && event.shiftKey) return "foreground";
+    if (event.shiftKey) return "window";
+    return null;
+  }
+
+  /**
+   * @description Resolves the object of the current record and asks the background script to open
+   * its sharing page. Standard objects are routed to their own Classic sharing page, and objects
+   * without a sharing page get a message instead of a broken tab.
+   * @param {string|null} [disposition] - How a modified click asks to open the page (see getOpenDisposition)
+   * @param {string} [recordId] - The record, when it is not the current one (e.g. a list view row)
+   */
+  async function openSharing(disposition, recordId = extractRecordId()) {
+    if (!recordId) { // If no record ID is found, show an error
+      showError(getTranslation("errorNoRecordId"));
+      return;
+    }
+
+    const objectName = await resolveRecordObject(recordId).catch(() => null);
+    const origin = window.sfSharingHosts.getSharingOrigin(location.href, settings.customDomains);
+    const url = window.sfSharingRoutes.buildSharingUrl(origin, recordId, objectName);
+    if (!url) {
+      showError(getTranslation("errorNoSharingPage", { object: objectName }));
+      return;
+    }
+    // Ask the background script to open it; it fails e.g. when the extension was reloaded
+    const response = await chrome.runtime.sendMessage({ type: "openSharing", url, disposition }).catch(() => null);
+    if (!response || !response.ok) showError(getTranslation("errorOpenSharingFailed"));
+  }
+
+  /**
+   * @description Opens the in-page sharing panel listing the share rows of the current record.
+   * The Classic sharing page stays available from the panel.
+   */
+  async function openSharingPanel() {
+    const recordId = extractRecordId(); // Get the record ID
+    if (!recordId) { // If no record ID is found, show an error
+      showError(getTranslation("errorNoRecordId"));
+      return;
     }
-    return null; // If no record ID is found, return null
+
+    window.sfSharingPanel.open({
+      recordId,
+      objectName: await resolveRecordObject(recordId),
+      t: getTranslation,
+      onOpenClassic: event => openSharing(getOpenDisposition(event)),
+      readOnly: settings.disableWriteActions
+    });
+  }
+
+  /**
+   * @description Opens the "Explain access" dialog, which shows why a chosen user can see the current record
+   */
+  async function openExplainAccess() {
+    const recordId = extractRecordId(); // Get the record ID
+    if (!recordId) { // If no record ID is found, show an error
+      showError(getTranslation("errorNoRecordId"));
+      return;
+    }
+
+    window.sfSharingExplainer.open({
+      recordId,
+      objectName: await resolveRecordObject(recordId),
+      t: getTranslation
+    });
   }
 
   /**
-   * @description Deeply queries through open Shadow DOMs or synthetic shadow
-   * @param {string} selector - The CSS selector to search for
-   * @param {Document} root - The root element to search in (default: document)
-   * @returns {Element|null} The first matching element or null if not found
+   * @description Downloads the share rows of the current record, with names and types resolved
+   * @param {string} format - "csv" or "json"
    */
-  function deepQuerySelector(selector, root = document) {
-    // Try standard query first
+  async function exportSharing(format) {
+    const recordId = extractRecordId(); // Get the record ID
+    if (!recordId) { // If no record ID is found, show an error
+      showError(getTranslation("errorNoRecordId"));
+      return;
+    }
+
+    const objectName = await resolveRecordObject(recordId);
     try {
-      const direct = root.querySelector(selector); // Try to find the element with the selector
-      if (direct) return direct; // If the element is found, return it
-    } catch (e) {}
-
-    // Explore potential shadow roots
-    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
-
-    // Explore potential shadow roots
-    while (walker.nextNode()) {
-      const el = walker.currentNode; // Get the current node
-      if (el && el.shadowRoot) { // If the node has a shadow root
-        try {
-          const found = el.shadowRoot.querySelector(selector); // Try to find the element with the selector
-          if (found) return found; // If the element is found, return it
-        } catch (e) {}
-      }
+      const count = await window.sfSharingExport.exportShareRows({ recordId, objectName, format, t: getTranslation });
+      showSuccess(getTranslation("exportDone", { count }));
+    } catch (e) {
+      showError(e.errorCode === "NO_SHARE_OBJECT"
+        ? getTranslation("errorNoSharingPage", { object: objectName })
+        : `${getTranslation("exportError")} ${e.message}`);
     }
-    return null; // If no element is found, return null
+  }
+
+  /**
+   * @description Creates the toggle of the actions menu shown next to the sharing button.
+   * It copies the button's styling so both look like a single button group.
+   * @param {HTMLButtonElement} btn - The sharing button
+   * @returns {HTMLButtonElement} The toggle button
+   */
+  function buildMenuToggle(btn) {
+    const toggle = document.createElement("button"); // Create a button element
+    toggle.id = MENU_ID; // Set the ID of the toggle
+    toggle.className = btn.className; // Same look as the sharing button
+    toggle.style.cssText = btn.style.cssText;
+    toggle.style.padding = "4px 6px"; // Narrower than the sharing button
+    toggle.style.marginLeft = "2px";
+    toggle.dataset.i18nTitle = "menuToggleTitle"; // Translated title, kept up to date by refreshLanguage()
+    toggle.title = getTranslation("menuToggleTitle");
+    toggle.setAttribute("aria-haspopup", "menu");
+    toggle.textContent = "▾";
+
+    toggle.addEventListener("click", (event) => {
+      event.stopPropagation(); // Keep the page from handling the click
+      window.sfSharingUi.openDropdown(toggle, [
+        { label: getTranslation("menuExplainAccess"), onSelect: openExplainAccess },
+        { label: getTranslation("menuExportCsv"), onSelect: () => exportSharing("csv") },
+        { label: getTranslation("menuExportJson"), onSelect: () => exportSharing("json") },
+        { label: getTranslation("panelOpenClassic"), onSelect: () => openSharing() }
+      ]);
+    });
+    return toggle;
+  }
+
+  /**
+   * @description Adds the click handlers to a sharing button. A plain click opens the sharing panel,
+   * while modified clicks and middle-clicks open the Classic sharing page like a link would.
+   * @param {HTMLButtonElement} btn - The sharing button
+   */
+  function attachClickHandlers(btn) {
+    btn.addEventListener("click", (event) => { // Add a click event listener to the button
+      if (btn.getAttribute("aria-disabled") === "true") return; // Sharing is not available for this object
+      const disposition = getOpenDisposition(event);
+      if (disposition) {
+        openSharing(disposition);
+      } else {
+        openSharingPanel();
+      }
+    });
+    btn.addEventListener("mousedown", (event) => {
+      if (event.button === 1) event.preventDefault(); // Keep the middle button from starting autoscroll
+    });
+    btn.addEventListener("auxclick", (event) => {
+      if (event.button !== 1 || btn.getAttribute("aria-disabled") === "true") return;
+      event.preventDefault();
+      openSharing(getOpenDisposition(event));
+    });
   }
 
   /**
@@ -183,16 +587,14 @@
     btn.title = getTranslation("buttonTitle"); // Set the title of the button
 
     // Create the button content with text and icon
-    const buttonText = getTranslation("buttonText");
-    const shareIcon = `<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor" style="vertical-align: middle; margin-left: 4px;">
+    const buttonText = `<span data-i18n="buttonText">${getTranslation("buttonText")}</span>`;
+    const shareIcon = `<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor" style="vertical-align: middle; margin-inline-start: 4px;">
       <path d="M17,3.00192584 C18.6557906,3.00192584 19.9980742,4.34420936 19.9980742,6 C19.9980742,7.65579064 18.6557906,8.99807416 17,8.99807416 C16.1578136,8.99807416 15.3967333,8.6508181 14.852131,8.09167815 L9.39501737,11.2112879 C9.46336462,11.4625994 9.49984273,11.7270397 9.49984273,12 C9.49984273,12.2729603 9.46336462,12.5374006 9.39501737,12.7887121 L14.8528622,15.907571 C15.3974144,15.3488708 16.1581905,15.0019258 17,15.0019258 C18.6557906,15.0019258 19.9980742,16.3442089 19.9980742,17.9999996 C19.9980742,19.6557902 18.6557906,20.9980737 17,20.9980737 C15.3442094,20.9980737 14.0019258,19.6557902 14.0019258,17.9999996 C14.0019258,17.7270393 14.0384039,17.462599 14.1067512,17.2112875 L8.64963752,14.0916781 C8.1050353,14.6508181 7.34395493,14.9980742 6.50176856,14.9980742 C4.84597793,14.9980742 3.5036944,13.6557906 3.5036944,12 C3.5036944,10.3442094 4.84597793,9.00192584 6.50176856,9.00192584 C7.34357809,9.00192584 8.10435419,9.3488712 8.64890633,9.9075714 L14.1067512,6.78871207 C14.0384039,6.5374006 14.0019258,6.27296026 14.0019258,6 C14.0019258,4.34420936 15.3442094,3.00192584 17,3.00192584 Z"/>
     </svg>`;
     btn.innerHTML = `${buttonText} ${shareIcon}`; // Set the HTML content with text and icon
 
     // Check if we're on a classic Salesforce page
-    const isClassicPage = window.location.hostname.includes('my.salesforce.com');
-
-    if (isClassicPage) {
+    if (isClassicInterface()) {
       // Classic button styling
       btn.className = ""; // Remove SLDS classes for classic styling
       btn.style.cssText = [
@@ -219,15 +621,11 @@
       ].join(";");
     }
 
-    btn.addEventListener("click", () => { // Add a click event listener to the button
-      const recordId = extractRecordId(); // Get the record ID
-      if (!recordId) { // If no record ID is found, show an alert
-        alert(getTranslation("errorNoRecordId"));
-        return;
-      }
-      const url = `${location.origin}/p/share/CustomObjectSharingDetail?parentId=${recordId}`; // Create the sharing URL
-      chrome.runtime.sendMessage({ type: "openSharing", url }); // Send a message to the background script
-    });
+    btn.dir = window.sfSharingI18n.getDirection(); // Mirrored for right-to-left languages
+    attachClickHandlers(btn);
+    updateButtonTarget(btn);
+    applySharingAvailability(btn);
+    applyOrgBadge(btn);
     return btn;
   }
 
@@ -249,6 +647,7 @@
 
     const btn = buildButton(); // Build the button
     li.appendChild(btn); // Append the button to the list item
+    li.appendChild(buildMenuToggle(btn)); // Append the actions menu toggle next to it
 
     // Prepend so it appears before the org badge and other icons
     if (ul.firstChild) {
@@ -260,7 +659,7 @@
   }
 
   /**
-   * @description Inserts the sharing button into classic Salesforce pages (my.salesforce.com)
+   * @description Inserts the sharing button into classic Salesforce pages (my.salesforce.com, Visualforce)
    * @returns {boolean} True if the button was inserted, false if it already exists
    */
   function insertInClassicPage() {
@@ -284,30 +683,127 @@
     } else {
       linkElementsDiv.appendChild(btn);
     }
+    btn.after(buildMenuToggle(btn)); // Add the actions menu toggle next to the button
 
     return true;
   }
 
+  /**
+   * @description Inserts the sharing button into the actions of the Lightning record highlights panel
+   * @returns {boolean} True if the button was inserted, false if the panel is not on the page
+   */
+  function insertInHighlightsPanel() {
+    if (document.getElementById(LI_ID) || document.getElementById(BTN_ID)) return true; // If the button already exists, return true
+
+    // LWC and Aura versions of the highlights panel action list
+    const ul = deepQuerySelector([
+      "records-highlights2 ul.slds-button-group-list",
+      "records-lwc-highlights-panel ul.slds-button-group-list",
+      ".forceHighlightsPanel ul.slds-button-group-list",
+      ".forceHighlightsPanel ul.forceActionsContainer"
+    ].join(","));
+    if (!ul) return false; // If no highlights panel is found, return false
+
+    const li = document.createElement("li"); // Create a list item element
+    li.id = LI_ID; // Set the ID of the list item
+    li.className = "slds-button-group-item"; // Match the other highlights panel actions
+    li.style.cssText = "list-style:none;display:flex";
+
+    const btn = buildButton(); // Build the button
+    li.appendChild(btn);
+    li.appendChild(buildMenuToggle(btn));
+    ul.insertBefore(li, ul.firstChild); // Prepend so it is not hidden in the overflow menu
+    return true;
+  }
+
+  /**
+   * @description Inserts the sharing button at the end of the Classic detail page button row
+   * @returns {boolean} True if the button was inserted, false if the button row is not on the page
+   */
+  function insertInClassicButtonRow() {
+    if (document.getElementById(LI_ID) || document.getElementById(BTN_ID)) return true; // If the button already exists, return true
+
+    const buttonRow = document.querySelector("td#topButtonRow, .pbHeader td.pbButton");
+    if (!buttonRow) return false; // If no button row is found, return false
+
+    const btn = buildButton(); // Build the button
+    buttonRow.appendChild(btn);
+    btn.after(buildMenuToggle(btn));
+    return true;
+  }
+
+  /**
+   * @description Lets the user drag the floating button by its grip and remembers where it was
+   * dropped, per host, so it can be moved away from the org switcher or other header controls
+   * @param {HTMLElement} container - The floating container
+   * @param {HTMLElement} grip - The element that starts a drag
+   */
+  function makeDraggable(container, grip) {
+    const host = window.location.host;
+
+    // Keeps the button fully visible, even after the window got smaller
+    const place = (left, top) => {
+      const maxLeft = document.documentElement.clientWidth - container.offsetWidth;
+      const maxTop = document.documentElement.clientHeight - container.offsetHeight;
+      container.style.left = `${Math.max(0, Math.min(left, maxLeft))}px`;
+      container.style.top = `${Math.max(0, Math.min(top, maxTop))}px`;
+      container.style.right = "auto";
+    };
+
+    chrome.storage.local.get(FLOAT_POSITIONS_KEY, (items) => {
+      const position = (items[FLOAT_POSITIONS_KEY] || {})[host];
+      if (position) place(position.left, position.top);
+    });
+
+    grip.addEventListener("pointerdown", (event) => {
+      event.preventDefault();
+      grip.setPointerCapture(event.pointerId);
+      const rect = container.getBoundingClientRect();
+      const offsetX = event.clientX - rect.left;
+      const offsetY = event.clientY - rect.top;
+
+      const onMove = e => place(e.clientX - offsetX, e.clientY - offsetY);
+      const onUp = () => {
+        grip.removeEventListener("pointermove", onMove);
+        grip.removeEventListener("pointerup", onUp);
+        const position = { left: parseInt(container.style.left, 10), top: parseInt(container.style.top, 10) };
+        chrome.storage.local.get(FLOAT_POSITIONS_KEY, (items) => {
+          const positions = items[FLOAT_POSITIONS_KEY] || {};
+          positions[host] = position;
+          chrome.storage.local.set({ [FLOAT_POSITIONS_KEY]: positions });
+        });
+      };
+      grip.addEventListener("pointermove", onMove);
+      grip.addEventListener("pointerup", onUp);
+    });
+  }
+
   /**
    * @description Inserts the sharing button as a floating button
+   * @returns {boolean} Always true, as the floating button can be inserted on any page
    */
   function insertFloatingButton() {
-    if (document.getElementById(BTN_ID) || document.getElementById(BTN_FLOAT_ID)) return; // If the button already exists, return
+    if (document.getElementById(BTN_ID) || document.getElementById(BTN_FLOAT_ID)) return true; // If the button already exists, return true
+    const container = document.createElement("div"); // Create a container for the button and its menu toggle
+    container.id = BTN_FLOAT_ID; // Set the ID of the container
+    container.style.cssText = [
+      "position:fixed", // Set the position of the container
+      "top:8px", // Set the top position of the container
+      "right:12px", // Set the right position of the container
+      "z-index:2147483647", // Set the z-index of the container
+      "display:flex" // Keep the button and its menu toggle side by side
+    ].join(";");
+
     const btn = document.createElement("button"); // Create a button element
-    btn.id = BTN_FLOAT_ID; // Set the ID of the button
     btn.title = getTranslation("buttonTitle"); // Set the title of the button
 
     // Create the button content with text and icon
-    const buttonText = getTranslation("buttonText");
-    const shareIcon = `<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor" style="vertical-align: middle; margin-left: 4px;">
+    const buttonText = `<span data-i18n="buttonText">${getTranslation("buttonText")}</span>`;
+    const shareIcon = `<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor" style="vertical-align: middle; margin-inline-start: 4px;">
       <path d="M17,3.00192584 C18.6557906,3.00192584 19.9980742,4.34420936 19.9980742,6 C19.9980742,7.65579064 18.6557906,8.99807416 17,8.99807416 C16.1578136,8.99807416 15.3967333,8.6508181 14.852131,8.09167815 L9.39501737,11.2112879 C9.46336462,11.4625994 9.49984273,11.7270397 9.49984273,12 C9.49984273,12.2729603 9.46336462,12.5374006 9.39501737,12.7887121 L14.8528622,15.907571 C15.3974144,15.3488708 16.1581905,15.0019258 17,15.0019258 C18.6557906,15.0019258 19.9980742,16.3442089 19.9980742,17.9999996 C19.9980742,19.6557902 18.6557906,20.9980737 17,20.9980737 C15.3442094,20.9980737 14.0019258,19.6557902 14.0019258,17.9999996 C14.0019258,17.7270393 14.0384039,17.462599 14.1067512,17.2112875 L8.64963752,14.0916781 C8.1050353,14.6508181 7.34395493,14.9980742 6.50176856,14.9980742 C4.84597793,14.9980742 3.5036944,13.6557906 3.5036944,12 C3.5036944,10.3442094 4.84597793,9.00192584 6.50176856,9.00192584 C7.34357809,9.00192584 8.10435419,9.3488712 8.64890633,9.9075714 L14.1067512,6.78871207 C14.0384039,6.5374006 14.0019258,6.27296026 14.0019258,6 C14.0019258,4.34420936 15.3442094,3.00192584 17,3.00192584 Z"/>
     </svg>`;
     btn.innerHTML = `${buttonText} ${shareIcon}`; // Set the HTML content with text and icon
     btn.style.cssText = [
-      "position:fixed", // Set the position of the button
-      "top:8px", // Set the top position of the button
-      "right:12px", // Set the right position of the button
-      "z-index:2147483647", // Set the z-index of the button
       "padding:6px 12px", // Set the padding of the button
       "border:1px solid #d0d0d0", // Set the border of the button
       "border-radius:6px", // Set the border radius of the button
@@ -316,206 +812,389 @@
       "font-size:12px", // Set the font size of the button
       "box-shadow:0 1px 3px rgba(0,0,0,0.15)"
     ].join(";");
-    btn.addEventListener("click", () => { // Add a click event listener to the button
-      const recordId = extractRecordId(); // Get the record ID
-      if (!recordId) { // If no record ID is found, show an alert
-        alert(getTranslation("errorNoRecordId"));
-        return;
-      }
-      const url = `${location.origin}/p/share/CustomObjectSharingDetail?parentId=${recordId}`; // Create the sharing URL
-      chrome.runtime.sendMessage({ type: "openSharing", url }); // Send a message to the background script
+    btn.dir = window.sfSharingI18n.getDirection(); // Mirrored for right-to-left languages
+    attachClickHandlers(btn);
+    updateButtonTarget(btn);
+    applySharingAvailability(btn);
+    applyOrgBadge(btn);
+
+    const grip = document.createElement("span"); // Create the drag handle
+    grip.dataset.i18nTitle = "floatingDragTitle";
+    grip.title = getTranslation("floatingDragTitle");
+    grip.textContent = "⋮⋮";
+    grip.style.cssText = [
+      "display:flex", // Center the dots
+      "align-items:center", // Center the dots vertically
+      "padding:0 4px", // Leave room to grab it
+      "color:#706e6b", // Muted color
+      "cursor:move", // Show that it can be dragged
+      "user-select:none", // Do not select the dots while dragging
+      "touch-action:none" // Let pointer events drive the drag on touch screens
+    ].join(";");
+
+    container.appendChild(grip);
+    container.appendChild(btn);
+    container.appendChild(buildMenuToggle(btn));
+    document.body.appendChild(container); // Append the container to the body
+    makeDraggable(container, grip);
+    return true;
+  }
+
+  /**
+   * @description Picks the insertion function for the placement chosen in the options page.
+   * Placements that do not exist on the current page type fall back to the default one.
+   * @param {boolean} isClassicPage - Whether the page is a Classic page
+   * @returns {Function} The insertion function, returning true once the button is inserted
+   */
+  function getInsertStrategy(isClassicPage) {
+    switch (settings.placement) {
+      case "floating":
+        return insertFloatingButton;
+      case "globalHeader":
+        if (!isClassicPage) return insertInGlobalActionsUl;
+        break;
+      case "highlightsPanel":
+        if (!isClassicPage) return insertInHighlightsPanel;
+        break;
+      case "classicButtons":
+        if (isClassicPage) return insertInClassicButtonRow;
+        break;
+    }
+    return isClassicPage ? insertInClassicPage : insertInGlobalActionsUl;
+  }
+
+  /**
+   * @description Classifies the page's host with the rules of hosts.js and the custom domains of the options page
+   * @returns {string|null} "lightning", "classic", "visualforce", "setup" or "experience", or null for other hosts
+   */
+  function getHostKind() {
+    return window.sfSharingHosts.classifyHost(window.location.hostname, settings.customDomains);
+  }
+
+  /**
+   * @description Tells whether the page has the Classic interface, as Classic and Visualforce pages do
+   * @returns {boolean} True on Classic and Visualforce pages
+   */
+  function isClassicInterface() {
+    const kind = getHostKind();
+    return kind === "classic" || kind === "visualforce";
+  }
+
+  /**
+   * @description Tells Lightning, Lightning console, Classic, Visualforce, Setup and Experience pages apart
+   * @returns {string} "lightning", "console", "classic", "visualforce", "setup", "experience" or "unknown"
+   */
+  function getPageType() {
+    const kind = getHostKind();
+    // Console apps render their workspace tabs in a tab set
+    if (kind === "lightning" && document.querySelector(".navexConsoleTabset, .oneConsoleTabset")) return "console";
+    return kind || "unknown";
+  }
+
+  /**
+   * @description Applies the per-object allow or deny list of the options page to a record. The
+   * object is resolved once per record; the insertion is attempted again, within the insertion
+   * budget, when it is known.
+   * @param {string} recordId - The record ID
+   * @returns {boolean|null} Whether the button may show, or null while the object is being resolved
+   */
+  function checkObjectFilter(recordId) {
+    if (settings.objectFilterMode === "all") return true;
+    if (objectFilterResults.has(recordId)) return objectFilterResults.get(recordId);
+
+    objectFilterResults.set(recordId, null);
+    resolveRecordObject(recordId).catch(() => null).then((objectName) => {
+      objectFilterResults.set(recordId, window.sfSharingSettings.isObjectAllowed(settings, objectName, recordId));
+      attemptInsert();
     });
-    document.body.appendChild(btn); // Append the button to the body
+    return null;
   }
 
   /**
    * @description Main insertion logic with fallback strategy
    */
   function tryInsert() {
-    // Check if this is a relevant Salesforce page
-    const url = window.location.href;
-    const hostname = window.location.hostname;
+    // Records the outcome, and in debug mode the decisions that led to it
+    const decide = (status, details) => {
+      insertStatus = status;
+      logDebug("tryInsert", Object.assign({ status }, details));
+    };
+
+    // The org profile can turn the button off for a whole org
+    if (!settings.enabled) {
+      decide("orgDisabled", {});
+      return;
+    }
 
-    // For Lightning pages, check if it's a record page
-    if (hostname.includes('lightning.force.com')) {
-      // Only show on record detail pages (/lightning/r/...)
-      // NOT on object list pages (/lightning/o/.../list)
-      const isRecordPage = url.includes('/lightning/r/');
+    // A record page is one whose URL, or focused console tab, carries a record ID, whatever its
+    // shape: /lightning/r/ paths, Classic IDs, one.app routes, Setup ?address= and page state.
+    // NOT object list pages (/lightning/o/.../list), nor Setup and Visualforce page names.
+    const branch = getHostKind() || "other";
+    const recordId = extractRecordId();
+    const isRecordPage = recordId !== null && !PAGE_STRATEGIES.some(strategy => strategy.name === lastDetection.strategy);
+    const checks = { branch, recordPageCheck: branch === "other" ? "skipped" : "passed", recordId, recordStrategy: lastDetection.strategy };
 
-      if (!isRecordPage) {
-        return;
-      }
+    if (branch !== "other" && !isRecordPage) {
+      decide("notRecordPage", Object.assign(checks, { recordPageCheck: "failed" }));
+      return;
     }
 
-    // For Classic pages, check if it's a record page
-    if (hostname.includes('my.salesforce.com')) {
-      const isRecordPage = /\/[a-zA-Z0-9]{15,18}$/.test(url) ||
-                          /\/[a-zA-Z0-9]{15,18}\//.test(url);
+    // Check if we're on a classic Salesforce page (my.salesforce.com or Visualforce)
+    const isClassicPage = isClassicInterface();
 
-      if (!isRecordPage) {
+    // Only on the objects the options page allows
+    if (recordId) {
+      const allowed = checkObjectFilter(recordId);
+      if (allowed === null) {
+        decide("pending", Object.assign({ objectFilter: "resolving" }, checks));
         return;
       }
-    }
-
-    // Check if we're on a classic Salesforce page (my.salesforce.com)
-    const isClassicPage = window.location.hostname.includes('my.salesforce.com');
-    const recordId = extractRecordId();
-
-    if (isClassicPage) {
-      // For classic pages, check if there's a valid Salesforce ID first
-      if (!recordId) {
+      if (!allowed) {
+        decide("objectFiltered", checks);
         return;
       }
+    }
 
-      // For classic pages, try to insert into linkElements div first
-      if (!insertInClassicPage()) {
-        setTimeout(() => {
-          if (!insertInClassicPage()) {
-            insertFloatingButton();
-          }
-        }, 1500);
-      }
+    // Insert at the chosen placement, falling back to the floating button if it never shows up
+    const insert = getInsertStrategy(isClassicPage);
+    insertStrategy = insert.name;
+    const updateStatus = (details) => {
+      decide(document.getElementById(BTN_FLOAT_ID) ? "floating" : "inserted", Object.assign({ strategy: insertStrategy }, checks, details));
+    };
+    if (insert()) {
+      updateStatus({});
     } else {
-      // For Lightning pages, use the existing logic
-      if (!insertInGlobalActionsUl()) {
-        setTimeout(() => {
-          if (!insertInGlobalActionsUl()) {
-            insertFloatingButton();
-          }
-        }, 1500);
-      }
+      logDebug("tryInsert", Object.assign({ status: "waiting", strategy: insert.name, retryInMs: FALLBACK_DELAY }, checks));
+      const scheduledAt = Date.now();
+      setTimeout(() => {
+        if (!insert()) {
+          insertStrategy = insertFloatingButton.name;
+          insertFloatingButton();
+        }
+        updateStatus({ retriedAfterMs: Date.now() - scheduledAt });
+      }, FALLBACK_DELAY);
     }
   }
 
-  tryInsert();
+  /**
+   * @description Translates the button, its menu toggle and the list view icons in place after a
+   * language change, so nothing is removed from the page
+   */
+  function refreshLanguage() {
+    [document.getElementById(BTN_ID), document.querySelector(`#${BTN_FLOAT_ID} button:not(#${MENU_ID})`)]
+      .filter(Boolean)
+      .forEach((btn) => {
+        window.sfSharingI18n.translate(btn);
+        btn.dir = window.sfSharingI18n.getDirection();
+        updateButtonTarget(btn);
+        applySharingAvailability(btn);
+      });
+    [document.getElementById(MENU_ID), document.getElementById(BTN_FLOAT_ID)]
+      .filter(Boolean)
+      .forEach(element => window.sfSharingI18n.translate(element));
+    window.sfSharingListView.refreshLanguage();
+  }
 
-  // Track current URL to detect navigation changes
-  let currentUrl = window.location.href;
-  let lastRecordId = null;
+  window.sfSharingI18n.onChange(refreshLanguage);
 
   /**
-   * @description Check if URL has changed and re-insert button if needed
+   * @description Sets up the row icons and "Sharing for selected" on list views and related lists
+   * when the button is on for the org, and removes them when it is off
    */
-  function checkUrlChange() {
-    const newUrl = window.location.href;
-    const newRecordId = extractRecordId();
-
-    // Check if URL changed or record ID changed (for same-page navigation)
-    if (newUrl !== currentUrl || newRecordId !== lastRecordId) {
+  function updateListView() {
+    if (!settings.enabled) {
+      window.sfSharingListView.destroy();
+      return;
+    }
+    window.sfSharingListView.init({
+      t: getTranslation,
+      openSharing: (recordId, event) => openSharing(getOpenDisposition(event), recordId),
+      getSettings: () => Promise.resolve(settings)
+    });
+  }
 
-      currentUrl = newUrl;
-      lastRecordId = newRecordId;
+  // Insert once the settings are loaded, as they decide where the button goes
+  loadSettings().then(() => {
+    renderDebugOverlay();
+    lastRecordId = extractRecordId();
+    attemptInsert();
+    updateListView();
+  });
 
-      // Remove existing buttons
-      const existingButtons = [
-        document.getElementById(LI_ID),
-        document.getElementById(BTN_ID),
-        document.getElementById(BTN_FLOAT_ID)
-      ];
+  // Track the URL and record to tell navigations to another record apart
+  let currentUrl = window.location.href;
+  let lastRecordId = null;
 
-      existingButtons.forEach(btn => {
-        if (btn) {
-          btn.remove();
-        }
-      });
+  /**
+   * @description In debug mode, shows a decision on the overlay and logs it, a second later with
+   * the other entries of that moment, to the debug log the options page shows
+   * @param {string} event - What happened (e.g. "tryInsert", "navigation")
+   * @param {Object} details - The decision and what it was based on
+   */
+  function logDebug(event, details) {
+    if (!settings.debugMode) return;
+    debugEntries.push({ time: new Date().toISOString(), host: window.location.host, event, details });
+    renderDebugOverlay();
+
+    if (debugFlushTimer) return;
+    debugFlushTimer = setTimeout(() => {
+      debugFlushTimer = null;
+      chrome.runtime.sendMessage({ type: "debugLog", entries: debugEntries }).catch(() => {});
+      debugEntries = [];
+    }, DEBUG_FLUSH_DELAY);
+  }
 
-      // Try to insert immediately, then retry with delays
-      tryInsert();
+  /**
+   * @description In debug mode, shows a small overlay with the page type, the record and how it
+   * was found, the insertion status and strategy, and the insertion budget. Outside debug mode,
+   * removes it.
+   */
+  function renderDebugOverlay() {
+    let host = document.getElementById(DEBUG_OVERLAY_ID);
+    if (!settings.debugMode) {
+      if (host) host.remove();
+      return;
+    }
 
-      // Retry with increasing delays for dynamic content
-      setTimeout(() => {
-        tryInsert();
-      }, 100);
-      setTimeout(() => {
-        tryInsert();
-      }, 500);
-      setTimeout(() => {
-        tryInsert();
-      }, 1000);
-      setTimeout(() => {
-        tryInsert();
-      }, 2000);
+    const { el } = window.sfSharingUi;
+    if (!host) {
+      host = el("div", { id: DEBUG_OVERLAY_ID });
+      host.attachShadow({ mode: "open" }).append(
+        el("style", {
+          textContent: `:host { all: initial; }
+            .overlay { position: fixed; bottom: 8px; left: 8px; z-index: 2147483646; padding: 6px 8px; max-width: 360px;
+              background: rgba(24, 24, 24, 0.85); color: #fff; border-radius: 4px; pointer-events: none;
+              font: 11px/1.4 ui-monospace, Menlo, Consolas, monospace; white-space: pre-wrap; overflow-wrap: anywhere; }`
+        }),
+        el("div", { className: "overlay" })
+      );
+      document.body.appendChild(host);
     }
+
+    const stats = insertBudget.getStats();
+    host.shadowRoot.querySelector(".overlay").textContent = [
+      "SF Sharing debug",
+      `page type: ${getPageType()}`,
+      `record: ${lastDetection.recordId || "none"} (${lastDetection.strategy || "no strategy matched"})`,
+      `status: ${insertStatus}`,
+      `strategy: ${insertStrategy || "none"}`,
+      `attempts: ${stats.attempts}, refused: ${stats.refused}, left: ${stats.remaining}/${stats.capacity}`,
+      `last attempt: ${stats.lastMs.toFixed(1)} ms`
+    ].join("\n");
   }
 
   /**
-   * @description MutationObserver to handle dynamic page changes
+   * @description Tells whether the button is on the page, in any placement
+   * @returns {boolean} True if the button is on the page
    */
-  const observer = new MutationObserver((mutations) => {
-    // Check for URL changes
-    checkUrlChange();
-
-    // Check if button was removed or if significant DOM changes occurred
-    const hasButton = document.getElementById(LI_ID) || document.getElementById(BTN_ID) || document.getElementById(BTN_FLOAT_ID);
-    const hasSignificantChanges = mutations.some(mutation =>
-      mutation.type === 'childList' &&
-      (mutation.addedNodes.length > 0 || mutation.removedNodes.length > 0)
-    );
+  function hasButton() {
+    return Boolean(document.getElementById(LI_ID) || document.getElementById(BTN_ID) || document.getElementById(BTN_FLOAT_ID));
+  }
 
-    if (!hasButton || hasSignificantChanges) {
-      // Small delay to let DOM settle
-      setTimeout(() => {
-        if (!document.getElementById(LI_ID) && !document.getElementById(BTN_ID) && !document.getElementById(BTN_FLOAT_ID)) {
-          tryInsert();
-        }
-      }, 50);
+  /**
+   * @description Runs tryInsert() if the insertion budget allows it. Otherwise one attempt waits
+   * for the budget, so the button still shows up on pages that keep re-rendering.
+   */
+  function attemptInsert() {
+    if (insertBudget.run(tryInsert)) {
+      const stats = insertBudget.getStats();
+      logDebug("attempt", { ms: Math.round(stats.lastMs * 10) / 10, attempts: stats.attempts, remaining: stats.remaining });
+      return;
     }
-  });
-
-  // More comprehensive observation
-  observer.observe(document.documentElement, {
-    childList: true,
-    subtree: true,
-    attributes: true,
-    attributeFilter: ['class', 'id', 'data-aura-rendered-by']
-  });
+    if (budgetRetry) return;
+    logDebug("budget", { refused: insertBudget.getStats().refused, retryInMs: insertBudget.nextIn() });
+    budgetRetry = setTimeout(() => {
+      budgetRetry = null;
+      if (!hasButton()) attemptInsert();
+    }, insertBudget.nextIn());
+  }
 
-  // Listen for popstate events (back/forward navigation)
-  window.addEventListener('popstate', () => {
-    setTimeout(() => {
-      checkUrlChange();
-    }, 100);
-  });
+  /**
+   * @description Follows the record after a navigation or a console tab switch: the button is
+   * re-inserted for another page, or only retargeted when a console tab switch kept the URL
+   */
+  function checkRecordChange() {
+    const newUrl = window.location.href;
+    const newRecordId = extractRecordId();
+    if (newUrl === currentUrl && newRecordId === lastRecordId) return;
 
-  // Listen for pushstate/replacestate events (programmatic navigation)
-  const originalPushState = history.pushState;
-  const originalReplaceState = history.replaceState;
+    // Switching console tabs can change the record without changing the URL: the button stays
+    // where it is and only its target changes
+    const existingButton = document.getElementById(BTN_ID);
+    if (newUrl === currentUrl && newRecordId && existingButton) {
+      lastRecordId = newRecordId;
+      logDebug("retarget", { recordId: newRecordId, recordStrategy: lastDetection.strategy });
+      retargetButton(existingButton);
+      return;
+    }
 
-  history.pushState = function(...args) {
-    originalPushState.apply(history, args);
-    setTimeout(() => {
-      checkUrlChange();
-    }, 100);
-  };
+    logDebug("navigation", { url: newUrl, recordId: newRecordId, recordStrategy: lastDetection.strategy, tried: lastDetection.tried });
+    currentUrl = newUrl;
+    lastRecordId = newRecordId;
+    [LI_ID, BTN_ID, BTN_FLOAT_ID, MENU_ID].forEach(id => document.getElementById(id)?.remove());
 
-  history.replaceState = function(...args) {
-    originalReplaceState.apply(history, args);
-    setTimeout(() => {
-      checkUrlChange();
-    }, 100);
-  };
+    // The new page renders over the next moments; DOM changes bring further attempts
+    insertStatus = "pending";
+    insertBudget.reset();
+    attemptInsert();
+  }
 
-  // Periodic check as fallback (every 2 seconds)
-  setInterval(() => {
-    const hasButton = document.getElementById(LI_ID) || document.getElementById(BTN_ID) || document.getElementById(BTN_FLOAT_ID);
-    if (!hasButton) {
-      tryInsert();
-    }
-  }, 2000);
+  window.sfSharingPageWatcher.watch({
+    onNavigate: checkRecordChange,
+    onDomChange: ({ scoped }) => {
+      // List views and related lists load their rows on their own
+      if (settings.enabled) window.sfSharingListView.scheduleScan();
+
+      // The focused console tab changed, or the record was not on the page yet
+      if (scoped || lastRecordId === null) checkRecordChange();
+
+      if (!hasButton() && !SETTLED_STATUSES.includes(insertStatus)) attemptInsert();
+    },
+    // The button, its menu, the panels and the list view bar
+    isOwnNode: node => Boolean(node.closest && node.closest("[id^='gpt-sf-sharing']")),
+    getScopes: () => document.querySelectorAll(".navexConsoleTabset, .oneConsoleTabset"),
+    scopeAttributes: ["aria-selected"]
+  });
 
   /**
    * @description Listen for settings updates from the options page
    */
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.type === 'settingsUpdated') {
-      // Refresh the button to apply new language settings
-      const existingButton = document.getElementById(BTN_ID) || document.getElementById(BTN_FLOAT_ID);
-      if (existingButton) {
-        existingButton.remove();
-        setTimeout(() => {
-          tryInsert();
-        }, 100);
-      }
+      // Re-insert the button to apply new placement and org profile settings. A new language alone
+      // is applied in place by refreshLanguage().
+      const previous = JSON.stringify(Object.assign({}, settings, { languageMode: null, selectedLanguage: null }));
+      loadSettings().then(() => {
+        renderDebugOverlay();
+        if (JSON.stringify(Object.assign({}, settings, { languageMode: null, selectedLanguage: null })) === previous) return;
+        objectFilterResults.clear();
+        [LI_ID, BTN_ID, BTN_FLOAT_ID, MENU_ID].forEach(id => document.getElementById(id)?.remove());
+        insertBudget.reset();
+        attemptInsert();
+        updateListView();
+      });
+    }
+
+    // The keyboard shortcut and the toolbar popup ask for the record even when the button is not
+    // on the page, and the link context menu for the object of a record found in a link
+    if (message.type === 'getRecordContext') {
+      const recordId = message.recordId || extractRecordId();
+      const strategy = message.recordId ? null : lastDetection.strategy;
+      (recordId ? resolveRecordObject(recordId) : Promise.resolve(null))
+        .then(objectName => sendResponse({
+          recordId,
+          objectName,
+          strategy,
+          pageType: getPageType(),
+          insertStatus,
+          insertStats: insertBudget.getStats(),
+          org: { id: orgId, label: settings.orgProfile ? settings.orgProfile.label : null, hasProfile: Boolean(settings.orgProfile) }
+        }));
+      return true; // Keep the channel open for the async response
+    }
+
+    if (message.type === 'showError') {
+      showError(getTranslation(message.key, { object: message.objectName || "" }));
     }
   });
 })();
\ No newline at end of file
@@ -0,0 +1,66 @@
+/**
+ * @description Debug log for the SF Sharing Button Chrome extension.
+ *
+ * In debug mode the content script reports how it looks for the record and where it inserts
+ * the button. The background script keeps the last entries of all tabs in a ring buffer in
+ * chrome.storage.local, which the options page shows and downloads, so "the button doesn't
+ * appear" reports come with the decisions that led there.
+ *
+ * @function append - Adds entries to the ring buffer, dropping the oldest ones
+ * @function read - Gets the entries of the ring buffer
+ * @function clear - Empties the ring buffer
+ * @function format - Formats entries as text, one line each
+ */
+(function () {
+  const DEBUG_LOG_KEY = "debugLog"; // chrome.storage.local key of the ring buffer
+  const LOG_LIMIT = 500; // Entries kept; older ones are dropped
+
+  let writing = Promise.resolve(); // Appends run one after the other, so none is lost
+
+  /**
+   * @description Adds entries to the ring buffer, dropping the oldest ones past LOG_LIMIT
+   * @param {Array<{time: string, host: string, event: string, details: Object}>} entries - The entries
+   * @returns {Promise<void>} Resolves once the entries are stored
+   */
+  function append(entries) {
+    writing = writing.then(() => chrome.storage.local.get({ [DEBUG_LOG_KEY]: [] }))
+      .then(stored => chrome.storage.local.set({ [DEBUG_LOG_KEY]: stored[DEBUG_LOG_KEY].concat(entries).slice(-LOG_LIMIT) }))
+      .catch(() => {});
+    return writing;
+  }
+
+  /**
+   * @description Gets the entries of the ring buffer
+   * @returns {Promise<Array<Object>>} The entries, oldest first
+   */
+  function read() {
+    return chrome.storage.local.get({ [DEBUG_LOG_KEY]: [] }).then(stored => stored[DEBUG_LOG_KEY]);
+  }
+
+  /**
+   * @description Empties the ring buffer
+   * @returns {Promise<void>} Resolves once the buffer is empty
+   */
+  function clear() {
+    writing = writing.then(() => chrome.storage.local.remove(DEBUG_LOG_KEY));
+    return writing;
+  }
+
+  /**
+   * @description Formats entries as text, one line each: time, host, event and details
+   * @param {Array<Object>} entries - The entries
+   * @returns {string} The text
+   */
+  function format(entries) {
+    return entries.map(entry => `${entry.time} ${entry.host} ${entry.event} ${JSON.stringify(entry.details)}`).join("\n");
+  }
+
+  globalThis.sfSharingDebugLog = {
+    DEBUG_LOG_KEY,
+    LOG_LIMIT,
+    append,
+    read,
+    clear,
+    format
+  };
+})();
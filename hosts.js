@@ -0,0 +1,177 @@
+/**
+ * @description Salesforce host classification for the SF Sharing Button Chrome extension.
+ *
+ * Salesforce serves an org from many hosts: Lightning, Classic, Visualforce, Setup and
+ * Experience Cloud sites, each with enhanced-domain, sandbox and Government Cloud Plus
+ * variants, and from custom domains the user adds in the options page. This file tells them
+ * apart, and finds the org's My Domain host behind them, for the content script, the
+ * background script, the popup and the options page.
+ *
+ * @function classifyHost - Tells which kind of Salesforce page a host serves
+ * @function getOrgHost - Gets the org's My Domain host behind a Salesforce host
+ * @function getInterfaceHost - Gets the host of the org's Lightning or Classic interface
+ * @function getSharingOrigin - Gets the origin sharing pages open on for a page
+ * @function isValidHostPattern - Tells whether a custom domain is a host name, optionally starting with "*."
+ * @function toMatchPattern - Builds the match pattern of a custom domain
+ */
+(function () {
+  // Kinds of Salesforce pages, also offered for custom domains
+  const HOST_KINDS = ["lightning", "classic", "visualforce", "setup", "experience"];
+
+  // Host suffixes per kind, most specific first, with the suffix of the org's My Domain host.
+  // Sandboxes and other partitions (acme--uat.sandbox.my.salesforce.com) share the suffixes of production.
+  const HOST_RULES = [
+    { kind: "visualforce", suffix: ".vf.force.com", org: ".my.salesforce.com" }, // acme--c.vf.force.com
+    { kind: "visualforce", suffix: ".vf.crmforce.mil", org: ".my.salesforce.mil" }, // Government Cloud Plus
+    { kind: "visualforce", suffix: ".visual.force.com", org: ".my.salesforce.com" }, // acme--c.na1.visual.force.com, before enhanced domains
+    { kind: "visualforce", suffix: ".visualforce.com", org: ".my.salesforce.com" }, // acme--c.visualforce.com, before enhanced domains
+    { kind: "setup", suffix: ".my.salesforce-setup.com", org: ".my.salesforce.com" },
+    { kind: "setup", suffix: ".my.salesforce-setup.mil", org: ".my.salesforce.mil" },
+    { kind: "experience", suffix: ".my.site.com", org: ".my.salesforce.com" },
+    { kind: "experience", suffix: ".my.salesforce-sites.com", org: ".my.salesforce.com" }, // Salesforce Sites
+    { kind: "lightning", suffix: ".lightning.force.com", org: ".my.salesforce.com" },
+    { kind: "lightning", suffix: ".lightning.crmforce.mil", org: ".my.salesforce.mil" },
+    { kind: "classic", suffix: ".my.salesforce.com", org: ".my.salesforce.com" },
+    { kind: "classic", suffix: ".my.salesforce.mil", org: ".my.salesforce.mil" },
+    { kind: "classic", suffix: ".salesforce.com", org: null } // Instance hosts such as na1.salesforce.com
+  ];
+
+  // Experience Cloud site hosts serve public pages too, so the content scripts only run there once
+  // the user allows access to them in the options page, like custom domains
+  const EXPERIENCE_SITE_PATTERNS = ["https://*.my.site.com/*", "https://*.my.salesforce-sites.com/*"];
+
+  // Lightning host suffix for each My Domain host suffix
+  const LIGHTNING_SUFFIXES = {
+    ".my.salesforce.com": ".lightning.force.com",
+    ".my.salesforce.mil": ".lightning.crmforce.mil"
+  };
+
+  // Partitions in enhanced-domain hosts (acme--uat.sandbox.vf.force.com); other labels are instances (na1)
+  const PARTITIONS = ["sandbox", "develop", "scratch", "demo", "patch", "trailblaze", "free"];
+
+  // Salesforce hosts that belong to no org
+  const NON_ORG_HOSTS = [
+    "www.salesforce.com",
+    "help.salesforce.com",
+    "developer.salesforce.com",
+    "trailhead.salesforce.com",
+    "status.salesforce.com",
+    "appexchange.salesforce.com"
+  ];
+
+  /**
+   * @description Finds the custom domain a host belongs to. The host itself wins over "*." patterns.
+   * @param {string} host - The host
+   * @param {Object<string, string>} customDomains - Kinds keyed by host or "*." pattern
+   * @returns {string|null} The kind, or null if the host is not a custom domain
+   */
+  function matchCustomDomain(host, customDomains) {
+    const domains = customDomains || {};
+    if (domains[host]) return domains[host];
+    const pattern = Object.keys(domains).find(key => key.startsWith("*.") &&
+      (host.endsWith(key.substring(1)) || host === key.substring(2)));
+    return pattern ? domains[pattern] : null;
+  }
+
+  /**
+   * @description Finds the rule of a Salesforce host
+   * @param {string} host - The host
+   * @returns {Object|null} The rule, or null for hosts that serve no org
+   */
+  function findRule(host) {
+    if (NON_ORG_HOSTS.includes(host)) return null;
+    return HOST_RULES.find(rule => host.endsWith(rule.suffix)) || null;
+  }
+
+  /**
+   * @description Tells which kind of Salesforce page a host serves. Custom domains added in the
+   * options page come first.
+   * @param {string} host - The host (e.g. acme.lightning.force.com)
+   * @param {Object<string, string>} [customDomains] - Kinds of the custom domains, keyed by host or "*." pattern
+   * @returns {string|null} One of HOST_KINDS, or null if the host is not a Salesforce one
+   */
+  function classifyHost(host, customDomains) {
+    const name = (host || "").toLowerCase();
+    const custom = matchCustomDomain(name, customDomains);
+    if (custom) return custom;
+    const rule = findRule(name);
+    return rule ? rule.kind : null;
+  }
+
+  /**
+   * @description Gets the org's My Domain host behind a Salesforce host: acme--uat--c.sandbox.vf.force.com
+   * gives acme--uat.sandbox.my.salesforce.com, and acme.my.site.com gives acme.my.salesforce.com
+   * @param {string} host - The host
+   * @returns {string|null} The My Domain host, or null for custom domains and instance hosts
+   */
+  function getOrgHost(host) {
+    const name = (host || "").toLowerCase();
+    const rule = findRule(name);
+    if (!rule || !rule.org) return null;
+
+    const [first, ...rest] = name.substring(0, name.length - rule.suffix.length).split(".");
+    // Visualforce hosts add the package namespace (--c for the org's own pages) to the My Domain name
+    const myDomain = rule.kind === "visualforce" ? first.replace(/--[^-]+$/, "") : first;
+    const partitions = rest.filter(label => PARTITIONS.includes(label));
+    return [myDomain].concat(partitions).join(".") + rule.org;
+  }
+
+  /**
+   * @description Gets the host of the org's Lightning or Classic interface
+   * @param {string} host - A host of the org
+   * @param {string} target - "lightning" or "classic"
+   * @returns {string} The host, or the given host if the org's hosts cannot be told (custom domains)
+   */
+  function getInterfaceHost(host, target) {
+    const orgHost = getOrgHost(host);
+    if (!orgHost) return host;
+    if (target === "classic") return orgHost;
+    const suffix = Object.keys(LIGHTNING_SUFFIXES).find(key => orgHost.endsWith(key));
+    return orgHost.substring(0, orgHost.length - suffix.length) + LIGHTNING_SUFFIXES[suffix];
+  }
+
+  /**
+   * @description Gets the origin sharing pages open on for a page. Lightning and Classic pages
+   * keep their own; Visualforce, Setup and Experience pages use the org's My Domain host, which
+   * serves the Classic sharing pages.
+   * @param {string} url - The URL of the page
+   * @param {Object<string, string>} [customDomains] - Kinds of the custom domains
+   * @returns {string} The origin (e.g. https://acme.my.salesforce.com)
+   */
+  function getSharingOrigin(url, customDomains) {
+    const { origin, hostname } = new URL(url);
+    const kind = classifyHost(hostname, customDomains);
+    if (kind === "lightning" || kind === "classic") return origin;
+    const orgHost = getOrgHost(hostname);
+    return orgHost ? `https://${orgHost}` : origin;
+  }
+
+  /**
+   * @description Tells whether a custom domain is a host name, optionally starting with "*." for its subdomains
+   * @param {string} pattern - The custom domain (e.g. sf.acme.com or *.acme.com)
+   * @returns {boolean} True if valid
+   */
+  function isValidHostPattern(pattern) {
+    return /^(\*\.)?([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/.test(pattern);
+  }
+
+  /**
+   * @description Builds the match pattern of a custom domain, for host permissions and content scripts
+   * @param {string} pattern - The custom domain
+   * @returns {string} The match pattern (e.g. https://sf.acme.com/*)
+   */
+  function toMatchPattern(pattern) {
+    return `https://${pattern}/*`;
+  }
+
+  globalThis.sfSharingHosts = {
+    HOST_KINDS,
+    EXPERIENCE_SITE_PATTERNS,
+    classifyHost,
+    getOrgHost,
+    getInterfaceHost,
+    getSharingOrigin,
+    isValidHostPattern,
+    toMatchPattern
+  };
+})();
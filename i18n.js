@@ -0,0 +1,163 @@
+/**
+ * @description Translation runtime for the SF Sharing Button Chrome extension.
+ *
+ * Resolves the interface language once from the language mode (browser, chosen in the options
+ * page, or the Salesforce user's language), then serves the text of translations.js to the
+ * content script, the background script and the extension pages. Text can hold {placeholder}
+ * values and plural forms, and Arabic and Hebrew are laid out right to left. Elements marked
+ * with data-i18n attributes are translated in place, so the language can change without
+ * rebuilding them.
+ *
+ * @function matchLanguage - Finds the translation for a browser or Salesforce locale
+ * @function resolveLanguage - Picks the interface language for the language mode
+ * @function setLanguage - Switches the interface language and tells the listeners
+ * @function getLanguage - Gets the interface language
+ * @function getDirection - Tells whether a language is written left to right or right to left
+ * @function t - Gets translated text, with placeholders filled in
+ * @function translate - Translates the elements marked with data-i18n attributes
+ * @function onChange - Registers a listener for language changes
+ */
+(function () {
+  // Languages written right to left
+  const RTL_LANGUAGES = ["ar", "he", "fa", "ur"];
+
+  // Old language codes still used by Salesforce and Java locales (LanguageLocaleKey "iw" is Hebrew)
+  const LEGACY_LANGUAGE_CODES = { iw: "he", in: "id", ji: "yi" };
+
+  // Attributes that mark translated elements, and the property each one fills in
+  const I18N_ATTRIBUTES = {
+    "data-i18n": (element, text) => { element.textContent = text; },
+    "data-i18n-title": (element, text) => { element.title = text; },
+    "data-i18n-placeholder": (element, text) => { element.placeholder = text; },
+    "data-i18n-aria-label": (element, text) => { element.setAttribute("aria-label", text); }
+  };
+
+  let language = "en";
+  const listeners = [];
+
+  /**
+   * @description Gets the translations of translations.js
+   * @returns {Object} The translations, keyed by language
+   */
+  function getTranslations() {
+    return globalThis.sfSharingTranslations || {};
+  }
+
+  /**
+   * @description Finds the translation for a browser or Salesforce locale: the regional one if
+   * there is one (pt_BR gives pt-BR), otherwise the one of the language (zh_CN gives zh)
+   * @param {string|null} locale - A locale such as "pt_BR", "pt-BR", "zh_CN" or "iw"
+   * @returns {string|null} The translation key, or null if there is no translation for the language
+   */
+  function matchLanguage(locale) {
+    if (!locale) return null;
+    const translations = getTranslations();
+    const [code, region] = locale.replace(/_/g, "-").split("-");
+    const base = LEGACY_LANGUAGE_CODES[code.toLowerCase()] || code.toLowerCase();
+    const candidates = region ? [`${base}-${region.toUpperCase()}`, base] : [base];
+    return candidates.find(key => translations[key]) || null;
+  }
+
+  /**
+   * @description Picks the interface language for the language mode. When the Salesforce language
+   * is unknown or has no translation, the browser language is used, then English.
+   * @param {Object} settings - The settings (languageMode and selectedLanguage)
+   * @param {Object} locales - The locales to choose from
+   * @param {string} locales.browserLocale - The browser language (e.g. navigator.language)
+   * @param {string|null} [locales.salesforceLocale] - The Salesforce user's LanguageLocaleKey, if known
+   * @returns {string} The translation key
+   */
+  function resolveLanguage(settings, { browserLocale, salesforceLocale }) {
+    const preferred = settings.languageMode === "manual" ? settings.selectedLanguage
+      : settings.languageMode === "salesforce" ? matchLanguage(salesforceLocale)
+      : null;
+    return (preferred && getTranslations()[preferred] ? preferred : null) || matchLanguage(browserLocale) || "en";
+  }
+
+  /**
+   * @description Switches the interface language and tells the listeners when it changed
+   * @param {string} lang - The translation key
+   */
+  function setLanguage(lang) {
+    const next = getTranslations()[lang] ? lang : "en";
+    if (next === language) return;
+    language = next;
+    listeners.forEach(listener => listener(language));
+  }
+
+  /**
+   * @description Gets the interface language
+   * @returns {string} The translation key
+   */
+  function getLanguage() {
+    return language;
+  }
+
+  /**
+   * @description Tells whether a language is written left to right or right to left
+   * @param {string} [lang] - The translation key (default: the interface language)
+   * @returns {string} "rtl" or "ltr", for the dir attribute
+   */
+  function getDirection(lang = language) {
+    return RTL_LANGUAGES.includes(lang.split("-")[0]) ? "rtl" : "ltr";
+  }
+
+  /**
+   * @description Gets translated text in the interface language, falling back to English, then to
+   * the key. Placeholders such as {object} are filled in from the params. Text with plural forms
+   * ({ one: "...", other: "..." }) is picked by the count param, following the language's rules.
+   * @param {string} key - The translation key
+   * @param {Object} [params] - The placeholder values
+   * @returns {string} The translated text
+   */
+  function t(key, params) {
+    const translations = getTranslations();
+    let text = translations[language]?.[key] ?? translations.en?.[key] ?? key;
+
+    if (typeof text === "object") {
+      const count = params && typeof params.count === "number" ? params.count : 0;
+      const lang = translations[language]?.[key] ? language : "en";
+      text = text[new Intl.PluralRules(lang).select(count)] ?? text.other;
+    }
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+  }
+
+  /**
+   * @description Translates the elements marked with data-i18n (text), data-i18n-title,
+   * data-i18n-placeholder and data-i18n-aria-label attributes, the root included
+   * @param {Element|Document|ShadowRoot} root - Where to look for the elements
+   */
+  function translate(root) {
+    const selector = Object.keys(I18N_ATTRIBUTES).map(name => `[${name}]`).join(",");
+    const elements = Array.from(root.querySelectorAll(selector));
+    if (root.matches && root.matches(selector)) elements.unshift(root);
+
+    elements.forEach((element) => {
+      Object.entries(I18N_ATTRIBUTES).forEach(([name, apply]) => {
+        const key = element.getAttribute(name);
+        if (key) apply(element, t(key));
+      });
+    });
+  }
+
+  /**
+   * @description Registers a listener for language changes
+   * @param {Function} listener - Called with the new language
+   */
+  function onChange(listener) {
+    listeners.push(listener);
+  }
+
+  globalThis.sfSharingI18n = {
+    RTL_LANGUAGES,
+    matchLanguage,
+    resolveLanguage,
+    setLanguage,
+    getLanguage,
+    getDirection,
+    t,
+    translate,
+    onChange
+  };
+})();
@@ -0,0 +1,337 @@
+/**
+ * @description List view and related list support for the SF Sharing Button Chrome extension.
+ *
+ * Adds a small sharing icon to each record row of list views and related lists, in Lightning
+ * and Classic. When rows are selected, a bar offers "Sharing for selected": open the sharing
+ * pages of the selected records in tabs (up to a configurable cap), or review their share rows
+ * in one combined table.
+ *
+ * @function init - Sets up the callbacks the list support needs
+ * @function destroy - Removes the row icons and the bar, and stops watching the rows
+ * @function scheduleScan - Scans the page for new rows once the DOM settles
+ * @function refreshLanguage - Translates the row icons and the bar after a language change
+ */
+(function () {
+  const ROW_ICON_CLASS = "gpt-sf-sharing-row"; // Class of the sharing icon added to each row
+  const BAR_HOST_ID = "gpt-sf-sharing-bulk"; // ID for the shadow host of the "Sharing for selected" bar
+
+  // Rows of Lightning datatables (list views, related lists), older Lightning list views,
+  // Classic enhanced list views and Classic related lists
+  const ROW_SELECTOR = [
+    "tr[data-row-key-value]",
+    "table.uiVirtualDataTable tbody tr",
+    ".x-grid3-row",
+    "table.list tr.dataRow"
+  ].join(",");
+
+  const BAR_STYLES = `
+    :host { all: initial; }
+    .bar { position: fixed; bottom: 16px; left: 50%; transform: translateX(-50%); z-index: 2147483645;
+      display: flex; gap: 8px; align-items: center; padding: 8px 12px; background: #fff; border: 1px solid #e5e5e5;
+      border-radius: 0.25rem; box-shadow: 0 2px 12px rgba(0, 0, 0, 0.2);
+      font-family: "Salesforce Sans", -apple-system, "Segoe UI", Arial, sans-serif; font-size: 13px; color: #181818; }
+    .label { font-weight: 700; }
+    .notice { color: #444; max-width: 320px; }
+    .button { height: 32px; padding: 0 16px; border: 1px solid #c9c9c9; border-radius: 0.25rem; background: #fff;
+      color: #0176d3; font: inherit; cursor: pointer; white-space: nowrap; }
+    .button:hover { background: #f3f3f3; }
+    .button.brand { background: #0176d3; border-color: #0176d3; color: #fff; }
+    .button.brand:hover { background: #014486; }
+  `;
+
+  let options = null; // Callbacks set by init()
+  let scanTimer = null;
+
+  /**
+   * @description Finds the record a row stands for: the row key of Lightning datatables, the
+   * checkbox of Classic list views, or the first record link of the row
+   * @param {HTMLElement} row - The row
+   * @returns {{recordId: string, label: string, link: HTMLAnchorElement|null}|null} The record, or null if the row has none
+   */
+  function getRowRecord(row) {
+    const { isValidSfId, toCaseSafeId, extractRecordIdFromUrl } = window.sfSharingRecordId;
+    const links = Array.from(row.querySelectorAll("a[href], a[data-recordid]"));
+    const link = links.find(a => isValidSfId(a.dataset.recordid) || extractRecordIdFromUrl(a.href)) || null;
+
+    const candidates = [
+      row.dataset.rowKeyValue,
+      row.querySelector("input[type='checkbox'][name='ids']")?.value,
+      link && (link.dataset.recordid || extractRecordIdFromUrl(link.href))
+    ];
+    const recordId = candidates.find(isValidSfId);
+    if (!recordId) return null;
+
+    return {
+      recordId: toCaseSafeId(recordId),
+      label: (link ? link.title || link.textContent : "").trim() || toCaseSafeId(recordId),
+      link
+    };
+  }
+
+  /**
+   * @description Tells whether a row is selected, through its checkbox or its ARIA state
+   * @param {HTMLElement} row - The row
+   * @returns {boolean} True if the row is selected
+   */
+  function isRowSelected(row) {
+    return row.getAttribute("aria-selected") === "true" ||
+      Boolean(row.querySelector("input[type='checkbox']:checked"));
+  }
+
+  /**
+   * @description Builds the sharing icon of a row
+   * @param {string} recordId - The record of the row
+   * @returns {HTMLButtonElement} The icon button
+   */
+  function buildRowIcon(recordId) {
+    const { el } = window.sfSharingUi;
+    const icon = el("button", {
+      type: "button",
+      className: ROW_ICON_CLASS,
+      title: options.t("listRowIconTitle"),
+      "aria-label": options.t("listRowIconTitle"),
+      "data-i18n-title": "listRowIconTitle",
+      "data-i18n-aria-label": "listRowIconTitle",
+      textContent: "⇆"
+    });
+    icon.style.cssText = [
+      "margin-left:4px", // Space from the record link
+      "padding:0 4px", // Small hit area
+      "border:1px solid #c9c9c9", // Subtle outline
+      "border-radius:4px", // Rounded corners
+      "background:#fff", // White background
+      "color:#0176d3", // Link color
+      "font-size:11px", // Smaller than the row text
+      "line-height:16px", // Compact height
+      "cursor:pointer", // Show that it is clickable
+      "vertical-align:middle" // Align with the link
+    ].join(";");
+
+    // Keep the click from selecting the row or following the link
+    icon.addEventListener("click", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      options.openSharing(recordId, event);
+    });
+    icon.addEventListener("auxclick", (event) => {
+      if (event.button !== 1) return;
+      event.preventDefault();
+      event.stopPropagation();
+      options.openSharing(recordId, event);
+    });
+    return icon;
+  }
+
+  /**
+   * @description Adds the sharing icon to the rows that do not have one yet, and updates the
+   * "Sharing for selected" bar
+   */
+  function scan() {
+    document.querySelectorAll(ROW_SELECTOR).forEach((row) => {
+      if (row.querySelector(`.${ROW_ICON_CLASS}`)) return;
+      const record = getRowRecord(row);
+      if (!record) return;
+
+      const icon = buildRowIcon(record.recordId);
+      if (record.link) {
+        record.link.after(icon);
+      } else {
+        (row.querySelector("th, td:nth-child(2)") || row).append(icon);
+      }
+    });
+    updateBar();
+  }
+
+  /**
+   * @description Scans the page for new rows once the DOM settles
+   */
+  function scheduleScan() {
+    if (!options) return;
+    clearTimeout(scanTimer);
+    scanTimer = setTimeout(scan, 300);
+  }
+
+  /**
+   * @description Gets the records of the selected rows, without duplicates
+   * @returns {Array<{recordId: string, label: string}>} The selected records
+   */
+  function getSelectedRecords() {
+    const records = new Map();
+    document.querySelectorAll(ROW_SELECTOR).forEach((row) => {
+      if (!isRowSelected(row)) return;
+      const record = getRowRecord(row);
+      if (record && !records.has(record.recordId)) records.set(record.recordId, record);
+    });
+    return Array.from(records.values());
+  }
+
+  /**
+   * @description Shows the "Sharing for selected" bar while rows are selected, and removes it otherwise
+   */
+  function updateBar() {
+    const selected = getSelectedRecords();
+    let host = document.getElementById(BAR_HOST_ID);
+    if (selected.length === 0) {
+      if (host) host.remove();
+      return;
+    }
+
+    const { el } = window.sfSharingUi;
+    if (!host) {
+      host = el("div", { id: BAR_HOST_ID });
+      const root = host.attachShadow({ mode: "open" });
+      root.append(
+        el("style", { textContent: BAR_STYLES }),
+        el("div", { className: "bar", role: "region", "aria-label": options.t("listBulkRegionLabel"), "data-i18n-aria-label": "listBulkRegionLabel" }, [
+          el("span", { className: "label" }),
+          el("button", { className: "button brand", "data-i18n": "listBulkOpenTabs", onClick: () => openSelectedInTabs() }, [options.t("listBulkOpenTabs")]),
+          el("button", { className: "button", "data-i18n": "listBulkCombinedTable", onClick: () => showCombinedTable() }, [options.t("listBulkCombinedTable")]),
+          el("span", { className: "notice", role: "status" })
+        ])
+      );
+      document.body.appendChild(host);
+    }
+    host.shadowRoot.querySelector(".bar").dir = window.sfSharingI18n.getDirection();
+    host.shadowRoot.querySelector(".label").textContent = options.t("listBulkTitle", { count: selected.length });
+  }
+
+  /**
+   * @description Shows a message in the "Sharing for selected" bar
+   * @param {string} text - The message
+   */
+  function showBarNotice(text) {
+    const notice = document.getElementById(BAR_HOST_ID)?.shadowRoot.querySelector(".notice");
+    if (notice) notice.textContent = text;
+  }
+
+  /**
+   * @description Opens the sharing pages of the selected records in background tabs, up to the
+   * configured cap. Records whose object has no sharing page are skipped.
+   */
+  async function openSelectedInTabs() {
+    const selected = getSelectedRecords();
+    const { bulkOpenLimit, customDomains } = await options.getSettings();
+    const origin = window.sfSharingHosts.getSharingOrigin(location.href, customDomains);
+    const toOpen = selected.slice(0, bulkOpenLimit);
+
+    const urls = [];
+    for (const record of toOpen) {
+      const objectName = await window.sfSharingApi.resolveObjectName(record.recordId).catch(() => null);
+      const url = window.sfSharingRoutes.buildSharingUrl(origin, record.recordId, objectName);
+      if (url) urls.push(url);
+    }
+    chrome.runtime.sendMessage({ type: "openSharingUrls", urls });
+
+    showBarNotice(options.t("listBulkOpened", { opened: urls.length, selected: selected.length, limit: bulkOpenLimit }));
+  }
+
+  /**
+   * @description Shows the share rows of the selected records in one table, loading one record
+   * at a time to stay well within API limits
+   */
+  async function showCombinedTable() {
+    const { el, formatAccessLevel, formatRowCause } = window.sfSharingUi;
+    const t = options.t;
+    const selected = getSelectedRecords();
+
+    const columns = [
+      { label: t("listColumnRecord"), value: row => row.record },
+      { label: t("listColumnObject"), value: row => row.objectName },
+      { label: t("panelColumnName"), value: row => row.name },
+      { label: t("panelColumnType"), value: row => row.type },
+      { label: t("panelColumnAccess"), value: row => formatAccessLevel(row.accessLevel) },
+      { label: t("panelColumnReason"), value: row => formatRowCause(row.rowCause) }
+    ];
+    const rows = [];
+
+    const content = el("div", { className: "content" }, [el("div", { className: "message" }, [t("panelLoading")])]);
+    const footer = el("div", { className: "footer" });
+    const exportButton = el("button", {
+      className: "button",
+      disabled: true,
+      onClick: () => {
+        const csv = "\uFEFF" + window.sfSharingExport.toCsv(columns.map(col => col.label), rows.map(row => columns.map(col => col.value(row))));
+        const timestamp = new Date().toISOString().replace(/\.\d+Z$/, "Z").replace(/:/g, "-");
+        window.sfSharingExport.download(`sharing_selected_${timestamp}.csv`, csv, "text/csv;charset=utf-8");
+      }
+    }, [t("menuExportCsv")]);
+
+    const modal = window.sfSharingUi.openModal({
+      title: t("listCombinedTitle"),
+      subtitle: t("listBulkTitle", { count: selected.length }),
+      t
+    });
+    modal.append(el("div", { className: "toolbar" }, [el("span", { className: "grow" }), exportButton]), content, footer);
+
+    const renderTable = () => {
+      const headerRow = el("tr", {}, columns.map(col => el("th", { scope: "col", className: "static" }, [col.label])));
+      const bodyRows = rows.map(row => el("tr", {}, columns.map(col => el("td", {}, [String(col.value(row) || "")]))));
+      content.replaceChildren(el("table", {}, [el("thead", {}, [headerRow]), el("tbody", {}, bodyRows)]));
+    };
+
+    for (let i = 0; i < selected.length; i++) {
+      const record = selected[i];
+      footer.textContent = t("listCombinedProgress", { done: i, total: selected.length });
+      try {
+        const objectName = await window.sfSharingApi.resolveObjectName(record.recordId);
+        const shareRows = await window.sfSharingApi.getShareRows(record.recordId, objectName);
+        shareRows.forEach(row => rows.push(Object.assign({ record: record.label, objectName }, row)));
+      } catch (e) {
+        rows.push({ record: record.label, objectName: "", name: `${t("panelErrorLoading")} ${e.message}` });
+      }
+      renderTable();
+    }
+    if (selected.length === 0) content.replaceChildren(el("div", { className: "message" }, [t("panelNoRows")]));
+    footer.textContent = t("listCombinedDone", { count: rows.length, total: selected.length });
+    exportButton.disabled = rows.length === 0;
+  }
+
+  /**
+   * @description Sets up the callbacks the list support needs, then scans the page
+   * @param {Object} initOptions - Callbacks from the content script
+   * @param {Function} initOptions.t - Translation function ((key, params) => text)
+   * @param {Function} initOptions.openSharing - Opens the sharing page of a record (recordId, click event)
+   * @param {Function} initOptions.getSettings - Returns a promise of the current settings
+   */
+  function init(initOptions) {
+    if (!options) {
+      document.addEventListener("change", scheduleScan, true); // Row checkboxes
+      document.addEventListener("click", scheduleScan, true); // Row selection without a checkbox change
+    }
+    options = initOptions;
+    scheduleScan();
+  }
+
+  /**
+   * @description Removes the row icons and the "Sharing for selected" bar, and stops watching the
+   * rows, e.g. when an org profile turns the button off. init() sets the support up again.
+   */
+  function destroy() {
+    if (!options) return;
+    options = null;
+    clearTimeout(scanTimer);
+    document.removeEventListener("change", scheduleScan, true);
+    document.removeEventListener("click", scheduleScan, true);
+    document.querySelectorAll(`.${ROW_ICON_CLASS}`).forEach(icon => icon.remove());
+    document.getElementById(BAR_HOST_ID)?.remove();
+  }
+
+  /**
+   * @description Translates the row icons and the "Sharing for selected" bar in place after a
+   * language change
+   */
+  function refreshLanguage() {
+    if (!options) return;
+    document.querySelectorAll(`.${ROW_ICON_CLASS}`).forEach(icon => window.sfSharingI18n.translate(icon));
+    const host = document.getElementById(BAR_HOST_ID);
+    if (host) window.sfSharingI18n.translate(host.shadowRoot);
+    updateBar();
+  }
+
+  globalThis.sfSharingListView = {
+    init,
+    destroy,
+    scheduleScan,
+    refreshLanguage
+  };
+})();
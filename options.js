@@ -1,6 +1,9 @@
 /**
  * @description Options page script for the SF Sharing Button Chrome extension.
- * Handles language settings configuration and storage.
+ * Handles language, open mode, button placement, list view, object filter, org profile and custom domain settings configuration and storage.
+ * Settings locked by the administrator's policy (chrome.storage.managed) are shown read-only.
+ * Settings can be exported to a file and imported back after a preview of the changes.
+ * Debug mode can be turned on, and its log viewed, downloaded and cleared.
  */
 document.addEventListener('DOMContentLoaded', function() {
     const languageModeSelect = document.getElementById('languageMode');
@@ -9,6 +12,82 @@ document.addEventListener('DOMContentLoaded', function() {
     const saveBtn = document.getElementById('saveBtn');
     const statusDiv = document.getElementById('status');
     const browserLanguageSpan = document.getElementById('browserLanguage');
+    const salesforceLanguageSpan = document.getElementById('salesforceLanguage');
+    const openModeSelect = document.getElementById('openMode');
+    const popupSizeGroup = document.getElementById('popupSizeGroup');
+    const popupWidthInput = document.getElementById('popupWidth');
+    const popupHeightInput = document.getElementById('popupHeight');
+    const placementSelect = document.getElementById('placement');
+    const bulkOpenLimitInput = document.getElementById('bulkOpenLimit');
+    const objectFilterModeSelect = document.getElementById('objectFilterMode');
+    const objectPicker = document.getElementById('objectPicker');
+    const objectSearchInput = document.getElementById('objectSearch');
+    const objectList = document.getElementById('objectList');
+    const objectListHint = document.getElementById('objectListHint');
+    const objectChips = document.getElementById('objectChips');
+    const orgProfileList = document.getElementById('orgProfileList');
+    const newProfileKeyInput = document.getElementById('newProfileKey');
+    const addProfileBtn = document.getElementById('addProfileBtn');
+    const detectedOrgList = document.getElementById('detectedOrgList');
+    const customDomainList = document.getElementById('customDomainList');
+    const newCustomDomainInput = document.getElementById('newCustomDomain');
+    const newCustomDomainKindSelect = document.getElementById('newCustomDomainKind');
+    const addCustomDomainBtn = document.getElementById('addCustomDomainBtn');
+    const experienceSiteStatus = document.getElementById('experienceSiteStatus');
+    const experienceSiteGrantBtn = document.getElementById('experienceSiteGrantBtn');
+    const experienceSiteRevokeBtn = document.getElementById('experienceSiteRevokeBtn');
+    const exportBtn = document.getElementById('exportBtn');
+    const importBtn = document.getElementById('importBtn');
+    const importFileInput = document.getElementById('importFile');
+    const importPreview = document.getElementById('importPreview');
+    const importPreviewTitle = document.getElementById('importPreviewTitle');
+    const importChanges = document.getElementById('importChanges');
+    const importApplyBtn = document.getElementById('importApplyBtn');
+    const importCancelBtn = document.getElementById('importCancelBtn');
+    const debugModeInput = document.getElementById('debugMode');
+    const debugViewBtn = document.getElementById('debugViewBtn');
+    const debugDownloadBtn = document.getElementById('debugDownloadBtn');
+    const debugClearBtn = document.getElementById('debugClearBtn');
+    const debugLogView = document.getElementById('debugLogView');
+    const defaults = window.sfSharingSettings.DEFAULT_SETTINGS;
+    const i18n = window.sfSharingI18n;
+    const t = i18n.t;
+
+    let filteredObjects = []; // Object API names or key prefixes of the object filter
+    let orgObjects = []; // Objects described by the org of an open Salesforce tab
+    let orgProfiles = {}; // Org profiles being edited, keyed by org ID or My Domain name
+    let detectedOrgs = {}; // Orgs seen without a profile, recorded by background.js
+    let customDomains = {}; // Kinds of the custom domains being edited, keyed by host or "*." pattern
+    let salesforceLocale = null; // Salesforce user language seen last, for the "salesforce" language mode
+    let lockedFields = []; // Settings locked by the policy, not saved from this page
+    let pendingImport = null; // Settings read from a file, waiting for the user to apply them
+
+    // Labels of the settings in the import preview
+    const SETTING_LABEL_KEYS = {
+        languageMode: 'languageModeLabel',
+        selectedLanguage: 'languageSelectLabel',
+        openMode: 'openModeLabel',
+        popupWidth: 'popupWidthLabel',
+        popupHeight: 'popupHeightLabel',
+        placement: 'placementLabel',
+        bulkOpenLimit: 'bulkOpenLimitLabel',
+        objectFilterMode: 'objectFilterModeLabel',
+        objectFilterList: 'objectFilterTitle',
+        enabled: 'orgProfileEnabled',
+        debugMode: 'debugModeLabel',
+        customDomains: 'customDomainsTitle',
+        orgProfiles: 'orgProfilesTitle'
+    };
+
+    // Form controls of the settings a policy can lock
+    const MANAGED_CONTROLS = {
+        languageMode: languageModeSelect,
+        selectedLanguage: languageSelect,
+        placement: placementSelect,
+        openMode: openModeSelect,
+        objectFilterMode: objectFilterModeSelect,
+        objectFilterList: objectSearchInput
+    };
 
     // Show current browser language
     const browserLang = navigator.language || navigator.userLanguage || 'en';
@@ -32,58 +111,134 @@ document.addEventListener('DOMContentLoaded', function() {
             languageSelect.style.display = 'none';
             languageSelectLabel.style.display = 'none';
         }
+        if (languageSelect.managedNotice) languageSelect.managedNotice.style.display = languageSelect.style.display;
+    });
+
+    // The page switches language as soon as another one is picked, before saving
+    languageModeSelect.addEventListener('change', () => updateLanguage(languageModeSelect.value, languageSelect.value));
+    languageSelect.addEventListener('change', () => updateLanguage(languageModeSelect.value, languageSelect.value));
+    i18n.onChange(function() {
+        renderLanguage();
+        renderChips();
+        renderObjectList();
+        renderOrgProfiles();
+        renderDetectedOrgs();
+        renderCustomDomains();
+        renderExperienceSiteAccess();
+    });
+
+    openModeSelect.addEventListener('change', function() {
+        popupSizeGroup.style.display = this.value === 'popup' ? 'flex' : 'none';
+    });
+
+    objectFilterModeSelect.addEventListener('change', function() {
+        objectPicker.style.display = this.value === 'all' ? 'none' : 'block';
+    });
+
+    objectSearchInput.addEventListener('input', renderObjectList);
+    objectSearchInput.addEventListener('keydown', function(event) {
+        // Enter adds what was typed, for objects of orgs that are not open
+        if (event.key === 'Enter' && this.value.trim()) {
+            event.preventDefault();
+            toggleObject(this.value.trim(), true);
+            this.value = '';
+            renderObjectList();
+        }
+    });
+
+    addProfileBtn.addEventListener('click', function() {
+        const key = newProfileKeyInput.value.trim();
+        if (!key) return;
+        addOrgProfile(key, '');
+        newProfileKeyInput.value = '';
+    });
+
+    // Chrome only prompts in response to a click, so the request runs straight from the handler
+    experienceSiteGrantBtn.addEventListener('click', function() {
+        chrome.permissions.request({ origins: window.sfSharingHosts.EXPERIENCE_SITE_PATTERNS })
+            .catch(() => false)
+            .then(renderExperienceSiteAccess);
+    });
+
+    experienceSiteRevokeBtn.addEventListener('click', function() {
+        chrome.permissions.remove({ origins: window.sfSharingHosts.EXPERIENCE_SITE_PATTERNS })
+            .catch(() => false)
+            .then(renderExperienceSiteAccess);
+    });
+
+    addCustomDomainBtn.addEventListener('click', function() {
+        const host = newCustomDomainInput.value.trim().toLowerCase();
+        if (!host) return;
+        if (!window.sfSharingHosts.isValidHostPattern(host)) {
+            showStatus(t('customDomainInvalid', { host }), 'error');
+            return;
+        }
+        customDomains[host] = newCustomDomainKindSelect.value;
+        newCustomDomainInput.value = '';
+        renderCustomDomains();
+        requestDomainAccess(host);
+    });
+
+    debugViewBtn.addEventListener('click', viewDebugLog);
+    debugDownloadBtn.addEventListener('click', downloadDebugLog);
+    debugClearBtn.addEventListener('click', function() {
+        window.sfSharingDebugLog.clear().then(function() {
+            debugLogView.textContent = t('debugLogEmpty');
+        });
+    });
+
+    exportBtn.addEventListener('click', exportSettings);
+    importBtn.addEventListener('click', () => importFileInput.click());
+    importFileInput.addEventListener('change', function() {
+        if (this.files.length > 0) previewImport(this.files[0]);
+        this.value = ''; // Lets the same file be picked again
+    });
+    importApplyBtn.addEventListener('click', applyImport);
+    importCancelBtn.addEventListener('click', function() {
+        pendingImport = null;
+        importPreview.hidden = true;
     });
 
+    loadOrgObjects();
+
         saveBtn.addEventListener('click', saveSettings);
 
     /**
-     * @description Apply translations to page elements based on user's language preference
+     * @description Resolves the language of the page from the saved settings and translates the page
      */
     function applyTranslations() {
-        // Get user's preferred language
-        chrome.storage.sync.get({
-            languageMode: 'auto',
-            selectedLanguage: 'en'
-        }, function(items) {
-            let langCode;
-
-            if (items.languageMode === 'manual') {
-                langCode = items.selectedLanguage;
-            } else {
-                // Auto mode - use browser language
-                const browserLang = navigator.language || navigator.userLanguage || 'en';
-                langCode = browserLang.split('-')[0].toLowerCase();
-            }
+        // Get user's preferred language, which the policy may lock
+        Promise.all([
+            window.sfSharingSettings.getSettings(),
+            window.sfSharingSettings.getSalesforceLocales()
+        ]).then(function([items, locales]) {
+            salesforceLocale = locales.latest;
+            salesforceLanguageSpan.textContent = salesforceLocale || '—';
+            updateLanguage(items.languageMode, items.selectedLanguage);
+            renderLanguage();
+        });
+    }
 
-            // Get translations for the language
-            const translations = window.sfSharingTranslations || {};
-            const langTranslations = translations[langCode] || translations['en'] || {};
-
-            // Apply translations to page elements
-            const elements = {
-                'settingsSubtitle': langTranslations.settingsSubtitle,
-                'languageSettingsTitle': langTranslations.languageSettingsTitle,
-                'languageSettingsDescription': langTranslations.languageSettingsDescription,
-                'languageModeLabel': langTranslations.languageModeLabel,
-                'languageModeAuto': langTranslations.languageModeAuto,
-                'languageModeManual': langTranslations.languageModeManual,
-                'languageSelectLabel': langTranslations.languageSelectLabel,
-                'browserLanguageText': langTranslations.browserLanguageText,
-                'saveBtn': langTranslations.saveButtonText
-            };
+    /**
+     * @description Switches the page to the language of a language mode. The "salesforce" mode
+     * follows the Salesforce user language seen last, as this page is not tied to an org.
+     * @param {string} languageMode - The language mode
+     * @param {string} selectedLanguage - The language chosen for the "manual" mode
+     */
+    function updateLanguage(languageMode, selectedLanguage) {
+        i18n.setLanguage(i18n.resolveLanguage({ languageMode, selectedLanguage }, {
+            browserLocale: navigator.language || navigator.userLanguage || 'en',
+            salesforceLocale
+        }));
+    }
 
-            // Update each element
-            Object.keys(elements).forEach(id => {
-                const element = document.getElementById(id);
-                if (element && elements[id]) {
-                    if (id === 'saveBtn') {
-                        element.textContent = elements[id];
-                    } else {
-                        element.textContent = elements[id];
-                    }
-                }
-            });
-        });
+    /**
+     * @description Translates the page in place, mirrored for right-to-left languages
+     */
+    function renderLanguage() {
+        document.documentElement.lang = i18n.getLanguage();
+        document.documentElement.dir = i18n.getDirection();
+        i18n.translate(document);
     }
 
     /**
@@ -120,22 +275,437 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
+    /**
+     * @description Loads the objects of the org of an open Salesforce tab, to pick them from a list
+     */
+    function loadOrgObjects() {
+        chrome.tabs.query({ url: chrome.runtime.getManifest().content_scripts[0].matches }, function(tabs) {
+            const tab = (tabs || []).find(candidate => candidate.url);
+            if (!tab) {
+                objectListHint.textContent = t('objectFilterNoOrg');
+                return;
+            }
+
+            window.sfSharingApi.request('/sobjects/', { pageUrl: tab.url }).then(function(result) {
+                // Only objects with records, leaving out the share, history and feed objects
+                orgObjects = result.sobjects
+                    .filter(o => o.keyPrefix && !/(Share|History|Feed|ChangeEvent)$/.test(o.name))
+                    .map(o => ({ name: o.name, label: o.label, keyPrefix: o.keyPrefix }))
+                    .sort((a, b) => a.label.localeCompare(b.label));
+                objectListHint.textContent = t('objectFilterFromOrg', { host: new URL(tab.url).host });
+                renderObjectList();
+            }).catch(function(e) {
+                objectListHint.textContent = `${t('objectFilterLoadError')} ${e.message}`;
+            });
+        });
+    }
+
+    /**
+     * @description Adds an object to the object filter, or removes it
+     * @param {string} value - The object API name or key prefix
+     * @param {boolean} selected - Whether the object is listed
+     */
+    function toggleObject(value, selected) {
+        const others = filteredObjects.filter(v => v.toLowerCase() !== value.toLowerCase());
+        filteredObjects = selected ? others.concat(value) : others;
+        renderChips();
+    }
+
+    /**
+     * @description Shows the org's objects matching the search, with a checkbox each
+     */
+    function renderObjectList() {
+        const term = objectSearchInput.value.trim().toLowerCase();
+        const listed = new Set(filteredObjects.map(v => v.toLowerCase()));
+        const matches = orgObjects.filter(o => !term ||
+            o.label.toLowerCase().includes(term) || o.name.toLowerCase().includes(term) || o.keyPrefix.toLowerCase() === term);
+
+        objectList.replaceChildren(...matches.slice(0, 200).map(function(o) {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = listed.has(o.name.toLowerCase());
+            checkbox.disabled = lockedFields.includes('objectFilterList');
+            checkbox.addEventListener('change', () => toggleObject(o.name, checkbox.checked));
+
+            const detail = document.createElement('span');
+            detail.className = 'detail';
+            detail.textContent = `${o.name} · ${o.keyPrefix}`;
+
+            const label = document.createElement('label');
+            label.append(checkbox, o.label, detail);
+            return label;
+        }));
+        objectList.style.display = matches.length > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * @description Shows the listed objects as removable chips
+     */
+    function renderChips() {
+        objectChips.replaceChildren(...filteredObjects.map(function(value) {
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.textContent = '×';
+            remove.setAttribute('aria-label', `${t('objectFilterRemove')} ${value}`);
+            remove.addEventListener('click', function() {
+                toggleObject(value, false);
+                renderObjectList();
+            });
+
+            const chip = document.createElement('span');
+            chip.className = 'chip';
+            chip.append(value);
+            if (!lockedFields.includes('objectFilterList')) chip.append(remove);
+            return chip;
+        }));
+    }
+
+    /**
+     * @description Adds a profile for an org, starting from the global settings of the form, and
+     * scrolls to it. An org that already has a profile just gets scrolled to.
+     * @param {string} key - The org ID or My Domain name
+     * @param {string} label - The org label shown on the button
+     */
+    function addOrgProfile(key, label) {
+        const match = window.sfSharingSettings.findOrgProfile({ orgProfiles }, key, null);
+        const profileKey = match ? match.key : key;
+        if (!match) {
+            const globals = {
+                enabled: true,
+                placement: placementSelect.value,
+                openMode: openModeSelect.value,
+                objectFilterMode: objectFilterModeSelect.value,
+                objectFilterList: filteredObjects
+            };
+            orgProfiles[profileKey] = window.sfSharingSettings.createOrgProfile(globals, label);
+        }
+        renderOrgProfiles();
+        renderDetectedOrgs();
+
+        const card = orgProfileList.querySelector(`[data-key="${CSS.escape(profileKey)}"]`);
+        if (card) card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    /**
+     * @description Builds a labelled field of a profile card
+     * @param {string} labelKey - The translation key of the label
+     * @param {HTMLElement} input - The input of the field
+     * @returns {HTMLElement} The field
+     */
+    function buildProfileField(labelKey, input) {
+        const field = document.createElement('div');
+        const label = document.createElement('label');
+        label.textContent = t(labelKey);
+        label.append(input);
+        input.style.marginTop = '8px';
+        field.append(label);
+        return field;
+    }
+
+    /**
+     * @description Builds a select with the options of one of the global selects
+     * @param {HTMLSelectElement} source - The global select
+     * @param {string} value - The selected value
+     * @param {Function} onChange - Called with the new value
+     * @returns {HTMLSelectElement} The select
+     */
+    function cloneSelect(source, value, onChange) {
+        const select = document.createElement('select');
+        Array.from(source.options).forEach(option => select.append(option.cloneNode(true)));
+        select.querySelectorAll('[id]').forEach(option => option.removeAttribute('id'));
+        select.value = value;
+        select.disabled = source.disabled; // Locked by the policy
+        select.addEventListener('change', () => onChange(select.value));
+        return select;
+    }
+
+    /**
+     * @description Builds the card to edit one org profile
+     * @param {string} key - The org ID or My Domain name
+     * @param {Object} profile - The profile
+     * @returns {HTMLElement} The card
+     */
+    function buildProfileCard(key, profile) {
+        const card = document.createElement('div');
+        card.className = 'profile-card';
+        card.dataset.key = key;
+        card.style.borderInlineStartColor = profile.color;
+
+        const keyText = document.createElement('div');
+        keyText.className = 'profile-key';
+        keyText.textContent = key;
+
+        const labelInput = document.createElement('input');
+        labelInput.type = 'text';
+        labelInput.value = profile.label || '';
+        labelInput.placeholder = 'PROD';
+        labelInput.addEventListener('input', () => { profile.label = labelInput.value.trim(); });
+
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.value = profile.color;
+        colorInput.addEventListener('input', () => {
+            profile.color = colorInput.value;
+            card.style.borderInlineStartColor = colorInput.value;
+        });
+
+        const badgeStyleSelect = document.createElement('select');
+        window.sfSharingSettings.BADGE_STYLES.forEach(function(style) {
+            const option = document.createElement('option');
+            option.value = style;
+            option.textContent = t('orgProfileBadgeStyle' + style.charAt(0).toUpperCase() + style.slice(1));
+            badgeStyleSelect.append(option);
+        });
+        badgeStyleSelect.value = profile.badgeStyle;
+        badgeStyleSelect.addEventListener('change', () => { profile.badgeStyle = badgeStyleSelect.value; });
+
+        const enabledCheckbox = document.createElement('input');
+        enabledCheckbox.type = 'checkbox';
+        enabledCheckbox.checked = profile.enabled !== false;
+        enabledCheckbox.addEventListener('change', () => { profile.enabled = enabledCheckbox.checked; });
+        const enabledLabel = document.createElement('label');
+        enabledLabel.className = 'checkbox';
+        enabledLabel.append(enabledCheckbox, t('orgProfileEnabled'));
+
+        const objectListInput = document.createElement('input');
+        objectListInput.type = 'text';
+        objectListInput.value = (profile.objectFilterList || []).join(', ');
+        objectListInput.disabled = lockedFields.includes('objectFilterList');
+        objectListInput.addEventListener('input', () => {
+            profile.objectFilterList = objectListInput.value.split(',').map(v => v.trim()).filter(Boolean);
+        });
+
+        const row1 = document.createElement('div');
+        row1.className = 'inline-fields';
+        row1.append(
+            buildProfileField('orgProfileLabel', labelInput),
+            buildProfileField('orgProfileColor', colorInput),
+            buildProfileField('orgProfileBadgeStyle', badgeStyleSelect)
+        );
+
+        const row2 = document.createElement('div');
+        row2.className = 'inline-fields';
+        row2.append(
+            buildProfileField('placementLabel', cloneSelect(placementSelect, profile.placement, v => { profile.placement = v; })),
+            buildProfileField('openModeLabel', cloneSelect(openModeSelect, profile.openMode, v => { profile.openMode = v; }))
+        );
+
+        const row3 = document.createElement('div');
+        row3.className = 'inline-fields';
+        row3.append(
+            buildProfileField('objectFilterModeLabel', cloneSelect(objectFilterModeSelect, profile.objectFilterMode, v => { profile.objectFilterMode = v; })),
+            buildProfileField('orgProfileObjects', objectListInput)
+        );
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'secondary-btn danger';
+        deleteBtn.textContent = t('orgProfileDelete');
+        deleteBtn.addEventListener('click', function() {
+            delete orgProfiles[key];
+            renderOrgProfiles();
+            renderDetectedOrgs();
+        });
+        const actions = document.createElement('div');
+        actions.className = 'inline-action';
+        actions.append(enabledLabel, deleteBtn);
+        enabledLabel.style.flex = '1';
+
+        card.append(keyText, row1, row2, row3, actions);
+        return card;
+    }
+
+    /**
+     * @description Shows a card for each org profile
+     */
+    function renderOrgProfiles() {
+        orgProfileList.replaceChildren(...Object.keys(orgProfiles).map(key => buildProfileCard(key, orgProfiles[key])));
+    }
+
+    /**
+     * @description Lists the orgs seen without a profile, each with a button to create one
+     */
+    function renderDetectedOrgs() {
+        const entries = Object.entries(detectedOrgs)
+            .filter(([orgId, org]) => !window.sfSharingSettings.findOrgProfile({ orgProfiles }, orgId, org.host))
+            .sort((a, b) => b[1].lastSeen.localeCompare(a[1].lastSeen));
+
+        detectedOrgList.replaceChildren(...entries.map(function([orgId, org]) {
+            const name = document.createElement('span');
+            name.textContent = `${org.host} (${orgId.substring(0, 15)})`;
+
+            const createBtn = document.createElement('button');
+            createBtn.type = 'button';
+            createBtn.className = 'secondary-btn';
+            createBtn.textContent = t('orgProfileCreate');
+            createBtn.addEventListener('click', () => addOrgProfile(orgId, org.myDomain.toUpperCase()));
+
+            const row = document.createElement('div');
+            row.className = 'detected-org';
+            row.append(name, createBtn);
+            return row;
+        }));
+        if (entries.length === 0) {
+            const none = document.createElement('span');
+            none.className = 'hint';
+            none.textContent = t('orgProfileNoneDetected');
+            detectedOrgList.append(none);
+        }
+    }
+
+    /**
+     * @description Asks Chrome for access to a custom domain. Chrome only prompts in response to a
+     * click, so this runs straight from the click handlers.
+     * @param {string} host - The custom domain
+     */
+    function requestDomainAccess(host) {
+        chrome.permissions.request({ origins: [window.sfSharingHosts.toMatchPattern(host)] })
+            .catch(() => false) // Patterns Chrome refuses count as not granted
+            .then(renderCustomDomains);
+    }
+
+    /**
+     * @description Builds the row of one custom domain: its host, its kind, whether access was
+     * granted, with a button to grant it, and a button to remove the domain
+     * @param {string} host - The custom domain
+     * @returns {HTMLElement} The row
+     */
+    function buildCustomDomainRow(host) {
+        const name = document.createElement('span');
+        name.className = 'custom-domain-host';
+        name.textContent = host;
+
+        const kindSelect = cloneSelect(newCustomDomainKindSelect, customDomains[host], v => { customDomains[host] = v; });
+        kindSelect.setAttribute('aria-label', host);
+
+        const access = document.createElement('span');
+        access.className = 'custom-domain-access';
+
+        const grantBtn = document.createElement('button');
+        grantBtn.type = 'button';
+        grantBtn.className = 'secondary-btn';
+        grantBtn.textContent = t('customDomainGrant');
+        grantBtn.hidden = true;
+        grantBtn.addEventListener('click', () => requestDomainAccess(host));
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'secondary-btn danger';
+        removeBtn.textContent = t('customDomainRemove');
+        removeBtn.addEventListener('click', function() {
+            delete customDomains[host];
+            chrome.permissions.remove({ origins: [window.sfSharingHosts.toMatchPattern(host)] }).catch(() => {});
+            renderCustomDomains();
+        });
+
+        chrome.permissions.contains({ origins: [window.sfSharingHosts.toMatchPattern(host)] }).catch(() => false).then(function(granted) {
+            access.textContent = t(granted ? 'customDomainGranted' : 'customDomainNotGranted');
+            access.classList.toggle('missing', !granted);
+            grantBtn.hidden = granted;
+        });
+
+        const row = document.createElement('div');
+        row.className = 'custom-domain';
+        row.append(name, kindSelect, access, grantBtn, removeBtn);
+        return row;
+    }
+
+    /**
+     * @description Shows a row for each custom domain
+     */
+    function renderCustomDomains() {
+        customDomainList.replaceChildren(...Object.keys(customDomains).sort().map(buildCustomDomainRow));
+    }
+
+    /**
+     * @description Shows whether access to the Experience Cloud site hosts was granted, with a
+     * button to grant or remove it. Access applies right away, as it is not a saved setting.
+     */
+    function renderExperienceSiteAccess() {
+        chrome.permissions.contains({ origins: window.sfSharingHosts.EXPERIENCE_SITE_PATTERNS }).catch(() => false).then(function(granted) {
+            experienceSiteStatus.textContent = t(granted ? 'customDomainGranted' : 'customDomainNotGranted');
+            experienceSiteStatus.classList.toggle('missing', !granted);
+            experienceSiteGrantBtn.hidden = granted;
+            experienceSiteRevokeBtn.hidden = !granted;
+        });
+    }
+
+    /**
+     * @description Shows the settings locked by the policy as read-only, each with a "managed by
+     * your organization" notice, and says which orgs the policy limits the button to
+     * @param {Object} items - The settings, as returned by sfSharingSettings.getSettings()
+     */
+    function applyManagedPolicy(items) {
+        lockedFields = items.lockedFields;
+        lockedFields.forEach(function(field) {
+            const control = MANAGED_CONTROLS[field];
+            if (!control || control.disabled) return;
+            control.disabled = true;
+
+            const notice = document.createElement('div');
+            notice.className = 'managed-notice';
+            notice.dataset.i18n = 'managedByOrganization';
+            notice.textContent = t('managedByOrganization');
+            notice.style.display = control.style.display === 'none' ? 'none' : '';
+            if (control === languageSelect) languageSelect.managedNotice = notice; // Shown along with the select
+            control.after(notice);
+        });
+
+        if (items.allowedOrgs && !document.getElementById('allowedOrgsNotice')) {
+            const notice = document.createElement('div');
+            notice.id = 'allowedOrgsNotice';
+            notice.className = 'managed-notice';
+            notice.textContent = t('managedAllowedOrgs', { orgs: items.allowedOrgs.join(', ') });
+            orgProfileList.before(notice);
+        }
+    }
+
     /**
      * @description Load saved settings from Chrome storage
      */
     function loadSettings() {
-        chrome.storage.sync.get({
-            languageMode: 'auto',
-            selectedLanguage: 'en'
-        }, function(items) {
+        window.sfSharingSettings.getSettings().then(function(items) {
             languageModeSelect.value = items.languageMode;
             languageSelect.value = items.selectedLanguage;
+            openModeSelect.value = items.openMode;
+            popupWidthInput.value = items.popupWidth;
+            popupHeightInput.value = items.popupHeight;
+            placementSelect.value = items.placement;
+            bulkOpenLimitInput.value = items.bulkOpenLimit;
+            objectFilterModeSelect.value = items.objectFilterMode;
+            debugModeInput.checked = items.debugMode;
+            objectPicker.style.display = items.objectFilterMode === 'all' ? 'none' : 'block';
 
             // Show/hide language select based on mode
             if (items.languageMode === 'manual') {
                 languageSelect.style.display = 'block';
                 languageSelectLabel.style.display = 'block';
             }
+
+            // Before rendering the lists, so they know the locked fields
+            applyManagedPolicy(items);
+
+            filteredObjects = items.objectFilterList.slice();
+            renderChips();
+            renderObjectList();
+            orgProfiles = JSON.parse(JSON.stringify(items.orgProfiles));
+            renderOrgProfiles();
+            customDomains = Object.assign({}, items.customDomains);
+            renderCustomDomains();
+            renderExperienceSiteAccess();
+            chrome.storage.local.get({ detectedOrgs: {} }, function(local) {
+                detectedOrgs = local.detectedOrgs;
+                renderDetectedOrgs();
+
+                // The toolbar popup links here to create the profile of the current org
+                const newProfile = new URLSearchParams(location.hash.substring(1)).get('newProfile');
+                if (newProfile) {
+                    const org = detectedOrgs[newProfile];
+                    addOrgProfile(newProfile, org ? org.myDomain.toUpperCase() : '');
+                    history.replaceState(null, '', location.pathname);
+                }
+            });
+            popupSizeGroup.style.display = items.openMode === 'popup' ? 'flex' : 'none';
         });
     }
 
@@ -145,33 +715,170 @@ document.addEventListener('DOMContentLoaded', function() {
     function saveSettings() {
         const settings = {
             languageMode: languageModeSelect.value,
-            selectedLanguage: languageSelect.value
+            selectedLanguage: languageSelect.value,
+            openMode: openModeSelect.value,
+            popupWidth: parseInt(popupWidthInput.value, 10) || defaults.popupWidth,
+            popupHeight: parseInt(popupHeightInput.value, 10) || defaults.popupHeight,
+            placement: placementSelect.value,
+            bulkOpenLimit: parseInt(bulkOpenLimitInput.value, 10) || defaults.bulkOpenLimit,
+            objectFilterMode: objectFilterModeSelect.value,
+            objectFilterList: filteredObjects,
+            debugMode: debugModeInput.checked,
+            customDomains: customDomains,
+            orgProfiles: orgProfiles
         };
 
+        // Locked settings come from the policy, so the user's own values stay as they were
+        lockedFields.forEach(field => delete settings[field]);
+
         chrome.storage.sync.set(settings, function() {
-            // Get translated success message
-            const translations = window.sfSharingTranslations || {};
-            const langCode = settings.languageMode === 'manual' ? settings.selectedLanguage :
-                           (navigator.language || navigator.userLanguage || 'en').split('-')[0].toLowerCase();
-            const langTranslations = translations[langCode] || translations['en'] || {};
-            const successMessage = langTranslations.saveSuccessMessage || 'Settings saved successfully!';
-
-            showStatus(successMessage, 'success');
-
-            // Update status in all active tabs
-            chrome.tabs.query({}, function(tabs) {
-                tabs.forEach(function(tab) {
-                    chrome.tabs.sendMessage(tab.id, {
-                        type: 'settingsUpdated',
-                        settings: settings
-                    }).catch(function() {
-                        // Ignore errors for tabs that don't have our content script
-                    });
+            // Org profiles can outgrow the sync storage quotas, in which case nothing is saved
+            if (chrome.runtime.lastError) {
+                showStatus(t('saveErrorMessage'), 'error');
+                return;
+            }
+            showStatus(t('saveSuccessMessage'), 'success');
+            broadcastSettingsUpdated(settings);
+        });
+    }
+
+    /**
+     * @description Tells the content scripts of all open tabs that the settings changed
+     * @param {Object} settings - The saved settings
+     */
+    function broadcastSettingsUpdated(settings) {
+        chrome.tabs.query({}, function(tabs) {
+            tabs.forEach(function(tab) {
+                chrome.tabs.sendMessage(tab.id, {
+                    type: 'settingsUpdated',
+                    settings: settings
+                }).catch(function() {
+                    // Ignore errors for tabs that don't have our content script
                 });
             });
         });
     }
 
+    /**
+     * @description Shows the debug log of all tabs, newest entries last
+     */
+    function viewDebugLog() {
+        window.sfSharingDebugLog.read().then(function(entries) {
+            debugLogView.hidden = false;
+            debugLogView.textContent = entries.length > 0 ? window.sfSharingDebugLog.format(entries) : t('debugLogEmpty');
+            debugLogView.scrollTop = debugLogView.scrollHeight;
+        });
+    }
+
+    /**
+     * @description Downloads the debug log as a text file, headed by the extension and browser versions
+     */
+    function downloadDebugLog() {
+        window.sfSharingDebugLog.read().then(function(entries) {
+            const header = [
+                `Sharing Button for Salesforce ${chrome.runtime.getManifest().version}`,
+                `Browser: ${navigator.userAgent}`,
+                `Entries: ${entries.length}`,
+                ''
+            ];
+            const timestamp = new Date().toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+            window.sfSharingExport.download(`sf-sharing-debug_${timestamp}.txt`,
+                header.concat(window.sfSharingDebugLog.format(entries)).join('\n'), 'text/plain;charset=utf-8');
+        });
+    }
+
+    /**
+     * @description Downloads the saved settings as a versioned JSON file
+     */
+    function exportSettings() {
+        chrome.storage.sync.get(defaults, function(items) {
+            const date = new Date().toISOString().substring(0, 10);
+            window.sfSharingExport.download(`sf-sharing-settings_${date}.json`,
+                window.sfSharingSettingsFile.serialize(items), 'application/json');
+        });
+    }
+
+    /**
+     * @description Formats a setting value for the import preview
+     * @param {string} key - The setting
+     * @param {*} value - The value
+     * @returns {string} The text to show
+     */
+    function formatSettingValue(key, value) {
+        if (value === undefined) return '—';
+        if (key === 'orgProfiles' || key === 'customDomains') return Object.keys(value).join(', ') || '—';
+        if (Array.isArray(value)) return value.join(', ') || '—';
+        return String(value);
+    }
+
+    /**
+     * @description Reads a settings file and previews the changes it would make. Invalid files are
+     * rejected with the reason, and nothing changes until the user applies the import.
+     * @param {File} file - The file picked by the user
+     */
+    function previewImport(file) {
+        file.text().then(function(text) {
+            const result = window.sfSharingSettingsFile.parse(text);
+            chrome.storage.sync.get(defaults, function(current) {
+                const changes = window.sfSharingSettingsFile.diff(current, result.settings);
+                pendingImport = result.settings;
+
+                importPreviewTitle.textContent = changes.length > 0
+                    ? t('importPreviewTitle', { file: file.name, count: changes.length })
+                    : t('importNoChanges', { file: file.name });
+                if (result.ignored.length > 0) {
+                    importPreviewTitle.textContent += ' ' + t('importIgnored', { settings: result.ignored.join(', ') });
+                }
+
+                importChanges.replaceChildren(...changes.map(function(change) {
+                    const row = document.createElement('tr');
+                    const label = SETTING_LABEL_KEYS[change.key] ? t(SETTING_LABEL_KEYS[change.key]).replace(/:$/, '') : change.key;
+                    [label, formatSettingValue(change.key, change.from), formatSettingValue(change.key, change.to)].forEach(function(text) {
+                        const cell = document.createElement('td');
+                        cell.textContent = text;
+                        row.append(cell);
+                    });
+                    if (lockedFields.includes(change.key)) {
+                        const locked = document.createElement('div');
+                        locked.className = 'locked';
+                        locked.textContent = t('importLockedNotApplied');
+                        row.lastChild.append(locked);
+                    }
+                    return row;
+                }));
+                importChanges.closest('table').hidden = changes.length === 0;
+                importApplyBtn.disabled = changes.length === 0;
+                importPreview.hidden = false;
+            });
+        }).catch(function(e) {
+            pendingImport = null;
+            importPreview.hidden = true;
+            showStatus(`${t('importInvalid')} ${e.message}`, 'error');
+        });
+    }
+
+    /**
+     * @description Saves the previewed settings, except those locked by the policy, and tells open
+     * tabs about them
+     */
+    function applyImport() {
+        if (!pendingImport) return;
+        const settings = Object.assign({}, pendingImport);
+        lockedFields.forEach(field => delete settings[field]);
+
+        chrome.storage.sync.set(settings, function() {
+            if (chrome.runtime.lastError) {
+                showStatus(t('saveErrorMessage'), 'error');
+                return;
+            }
+            pendingImport = null;
+            importPreview.hidden = true;
+            showStatus(t('importSuccess'), 'success');
+            broadcastSettingsUpdated(settings);
+            loadSettings();
+        });
+    }
+
     /**
      * @description Show status message
      * @param {string} message - The message to display
@@ -0,0 +1,227 @@
+/**
+ * @description Page watching for the SF Sharing Button Chrome extension.
+ *
+ * Lightning pages re-render large parts of the DOM all the time, so the content script must not
+ * do work on every change. This module tells it when something it cares about may have changed:
+ * navigations, reported by the browser's Navigation API when Lightning's router changes the URL,
+ * DOM changes, gathered into one callback per short window and leaving out the extension's own
+ * elements, and attribute changes, watched only inside the elements the content script names (the console
+ * tab bars). Lookups through nested shadow roots are cached until the DOM changes, and insertion
+ * attempts are rationed by a budget, so a page that keeps re-rendering cannot make the content
+ * script retry forever.
+ *
+ * @function deepQuerySelector - Finds an element through nested shadow roots, cached between DOM changes
+ * @function createBudget - Creates a budget rationing how often an action is attempted
+ * @function watch - Watches the page for navigations and DOM changes
+ */
+(function () {
+  const DOM_CHANGE_DELAY = 150; // Milliseconds DOM changes are gathered before the callback runs
+  const URL_CHECK_INTERVAL = 1000; // Milliseconds between URL checks in browsers without the Navigation API
+
+  // Elements found by deepQuerySelector() per selector, with the DOM generation of misses
+  const queryCache = new Map();
+  let generation = 0; // Bumped whenever the DOM or the URL changes, so cached misses are looked up again
+
+  /**
+   * @description Searches a root and the shadow roots below it, however deeply nested
+   * @param {string} selector - The CSS selector
+   * @param {Document|ShadowRoot|Element} root - Where to search
+   * @returns {Element|null} The first matching element, or null
+   */
+  function findDeep(selector, root) {
+    const direct = root.querySelector(selector);
+    if (direct) return direct;
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+    while (walker.nextNode()) {
+      const shadowRoot = walker.currentNode.shadowRoot;
+      if (shadowRoot) {
+        const found = findDeep(selector, shadowRoot);
+        if (found) return found;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @description Finds an element through open and synthetic shadow roots, however deeply nested.
+   * Found elements are reused while they stay on the page and still match; misses are remembered
+   * until the DOM changes.
+   * @param {string} selector - The CSS selector
+   * @param {Document|ShadowRoot|Element} [root] - Where to search (default: document, the only root cached)
+   * @returns {Element|null} The first matching element, or null if none is found or the selector is invalid
+   */
+  function deepQuerySelector(selector, root = document) {
+    try {
+      if (root !== document) return findDeep(selector, root);
+
+      const cached = queryCache.get(selector);
+      if (cached && cached.element && cached.element.isConnected && cached.element.matches(selector)) {
+        return cached.element;
+      }
+      if (cached && !cached.element && cached.generation === generation) return null;
+
+      const element = findDeep(selector, document);
+      queryCache.set(selector, { element, generation });
+      return element;
+    } catch (e) {
+      return null; // Invalid selector
+    }
+  }
+
+  /**
+   * @description Creates a budget rationing how often an action is attempted: up to `capacity`
+   * attempts at once, then one more every `refillMs`. Attempts and refusals are counted so the
+   * cost of the action can be measured.
+   * @param {Object} options - The budget
+   * @param {number} options.capacity - Attempts allowed in a row
+   * @param {number} options.refillMs - Milliseconds after which one more attempt is allowed
+   * @returns {{run: Function, reset: Function, nextIn: Function, getStats: Function}} The budget
+   */
+  function createBudget({ capacity, refillMs }) {
+    let tokens = capacity;
+    let refilledAt = Date.now();
+    const stats = { attempts: 0, refused: 0, totalMs: 0, lastMs: 0 };
+
+    const refill = () => {
+      const now = Date.now();
+      if (tokens >= capacity) {
+        refilledAt = now;
+        return;
+      }
+      const earned = Math.floor((now - refilledAt) / refillMs);
+      if (earned > 0) {
+        tokens = Math.min(capacity, tokens + earned);
+        refilledAt += earned * refillMs;
+      }
+    };
+
+    return {
+      /**
+       * @description Runs the action if the budget allows it, timing it
+       * @param {Function} action - The action
+       * @returns {boolean} False if the budget refused the attempt
+       */
+      run(action) {
+        refill();
+        if (tokens === 0) {
+          stats.refused++;
+          return false;
+        }
+        tokens--;
+        stats.attempts++;
+        const start = performance.now();
+        try {
+          action();
+        } finally {
+          stats.lastMs = performance.now() - start;
+          stats.totalMs += stats.lastMs;
+        }
+        return true;
+      },
+
+      /**
+       * @description Gives the whole budget back, e.g. after a navigation
+       */
+      reset() {
+        tokens = capacity;
+        refilledAt = Date.now();
+      },
+
+      /**
+       * @description Tells when the next attempt will be allowed
+       * @returns {number} Milliseconds until then (0 if allowed now)
+       */
+      nextIn() {
+        refill();
+        return tokens > 0 ? 0 : Math.max(0, refilledAt + refillMs - Date.now());
+      },
+
+      /**
+       * @description Gets the counters of the budget
+       * @returns {{attempts: number, refused: number, remaining: number, capacity: number, totalMs: number, lastMs: number}}
+       */
+      getStats() {
+        refill();
+        return Object.assign({ remaining: tokens, capacity }, stats);
+      }
+    };
+  }
+
+  /**
+   * @description Watches the page. Navigations are reported by the browser's Navigation API
+   * (navigatesuccess, which also covers the history changes of Lightning's router), popstate and
+   * hashchange; a URL change noticed along with DOM changes counts as a navigation too. Browsers
+   * without the Navigation API check the URL every URL_CHECK_INTERVAL instead, as the page's own
+   * history calls cannot be hooked from the content script's isolated world. DOM changes are gathered for DOM_CHANGE_DELAY before
+   * onDomChange runs, only child list changes are observed on the whole page, and attribute
+   * changes only inside the elements returned by getScopes.
+   * @param {Object} options - The callbacks
+   * @param {Function} options.onNavigate - Called after the URL changed
+   * @param {Function} options.onDomChange - Called with { scoped } once DOM changes settle; scoped
+   * is true if attributes changed inside the scopes
+   * @param {Function} [options.isOwnNode] - Tells whether a node belongs to the extension, whose changes are ignored
+   * @param {Function} [options.getScopes] - Returns the elements whose attribute changes matter
+   * @param {string[]} [options.scopeAttributes] - The attributes to watch inside the scopes
+   */
+  function watch({ onNavigate, onDomChange, isOwnNode = () => false, getScopes = () => [], scopeAttributes = [] }) {
+    let currentUrl = window.location.href;
+    let timer = null;
+    let scopedChange = false;
+    let scopes = [];
+
+    const navigated = () => {
+      if (window.location.href === currentUrl) return;
+      currentUrl = window.location.href;
+      generation++;
+      onNavigate();
+    };
+
+    const scopeObserver = new MutationObserver(() => {
+      scopedChange = true;
+      schedule();
+    });
+
+    // Follows the scopes as the page replaces them
+    const observeScopes = () => {
+      const next = Array.from(getScopes());
+      if (next.length === scopes.length && next.every((scope, i) => scope === scopes[i])) return;
+      scopeObserver.disconnect();
+      scopes = next;
+      scopes.forEach(scope => scopeObserver.observe(scope, { attributes: true, attributeFilter: scopeAttributes, subtree: true }));
+    };
+
+    const flush = () => {
+      timer = null;
+      generation++;
+      navigated();
+      observeScopes();
+      const scoped = scopedChange;
+      scopedChange = false;
+      onDomChange({ scoped });
+    };
+
+    function schedule() {
+      if (!timer) timer = setTimeout(flush, DOM_CHANGE_DELAY);
+    }
+
+    new MutationObserver((mutations) => {
+      if (mutations.some(mutation => !isOwnNode(mutation.target))) schedule();
+    }).observe(document.documentElement, { childList: true, subtree: true });
+
+    if (window.navigation) {
+      window.navigation.addEventListener("navigatesuccess", navigated);
+    } else {
+      setInterval(navigated, URL_CHECK_INTERVAL);
+    }
+    window.addEventListener("popstate", navigated);
+    window.addEventListener("hashchange", navigated);
+    observeScopes();
+  }
+
+  globalThis.sfSharingPageWatcher = {
+    deepQuerySelector,
+    createBudget,
+    watch
+  };
+})();
@@ -0,0 +1,190 @@
+/**
+ * @description Toolbar popup script for the SF Sharing Button Chrome extension.
+ *
+ * Shows the record detected on the active tab (15 and 18-character IDs, object and page type)
+ * with quick actions, and says why the Sharing button is not on the page. It asks the tab's
+ * content script, so it also works where the button could not be inserted.
+ *
+ * @function showStatus - Shows a status message above the record details
+ * @function getSwitchInterfaceUrl - Builds the URL of the record in the other interface
+ * @function renderOrg - Shows the org profile of the active tab, or offers to create one
+ * @function render - Fills the popup with the record context of the active tab
+ */
+(function () {
+  const { toCaseSafeId } = window.sfSharingRecordId;
+
+  // Status shown for each outcome of tryInsert() in content.js
+  const INSERT_STATUS_MESSAGES = {
+    inserted: { key: "popupStatusInserted" },
+    floating: { key: "popupStatusFloating", warning: true },
+    pending: { key: "popupStatusPending" },
+    notRecordPage: { key: "popupStatusNotRecordPage", warning: true },
+    orgDisabled: { key: "popupStatusOrgDisabled", warning: true },
+    objectFiltered: { key: "popupStatusObjectFiltered", warning: true }
+  };
+
+  const PAGE_TYPE_KEYS = {
+    lightning: "popupPageTypeLightning",
+    console: "popupPageTypeConsole",
+    classic: "popupPageTypeClassic",
+    visualforce: "popupPageTypeVisualforce",
+    setup: "popupPageTypeSetup",
+    experience: "popupPageTypeExperience"
+  };
+
+  // Page types whose record can be opened in the other interface
+  const SWITCHABLE_PAGE_TYPES = ["lightning", "console", "classic"];
+
+  const { t } = window.sfSharingI18n;
+
+  /**
+   * @description Shows a status message above the record details
+   * @param {string} message - The message
+   * @param {boolean} [warning] - Whether to highlight it as a warning
+   */
+  function showStatus(message, warning) {
+    const status = document.getElementById("status");
+    status.textContent = message;
+    status.className = warning ? "status warning" : "status";
+    status.hidden = false;
+  }
+
+  /**
+   * @description Builds the URL of the record in the other interface. Classic goes through
+   * Salesforce's switcher, as orgs that default to Lightning redirect Classic record URLs.
+   * @param {URL} pageUrl - The URL of the active tab
+   * @param {string} pageType - "lightning", "console" or "classic"
+   * @param {string} recordId - The record ID
+   * @returns {string} The URL
+   */
+  function getSwitchInterfaceUrl(pageUrl, pageType, recordId) {
+    const { getInterfaceHost } = window.sfSharingHosts;
+    if (pageType === "classic") {
+      const host = getInterfaceHost(pageUrl.host, "lightning");
+      return `https://${host}/lightning/r/${recordId}/view`;
+    }
+    const host = getInterfaceHost(pageUrl.host, "classic");
+    return `https://${host}/ltng/switcher?destination=classic&referrer=${encodeURIComponent("/" + recordId)}`;
+  }
+
+  /**
+   * @description Shows the org profile of the active tab, or offers to create one for an org
+   * that has none yet
+   * @param {{id: string|null, label: string|null, hasProfile: boolean}} [org] - The org from the record context
+   */
+  function renderOrg(org) {
+    if (!org || (!org.id && !org.hasProfile)) return;
+    const section = document.getElementById("org");
+    if (org.hasProfile) {
+      document.getElementById("orgLabel").textContent = org.label || org.id;
+    } else {
+      document.getElementById("orgLabel").textContent = t("popupOrgNoProfile");
+      const button = document.getElementById("createProfile");
+      button.hidden = false;
+      button.addEventListener("click", () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL("options.html#newProfile=" + encodeURIComponent(org.id)) });
+        window.close();
+      });
+    }
+    section.hidden = false;
+  }
+
+  /**
+   * @description Fills the popup with the record context of the active tab
+   * @param {chrome.tabs.Tab} tab - The active tab
+   * @returns {Promise<void>} Resolves once the popup is filled in
+   */
+  async function render(tab) {
+    // Without the tabs permission, the URL is only known on Salesforce pages
+    if (!tab || !tab.url) {
+      showStatus(t("popupNotSalesforce"));
+      return;
+    }
+
+    let context;
+    try {
+      context = await chrome.tabs.sendMessage(tab.id, { type: "getRecordContext" }, { frameId: 0 });
+    } catch (e) {
+      showStatus(t("popupReloadPage"), true); // Open before the extension was installed or updated
+      return;
+    }
+
+    const status = INSERT_STATUS_MESSAGES[context.insertStatus] || INSERT_STATUS_MESSAGES.pending;
+    showStatus(t(status.key), status.warning);
+    renderOrg(context.org);
+    if (!context.recordId) return;
+
+    const pageUrl = new URL(tab.url);
+    const recordId15 = context.recordId.substring(0, 15);
+    const recordId18 = toCaseSafeId(recordId15);
+
+    document.getElementById("recordId15").textContent = recordId15;
+    document.getElementById("recordId18").textContent = recordId18;
+    document.getElementById("objectName").textContent = context.objectName || t("popupObjectUnknown");
+    document.getElementById("pageType").textContent = t(PAGE_TYPE_KEYS[context.pageType]);
+    document.getElementById("detectedBy").textContent = context.strategy; // Strategy name from record-id.js
+
+    // Copy buttons confirm the copy in place
+    [["copyId15", recordId15], ["copyId18", recordId18]].forEach(([id, value]) => {
+      const button = document.getElementById(id);
+      button.addEventListener("click", async () => {
+        await navigator.clipboard.writeText(value);
+        button.textContent = t("popupCopied");
+        setTimeout(() => { button.textContent = t("popupCopyId"); }, 1500);
+      });
+    });
+
+    document.getElementById("openSharing").addEventListener("click", async () => {
+      await chrome.runtime.sendMessage({ type: "openSharingForTab", tabId: tab.id });
+      window.close();
+    });
+
+    const switchButton = document.getElementById("switchInterface");
+    if (SWITCHABLE_PAGE_TYPES.includes(context.pageType)) {
+      switchButton.textContent = t(context.pageType === "classic" ? "popupOpenInLightning" : "popupOpenInClassic");
+      switchButton.addEventListener("click", () => {
+        chrome.tabs.create({ url: getSwitchInterfaceUrl(pageUrl, context.pageType, context.recordId), index: tab.index + 1 });
+        window.close();
+      });
+    } else {
+      switchButton.hidden = true; // Visualforce, Setup and Experience pages have no other interface
+    }
+
+    const setupButton = document.getElementById("openInSetup");
+    if (context.objectName) {
+      setupButton.addEventListener("click", () => {
+        const host = window.sfSharingHosts.getInterfaceHost(pageUrl.host, "lightning");
+        chrome.tabs.create({ url: `https://${host}/lightning/setup/ObjectManager/${context.objectName}/Details/view`, index: tab.index + 1 });
+        window.close();
+      });
+    } else {
+      setupButton.hidden = true; // The object is needed to find it in the Object Manager
+    }
+
+    document.getElementById("record").hidden = false;
+  }
+
+  document.addEventListener("DOMContentLoaded", async () => {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const { getSettings, getSalesforceLocales, getMyDomainName } = window.sfSharingSettings;
+    const i18n = window.sfSharingI18n;
+
+    // The "salesforce" language mode follows the user of the tab's org, else the one seen last
+    const locales = await getSalesforceLocales();
+    const tabOrg = tab && tab.url ? locales.byOrg[getMyDomainName(new URL(tab.url).host)] : null;
+    i18n.setLanguage(i18n.resolveLanguage(await getSettings(), {
+      browserLocale: navigator.language || "en",
+      salesforceLocale: tabOrg ? tabOrg.locale : locales.latest
+    }));
+    document.documentElement.lang = i18n.getLanguage();
+    document.documentElement.dir = i18n.getDirection();
+    i18n.translate(document);
+
+    document.getElementById("openOptions").addEventListener("click", (event) => {
+      event.preventDefault();
+      chrome.runtime.openOptionsPage();
+    });
+
+    await render(tab);
+  });
+})();
@@ -0,0 +1,190 @@
+/**
+ * @description Record ID detection for the SF Sharing Button Chrome extension.
+ *
+ * Holds the named strategies that find a record ID in a URL (paths, hash routes, Setup
+ * addresses, page state and query parameters), so the content script (current page) and
+ * the background script (right-clicked links) recognize the same URLs. As the patterns also
+ * match app and page names, candidates are validated like Salesforce does: the checksum of
+ * 18-character IDs must match, and the key prefix must look like one.
+ *
+ * @function toCaseSafeId - Converts a 15-character ID to its 18-character case-safe form
+ * @function hasPlausibleKeyPrefix - Tells whether an ID starts like a real record ID
+ * @function isValidSfId - Validates Salesforce record IDs (15 or 18 characters)
+ * @function detectRecordId - Runs the extraction strategies and reports which one matched
+ * @function extractRecordIdFromUrl - Extracts a record ID from a URL
+ */
+(function () {
+  // URL patterns carrying a record ID, capturing it in their first group
+  const LIGHTNING_PATTERNS = [
+    /\/lightning\/r\/[^/]+\/([a-zA-Z0-9]{15,18})\//, // /lightning/r/Object/ID/view
+    /\/lightning\/r\/([a-zA-Z0-9]{15,18})\//         // /lightning/r/ID/view
+  ];
+  const CONSOLE_PATTERNS = [
+    /\/sObject\/([a-zA-Z0-9]{15,18})\//,            // /sObject/ID/view (console)
+    /\/r\/[^/]+\/([a-zA-Z0-9]{15,18})\//            // /r/Object/ID/view (console)
+  ];
+  const CLASSIC_PATTERNS = [
+    /\/([a-zA-Z0-9]{15,18})$/,                      // /ID (classic pages like my.salesforce.com/a0p5w000005tyFK)
+    /\/([a-zA-Z0-9]{15,18})\//                       // /ID/ (classic pages with trailing slash)
+  ];
+  // Lightning paths whose IDs are not records, such as Setup (/lightning/setup/ObjectManager/01I.../Details/view)
+  // and object homes (/lightning/o/...); Lightning records are found by the Lightning patterns
+  const LIGHTNING_PATH = /^\/lightning\//;
+
+  /**
+   * @description Converts a 15-character ID to its 18-character case-safe form. Each of the three
+   * suffix characters encodes which of five ID characters are upper case.
+   * @param {string} id - The record ID
+   * @returns {string} The 18-character ID (18-character IDs are returned as they are)
+   */
+  function toCaseSafeId(id) {
+    if (!id || id.length !== 15) return id;
+
+    const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ012345";
+    let suffix = "";
+    for (let chunk = 0; chunk < 3; chunk++) {
+      let flags = 0;
+      for (let i = 0; i < 5; i++) {
+        const c = id.charAt(chunk * 5 + i);
+        if (c >= "A" && c <= "Z") flags |= 1 << i;
+      }
+      suffix += alphabet.charAt(flags);
+    }
+    return id + suffix;
+  }
+
+  /**
+   * @description Tells whether an ID starts like a real record ID. The first three characters are
+   * the object's key prefix, the next two the instance and the sixth is reserved, so real IDs
+   * have digits there (001, a0p5w0...), unlike words such as page names. The empty key prefix
+   * 000 is only used by null IDs.
+   * @param {string} id - A 15 or 18-character ID
+   * @returns {boolean} True if the ID starts like a record ID
+   */
+  function hasPlausibleKeyPrefix(id) {
+    return id.substring(0, 3) !== "000" && /[0-9]/.test(id.substring(0, 6));
+  }
+
+  /**
+   * @description Validates if a string is a valid Salesforce record ID: 15 or 18 alphanumeric
+   * characters, a plausible key prefix and, for 18-character IDs, a matching checksum
+   * @param {string} id - The record ID to validate
+   * @returns {boolean} True if the ID is a valid Salesforce record ID, false otherwise
+   */
+  function isValidSfId(id) {
+    if (!/^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/.test(id || "")) return false;
+    if (!hasPlausibleKeyPrefix(id)) return false;
+    // The checksum is case-insensitive, as it exists for case-insensitive tools
+    return id.length === 15 || toCaseSafeId(id.substring(0, 15)).substring(15) === id.substring(15).toUpperCase();
+  }
+
+  /**
+   * @description Gets the candidates a list of patterns finds in a URL and in its decoded hash
+   * @param {RegExp[]} patterns - Patterns capturing the ID in their first group
+   * @param {{href: string, hash: string}} target - The URL being looked at
+   * @returns {string[]} The candidates, in order of precedence
+   */
+  function matchPatterns(patterns, target) {
+    const candidates = [];
+    for (const re of patterns) {
+      [target.href, target.hash].forEach((text) => {
+        const m = text.match(re);
+        if (m) candidates.push(m[1]);
+      });
+    }
+    return candidates;
+  }
+
+  /**
+   * @description Gets the record ID of a Lightning route encoded in a /one/one.app# hash, which is
+   * base64 JSON such as {"componentDef":"force:recordHome","attributes":{"recordId":"001..."}}
+   * @param {{url: URL}} target - The URL being looked at
+   * @returns {string|null} The candidate
+   */
+  function decodeOneAppRoute(target) {
+    if (!target.url.pathname.startsWith("/one/one.app") || target.url.hash.length < 2) return null;
+    const route = JSON.parse(atob(decodeURIComponent(target.url.hash.substring(1))));
+    return route.attributes && route.attributes.recordId;
+  }
+
+  // Ordered extraction strategies. Each one returns the candidates it finds in a URL; the first
+  // valid ID wins, and its strategy name is reported for debugging.
+  const URL_STRATEGIES = [
+    { name: "lightningRecordPath", extract: target => matchPatterns(LIGHTNING_PATTERNS, target) },
+    { name: "consolePath", extract: target => matchPatterns(CONSOLE_PATTERNS, target) },
+    {
+      // Classic pages only, as the patterns match any ID-like path segment
+      name: "classicPath",
+      extract: target => LIGHTNING_PATH.test(target.url.pathname) ? [] : matchPatterns(CLASSIC_PATTERNS, target)
+    },
+    { name: "oneAppRoute", extract: decodeOneAppRoute },
+    {
+      // Lightning Setup pages wrap the Classic page in ?address=%2F001...
+      name: "setupAddress",
+      extract: target => (target.url.searchParams.get("address") || "").match(/^\/([a-zA-Z0-9]{15,18})\b/)?.[1]
+    },
+    {
+      // Lightning page state, such as c__recordId on navigation to custom components
+      name: "stateParam",
+      extract: target => Array.from(target.url.searchParams)
+        .filter(([key]) => /^(c__|ws__)?record_?id$/i.test(key) || /^c__\w*id$/i.test(key))
+        .map(([, value]) => value)
+    },
+    {
+      // Visualforce pages get their record from ?id=
+      name: "queryId",
+      extract: target => target.url.searchParams.get("id")
+    }
+  ];
+
+  /**
+   * @description Runs extraction strategies in order until one finds a valid record ID. A strategy
+   * that fails (e.g. on an unexpected URL shape) is skipped.
+   * @param {string} url - The URL
+   * @param {Array<{name: string, extract: Function}>} [strategies] - The strategies (default: URL_STRATEGIES)
+   * @returns {{recordId: string|null, strategy: string|null, tried: string[]}} The record ID, normalized
+   * to 18 characters, the name of the strategy that found it, and the strategies that were tried
+   */
+  function detectRecordId(url, strategies = URL_STRATEGIES) {
+    let target;
+    try {
+      const parsed = new URL(url);
+      // Console URLs carry the record in the hash
+      target = { href: url, url: parsed, hash: decodeURIComponent(parsed.hash) };
+    } catch (e) {
+      target = { href: url, url: new URL("about:blank"), hash: "" };
+    }
+
+    const tried = [];
+    for (const strategy of strategies) {
+      tried.push(strategy.name);
+      let candidates;
+      try {
+        candidates = [].concat(strategy.extract(target) || []);
+      } catch (e) {
+        continue;
+      }
+      const recordId = candidates.find(isValidSfId);
+      if (recordId) return { recordId: toCaseSafeId(recordId), strategy: strategy.name, tried };
+    }
+    return { recordId: null, strategy: null, tried };
+  }
+
+  /**
+   * @description Extracts a record ID from a URL with the URL strategies
+   * @param {string} url - The URL
+   * @returns {string|null} The record ID, normalized to 18 characters, if found, null otherwise
+   */
+  function extractRecordIdFromUrl(url) {
+    return detectRecordId(url).recordId;
+  }
+
+  globalThis.sfSharingRecordId = {
+    URL_STRATEGIES,
+    toCaseSafeId,
+    hasPlausibleKeyPrefix,
+    isValidSfId,
+    detectRecordId,
+    extractRecordIdFromUrl
+  };
+})();
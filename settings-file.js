@@ -0,0 +1,166 @@
+/**
+ * @description Settings files for the SF Sharing Button Chrome extension.
+ *
+ * Serializes the settings saved in chrome.storage.sync to a versioned JSON file, so a team can
+ * share one configuration, and reads such files back: older versions are migrated, then every
+ * value is validated before anything is applied.
+ *
+ * @function serialize - Builds the JSON file of the settings
+ * @function parse - Reads a settings file into settings ready to save
+ * @function diff - Lists the settings a file would change
+ */
+(function () {
+  const FILE_FORMAT = "sf-sharing-settings"; // Marks the files as ours
+  const FILE_VERSION = 1; // Bump, and add a migration, when the shape of the file changes
+
+  // Migrations from each older version to the next one, applied in turn
+  const MIGRATIONS = {
+    // Version 0: a bare settings object without the envelope, e.g. copied from chrome.storage.sync
+    0: data => ({ format: FILE_FORMAT, version: 1, settings: data })
+  };
+
+  /**
+   * @description Builds the JSON file of the settings
+   * @param {Object} settings - The saved settings
+   * @returns {string} The file content
+   */
+  function serialize(settings) {
+    const { DEFAULT_SETTINGS } = globalThis.sfSharingSettings;
+    const saved = {};
+    Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+      if (settings[key] !== undefined) saved[key] = settings[key];
+    });
+    return JSON.stringify({
+      format: FILE_FORMAT,
+      version: FILE_VERSION,
+      exportedAt: new Date().toISOString(),
+      extensionVersion: chrome.runtime.getManifest().version,
+      settings: saved
+    }, null, 2);
+  }
+
+  /**
+   * @description Checks a value against the rule of its setting
+   * @param {string} path - Where the value is, for error messages (e.g. orgProfiles.acme.openMode)
+   * @param {*} value - The value
+   * @param {Object} rule - { type } and, for strings, the allowed values or a pattern
+   * @throws {Error} If the value breaks the rule
+   */
+  function checkValue(path, value, rule) {
+    const type = value === null ? "null" : Array.isArray(value) ? "array" : typeof value;
+    if (type !== rule.type) throw new Error(`${path}: expected ${rule.type}, got ${type}`);
+    if (rule.values && !rule.values.includes(value)) {
+      throw new Error(`${path}: "${value}" is not one of ${rule.values.join(", ")}`);
+    }
+    if (rule.pattern && !rule.pattern.test(value)) throw new Error(`${path}: "${value}" is not valid`);
+    if (rule.min !== undefined && !(Number.isInteger(value) && value >= rule.min)) {
+      throw new Error(`${path}: expected a whole number of at least ${rule.min}`);
+    }
+    if (type === "array" && value.some(item => typeof item !== "string")) {
+      throw new Error(`${path}: expected a list of text values`);
+    }
+  }
+
+  /**
+   * @description Gets the rules of the settings and of the org profile fields
+   * @returns {{settings: Object, profile: Object}} The rules, keyed by setting
+   */
+  function getRules() {
+    const { LANGUAGE_MODES, OPEN_MODES, PLACEMENTS, OBJECT_FILTER_MODES, BADGE_STYLES } = globalThis.sfSharingSettings;
+    const shared = {
+      enabled: { type: "boolean" },
+      placement: { type: "string", values: PLACEMENTS },
+      openMode: { type: "string", values: OPEN_MODES },
+      objectFilterMode: { type: "string", values: OBJECT_FILTER_MODES },
+      objectFilterList: { type: "array" }
+    };
+    return {
+      settings: Object.assign({
+        languageMode: { type: "string", values: LANGUAGE_MODES },
+        selectedLanguage: { type: "string", pattern: /^[a-z]{2,3}([-_][A-Za-z]{2,4})?$/ },
+        popupWidth: { type: "number", min: 300 },
+        popupHeight: { type: "number", min: 200 },
+        bulkOpenLimit: { type: "number", min: 1 },
+        debugMode: { type: "boolean" },
+        customDomains: { type: "object" },
+        orgProfiles: { type: "object" }
+      }, shared),
+      profile: Object.assign({
+        label: { type: "string" },
+        color: { type: "string", pattern: /^#[0-9a-fA-F]{6}$/ },
+        badgeStyle: { type: "string", values: BADGE_STYLES }
+      }, shared)
+    };
+  }
+
+  /**
+   * @description Reads a settings file into settings ready to save. Files of older versions are
+   * migrated first; settings the extension does not know are left out and reported.
+   * @param {string} text - The file content
+   * @returns {{settings: Object, ignored: string[], version: number}} The settings, the names of
+   * the settings left out, and the version the file was written in
+   * @throws {Error} If the file is not a valid settings file
+   */
+  function parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Not a JSON file (${e.message})`);
+    }
+    if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("Not a settings file");
+
+    const version = data.format === FILE_FORMAT ? data.version : 0;
+    if (!Number.isInteger(version) || version > FILE_VERSION) {
+      throw new Error(`Unsupported file version ${data.version}; update the extension to import it`);
+    }
+    for (let v = version; v < FILE_VERSION; v++) data = MIGRATIONS[v](data);
+
+    const rules = getRules();
+    const settings = {};
+    const ignored = [];
+    Object.entries(data.settings || {}).forEach(([key, value]) => {
+      if (!rules.settings[key]) {
+        ignored.push(key);
+        return;
+      }
+      checkValue(key, value, rules.settings[key]);
+      settings[key] = value;
+    });
+
+    Object.entries(settings.orgProfiles || {}).forEach(([orgKey, profile]) => {
+      checkValue(`orgProfiles.${orgKey}`, profile, { type: "object" });
+      Object.keys(profile).forEach((field) => {
+        if (!rules.profile[field]) throw new Error(`orgProfiles.${orgKey}.${field}: unknown profile setting`);
+        checkValue(`orgProfiles.${orgKey}.${field}`, profile[field], rules.profile[field]);
+      });
+    });
+
+    Object.entries(settings.customDomains || {}).forEach(([host, kind]) => {
+      if (!globalThis.sfSharingHosts.isValidHostPattern(host)) throw new Error(`customDomains: "${host}" is not a host name`);
+      checkValue(`customDomains.${host}`, kind, { type: "string", values: globalThis.sfSharingHosts.HOST_KINDS });
+    });
+
+    if (Object.keys(settings).length === 0) throw new Error("The file has no settings");
+    return { settings, ignored, version };
+  }
+
+  /**
+   * @description Lists the settings a file would change
+   * @param {Object} current - The saved settings
+   * @param {Object} imported - The settings read from the file
+   * @returns {Array<{key: string, from: *, to: *}>} The changed settings, with their current and new values
+   */
+  function diff(current, imported) {
+    return Object.keys(imported)
+      .filter(key => JSON.stringify(current[key]) !== JSON.stringify(imported[key]))
+      .map(key => ({ key, from: current[key], to: imported[key] }));
+  }
+
+  globalThis.sfSharingSettingsFile = {
+    FILE_VERSION,
+    serialize,
+    parse,
+    diff
+  };
+})();
@@ -0,0 +1,257 @@
+/**
+ * @description Settings for the SF Sharing Button Chrome extension.
+ *
+ * Holds the default value of every setting saved in chrome.storage.sync, so the background
+ * script, the content script and the options page all read the same defaults. Org profiles
+ * override some settings for one org, identified by its org ID or its My Domain.
+ *
+ * Administrators can set defaults and lock values through Chrome policy (chrome.storage.managed,
+ * see managed_schema.json). Settings are merged in this order, later sources winning:
+ * DEFAULT_SETTINGS, managed defaults, the user's saved settings, the org profile, managed locks.
+ *
+ * @function getManagedPolicy - Loads the policy set by the administrator
+ * @function getSettings - Loads the saved settings, merged with the defaults and the policy
+ * @function isObjectAllowed - Tells whether the object filter lets the button show on a record
+ * @function getMyDomainName - Gets the My Domain name of a Salesforce host
+ * @function findOrgProfile - Finds the profile of an org
+ * @function getSalesforceLocales - Loads the Salesforce user languages seen per org
+ * @function rememberSalesforceLocale - Remembers the Salesforce user language of an org
+ * @function isOrgAllowed - Tells whether the policy lets the button show in an org
+ * @function applyOrgProfile - Gets the settings for an org, with its profile applied
+ * @function createOrgProfile - Creates a profile starting from the current settings
+ */
+(function () {
+  // Where the interface language comes from: the browser, the options page, or the Salesforce user's language
+  const LANGUAGE_MODES = ["auto", "manual", "salesforce"];
+
+  // chrome.storage.local key of the Salesforce user language seen per org, so the background
+  // script and extension pages can follow it too
+  const SALESFORCE_LOCALES_KEY = "salesforceLocales";
+
+  // Ways to open the Classic sharing page (see openSharingUrl() in background.js)
+  const OPEN_MODES = ["foreground", "background", "reuse", "popup", "sameTab"];
+
+  // Where the button goes (see getInsertStrategy() in content.js). "auto" keeps the page default:
+  // the global header in Lightning and the links above the detail page in Classic.
+  const PLACEMENTS = ["auto", "globalHeader", "highlightsPanel", "classicButtons", "floating"];
+
+  // Which records get the button: all of them, only the listed objects, or all but the listed objects
+  const OBJECT_FILTER_MODES = ["all", "allow", "deny"];
+
+  // How the org label shows on the button: a colored badge, a colored border, or not at all
+  const BADGE_STYLES = ["badge", "border", "none"];
+
+  // Settings an org profile overrides
+  const PROFILE_FIELDS = ["enabled", "placement", "openMode", "objectFilterMode", "objectFilterList"];
+
+  // Settings the policy can give a default value or lock (managed_schema.json "defaults" and "locked")
+  const MANAGED_FIELDS = ["languageMode", "selectedLanguage", "placement", "openMode", "objectFilterMode", "objectFilterList"];
+
+  const DEFAULT_SETTINGS = {
+    languageMode: "auto", // One of LANGUAGE_MODES
+    selectedLanguage: "en", // Language used in "manual" mode
+    openMode: "foreground", // One of OPEN_MODES
+    popupWidth: 1000, // Size of the popup window in "popup" mode
+    popupHeight: 700,
+    placement: "auto", // One of PLACEMENTS
+    bulkOpenLimit: 10, // Most sharing tabs "Sharing for selected" opens at once
+    objectFilterMode: "all", // One of OBJECT_FILTER_MODES
+    objectFilterList: [], // Object API names or 3-character key prefixes the filter applies to
+    enabled: true, // Whether the button shows at all (mostly set per org profile)
+    debugMode: false, // Whether the content script logs its decisions and shows the debug overlay
+    customDomains: {}, // Kinds of the custom domains (one of sfSharingHosts.HOST_KINDS), keyed by host or "*." pattern
+    orgProfiles: {} // Org profiles keyed by org ID (00D...) or My Domain name (acme, acme--uat)
+  };
+
+  /**
+   * @description Loads the policy set by the administrator. Without a policy, or in browsers
+   * without managed storage, the policy is empty.
+   * @returns {Promise<Object>} The policy (see managed_schema.json)
+   */
+  function getManagedPolicy() {
+    if (!chrome.storage.managed) return Promise.resolve({});
+    return chrome.storage.managed.get(null).catch(() => ({}));
+  }
+
+  /**
+   * @description Keeps the settings a policy may set, leaving out anything else
+   * @param {Object} [values] - Values from the policy
+   * @returns {Object} The managed settings among them
+   */
+  function pickManagedFields(values) {
+    const picked = {};
+    MANAGED_FIELDS.forEach((field) => {
+      if (values && values[field] !== undefined) picked[field] = values[field];
+    });
+    return picked;
+  }
+
+  /**
+   * @description Loads the saved settings, merged with the defaults and the policy. Besides the
+   * settings, the result tells which fields are locked (lockedFields), which orgs the button is
+   * limited to (allowedOrgs, null for all) and whether writes are turned off (disableWriteActions).
+   * @returns {Promise<Object>} The settings
+   */
+  async function getSettings() {
+    const policy = await getManagedPolicy();
+    const defaults = Object.assign({}, DEFAULT_SETTINGS, pickManagedFields(policy.defaults));
+    const saved = await chrome.storage.sync.get(defaults);
+
+    const locked = pickManagedFields(policy.locked);
+    if (Array.isArray(policy.allowedObjects)) {
+      locked.objectFilterMode = "allow";
+      locked.objectFilterList = policy.allowedObjects.slice();
+    }
+
+    return Object.assign(saved, locked, {
+      lockedFields: Object.keys(locked),
+      allowedOrgs: Array.isArray(policy.allowedOrgs) ? policy.allowedOrgs : null,
+      disableWriteActions: policy.disableWriteActions === true
+    });
+  }
+
+  /**
+   * @description Tells whether the object filter lets the button show on a record. Entries are
+   * matched against the object API name, without regard to case, or against the record's key
+   * prefix, which is case-sensitive and also works when the object name cannot be resolved.
+   * @param {Object} settings - The settings
+   * @param {string|null} objectName - The object API name, if it could be resolved
+   * @param {string} recordId - The record ID
+   * @returns {boolean} True if the button may show
+   */
+  function isObjectAllowed(settings, objectName, recordId) {
+    if (settings.objectFilterMode !== "allow" && settings.objectFilterMode !== "deny") return true;
+
+    const prefix = recordId.substring(0, 3);
+    const name = (objectName || "").toLowerCase();
+    const listed = settings.objectFilterList.some((entry) => {
+      const value = entry.trim();
+      return value === prefix || (name !== "" && value.toLowerCase() === name);
+    });
+    return settings.objectFilterMode === "allow" ? listed : !listed;
+  }
+
+  /**
+   * @description Gets the My Domain name of a Salesforce host, the same for all the hosts of an
+   * org: acme.my.salesforce.com, acme.lightning.force.com and acme--c.vf.force.com give "acme",
+   * and acme--uat.sandbox.my.salesforce.com gives "acme--uat"
+   * @param {string} host - The host
+   * @returns {string} The My Domain name
+   */
+  function getMyDomainName(host) {
+    const orgHost = globalThis.sfSharingHosts.getOrgHost(host); // Null for custom domains, which keep their first label
+    return (orgHost || host).split(".")[0].replace(/--c$/, "").toLowerCase();
+  }
+
+  /**
+   * @description Loads the Salesforce user languages seen per org
+   * @returns {Promise<{byOrg: Object<string, {locale: string, seenAt: string}>, latest: string|null}>} The
+   * languages keyed by My Domain name, and the one seen last, for places that are not tied to an org
+   */
+  async function getSalesforceLocales() {
+    const { [SALESFORCE_LOCALES_KEY]: byOrg = {} } = await chrome.storage.local.get(SALESFORCE_LOCALES_KEY);
+    const latest = Object.values(byOrg).sort((a, b) => b.seenAt.localeCompare(a.seenAt))[0];
+    return { byOrg, latest: latest ? latest.locale : null };
+  }
+
+  /**
+   * @description Remembers the Salesforce user language of an org
+   * @param {string} host - The host of a page of the org
+   * @param {string} locale - The user's LanguageLocaleKey
+   * @returns {Promise<void>} Resolves once stored
+   */
+  async function rememberSalesforceLocale(host, locale) {
+    const { byOrg, latest } = await getSalesforceLocales();
+    const key = getMyDomainName(host);
+    if (latest === locale && byOrg[key] && byOrg[key].locale === locale) return; // Nothing new to tell
+    byOrg[key] = { locale, seenAt: new Date().toISOString() };
+    await chrome.storage.local.set({ [SALESFORCE_LOCALES_KEY]: byOrg });
+  }
+
+  /**
+   * @description Tells whether the policy lets the button show in an org. Entries of allowedOrgs
+   * are org IDs (15 or 18 characters) or My Domain names, like org profile keys.
+   * @param {Object} settings - The settings
+   * @param {string|null} orgId - The org ID, if known
+   * @param {string} host - The host of a page of the org
+   * @returns {boolean} True if the button may show
+   */
+  function isOrgAllowed(settings, orgId, host) {
+    if (!settings.allowedOrgs) return true;
+    const myDomain = host ? getMyDomainName(host) : null;
+    return settings.allowedOrgs.some((entry) => {
+      const key = entry.trim();
+      return (orgId && key.substring(0, 15) === orgId.substring(0, 15)) || key.toLowerCase() === myDomain;
+    });
+  }
+
+  /**
+   * @description Finds the profile of an org, by org ID first and by My Domain otherwise
+   * @param {Object} settings - The settings
+   * @param {string|null} orgId - The org ID, if known
+   * @param {string} host - The host of a page of the org
+   * @returns {{key: string, profile: Object}|null} The profile and its key, or null for unknown orgs
+   */
+  function findOrgProfile(settings, orgId, host) {
+    const profiles = settings.orgProfiles || {};
+    const orgKey = orgId && Object.keys(profiles).find(key => key.substring(0, 15) === orgId.substring(0, 15));
+    const key = orgKey || (host && profiles[getMyDomainName(host)] ? getMyDomainName(host) : null);
+    return key ? { key, profile: profiles[key] } : null;
+  }
+
+  /**
+   * @description Gets the settings for an org: its profile's values replace the global ones,
+   * except those locked by the policy, and the button is turned off in orgs the policy leaves out
+   * @param {Object} settings - The settings
+   * @param {string|null} orgId - The org ID, if known
+   * @param {string} host - The host of a page of the org
+   * @returns {Object} The settings, with orgProfile set to the matching profile (or null)
+   */
+  function applyOrgProfile(settings, orgId, host) {
+    const match = findOrgProfile(settings, orgId, host);
+    const effective = Object.assign({}, settings, { orgProfile: match ? match.profile : null });
+    if (match) {
+      PROFILE_FIELDS.forEach((field) => {
+        const locked = (settings.lockedFields || []).includes(field);
+        if (match.profile[field] !== undefined && !locked) effective[field] = match.profile[field];
+      });
+    }
+    if (!isOrgAllowed(settings, orgId, host)) effective.enabled = false;
+    return effective;
+  }
+
+  /**
+   * @description Creates a profile starting from the current global settings
+   * @param {Object} settings - The settings
+   * @param {string} label - The org label shown on the button (e.g. "PROD")
+   * @returns {Object} The profile
+   */
+  function createOrgProfile(settings, label) {
+    const profile = { label, color: "#706e6b", badgeStyle: "badge" };
+    PROFILE_FIELDS.forEach((field) => {
+      profile[field] = Array.isArray(settings[field]) ? settings[field].slice() : settings[field];
+    });
+    return profile;
+  }
+
+  globalThis.sfSharingSettings = {
+    LANGUAGE_MODES,
+    OPEN_MODES,
+    PLACEMENTS,
+    OBJECT_FILTER_MODES,
+    BADGE_STYLES,
+    PROFILE_FIELDS,
+    MANAGED_FIELDS,
+    DEFAULT_SETTINGS,
+    getManagedPolicy,
+    getSettings,
+    isObjectAllowed,
+    getMyDomainName,
+    getSalesforceLocales,
+    rememberSalesforceLocale,
+    isOrgAllowed,
+    findOrgProfile,
+    applyOrgProfile,
+    createOrgProfile
+  };
+})();
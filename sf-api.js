@@ -0,0 +1,420 @@
+/**
+ * @description Salesforce REST API client for the SF Sharing Button content script.
+ *
+ * Requests are relayed through the background script, which attaches the user's existing
+ * Salesforce session for the org of the current page. Metadata that rarely changes, such as
+ * an object's organization-wide defaults, is cached in chrome.storage.local per org.
+ *
+ * @function request - Performs a REST API call through the background script
+ * @function query - Runs a SOQL query, following pagination
+ * @function toolingQuery - Runs a Tooling API SOQL query
+ * @function getOrgId - Gets the ID of the org the current page belongs to
+ * @function getUserLanguage - Gets the language of the logged-in user from the UserInfo API
+ * @function getSharingModel - Gets an object's internal and external sharing model (cached)
+ * @function getKeyPrefixMap - Gets the key prefix to object name map from describeGlobal (cached)
+ * @function resolveObjectName - Resolves the object API name of a record ID
+ * @function soqlString - Quotes and escapes a value for use in a SOQL string literal
+ * @function soqlLike - Builds a "contains" LIKE pattern literal with wildcards escaped
+ * @function getShareRows - Gets a record's share rows with user and group names resolved
+ * @function searchShareTargets - Searches users, public groups or roles to share a record with
+ * @function createShare - Creates a manual share row
+ * @function updateShareAccess - Changes the access level of a share row
+ * @function deleteShare - Deletes a share row
+ */
+(function () {
+  const API_VERSION = "v59.0"; // REST API version used for every call
+  const CACHE_PREFIX = "sfSharingCache:"; // Prefix for cached entries in chrome.storage.local
+  const CACHE_TTL_MS = 24 * 60 * 60 * 1000; // Cached metadata is refreshed once a day
+
+  // Sharing models that leave room for sharing, so the object has a __Share object
+  const SHAREABLE_MODELS = ["Private", "Read"];
+
+  // Translation keys of the labels of Group.Type values that can appear as share targets
+  const GROUP_TYPE_KEYS = {
+    Regular: "groupTypeRegular",
+    Role: "groupTypeRole",
+    RoleAndSubordinates: "groupTypeRoleAndSubordinates",
+    RoleAndSubordinatesInternal: "groupTypeRoleAndSubordinatesInternal",
+    Queue: "groupTypeQueue",
+    Organization: "groupTypeOrganization",
+    AllCustomerPortal: "groupTypeAllCustomerPortal",
+    Manager: "groupTypeManager",
+    ManagerAndSubordinatesInternal: "groupTypeManagerAndSubordinatesInternal",
+    Territory: "groupTypeTerritory",
+    TerritoryAndSubordinates: "groupTypeTerritoryAndSubordinates"
+  };
+
+  let orgId = null; // The org ID only changes with a full page load
+
+  /**
+   * @description Error thrown when a Salesforce API call fails
+   * @param {string} message - The error message returned by Salesforce
+   * @param {number} status - The HTTP status code
+   * @param {string} errorCode - The Salesforce error code (e.g. INSUFFICIENT_ACCESS_OR_READONLY)
+   */
+  class SfApiError extends Error {
+    constructor(message, status, errorCode) {
+      super(message);
+      this.name = "SfApiError";
+      this.status = status;
+      this.errorCode = errorCode;
+    }
+  }
+
+  /**
+   * @description Performs an API call through the background script
+   * @param {string} path - The path, starting with /services/
+   * @param {Object} options - Request options (see request())
+   * @returns {Promise<*>} The parsed response body
+   * @throws {SfApiError} If the call fails
+   */
+  function send(path, options) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({
+        type: "sfApi",
+        path,
+        method: options.method,
+        body: options.body,
+        pageUrl: options.pageUrl || window.location.href
+      }, (response) => {
+        if (chrome.runtime.lastError || !response) {
+          reject(new SfApiError(chrome.runtime.lastError?.message || "No response from the extension", 0, "NO_RESPONSE"));
+          return;
+        }
+        if (response.orgId) {
+          orgId = response.orgId;
+        }
+        if (!response.ok) {
+          const error = Array.isArray(response.data) ? response.data[0] : null; // Salesforce returns an array of errors
+          reject(new SfApiError(error?.message || `HTTP ${response.status}`, response.status, error?.errorCode || "UNKNOWN"));
+          return;
+        }
+        resolve(response.data);
+      });
+    });
+  }
+
+  /**
+   * @description Performs a REST API call through the background script
+   * @param {string} path - The path relative to /services/data/<version>, e.g. "/query?q=..."
+   * @param {Object} [options] - Request options
+   * @param {string} [options.method] - The HTTP method (default: GET)
+   * @param {Object} [options.body] - The JSON body for write requests
+   * @param {string} [options.pageUrl] - A page of the org to call, for extension pages (default: the current page)
+   * @returns {Promise<*>} The parsed response body
+   * @throws {SfApiError} If the call fails
+   */
+  function request(path, options = {}) {
+    return send(`/services/data/${API_VERSION}${path}`, options);
+  }
+
+  /**
+   * @description Runs a SOQL query, following nextRecordsUrl until all records are returned
+   * @param {string} soql - The SOQL query
+   * @returns {Promise<Object[]>} The returned records
+   */
+  async function query(soql) {
+    let result = await request(`/query?q=${encodeURIComponent(soql)}`);
+    const records = result.records || [];
+    while (!result.done && result.nextRecordsUrl) {
+      result = await request(result.nextRecordsUrl.replace(`/services/data/${API_VERSION}`, ""));
+      records.push(...(result.records || []));
+    }
+    return records;
+  }
+
+  /**
+   * @description Runs a Tooling API SOQL query
+   * @param {string} soql - The SOQL query
+   * @returns {Promise<Object[]>} The returned records
+   */
+  async function toolingQuery(soql) {
+    const result = await request(`/tooling/query?q=${encodeURIComponent(soql)}`);
+    return result.records || [];
+  }
+
+  /**
+   * @description Gets the ID of the org the current page belongs to
+   * @returns {Promise<string>} The 15-character org ID
+   */
+  async function getOrgId() {
+    if (!orgId) {
+      await request("/"); // Any call reports the org ID of the session it used
+    }
+    return orgId;
+  }
+
+  /**
+   * @description Gets the language of the logged-in user from the UserInfo API
+   * @returns {Promise<string|null>} The user's LanguageLocaleKey, e.g. "pt_BR"
+   */
+  async function getUserLanguage() {
+    const info = await send("/services/oauth2/userinfo", {});
+    return info.language || null;
+  }
+
+  /**
+   * @description Reads a cached value for the current org
+   * @param {string} key - The cache key
+   * @returns {Promise<*>} The cached value, or undefined if missing or expired
+   */
+  async function getCached(key) {
+    const storageKey = CACHE_PREFIX + (await getOrgId()) + ":" + key;
+    const items = await chrome.storage.local.get(storageKey);
+    const entry = items[storageKey];
+    if (!entry || Date.now() - entry.cachedAt > CACHE_TTL_MS) return undefined;
+    return entry.value;
+  }
+
+  /**
+   * @description Stores a value in the cache for the current org
+   * @param {string} key - The cache key
+   * @param {*} value - The value to cache
+   */
+  async function setCached(key, value) {
+    const storageKey = CACHE_PREFIX + (await getOrgId()) + ":" + key;
+    await chrome.storage.local.set({ [storageKey]: { value, cachedAt: Date.now() } });
+  }
+
+  /**
+   * @description Gets the internal and external sharing model of the object a record belongs to
+   * @param {string} recordId - A record ID of the object
+   * @returns {Promise<{objectName: string, internal: string, external: string, shareable: boolean}|null>} The sharing model, or null if the object is unknown
+   */
+  async function getSharingModel(recordId) {
+    const keyPrefix = recordId.substring(0, 3);
+    const cacheKey = `sharingModel:${keyPrefix}`;
+
+    const cached = await getCached(cacheKey);
+    if (cached !== undefined) return cached;
+
+    const records = await toolingQuery(
+      "SELECT QualifiedApiName, InternalSharingModel, ExternalSharingModel " +
+      `FROM EntityDefinition WHERE KeyPrefix = '${keyPrefix.replace(/[^a-zA-Z0-9]/g, "")}'`
+    );
+
+    let model = null;
+    if (records.length > 0) {
+      const internal = records[0].InternalSharingModel;
+      const external = records[0].ExternalSharingModel;
+      model = {
+        objectName: records[0].QualifiedApiName,
+        internal,
+        external,
+        // Objects controlled by their parent never have their own __Share object
+        shareable: internal !== "ControlledByParent" &&
+          (SHAREABLE_MODELS.includes(internal) || SHAREABLE_MODELS.includes(external))
+      };
+    }
+
+    await setCached(cacheKey, model);
+    return model;
+  }
+
+  /**
+   * @description Gets the key prefix to object API name map of the org, built from describeGlobal
+   * @returns {Promise<Object<string, string>>} The map, e.g. { "001": "Account", "a0p": "Invoice__c" }
+   */
+  async function getKeyPrefixMap() {
+    const cached = await getCached("keyPrefixes");
+    if (cached !== undefined) return cached;
+
+    const result = await request("/sobjects/");
+    const map = {};
+    (result.sobjects || []).forEach((sobject) => {
+      if (sobject.keyPrefix) map[sobject.keyPrefix] = sobject.name;
+    });
+
+    await setCached("keyPrefixes", map);
+    return map;
+  }
+
+  /**
+   * @description Resolves the object API name of a record ID from its key prefix.
+   * Falls back to the well-known standard prefixes when describeGlobal is not available.
+   * @param {string} recordId - The record ID
+   * @returns {Promise<string|null>} The object API name, or null if it cannot be resolved
+   */
+  async function resolveObjectName(recordId) {
+    try {
+      const map = await getKeyPrefixMap();
+      return map[recordId.substring(0, 3)] || null;
+    } catch (e) {
+      return globalThis.sfSharingRoutes ? globalThis.sfSharingRoutes.getObjectNameFromPrefix(recordId) : null;
+    }
+  }
+
+  /**
+   * @description Quotes and escapes a value for use in a SOQL string literal
+   * @param {string} value - The value
+   * @returns {string} The quoted literal, e.g. 'O\'Brien'
+   */
+  function soqlString(value) {
+    return `'${String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+  }
+
+  /**
+   * @description Builds a "contains" LIKE pattern literal, escaping the % and _ wildcards in the term
+   * @param {string} term - The search term
+   * @returns {string} The quoted pattern, e.g. '%acme\_sales%'
+   */
+  function soqlLike(term) {
+    const literal = soqlString(term);
+    return `'%${literal.slice(1, -1).replace(/[%_]/g, "\\$&")}%'`;
+  }
+
+  /**
+   * @description Gets the share object route of an object, failing when it has none
+   * @param {string} objectName - The object API name
+   * @returns {Object} The route from sharing-routes.js
+   * @throws {SfApiError} If the object has no share object
+   */
+  function getShareRoute(objectName) {
+    const route = globalThis.sfSharingRoutes.getRoute(objectName);
+    if (!route) throw new SfApiError(`${objectName} has no share object`, 0, "NO_SHARE_OBJECT");
+    return route;
+  }
+
+  /**
+   * @description Gets the share rows of a record. Group targets are resolved to their group type,
+   * and role-based groups (which have no name of their own) to the name of their role.
+   * @param {string} recordId - The record ID
+   * @param {string} objectName - The object API name
+   * @returns {Promise<Object[]>} Rows as { id, userOrGroupId, name, type, accessLevel, rowCause, lastModifiedDate, lastModifiedBy }
+   * @throws {SfApiError} If the object has no share object or the query fails
+   */
+  async function getShareRows(recordId, objectName) {
+    const route = getShareRoute(objectName);
+    const records = await query(
+      `SELECT Id, UserOrGroupId, UserOrGroup.Name, UserOrGroup.Type, ${route.accessField}, RowCause, ` +
+      `LastModifiedDate, LastModifiedBy.Name FROM ${route.shareObject} WHERE ${route.parentField} = ${soqlString(recordId)}`
+    );
+
+    const rows = records.map(r => ({
+      id: r.Id,
+      userOrGroupId: r.UserOrGroupId,
+      name: r.UserOrGroup?.Name || "",
+      type: r.UserOrGroup?.Type || "",
+      accessLevel: r[route.accessField],
+      rowCause: r.RowCause,
+      lastModifiedDate: r.LastModifiedDate,
+      lastModifiedBy: r.LastModifiedBy?.Name || ""
+    }));
+
+    const groupIds = rows.filter(r => r.userOrGroupId.startsWith("00G")).map(r => soqlString(r.userOrGroupId));
+    if (groupIds.length > 0) {
+      const groups = await query(`SELECT Id, Name, Type, RelatedId FROM Group WHERE Id IN (${groupIds.join(",")})`);
+      const roleIds = groups.filter(g => g.RelatedId && g.RelatedId.startsWith("00E")).map(g => soqlString(g.RelatedId));
+      const roles = roleIds.length > 0
+        ? await query(`SELECT Id, Name FROM UserRole WHERE Id IN (${roleIds.join(",")})`)
+        : [];
+      const roleNames = new Map(roles.map(role => [role.Id, role.Name]));
+      const groupsById = new Map(groups.map(g => [g.Id, g]));
+
+      rows.forEach((row) => {
+        const group = groupsById.get(row.userOrGroupId);
+        if (!group) return;
+        row.type = GROUP_TYPE_KEYS[group.Type] ? window.sfSharingI18n.t(GROUP_TYPE_KEYS[group.Type]) : group.Type;
+        row.name = row.name || group.Name || roleNames.get(group.RelatedId) || "";
+      });
+    }
+    return rows;
+  }
+
+  /**
+   * @description Searches the users, public groups or roles a record can be shared with.
+   * Roles are shared through their role group, so the returned ID is always a valid UserOrGroupId.
+   * @param {string} kind - "User", "Regular" (public group), "Role" or "RoleAndSubordinates"
+   * @param {string} term - The text to search for in the name
+   * @returns {Promise<Array<{id: string, name: string, detail: string}>>} Up to 20 matches
+   */
+  async function searchShareTargets(kind, term) {
+    const like = soqlLike(term);
+
+    if (kind === "User") {
+      const users = await query(`SELECT Id, Name, Username FROM User WHERE IsActive = true AND Name LIKE ${like} ORDER BY Name LIMIT 20`);
+      return users.map(u => ({ id: u.Id, name: u.Name, detail: u.Username }));
+    }
+
+    if (kind === "Regular") {
+      const groups = await query(`SELECT Id, Name, DeveloperName FROM Group WHERE Type = 'Regular' AND Name LIKE ${like} ORDER BY Name LIMIT 20`);
+      return groups.map(g => ({ id: g.Id, name: g.Name, detail: g.DeveloperName }));
+    }
+
+    const roles = await query(`SELECT Id, Name, DeveloperName FROM UserRole WHERE Name LIKE ${like} ORDER BY Name LIMIT 20`);
+    if (roles.length === 0) return [];
+    const roleGroups = await query(
+      `SELECT Id, RelatedId FROM Group WHERE Type = ${soqlString(kind)} AND RelatedId IN (${roles.map(r => soqlString(r.Id)).join(",")})`
+    );
+    const groupByRole = new Map(roleGroups.map(g => [g.RelatedId, g.Id]));
+    return roles
+      .filter(r => groupByRole.has(r.Id))
+      .map(r => ({ id: groupByRole.get(r.Id), name: r.Name, detail: r.DeveloperName }));
+  }
+
+  /**
+   * @description Creates a manual share row for a record
+   * @param {string} objectName - The object API name
+   * @param {string} recordId - The record ID
+   * @param {string} userOrGroupId - The user or group to share with
+   * @param {string} accessLevel - "Read" or "Edit"
+   * @returns {Promise<Object>} The create result ({ id, success })
+   */
+  function createShare(objectName, recordId, userOrGroupId, accessLevel) {
+    const route = getShareRoute(objectName);
+    return request(`/sobjects/${route.shareObject}/`, {
+      method: "POST",
+      body: Object.assign({}, route.createDefaults, {
+        [route.parentField]: recordId,
+        UserOrGroupId: userOrGroupId,
+        [route.accessField]: accessLevel
+      })
+    });
+  }
+
+  /**
+   * @description Changes the access level of a share row
+   * @param {string} objectName - The object API name
+   * @param {string} shareId - The share row ID
+   * @param {string} accessLevel - "Read" or "Edit"
+   * @returns {Promise<null>} Resolves when the share row is updated
+   */
+  function updateShareAccess(objectName, shareId, accessLevel) {
+    const route = getShareRoute(objectName);
+    return request(`/sobjects/${route.shareObject}/${shareId}`, {
+      method: "PATCH",
+      body: { [route.accessField]: accessLevel }
+    });
+  }
+
+  /**
+   * @description Deletes a share row
+   * @param {string} objectName - The object API name
+   * @param {string} shareId - The share row ID
+   * @returns {Promise<null>} Resolves when the share row is deleted
+   */
+  function deleteShare(objectName, shareId) {
+    const route = getShareRoute(objectName);
+    return request(`/sobjects/${route.shareObject}/${shareId}`, { method: "DELETE" });
+  }
+
+  globalThis.sfSharingApi = {
+    API_VERSION,
+    SfApiError,
+    request,
+    query,
+    toolingQuery,
+    getOrgId,
+    getUserLanguage,
+    getSharingModel,
+    getKeyPrefixMap,
+    resolveObjectName,
+    soqlString,
+    soqlLike,
+    getShareRows,
+    searchShareTargets,
+    createShare,
+    updateShareAccess,
+    deleteShare
+  };
+})();
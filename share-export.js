@@ -0,0 +1,94 @@
+/**
+ * @description Share row export for the SF Sharing Button Chrome extension.
+ *
+ * Downloads the share rows of a record as CSV or JSON, as evidence of who has access to it.
+ * Column headers use the active translation, and the file name carries the object name,
+ * record ID and export time.
+ *
+ * @function toCsv - Serializes rows to CSV
+ * @function download - Makes the browser download a file
+ * @function exportShareRows - Fetches a record's share rows and downloads them
+ */
+(function () {
+  /**
+   * @description Serializes rows to CSV, quoting every value. Values that start like a
+   * formula are prefixed with an apostrophe so spreadsheets show them as text.
+   * @param {string[]} headers - The header row
+   * @param {Array<Array<string>>} rows - The data rows
+   * @returns {string} The CSV text
+   */
+  function toCsv(headers, rows) {
+    const quote = value => {
+      const text = String(value ?? "").replace(/^[=+\-@\t\r]/, "'$&");
+      return `"${text.replace(/"/g, '""')}"`;
+    };
+    return [headers].concat(rows).map(row => row.map(quote).join(",")).join("\r\n");
+  }
+
+  /**
+   * @description Makes the browser download a file
+   * @param {string} fileName - The file name
+   * @param {string} content - The file content
+   * @param {string} mimeType - The MIME type
+   */
+  function download(fileName, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * @description Fetches the share rows of a record and downloads them as CSV or JSON
+   * @param {Object} options - Export options
+   * @param {string} options.recordId - The record ID
+   * @param {string} options.objectName - The object API name
+   * @param {string} options.format - "csv" or "json"
+   * @param {Function} options.t - Translation function (key => text)
+   * @returns {Promise<number>} The number of exported rows
+   */
+  async function exportShareRows({ recordId, objectName, format, t }) {
+    const { formatAccessLevel, formatRowCause } = window.sfSharingUi;
+    const rows = await window.sfSharingApi.getShareRows(recordId, objectName);
+
+    const columns = [
+      { label: t("exportColumnUserOrGroupId"), value: row => row.userOrGroupId },
+      { label: t("panelColumnName"), value: row => row.name },
+      { label: t("panelColumnType"), value: row => row.type },
+      { label: t("panelColumnAccess"), value: row => formatAccessLevel(row.accessLevel) },
+      { label: t("panelColumnReason"), value: row => formatRowCause(row.rowCause) },
+      { label: t("panelColumnLastModified"), value: row => row.lastModifiedDate },
+      { label: t("exportColumnLastModifiedBy"), value: row => row.lastModifiedBy }
+    ];
+
+    const exportedAt = new Date();
+    const timestamp = exportedAt.toISOString().replace(/\.\d+Z$/, "Z").replace(/:/g, "-");
+    const baseName = `sharing_${objectName}_${recordId}_${timestamp}`;
+
+    if (format === "json") {
+      const json = {
+        recordId,
+        objectName,
+        url: window.location.href,
+        exportedAt: exportedAt.toISOString(),
+        rows: rows.map(row => Object.fromEntries(columns.map(col => [col.label, col.value(row)])))
+      };
+      download(`${baseName}.json`, JSON.stringify(json, null, 2), "application/json");
+    } else {
+      // The BOM makes Excel read the file as UTF-8
+      const csv = "\uFEFF" + toCsv(columns.map(col => col.label), rows.map(row => columns.map(col => col.value(row))));
+      download(`${baseName}.csv`, csv, "text/csv;charset=utf-8");
+    }
+    return rows.length;
+  }
+
+  globalThis.sfSharingExport = {
+    toCsv,
+    download,
+    exportShareRows
+  };
+})();
@@ -0,0 +1,301 @@
+/**
+ * @description In-page sharing panel for the SF Sharing Button Chrome extension.
+ *
+ * Shows the share rows of a record in an SLDS-styled modal, so users can review sharing without
+ * leaving the record. Manual shares can be added, changed and removed from the same panel, unless
+ * the policy turns write actions off.
+ *
+ * @function open - Opens the panel for a record
+ */
+(function () {
+  // Access levels that can be granted through a manual share
+  const GRANTABLE_ACCESS_LEVELS = ["Read", "Edit"];
+
+  // Share targets offered by "Add share": users, and the Group.Type values of public groups and roles
+  const SHARE_TARGET_KINDS = ["User", "Regular", "Role", "RoleAndSubordinates"];
+
+  /**
+   * @description Turns a failed write into a message the user can act on
+   * @param {Error} error - The error thrown by sfSharingApi
+   * @param {Function} t - Translation function
+   * @returns {string} The message to show
+   */
+  function describeWriteError(error, t) {
+    switch (error.errorCode) {
+      case "INSUFFICIENT_ACCESS":
+      case "INSUFFICIENT_ACCESS_OR_READONLY":
+      case "INSUFFICIENT_ACCESS_ON_CROSS_REFERENCE_ENTITY":
+        return `${t("panelErrorInsufficientAccess")} (${error.message})`;
+      case "INVALID_ACCESS_LEVEL":
+      case "FIELD_INTEGRITY_EXCEPTION":
+        return `${t("panelErrorAccessBelowDefault")} (${error.message})`;
+      default:
+        return error.message;
+    }
+  }
+
+  /**
+   * @description Opens the panel for a record and loads its share rows
+   * @param {Object} options - Panel options
+   * @param {string} options.recordId - The record ID
+   * @param {string|null} options.objectName - The object API name, if it could be resolved
+   * @param {Function} options.t - Translation function ((key, params) => text)
+   * @param {Function} options.onOpenClassic - Opens the Classic sharing page of the record
+   * @param {boolean} [options.readOnly] - Leaves out adding, changing and removing shares
+   */
+  function open({ recordId, objectName, t, onOpenClassic, readOnly = false }) {
+    const api = window.sfSharingApi;
+    const { el, formatAccessLevel, formatRowCause } = window.sfSharingUi;
+    const state = { rows: [], sortKey: "name", sortAsc: true, filter: "" };
+
+    const columns = [
+      { key: "name", label: t("panelColumnName") },
+      { key: "type", label: t("panelColumnType") },
+      { key: "accessLevel", label: t("panelColumnAccess"), format: formatAccessLevel },
+      { key: "rowCause", label: t("panelColumnReason"), format: formatRowCause },
+      { key: "lastModifiedDate", label: t("panelColumnLastModified"), format: v => (v ? new Date(v).toLocaleString() : "") }
+    ];
+
+    const content = el("div", { className: "content" }, [el("div", { className: "message" }, [t("panelLoading")])]);
+    const notice = el("div", { className: "notice", role: "status", hidden: true });
+    const editor = el("div", { className: "editor", hidden: true });
+    const footer = el("div", { className: "footer" });
+    const filterInput = el("input", {
+      type: "search",
+      placeholder: t("panelFilterPlaceholder"),
+      "aria-label": t("panelFilterPlaceholder"),
+      onInput: (event) => {
+        state.filter = event.target.value.trim().toLowerCase();
+        renderTable();
+      }
+    });
+    const addButton = el("button", { className: "button brand", disabled: true, onClick: () => showAddShareForm() }, [t("panelAddShare")]);
+
+    /**
+     * @description Shows a success or error message above the table
+     * @param {string} text - The message
+     * @param {string} kind - "success" or "error"
+     */
+    function showNotice(text, kind) {
+      notice.className = `notice ${kind}`;
+      notice.textContent = text;
+      notice.hidden = false;
+    }
+
+    /**
+     * @description Shows the given controls in the editor area, or hides it when there are none
+     * @param {Node[]} [children] - The editor content
+     */
+    function showEditor(children = []) {
+      editor.replaceChildren(...children);
+      editor.hidden = children.length === 0;
+    }
+
+    /**
+     * @description Asks the user to confirm a write, then runs it and reloads the share rows
+     * @param {string} message - What is about to happen
+     * @param {Function} action - Returns a promise performing the write
+     * @param {string} successMessage - Shown once the write succeeded
+     */
+    function confirmWrite(message, action, successMessage) {
+      const confirmButton = el("button", { className: "button brand" }, [t("panelConfirm")]);
+      const cancelButton = el("button", { className: "button", onClick: () => showEditor() }, [t("panelCancel")]);
+      confirmButton.addEventListener("click", () => {
+        confirmButton.disabled = true;
+        cancelButton.disabled = true;
+        action().then(() => {
+          showEditor();
+          showNotice(successMessage, "success");
+          load();
+        }).catch((e) => {
+          showEditor();
+          showNotice(describeWriteError(e, t), "error");
+        });
+      });
+      notice.hidden = true;
+      showEditor([el("span", { className: "grow" }, [message]), cancelButton, confirmButton]);
+      confirmButton.focus();
+    }
+
+    /**
+     * @description Builds the access level picker for manual shares
+     * @param {string} [selected] - The initially selected access level
+     * @returns {HTMLSelectElement} The picker
+     */
+    function accessLevelSelect(selected) {
+      return el("select", { "aria-label": t("panelColumnAccess") }, GRANTABLE_ACCESS_LEVELS.map(level =>
+        el("option", { value: level, selected: level === selected }, [formatAccessLevel(level)])
+      ));
+    }
+
+    /**
+     * @description Shows the "Add share" form: a user, public group or role lookup and an access level
+     */
+    function showAddShareForm() {
+      let selected = null;
+
+      const kindSelect = el("select", { "aria-label": t("panelColumnType") }, SHARE_TARGET_KINDS.map(kind =>
+        el("option", { value: kind }, [t(`panelTarget${kind}`)])
+      ));
+      const accessSelect = accessLevelSelect("Read");
+      const saveButton = el("button", { className: "button brand", disabled: true }, [t("panelSave")]);
+      const lookup = window.sfSharingUi.createLookup({
+        t,
+        search: term => api.searchShareTargets(kindSelect.value, term),
+        onSelect: (match) => {
+          selected = match;
+          saveButton.disabled = !match;
+        },
+        onError: e => showNotice(e.message, "error")
+      });
+
+      kindSelect.addEventListener("change", lookup.refresh);
+      saveButton.addEventListener("click", () => {
+        const kindLabel = t(`panelTarget${kindSelect.value}`);
+        confirmWrite(
+          t("panelConfirmAdd", { name: `${selected.name} (${kindLabel})`, access: formatAccessLevel(accessSelect.value) }),
+          () => api.createShare(objectName, recordId, selected.id, accessSelect.value),
+          t("panelShareAdded")
+        );
+      });
+
+      notice.hidden = true;
+      showEditor([
+        kindSelect,
+        lookup.element,
+        accessSelect,
+        el("button", { className: "button", onClick: () => showEditor() }, [t("panelCancel")]),
+        saveButton
+      ]);
+      lookup.input.focus();
+    }
+
+    /**
+     * @description Shows the "Change access" form for a manual share row
+     * @param {Object} row - The share row
+     */
+    function showChangeAccessForm(row) {
+      const accessSelect = accessLevelSelect(row.accessLevel);
+      const saveButton = el("button", {
+        className: "button brand",
+        onClick: () => confirmWrite(
+          t("panelConfirmChange", {
+            name: row.name,
+            from: formatAccessLevel(row.accessLevel),
+            to: formatAccessLevel(accessSelect.value)
+          }),
+          () => api.updateShareAccess(objectName, row.id, accessSelect.value),
+          t("panelShareUpdated")
+        )
+      }, [t("panelSave")]);
+
+      notice.hidden = true;
+      showEditor([
+        el("span", { className: "grow" }, [t("panelChangeAccessFor", { name: row.name })]),
+        accessSelect,
+        el("button", { className: "button", onClick: () => showEditor() }, [t("panelCancel")]),
+        saveButton
+      ]);
+    }
+
+    /**
+     * @description Builds the actions cell of a row. Only manual shares can be changed or removed;
+     * the other row causes are managed by ownership, sharing rules, teams or territories.
+     * @param {Object} row - The share row
+     * @returns {HTMLTableCellElement} The cell
+     */
+    function actionsCell(row) {
+      if (row.rowCause !== "Manual" || readOnly) return el("td");
+      return el("td", { className: "actions" }, [
+        el("button", { className: "link", onClick: () => showChangeAccessForm(row) }, [t("panelChangeAccess")]),
+        el("button", {
+          className: "link danger",
+          onClick: () => confirmWrite(
+            t("panelConfirmRemove", { name: row.name }),
+            () => api.deleteShare(objectName, row.id),
+            t("panelShareRemoved")
+          )
+        }, [t("panelRemove")])
+      ]);
+    }
+
+    /**
+     * @description Renders the filtered and sorted rows into the content area
+     */
+    function renderTable() {
+      const visible = state.rows
+        .filter(row => !state.filter || columns.some(col => {
+          const value = col.format ? col.format(row[col.key]) : row[col.key];
+          return String(value || "").toLowerCase().includes(state.filter);
+        }))
+        .sort((a, b) => {
+          const result = String(a[state.sortKey] || "").localeCompare(String(b[state.sortKey] || ""));
+          return state.sortAsc ? result : -result;
+        });
+
+      const headerRow = el("tr", {}, columns.map(col => el("th", {
+        scope: "col",
+        "aria-sort": state.sortKey === col.key ? (state.sortAsc ? "ascending" : "descending") : "none",
+        onClick: () => {
+          state.sortAsc = state.sortKey === col.key ? !state.sortAsc : true;
+          state.sortKey = col.key;
+          renderTable();
+        }
+      }, [col.label])));
+      headerRow.append(el("th", { scope: "col", className: "static" }, [el("span", { className: "assistive" }, [t("panelColumnActions")])]));
+
+      const bodyRows = visible.map(row => el("tr", {}, columns.map(col =>
+        el("td", {}, [String((col.format ? col.format(row[col.key]) : row[col.key]) || "")])
+      ).concat(actionsCell(row))));
+
+      content.replaceChildren(visible.length > 0
+        ? el("table", {}, [el("thead", {}, [headerRow]), el("tbody", {}, bodyRows)])
+        : el("div", { className: "message" }, [t("panelNoRows")]));
+      footer.textContent = t("panelRowCount", { shown: visible.length, total: state.rows.length });
+    }
+
+    /**
+     * @description Loads (or reloads) the share rows of the record
+     */
+    function load() {
+      api.getShareRows(recordId, objectName).then((rows) => {
+        state.rows = rows;
+        addButton.disabled = false;
+        renderTable();
+      }).catch((e) => {
+        const message = e.errorCode === "NO_SHARE_OBJECT"
+          ? t("errorNoSharingPage", { object: objectName })
+          : `${t("panelErrorLoading")} ${e.message}`;
+        content.replaceChildren(el("div", { className: "message error" }, [message]));
+      });
+    }
+
+    const modal = window.sfSharingUi.openModal({
+      title: t("panelTitle"),
+      subtitle: [objectName, recordId].filter(Boolean).join(" • "),
+      t
+    });
+    modal.append(
+      el("div", { className: "toolbar" }, [
+        filterInput,
+        readOnly ? el("span", { className: "badge" }, [t("panelWriteActionsDisabled")]) : addButton,
+        el("button", { className: "link", onClick: onOpenClassic }, [t("panelOpenClassic")])
+      ]),
+      editor,
+      notice,
+      content,
+      footer
+    );
+    filterInput.focus();
+
+    if (!objectName) {
+      content.replaceChildren(el("div", { className: "message error" }, [t("panelErrorUnknownObject")]));
+      return;
+    }
+    load();
+  }
+
+  globalThis.sfSharingPanel = {
+    open
+  };
+})();
@@ -0,0 +1,91 @@
+/**
+ * @description Sharing routes for the SF Sharing Button Chrome extension.
+ *
+ * Each object that can be shared has its own Classic sharing detail page and its own share
+ * object. Custom objects all use CustomObjectSharingDetail and <Object>__Share, while standard
+ * objects such as Account or Case have dedicated pages and share objects with their own field names.
+ *
+ * @function getRoute - Gets the sharing route for an object API name
+ * @function getObjectNameFromPrefix - Gets a well-known standard object name from a key prefix
+ * @function buildSharingUrl - Builds the Classic sharing detail URL for a record
+ */
+(function () {
+  // Key prefixes of standard objects with a sharing page, used when describeGlobal is not available
+  const STANDARD_KEY_PREFIXES = {
+    "001": "Account",
+    "003": "Contact",
+    "006": "Opportunity",
+    "00Q": "Lead",
+    "500": "Case",
+    "701": "Campaign",
+    "005": "User"
+  };
+
+  // Classic sharing page and share object of each standard object that has one
+  const STANDARD_ROUTES = {
+    Account: {
+      page: "AccSharingDetail",
+      shareObject: "AccountShare",
+      parentField: "AccountId",
+      accessField: "AccountAccessLevel",
+      // AccountShare also requires the access to the account's opportunities and cases
+      createDefaults: { OpportunityAccessLevel: "None", CaseAccessLevel: "None" }
+    },
+    Contact: { page: "ContactSharingDetail", shareObject: "ContactShare", parentField: "ContactId", accessField: "ContactAccessLevel" },
+    Opportunity: { page: "OppSharingDetail", shareObject: "OpportunityShare", parentField: "OpportunityId", accessField: "OpportunityAccessLevel" },
+    Lead: { page: "LeadSharingDetail", shareObject: "LeadShare", parentField: "LeadId", accessField: "LeadAccessLevel" },
+    Case: { page: "CaseSharingDetail", shareObject: "CaseShare", parentField: "CaseId", accessField: "CaseAccessLevel" },
+    Campaign: { page: "CampaignSharingDetail", shareObject: "CampaignShare", parentField: "CampaignId", accessField: "CampaignAccessLevel" },
+    User: { page: "UserSharingDetail", shareObject: "UserShare", parentField: "UserId", accessField: "UserAccessLevel" }
+  };
+
+  /**
+   * @description Gets the sharing route for an object
+   * @param {string} objectName - The object API name (e.g. "Account" or "Invoice__c")
+   * @returns {{page: string, shareObject: string, parentField: string, accessField: string, createDefaults?: Object}|null} The route, or null if the object has no sharing page
+   */
+  function getRoute(objectName) {
+    if (!objectName) return null;
+    if (STANDARD_ROUTES[objectName]) return STANDARD_ROUTES[objectName];
+
+    // Custom objects, including namespaced ones (ns__Invoice__c)
+    if (/__c$/i.test(objectName)) {
+      return {
+        page: "CustomObjectSharingDetail",
+        shareObject: objectName.replace(/__c$/i, "__Share"),
+        parentField: "ParentId",
+        accessField: "AccessLevel"
+      };
+    }
+    return null;
+  }
+
+  /**
+   * @description Gets a well-known standard object name from a record's key prefix
+   * @param {string} recordId - The record ID
+   * @returns {string|null} The object API name, or null if the prefix is not a well-known one
+   */
+  function getObjectNameFromPrefix(recordId) {
+    return STANDARD_KEY_PREFIXES[(recordId || "").substring(0, 3)] || null;
+  }
+
+  /**
+   * @description Builds the Classic sharing detail URL for a record. Records whose object could
+   * not be resolved get the custom object page, as unknown key prefixes are most likely custom objects.
+   * @param {string} origin - The origin of the Salesforce page (e.g. https://acme.lightning.force.com)
+   * @param {string} recordId - The record ID
+   * @param {string|null} objectName - The object API name, or null if it could not be resolved
+   * @returns {string|null} The sharing URL, or null if the object has no sharing page
+   */
+  function buildSharingUrl(origin, recordId, objectName) {
+    const route = objectName ? getRoute(objectName) : { page: "CustomObjectSharingDetail" };
+    if (!route) return null;
+    return `${origin}/p/share/${route.page}?parentId=${recordId}`;
+  }
+
+  globalThis.sfSharingRoutes = {
+    getRoute,
+    getObjectNameFromPrefix,
+    buildSharingUrl
+  };
+})();
@@ -9,15 +9,262 @@ const translations = {
     langEnglishName: "English",
     buttonText: "Sharing",
     buttonTitle: "Open Sharing Detail for this record",
+    buttonTargetTitle: "Record: {record}",
     errorNoRecordId: "Could not detect a Record Id on this page. Open a record detail page and try again.",
+    errorNoSharingPage: "{object} records have no sharing page. Sharing is only available for Accounts, Contacts, Opportunities, Leads, Cases, Campaigns, Users and custom objects.",
+    panelTitle: "Sharing",
+    panelClose: "Close",
+    panelLoading: "Loading share rows...",
+    panelNoRows: "No share rows match.",
+    panelFilterPlaceholder: "Filter by name, type, access or reason",
+    panelOpenClassic: "Open Classic sharing page",
+    panelColumnName: "User or Group",
+    panelColumnType: "Type",
+    panelColumnAccess: "Access Level",
+    panelColumnReason: "Reason",
+    panelColumnLastModified: "Last Modified",
+    panelRowCount: "Showing {shown} of {total} share rows",
+    panelErrorLoading: "Could not load the share rows:",
+    panelErrorUnknownObject: "Could not determine the object of this record. Use the Classic sharing page instead.",
+    panelColumnActions: "Actions",
+    panelAddShare: "Add share",
+    panelWriteActionsDisabled: "Read only: managed by your organization",
+    panelChangeAccess: "Change access",
+    panelChangeAccessFor: "Change access for {name}:",
+    panelRemove: "Remove",
+    panelSave: "Save",
+    panelCancel: "Cancel",
+    panelConfirm: "Confirm",
+    panelSearchPlaceholder: "Search by name (at least 2 characters)",
+    panelSearchNoResults: "No matches found.",
+    panelTargetUser: "User",
+    panelTargetRegular: "Public Group",
+    panelTargetRole: "Role",
+    panelTargetRoleAndSubordinates: "Role and Subordinates",
+    accessLevelNone: "Private",
+    accessLevelRead: "Read Only",
+    accessLevelEdit: "Read/Write",
+    accessLevelAll: "Full Access",
+    rowCauseOwner: "Owner",
+    rowCauseManual: "Manual Sharing",
+    rowCauseRule: "Sharing Rule",
+    rowCauseImplicitChild: "Associated Record Owner or Sharing",
+    rowCauseImplicitParent: "Associated Child Record",
+    rowCauseImplicitPerson: "Person Account",
+    rowCauseTeam: "Team",
+    rowCauseTerritory: "Territory",
+    rowCauseTerritoryRule: "Territory Rule",
+    rowCauseTerritoryManual: "Territory Manual",
+    rowCauseGuestRule: "Guest User Sharing Rule",
+    groupTypeRegular: "Public Group",
+    groupTypeRole: "Role",
+    groupTypeRoleAndSubordinates: "Role and Subordinates",
+    groupTypeRoleAndSubordinatesInternal: "Role and Internal Subordinates",
+    groupTypeQueue: "Queue",
+    groupTypeOrganization: "All Internal Users",
+    groupTypeAllCustomerPortal: "All Customer Portal Users",
+    groupTypeManager: "Manager",
+    groupTypeManagerAndSubordinatesInternal: "Manager and Subordinates",
+    groupTypeTerritory: "Territory",
+    groupTypeTerritoryAndSubordinates: "Territory and Subordinates",
+    panelConfirmAdd: "Share this record with {name} with {access} access?",
+    panelConfirmChange: "Change the access of {name} from {from} to {to}?",
+    panelConfirmRemove: "Remove the manual share of {name}? They may lose access to this record.",
+    panelShareAdded: "Share added.",
+    panelShareUpdated: "Access changed.",
+    panelShareRemoved: "Share removed.",
+    panelErrorInsufficientAccess: "You don't have permission to manage sharing for this record. Only the record owner, users above the owner in the role hierarchy and administrators can.",
+    panelErrorAccessBelowDefault: "The access level must be more permissive than the object's organization-wide default.",
+    menuToggleTitle: "More sharing actions",
+    menuExplainAccess: "Explain access...",
+    menuExportCsv: "Export sharing (CSV)",
+    menuExportJson: "Export sharing (JSON)",
+    exportColumnUserOrGroupId: "User or Group ID",
+    exportColumnLastModifiedBy: "Last Modified By",
+    exportError: "Could not export the share rows:",
+    exportDone: { one: "Exported {count} share row.", other: "Exported {count} share rows." },
+    toastDetails: "Details",
+    toastHideDetails: "Hide details",
+    toastCopyReport: "Copy diagnostic report",
+    toastReportCopied: "Report copied",
+    toastReportCopyFailed: "Could not copy the report",
+    diagnosticUrl: "URL",
+    diagnosticPatternsTried: "Patterns tried",
+    diagnosticInsertStrategy: "Insertion strategy",
+    diagnosticPageType: "Page type",
+    diagnosticNone: "none",
+    debugTitle: "Troubleshooting",
+    debugDescription: "Debug mode logs how the extension looks for the record and where it inserts the button, and shows a small overlay with its current state on Salesforce pages. Turn it on, reproduce the problem, then download the log and attach it to your bug report.",
+    debugModeLabel: "Debug mode",
+    debugViewLog: "View log",
+    debugDownloadLog: "Download log",
+    debugClearLog: "Clear log",
+    debugLogEmpty: "The log is empty. Turn on debug mode, save, and reload a Salesforce page.",
+    explainTitle: "Explain access",
+    explainChooseUser: "Choose a user to see what access they have to this record and why.",
+    explainLoading: "Checking access...",
+    explainError: "Could not explain the access:",
+    explainAccessHeading: "Access of {name}",
+    explainRead: "Read",
+    explainEdit: "Edit",
+    explainDelete: "Delete",
+    explainTransfer: "Transfer",
+    explainMaxAccess: "Maximum access: {level}",
+    explainNoAccessRow: "Salesforce returned no access information for this user and record.",
+    explainPathsHeading: "Contributing paths",
+    explainNoPaths: "No contributing path found. Access may come from teams, territories, implicit sharing or a public organization-wide default.",
+    explainProfile: "Profile",
+    explainPathPermission: "{permission} permission from {source}",
+    explainPathOwner: "Owns the record",
+    explainPathQueue: "Member of the queue that owns the record: {group}",
+    explainPathRoleOwner: "Role {role} is above the record owner, {name}, in the role hierarchy",
+    explainPathShare: "Shared directly: {reason}, {access}",
+    explainPathGroup: "Member of {group}, which has {access} access through {reason}",
+    explainPathRole: "Role {role} is above {name} in the role hierarchy, who has {access} access through {reason}",
+    sharingUnavailableTitle: "Sharing is not available for {object}: its organization-wide default is {internal} (internal) / {external} (external), so there is no {object} share object.",
+    sharingModelPrivate: "Private",
+    sharingModelRead: "Public Read Only",
+    sharingModelReadWrite: "Public Read/Write",
+    sharingModelReadWriteTransfer: "Public Read/Write/Transfer",
+    sharingModelFullAccess: "Public Full Access",
+    sharingModelControlledByParent: "Controlled by Parent",
+    sharingModelControlledByCampaign: "Controlled by Campaign",
+    sharingModelControlledByLeadOrContact: "Controlled by Lead or Contact",
+    floatingDragTitle: "Drag to move the Sharing button",
+    contextMenuOpenSharing: "Open Sharing",
+    listRowIconTitle: "Open Sharing for this record",
+    listBulkRegionLabel: "Sharing for selected",
+    listBulkTitle: { one: "{count} selected", other: "{count} selected" },
+    listBulkOpenTabs: "Open sharing tabs",
+    listBulkCombinedTable: "Combined sharing table",
+    listBulkOpened: "Opened {opened} of {selected} selected (at most {limit} at once).",
+    listCombinedTitle: "Sharing for Selected Records",
+    listCombinedProgress: "Loading {done} of {total} records...",
+    listCombinedDone: { one: "{count} share row for {total} records", other: "{count} share rows for {total} records" },
+    listColumnRecord: "Record",
+    listColumnObject: "Object",
+    errorNoRecordIdInLink: "Could not find a Record Id in this link.",
+    errorOpenSharingFailed: "Could not open the sharing page. Reload the page and try again.",
+    popupRecordId15: "Record ID (15)",
+    popupRecordId18: "Record ID (18)",
+    popupObject: "Object",
+    popupObjectUnknown: "Unknown",
+    popupPageType: "Page type",
+    popupPageTypeLightning: "Lightning",
+    popupPageTypeConsole: "Lightning console",
+    popupPageTypeClassic: "Classic",
+    popupPageTypeVisualforce: "Visualforce",
+    popupPageTypeSetup: "Setup",
+    popupPageTypeExperience: "Experience Cloud site",
+    popupDetectedBy: "Detected by",
+    popupCopyId: "Copy",
+    popupCopied: "Copied!",
+    popupOpenSharing: "Open Sharing",
+    popupOpenInClassic: "Open in Classic",
+    popupOpenInLightning: "Open in Lightning",
+    popupOpenInSetup: "Open object in Setup",
+    popupStatusInserted: "The Sharing button is on the page.",
+    popupStatusFloating: "The Sharing button is shown as a floating button, as its placement was not found on this page.",
+    popupStatusPending: "The Sharing button has not been inserted yet.",
+    popupStatusNotRecordPage: "The Sharing button is only shown on record pages.",
+    popupStatusObjectFiltered: "The Sharing button is hidden on this object by the object filter of the options page.",
+    popupStatusOrgDisabled: "The Sharing button is turned off for this org by its profile or by your organization.",
+    popupOrg: "Org",
+    popupOrgNoProfile: "No profile for this org",
+    popupCreateProfile: "Create profile",
+    popupNotSalesforce: "Open a Salesforce record to use this extension.",
+    popupReloadPage: "The extension cannot reach this page. Reload it and try again.",
     settingsSubtitle: "Settings",
     languageSettingsTitle: "Language Settings",
-    languageSettingsDescription: "Choose your preferred language for the extension interface. You can either use your browser's default language or select a specific language.",
+    languageSettingsDescription: "Choose your preferred language for the extension interface. You can use your browser's default language, select a specific language, or follow the language of your Salesforce user.",
     languageModeLabel: "Language Mode:",
     languageModeAuto: "Use browser language (recommended)",
     languageModeManual: "Select specific language",
+    languageModeSalesforce: "Use my Salesforce language",
+    salesforceLanguageText: "Your Salesforce language:",
     languageSelectLabel: "Select Language:",
     browserLanguageText: "Your browser language:",
+    openSettingsTitle: "Opening the Sharing Page",
+    openSettingsDescription: "Choose how the Classic sharing page opens. Ctrl/Cmd-click, Shift-click and middle-click on the button always follow your browser's conventions.",
+    openModeLabel: "Open Mode:",
+    openModeForeground: "New tab",
+    openModeBackground: "Background tab next to the current one",
+    openModeReuse: "Reuse a single sharing tab",
+    openModePopup: "Popup window",
+    openModeSameTab: "Same tab",
+    popupWidthLabel: "Width (px):",
+    popupHeightLabel: "Height (px):",
+    placementSettingsTitle: "Button Placement",
+    placementSettingsDescription: "Choose where the Sharing button appears. When the chosen place is not on the page, the button falls back to the default one, then to a floating button. The floating button can be dragged by its handle and stays where you drop it on each Salesforce domain.",
+    placementLabel: "Placement:",
+    placementAuto: "Default for the page",
+    placementGlobalHeader: "Global header (Lightning)",
+    placementHighlightsPanel: "Record highlights panel actions (Lightning)",
+    placementClassicButtons: "Detail page button row (Classic)",
+    placementFloating: "Floating button",
+    listSettingsTitle: "List Views",
+    listSettingsDescription: "Rows of list views and related lists get a sharing icon. \"Sharing for selected\" opens the sharing pages of the selected rows in background tabs, up to this number of tabs at once.",
+    bulkOpenLimitLabel: "Maximum tabs to open:",
+    objectFilterTitle: "Objects",
+    objectFilterDescription: "Choose the objects whose records show the Sharing button. Enter object API names (e.g. Invoice__c) or 3-character key prefixes (e.g. a0p), or pick objects from the org of an open Salesforce tab.",
+    objectFilterModeLabel: "Show the button on:",
+    objectFilterModeAll: "All objects",
+    objectFilterModeAllow: "Only the listed objects",
+    objectFilterModeDeny: "All objects except the listed ones",
+    objectFilterSearchPlaceholder: "Search objects or type an API name or key prefix, then press Enter",
+    objectFilterFromOrg: "Objects of {host}",
+    objectFilterNoOrg: "Open a Salesforce tab to pick objects from its org.",
+    objectFilterLoadError: "Could not load the objects of the org.",
+    objectFilterRemove: "Remove",
+    orgProfilesTitle: "Org Profiles",
+    orgProfilesDescription: "Give an org its own settings, keyed by its org ID (00D...) or its My Domain name (e.g. acme or acme--uat). An org label such as PROD can show on the button as a colored badge or border, so you always know which org you are in.",
+    orgProfileKeyPlaceholder: "Org ID or My Domain name",
+    orgProfileAdd: "Add profile",
+    orgProfileCreate: "Create profile",
+    orgProfileDelete: "Delete profile",
+    orgProfileDetectedTitle: "Orgs you visited that have no profile yet:",
+    orgProfileNoneDetected: "None",
+    orgProfileLabel: "Label:",
+    orgProfileColor: "Color:",
+    orgProfileBadgeStyle: "Show the label as:",
+    orgProfileBadgeStyleBadge: "Badge on the button",
+    orgProfileBadgeStyleBorder: "Colored border",
+    orgProfileBadgeStyleNone: "Nothing",
+    orgProfileEnabled: "Show the Sharing button in this org",
+    orgProfileObjects: "Listed objects (comma-separated):",
+    managedByOrganization: "Managed by your organization",
+    customDomainsTitle: "Custom Domains",
+    customDomainsDescription: "The button works on Salesforce's own domains. Add the custom domains your orgs or Experience Cloud sites use, such as sf.acme.com or *.acme.com for all its subdomains, and tell which kind of pages they serve. Chrome asks you to allow access to each domain; reload its open tabs afterwards.",
+    customDomainPlaceholder: "sf.acme.com or *.acme.com",
+    customDomainAdd: "Add domain",
+    customDomainRemove: "Remove",
+    customDomainGrant: "Allow access",
+    customDomainGranted: "Access allowed",
+    customDomainNotGranted: "No access",
+    customDomainInvalid: "\"{host}\" is not a domain name.",
+    experienceSitesDescription: "Experience Cloud sites (*.my.site.com, *.my.salesforce-sites.com) also serve public pages, so the button only runs on them once you allow access.",
+    experienceSitesRevoke: "Remove access",
+    hostKindLightning: "Lightning",
+    hostKindClassic: "Classic",
+    hostKindVisualforce: "Visualforce",
+    hostKindSetup: "Setup",
+    hostKindExperience: "Experience Cloud site",
+    transferTitle: "Import and Export",
+    transferDescription: "Export your settings, including org profiles, to a file that teammates can import to get the same configuration. Imported settings are checked and previewed before they are applied.",
+    exportSettingsButton: "Export settings",
+    importSettingsButton: "Import settings",
+    importPreviewTitle: { one: "{file} changes {count} setting:", other: "{file} changes {count} settings:" },
+    importNoChanges: "{file} matches your current settings.",
+    importIgnored: "Unknown settings left out: {settings}.",
+    importColumnSetting: "Setting",
+    importColumnCurrent: "Current",
+    importColumnImported: "Imported",
+    importLockedNotApplied: "Managed by your organization, not applied",
+    importApply: "Apply",
+    importCancel: "Cancel",
+    importInvalid: "This file cannot be imported:",
+    importSuccess: "Settings imported successfully!",
+    managedAllowedOrgs: "Your organization limits the Sharing button to these orgs: {orgs}",
     saveButtonText: "Save Settings",
     saveSuccessMessage: "Settings saved successfully!",
     saveErrorMessage: "Error saving settings. Please try again."
@@ -26,15 +273,262 @@ const translations = {
     langEnglishName: "Español (Spanish)",
     buttonText: "Compartir",
     buttonTitle: "Abrir detalles de compartir para este registro",
+    buttonTargetTitle: "Registro: {record}",
     errorNoRecordId: "No se pudo detectar un ID de registro en esta página. Abra una página de detalles de registro e inténtelo de nuevo.",
+    errorNoSharingPage: "Los registros de {object} no tienen página de uso compartido. El uso compartido solo está disponible para cuentas, contactos, oportunidades, candidatos, casos, campañas, usuarios y objetos personalizados.",
+    panelTitle: "Uso compartido",
+    panelClose: "Cerrar",
+    panelLoading: "Cargando filas de uso compartido...",
+    panelNoRows: "Ninguna fila de uso compartido coincide.",
+    panelFilterPlaceholder: "Filtrar por nombre, tipo, acceso o motivo",
+    panelOpenClassic: "Abrir la página de uso compartido de Classic",
+    panelColumnName: "Usuario o grupo",
+    panelColumnType: "Tipo",
+    panelColumnAccess: "Nivel de acceso",
+    panelColumnReason: "Motivo",
+    panelColumnLastModified: "Última modificación",
+    panelRowCount: "Mostrando {shown} de {total} filas de uso compartido",
+    panelErrorLoading: "No se pudieron cargar las filas de uso compartido:",
+    panelErrorUnknownObject: "No se pudo determinar el objeto de este registro. Use la página de uso compartido de Classic.",
+    panelColumnActions: "Acciones",
+    panelAddShare: "Agregar uso compartido",
+    panelWriteActionsDisabled: "Solo lectura: administrado por su empresa",
+    panelChangeAccess: "Cambiar acceso",
+    panelChangeAccessFor: "Cambiar el acceso de {name}:",
+    panelRemove: "Eliminar",
+    panelSave: "Guardar",
+    panelCancel: "Cancelar",
+    panelConfirm: "Confirmar",
+    panelSearchPlaceholder: "Buscar por nombre (al menos 2 caracteres)",
+    panelSearchNoResults: "No se encontraron coincidencias.",
+    panelTargetUser: "Usuario",
+    panelTargetRegular: "Grupo público",
+    panelTargetRole: "Función",
+    panelTargetRoleAndSubordinates: "Función y subordinados",
+    accessLevelNone: "Privado",
+    accessLevelRead: "Solo lectura",
+    accessLevelEdit: "Lectura/Escritura",
+    accessLevelAll: "Acceso total",
+    rowCauseOwner: "Propietario",
+    rowCauseManual: "Uso compartido manual",
+    rowCauseRule: "Regla de uso compartido",
+    rowCauseImplicitChild: "Propietario o uso compartido del registro asociado",
+    rowCauseImplicitParent: "Registro secundario asociado",
+    rowCauseImplicitPerson: "Cuenta personal",
+    rowCauseTeam: "Equipo",
+    rowCauseTerritory: "Territorio",
+    rowCauseTerritoryRule: "Regla de territorio",
+    rowCauseTerritoryManual: "Territorio manual",
+    rowCauseGuestRule: "Regla de uso compartido de usuario invitado",
+    groupTypeRegular: "Grupo público",
+    groupTypeRole: "Función",
+    groupTypeRoleAndSubordinates: "Función y subordinados",
+    groupTypeRoleAndSubordinatesInternal: "Función y subordinados internos",
+    groupTypeQueue: "Cola",
+    groupTypeOrganization: "Todos los usuarios internos",
+    groupTypeAllCustomerPortal: "Todos los usuarios del portal de clientes",
+    groupTypeManager: "Gerente",
+    groupTypeManagerAndSubordinatesInternal: "Gerente y subordinados",
+    groupTypeTerritory: "Territorio",
+    groupTypeTerritoryAndSubordinates: "Territorio y subordinados",
+    panelConfirmAdd: "¿Compartir este registro con {name} con acceso {access}?",
+    panelConfirmChange: "¿Cambiar el acceso de {name} de {from} a {to}?",
+    panelConfirmRemove: "¿Eliminar el uso compartido manual de {name}? Es posible que pierda el acceso a este registro.",
+    panelShareAdded: "Uso compartido agregado.",
+    panelShareUpdated: "Acceso cambiado.",
+    panelShareRemoved: "Uso compartido eliminado.",
+    panelErrorInsufficientAccess: "No tiene permiso para administrar el uso compartido de este registro. Solo pueden hacerlo el propietario del registro, los usuarios por encima del propietario en la jerarquía de funciones y los administradores.",
+    panelErrorAccessBelowDefault: "El nivel de acceso debe ser más permisivo que el valor predeterminado de toda la organización del objeto.",
+    menuToggleTitle: "Más acciones de uso compartido",
+    menuExplainAccess: "Explicar acceso...",
+    menuExportCsv: "Exportar uso compartido (CSV)",
+    menuExportJson: "Exportar uso compartido (JSON)",
+    exportColumnUserOrGroupId: "Id. de usuario o grupo",
+    exportColumnLastModifiedBy: "Última modificación por",
+    exportError: "No se pudieron exportar las filas de uso compartido:",
+    exportDone: { one: "Se exportó {count} fila de uso compartido.", many: "Se exportaron {count} filas de uso compartido.", other: "Se exportaron {count} filas de uso compartido." },
+    toastDetails: "Detalles",
+    toastHideDetails: "Ocultar detalles",
+    toastCopyReport: "Copiar informe de diagnóstico",
+    toastReportCopied: "Informe copiado",
+    toastReportCopyFailed: "No se pudo copiar el informe",
+    diagnosticUrl: "URL",
+    diagnosticPatternsTried: "Patrones probados",
+    diagnosticInsertStrategy: "Estrategia de inserción",
+    diagnosticPageType: "Tipo de página",
+    diagnosticNone: "ninguno",
+    debugTitle: "Solución de problemas",
+    debugDescription: "El modo de depuración registra cómo la extensión busca el registro y dónde inserta el botón, y muestra una pequeña superposición con su estado actual en las páginas de Salesforce. Actívelo, reproduzca el problema y, después, descargue el registro y adjúntelo a su informe de error.",
+    debugModeLabel: "Modo de depuración",
+    debugViewLog: "Ver registro",
+    debugDownloadLog: "Descargar registro",
+    debugClearLog: "Borrar registro",
+    debugLogEmpty: "El registro está vacío. Active el modo de depuración, guarde y vuelva a cargar una página de Salesforce.",
+    explainTitle: "Explicar acceso",
+    explainChooseUser: "Elija un usuario para ver qué acceso tiene a este registro y por qué.",
+    explainLoading: "Comprobando el acceso...",
+    explainError: "No se pudo explicar el acceso:",
+    explainAccessHeading: "Acceso de {name}",
+    explainRead: "Leer",
+    explainEdit: "Modificar",
+    explainDelete: "Eliminar",
+    explainTransfer: "Transferir",
+    explainMaxAccess: "Acceso máximo: {level}",
+    explainNoAccessRow: "Salesforce no devolvió información de acceso para este usuario y registro.",
+    explainPathsHeading: "Orígenes del acceso",
+    explainNoPaths: "No se encontró ningún origen del acceso. Puede provenir de equipos, territorios, uso compartido implícito o un valor predeterminado de toda la organización público.",
+    explainProfile: "Perfil",
+    explainPathPermission: "Permiso {permission} de {source}",
+    explainPathOwner: "Es propietario del registro",
+    explainPathQueue: "Miembro de la cola propietaria del registro: {group}",
+    explainPathRoleOwner: "La función {role} está por encima del propietario del registro, {name}, en la jerarquía de funciones",
+    explainPathShare: "Compartido directamente: {reason}, {access}",
+    explainPathGroup: "Miembro de {group}, que tiene acceso {access} mediante {reason}",
+    explainPathRole: "La función {role} está por encima de {name} en la jerarquía de funciones, que tiene acceso {access} mediante {reason}",
+    sharingUnavailableTitle: "El uso compartido no está disponible para {object}: su valor predeterminado de toda la organización es {internal} (interno) / {external} (externo), por lo que no hay objeto de uso compartido de {object}.",
+    sharingModelPrivate: "Privado",
+    sharingModelRead: "Solo lectura pública",
+    sharingModelReadWrite: "Lectura/Escritura pública",
+    sharingModelReadWriteTransfer: "Lectura/Escritura/Transferencia pública",
+    sharingModelFullAccess: "Acceso total público",
+    sharingModelControlledByParent: "Controlado por principal",
+    sharingModelControlledByCampaign: "Controlado por campaña",
+    sharingModelControlledByLeadOrContact: "Controlado por prospecto o contacto",
+    floatingDragTitle: "Arrastre para mover el botón Compartir",
+    contextMenuOpenSharing: "Abrir uso compartido",
+    listRowIconTitle: "Abrir el uso compartido de este registro",
+    listBulkRegionLabel: "Uso compartido de la selección",
+    listBulkTitle: { one: "{count} seleccionado", other: "{count} seleccionados" },
+    listBulkOpenTabs: "Abrir pestañas de uso compartido",
+    listBulkCombinedTable: "Tabla combinada de uso compartido",
+    listBulkOpened: "Se abrieron {opened} de {selected} seleccionados (como máximo {limit} a la vez).",
+    listCombinedTitle: "Uso compartido de los registros seleccionados",
+    listCombinedProgress: "Cargando {done} de {total} registros...",
+    listCombinedDone: { one: "{count} fila de uso compartido para {total} registros", other: "{count} filas de uso compartido para {total} registros" },
+    listColumnRecord: "Registro",
+    listColumnObject: "Objeto",
+    errorNoRecordIdInLink: "No se encontró un Id. de registro en este vínculo.",
+    errorOpenSharingFailed: "No se pudo abrir la página de uso compartido. Vuelva a cargar la página e inténtelo de nuevo.",
+    popupRecordId15: "Id. de registro (15)",
+    popupRecordId18: "Id. de registro (18)",
+    popupObject: "Objeto",
+    popupObjectUnknown: "Desconocido",
+    popupPageType: "Tipo de página",
+    popupPageTypeLightning: "Lightning",
+    popupPageTypeConsole: "Consola de Lightning",
+    popupPageTypeClassic: "Classic",
+    popupPageTypeVisualforce: "Visualforce",
+    popupPageTypeSetup: "Configuración",
+    popupPageTypeExperience: "Sitio de Experience Cloud",
+    popupDetectedBy: "Detectado por",
+    popupCopyId: "Copiar",
+    popupCopied: "¡Copiado!",
+    popupOpenSharing: "Abrir uso compartido",
+    popupOpenInClassic: "Abrir en Classic",
+    popupOpenInLightning: "Abrir en Lightning",
+    popupOpenInSetup: "Abrir objeto en Configuración",
+    popupStatusInserted: "El botón Compartir está en la página.",
+    popupStatusFloating: "El botón Compartir se muestra como botón flotante porque no se encontró su ubicación en esta página.",
+    popupStatusPending: "El botón Compartir aún no se ha insertado.",
+    popupStatusNotRecordPage: "El botón Compartir solo se muestra en las páginas de registro.",
+    popupStatusObjectFiltered: "El botón Compartir está oculto en este objeto por el filtro de objetos de la página de opciones.",
+    popupStatusOrgDisabled: "El botón Compartir está desactivado para esta organización por su perfil o por su empresa.",
+    popupOrg: "Organización",
+    popupOrgNoProfile: "No hay perfil para esta organización",
+    popupCreateProfile: "Crear perfil",
+    popupNotSalesforce: "Abra un registro de Salesforce para usar esta extensión.",
+    popupReloadPage: "La extensión no puede acceder a esta página. Vuelva a cargarla e inténtelo de nuevo.",
     settingsSubtitle: "Configuración",
     languageSettingsTitle: "Configuración de Idioma",
-    languageSettingsDescription: "Elija su idioma preferido para la interfaz de la extensión. Puede usar el idioma predeterminado de su navegador o seleccionar un idioma específico.",
+    languageSettingsDescription: "Elija su idioma preferido para la interfaz de la extensión. Puede usar el idioma predeterminado de su navegador, seleccionar un idioma específico o seguir el idioma de su usuario de Salesforce.",
     languageModeLabel: "Modo de Idioma:",
     languageModeAuto: "Usar idioma del navegador (recomendado)",
     languageModeManual: "Seleccionar idioma específico",
+    languageModeSalesforce: "Usar mi idioma de Salesforce",
+    salesforceLanguageText: "Su idioma de Salesforce:",
     languageSelectLabel: "Seleccionar Idioma:",
     browserLanguageText: "Idioma de su navegador:",
+    openSettingsTitle: "Apertura de la página de uso compartido",
+    openSettingsDescription: "Elija cómo se abre la página de uso compartido de Classic. Ctrl/Cmd-clic, Mayús-clic y clic central en el botón siempre siguen las convenciones de su navegador.",
+    openModeLabel: "Modo de apertura:",
+    openModeForeground: "Pestaña nueva",
+    openModeBackground: "Pestaña en segundo plano junto a la actual",
+    openModeReuse: "Reutilizar una única pestaña de uso compartido",
+    openModePopup: "Ventana emergente",
+    openModeSameTab: "Misma pestaña",
+    popupWidthLabel: "Ancho (px):",
+    popupHeightLabel: "Alto (px):",
+    placementSettingsTitle: "Ubicación del botón",
+    placementSettingsDescription: "Elija dónde aparece el botón Compartir. Si la ubicación elegida no está en la página, el botón vuelve a la ubicación predeterminada y, después, a un botón flotante. El botón flotante se puede arrastrar por su asa y permanece donde lo suelte en cada dominio de Salesforce.",
+    placementLabel: "Ubicación:",
+    placementAuto: "Predeterminada para la página",
+    placementGlobalHeader: "Encabezado global (Lightning)",
+    placementHighlightsPanel: "Acciones del panel de aspectos destacados del registro (Lightning)",
+    placementClassicButtons: "Fila de botones de la página de detalles (Classic)",
+    placementFloating: "Botón flotante",
+    listSettingsTitle: "Vistas de lista",
+    listSettingsDescription: "Las filas de las vistas de lista y las listas relacionadas reciben un icono de uso compartido. \"Uso compartido de la selección\" abre las páginas de uso compartido de las filas seleccionadas en pestañas en segundo plano, hasta este número de pestañas a la vez.",
+    bulkOpenLimitLabel: "Máximo de pestañas que abrir:",
+    objectFilterTitle: "Objetos",
+    objectFilterDescription: "Elija los objetos cuyos registros muestran el botón Compartir. Introduzca nombres de API de objetos (p. ej., Invoice__c) o prefijos de clave de 3 caracteres (p. ej., a0p), o elija objetos de la organización de una pestaña de Salesforce abierta.",
+    objectFilterModeLabel: "Mostrar el botón en:",
+    objectFilterModeAll: "Todos los objetos",
+    objectFilterModeAllow: "Solo los objetos de la lista",
+    objectFilterModeDeny: "Todos los objetos excepto los de la lista",
+    objectFilterSearchPlaceholder: "Busque objetos o escriba un nombre de API o prefijo de clave y pulse Intro",
+    objectFilterFromOrg: "Objetos de {host}",
+    objectFilterNoOrg: "Abra una pestaña de Salesforce para elegir objetos de su organización.",
+    objectFilterLoadError: "No se pudieron cargar los objetos de la organización.",
+    objectFilterRemove: "Eliminar",
+    orgProfilesTitle: "Perfiles de organización",
+    orgProfilesDescription: "Dé a una organización su propia configuración, identificada por su Id. de organización (00D...) o su nombre de Mi dominio (p. ej., acme o acme--uat). Una etiqueta de organización como PROD puede mostrarse en el botón como una insignia o un borde de color, para que siempre sepa en qué organización está.",
+    orgProfileKeyPlaceholder: "Id. de organización o nombre de Mi dominio",
+    orgProfileAdd: "Agregar perfil",
+    orgProfileCreate: "Crear perfil",
+    orgProfileDelete: "Eliminar perfil",
+    orgProfileDetectedTitle: "Organizaciones visitadas que aún no tienen perfil:",
+    orgProfileNoneDetected: "Ninguna",
+    orgProfileLabel: "Etiqueta:",
+    orgProfileColor: "Color:",
+    orgProfileBadgeStyle: "Mostrar la etiqueta como:",
+    orgProfileBadgeStyleBadge: "Insignia en el botón",
+    orgProfileBadgeStyleBorder: "Borde de color",
+    orgProfileBadgeStyleNone: "Nada",
+    orgProfileEnabled: "Mostrar el botón Compartir en esta organización",
+    orgProfileObjects: "Objetos de la lista (separados por comas):",
+    managedByOrganization: "Administrado por su empresa",
+    customDomainsTitle: "Dominios personalizados",
+    customDomainsDescription: "El botón funciona en los dominios propios de Salesforce. Agregue los dominios personalizados que usan sus organizaciones o sitios de Experience Cloud, como sf.acme.com o *.acme.com para todos sus subdominios, e indique qué tipo de páginas sirven. Chrome le pedirá que permita el acceso a cada dominio; después, vuelva a cargar sus pestañas abiertas.",
+    customDomainPlaceholder: "sf.acme.com o *.acme.com",
+    customDomainAdd: "Agregar dominio",
+    customDomainRemove: "Eliminar",
+    customDomainGrant: "Permitir acceso",
+    customDomainGranted: "Acceso permitido",
+    customDomainNotGranted: "Sin acceso",
+    customDomainInvalid: "\"{host}\" no es un nombre de dominio.",
+    experienceSitesDescription: "Los sitios de Experience Cloud (*.my.site.com, *.my.salesforce-sites.com) también sirven páginas públicas, por lo que el botón solo funciona en ellos cuando usted permite el acceso.",
+    experienceSitesRevoke: "Quitar acceso",
+    hostKindLightning: "Lightning",
+    hostKindClassic: "Classic",
+    hostKindVisualforce: "Visualforce",
+    hostKindSetup: "Configuración",
+    hostKindExperience: "Sitio de Experience Cloud",
+    transferTitle: "Importar y exportar",
+    transferDescription: "Exporte su configuración, incluidos los perfiles de organización, a un archivo que sus compañeros puedan importar para obtener la misma configuración. La configuración importada se comprueba y se muestra en una vista previa antes de aplicarse.",
+    exportSettingsButton: "Exportar configuración",
+    importSettingsButton: "Importar configuración",
+    importPreviewTitle: { one: "{file} cambia {count} ajuste:", many: "{file} cambia {count} ajustes:", other: "{file} cambia {count} ajustes:" },
+    importNoChanges: "{file} coincide con su configuración actual.",
+    importIgnored: "Ajustes desconocidos omitidos: {settings}.",
+    importColumnSetting: "Ajuste",
+    importColumnCurrent: "Actual",
+    importColumnImported: "Importado",
+    importLockedNotApplied: "Administrado por su empresa, no se aplica",
+    importApply: "Aplicar",
+    importCancel: "Cancelar",
+    importInvalid: "Este archivo no se puede importar:",
+    importSuccess: "¡Configuración importada correctamente!",
+    managedAllowedOrgs: "Su empresa limita el botón Compartir a estas organizaciones: {orgs}",
     saveButtonText: "Guardar Configuración",
     saveSuccessMessage: "¡Configuración guardada exitosamente!",
     saveErrorMessage: "Error al guardar la configuración. Inténtelo de nuevo."
@@ -43,15 +537,262 @@ const translations = {
     langEnglishName: "Français (French)",
     buttonText: "Partage",
     buttonTitle: "Ouvrir les détails de partage pour cet enregistrement",
+    buttonTargetTitle: "Enregistrement : {record}",
     errorNoRecordId: "Impossible de détecter un ID d'enregistrement sur cette page. Ouvrez une page de détails d'enregistrement et réessayez.",
+    errorNoSharingPage: "Les enregistrements {object} n'ont pas de page de partage. Le partage n'est disponible que pour les comptes, contacts, opportunités, pistes, requêtes, campagnes, utilisateurs et objets personnalisés.",
+    panelTitle: "Partage",
+    panelClose: "Fermer",
+    panelLoading: "Chargement des lignes de partage...",
+    panelNoRows: "Aucune ligne de partage ne correspond.",
+    panelFilterPlaceholder: "Filtrer par nom, type, accès ou motif",
+    panelOpenClassic: "Ouvrir la page de partage Classic",
+    panelColumnName: "Utilisateur ou groupe",
+    panelColumnType: "Type",
+    panelColumnAccess: "Niveau d'accès",
+    panelColumnReason: "Motif",
+    panelColumnLastModified: "Dernière modification",
+    panelRowCount: "{shown} lignes de partage affichées sur {total}",
+    panelErrorLoading: "Impossible de charger les lignes de partage :",
+    panelErrorUnknownObject: "Impossible de déterminer l'objet de cet enregistrement. Utilisez plutôt la page de partage Classic.",
+    panelColumnActions: "Actions",
+    panelAddShare: "Ajouter un partage",
+    panelWriteActionsDisabled: "Lecture seule : géré par votre entreprise",
+    panelChangeAccess: "Modifier l'accès",
+    panelChangeAccessFor: "Modifier l'accès de {name} :",
+    panelRemove: "Supprimer",
+    panelSave: "Enregistrer",
+    panelCancel: "Annuler",
+    panelConfirm: "Confirmer",
+    panelSearchPlaceholder: "Rechercher par nom (au moins 2 caractères)",
+    panelSearchNoResults: "Aucun résultat.",
+    panelTargetUser: "Utilisateur",
+    panelTargetRegular: "Groupe public",
+    panelTargetRole: "Rôle",
+    panelTargetRoleAndSubordinates: "Rôle et subordonnés",
+    accessLevelNone: "Privé",
+    accessLevelRead: "Lecture seule",
+    accessLevelEdit: "Lecture/Écriture",
+    accessLevelAll: "Accès complet",
+    rowCauseOwner: "Propriétaire",
+    rowCauseManual: "Partage manuel",
+    rowCauseRule: "Règle de partage",
+    rowCauseImplicitChild: "Propriétaire ou partage de l'enregistrement associé",
+    rowCauseImplicitParent: "Enregistrement enfant associé",
+    rowCauseImplicitPerson: "Compte personnel",
+    rowCauseTeam: "Équipe",
+    rowCauseTerritory: "Territoire",
+    rowCauseTerritoryRule: "Règle de territoire",
+    rowCauseTerritoryManual: "Territoire manuel",
+    rowCauseGuestRule: "Règle de partage d'utilisateur invité",
+    groupTypeRegular: "Groupe public",
+    groupTypeRole: "Rôle",
+    groupTypeRoleAndSubordinates: "Rôle et subordonnés",
+    groupTypeRoleAndSubordinatesInternal: "Rôle et subordonnés internes",
+    groupTypeQueue: "File d'attente",
+    groupTypeOrganization: "Tous les utilisateurs internes",
+    groupTypeAllCustomerPortal: "Tous les utilisateurs du portail client",
+    groupTypeManager: "Responsable",
+    groupTypeManagerAndSubordinatesInternal: "Responsable et subordonnés",
+    groupTypeTerritory: "Territoire",
+    groupTypeTerritoryAndSubordinates: "Territoire et subordonnés",
+    panelConfirmAdd: "Partager cet enregistrement avec {name} avec l'accès {access} ?",
+    panelConfirmChange: "Modifier l'accès de {name} de {from} à {to} ?",
+    panelConfirmRemove: "Supprimer le partage manuel de {name} ? Cette personne risque de perdre l'accès à cet enregistrement.",
+    panelShareAdded: "Partage ajouté.",
+    panelShareUpdated: "Accès modifié.",
+    panelShareRemoved: "Partage supprimé.",
+    panelErrorInsufficientAccess: "Vous n'êtes pas autorisé à gérer le partage de cet enregistrement. Seuls le propriétaire de l'enregistrement, les utilisateurs situés au-dessus de lui dans la hiérarchie des rôles et les administrateurs le peuvent.",
+    panelErrorAccessBelowDefault: "Le niveau d'accès doit être plus permissif que le paramètre par défaut de l'objet à l'échelle de l'organisation.",
+    menuToggleTitle: "Autres actions de partage",
+    menuExplainAccess: "Expliquer l'accès...",
+    menuExportCsv: "Exporter le partage (CSV)",
+    menuExportJson: "Exporter le partage (JSON)",
+    exportColumnUserOrGroupId: "ID d'utilisateur ou de groupe",
+    exportColumnLastModifiedBy: "Dernière modification par",
+    exportError: "Impossible d'exporter les lignes de partage :",
+    exportDone: { one: "{count} ligne de partage exportée.", many: "{count} lignes de partage exportées.", other: "{count} lignes de partage exportées." },
+    toastDetails: "Détails",
+    toastHideDetails: "Masquer les détails",
+    toastCopyReport: "Copier le rapport de diagnostic",
+    toastReportCopied: "Rapport copié",
+    toastReportCopyFailed: "Impossible de copier le rapport",
+    diagnosticUrl: "URL",
+    diagnosticPatternsTried: "Modèles essayés",
+    diagnosticInsertStrategy: "Stratégie d'insertion",
+    diagnosticPageType: "Type de page",
+    diagnosticNone: "aucun",
+    debugTitle: "Dépannage",
+    debugDescription: "Le mode débogage consigne comment l'extension recherche l'enregistrement et où elle insère le bouton, et affiche une petite superposition avec son état actuel sur les pages Salesforce. Activez-le, reproduisez le problème, puis téléchargez le journal et joignez-le à votre rapport de bogue.",
+    debugModeLabel: "Mode débogage",
+    debugViewLog: "Afficher le journal",
+    debugDownloadLog: "Télécharger le journal",
+    debugClearLog: "Effacer le journal",
+    debugLogEmpty: "Le journal est vide. Activez le mode débogage, enregistrez, puis rechargez une page Salesforce.",
+    explainTitle: "Expliquer l'accès",
+    explainChooseUser: "Choisissez un utilisateur pour voir quel accès il a à cet enregistrement et pourquoi.",
+    explainLoading: "Vérification de l'accès...",
+    explainError: "Impossible d'expliquer l'accès :",
+    explainAccessHeading: "Accès de {name}",
+    explainRead: "Lecture",
+    explainEdit: "Modification",
+    explainDelete: "Suppression",
+    explainTransfer: "Transfert",
+    explainMaxAccess: "Accès maximal : {level}",
+    explainNoAccessRow: "Salesforce n'a renvoyé aucune information d'accès pour cet utilisateur et cet enregistrement.",
+    explainPathsHeading: "Origines de l'accès",
+    explainNoPaths: "Aucune origine trouvée. L'accès peut provenir d'équipes, de territoires, d'un partage implicite ou d'un paramètre par défaut public à l'échelle de l'organisation.",
+    explainProfile: "Profil",
+    explainPathPermission: "Autorisation {permission} accordée par {source}",
+    explainPathOwner: "Propriétaire de l'enregistrement",
+    explainPathQueue: "Membre de la file d'attente propriétaire de l'enregistrement : {group}",
+    explainPathRoleOwner: "Le rôle {role} est au-dessus du propriétaire de l'enregistrement, {name}, dans la hiérarchie des rôles",
+    explainPathShare: "Partagé directement : {reason}, {access}",
+    explainPathGroup: "Membre de {group}, qui a l'accès {access} via {reason}",
+    explainPathRole: "Le rôle {role} est au-dessus de {name} dans la hiérarchie des rôles, qui a l'accès {access} via {reason}",
+    sharingUnavailableTitle: "Le partage n'est pas disponible pour {object} : son paramètre par défaut à l'échelle de l'organisation est {internal} (interne) / {external} (externe), il n'y a donc pas d'objet de partage {object}.",
+    sharingModelPrivate: "Privé",
+    sharingModelRead: "Lecture seule publique",
+    sharingModelReadWrite: "Lecture/Écriture publique",
+    sharingModelReadWriteTransfer: "Lecture/Écriture/Transfert public",
+    sharingModelFullAccess: "Accès complet public",
+    sharingModelControlledByParent: "Contrôlé par le parent",
+    sharingModelControlledByCampaign: "Contrôlé par la campagne",
+    sharingModelControlledByLeadOrContact: "Contrôlé par la piste ou le contact",
+    floatingDragTitle: "Faites glisser pour déplacer le bouton Partage",
+    contextMenuOpenSharing: "Ouvrir le partage",
+    listRowIconTitle: "Ouvrir le partage de cet enregistrement",
+    listBulkRegionLabel: "Partage de la sélection",
+    listBulkTitle: { one: "{count} sélectionné", many: "{count} sélectionnés", other: "{count} sélectionnés" },
+    listBulkOpenTabs: "Ouvrir les onglets de partage",
+    listBulkCombinedTable: "Tableau de partage combiné",
+    listBulkOpened: "{opened} sur {selected} sélectionnés ouverts ({limit} au maximum à la fois).",
+    listCombinedTitle: "Partage des enregistrements sélectionnés",
+    listCombinedProgress: "Chargement de {done} sur {total} enregistrements...",
+    listCombinedDone: { one: "{count} ligne de partage pour {total} enregistrements", many: "{count} lignes de partage pour {total} enregistrements", other: "{count} lignes de partage pour {total} enregistrements" },
+    listColumnRecord: "Enregistrement",
+    listColumnObject: "Objet",
+    errorNoRecordIdInLink: "Impossible de trouver un ID d'enregistrement dans ce lien.",
+    errorOpenSharingFailed: "Impossible d'ouvrir la page de partage. Rechargez la page et réessayez.",
+    popupRecordId15: "ID d'enregistrement (15)",
+    popupRecordId18: "ID d'enregistrement (18)",
+    popupObject: "Objet",
+    popupObjectUnknown: "Inconnu",
+    popupPageType: "Type de page",
+    popupPageTypeLightning: "Lightning",
+    popupPageTypeConsole: "Console Lightning",
+    popupPageTypeClassic: "Classic",
+    popupPageTypeVisualforce: "Visualforce",
+    popupPageTypeSetup: "Configuration",
+    popupPageTypeExperience: "Site Experience Cloud",
+    popupDetectedBy: "Détecté par",
+    popupCopyId: "Copier",
+    popupCopied: "Copié !",
+    popupOpenSharing: "Ouvrir le partage",
+    popupOpenInClassic: "Ouvrir dans Classic",
+    popupOpenInLightning: "Ouvrir dans Lightning",
+    popupOpenInSetup: "Ouvrir l'objet dans Configuration",
+    popupStatusInserted: "Le bouton Partage est sur la page.",
+    popupStatusFloating: "Le bouton Partage est affiché comme bouton flottant, car son emplacement n'a pas été trouvé sur cette page.",
+    popupStatusPending: "Le bouton Partage n'a pas encore été inséré.",
+    popupStatusNotRecordPage: "Le bouton Partage n'apparaît que sur les pages d'enregistrement.",
+    popupStatusObjectFiltered: "Le bouton Partage est masqué sur cet objet par le filtre d'objets de la page d'options.",
+    popupStatusOrgDisabled: "Le bouton Partage est désactivé pour cette organisation par son profil ou par votre entreprise.",
+    popupOrg: "Organisation",
+    popupOrgNoProfile: "Aucun profil pour cette organisation",
+    popupCreateProfile: "Créer un profil",
+    popupNotSalesforce: "Ouvrez un enregistrement Salesforce pour utiliser cette extension.",
+    popupReloadPage: "L'extension ne peut pas accéder à cette page. Rechargez-la et réessayez.",
     settingsSubtitle: "Paramètres",
     languageSettingsTitle: "Paramètres de Langue",
-    languageSettingsDescription: "Choisissez votre langue préférée pour l'interface de l'extension. Vous pouvez utiliser la langue par défaut de votre navigateur ou sélectionner une langue spécifique.",
+    languageSettingsDescription: "Choisissez votre langue préférée pour l'interface de l'extension. Vous pouvez utiliser la langue par défaut de votre navigateur, sélectionner une langue spécifique ou suivre la langue de votre utilisateur Salesforce.",
     languageModeLabel: "Mode de Langue:",
     languageModeAuto: "Utiliser la langue du navigateur (recommandé)",
     languageModeManual: "Sélectionner une langue spécifique",
+    languageModeSalesforce: "Utiliser ma langue Salesforce",
+    salesforceLanguageText: "Votre langue Salesforce:",
     languageSelectLabel: "Sélectionner la Langue:",
     browserLanguageText: "Langue de votre navigateur:",
+    openSettingsTitle: "Ouverture de la page de partage",
+    openSettingsDescription: "Choisissez comment s'ouvre la page de partage Classic. Ctrl/Cmd-clic, Maj-clic et clic du milieu sur le bouton suivent toujours les conventions de votre navigateur.",
+    openModeLabel: "Mode d'ouverture :",
+    openModeForeground: "Nouvel onglet",
+    openModeBackground: "Onglet en arrière-plan à côté de l'onglet actuel",
+    openModeReuse: "Réutiliser un seul onglet de partage",
+    openModePopup: "Fenêtre contextuelle",
+    openModeSameTab: "Même onglet",
+    popupWidthLabel: "Largeur (px) :",
+    popupHeightLabel: "Hauteur (px) :",
+    placementSettingsTitle: "Emplacement du bouton",
+    placementSettingsDescription: "Choisissez où apparaît le bouton Partage. Si l'emplacement choisi n'est pas sur la page, le bouton revient à l'emplacement par défaut, puis à un bouton flottant. Le bouton flottant peut être déplacé par sa poignée et reste là où vous le déposez sur chaque domaine Salesforce.",
+    placementLabel: "Emplacement :",
+    placementAuto: "Par défaut pour la page",
+    placementGlobalHeader: "En-tête global (Lightning)",
+    placementHighlightsPanel: "Actions du panneau de mise en évidence de l'enregistrement (Lightning)",
+    placementClassicButtons: "Rangée de boutons de la page de détail (Classic)",
+    placementFloating: "Bouton flottant",
+    listSettingsTitle: "Vues de liste",
+    listSettingsDescription: "Les lignes des vues de liste et des listes associées reçoivent une icône de partage. « Partage de la sélection » ouvre les pages de partage des lignes sélectionnées dans des onglets en arrière-plan, jusqu'à ce nombre d'onglets à la fois.",
+    bulkOpenLimitLabel: "Nombre maximal d'onglets à ouvrir :",
+    objectFilterTitle: "Objets",
+    objectFilterDescription: "Choisissez les objets dont les enregistrements affichent le bouton Partage. Saisissez des noms d'API d'objets (par ex. Invoice__c) ou des préfixes de clé à 3 caractères (par ex. a0p), ou choisissez des objets de l'organisation d'un onglet Salesforce ouvert.",
+    objectFilterModeLabel: "Afficher le bouton sur :",
+    objectFilterModeAll: "Tous les objets",
+    objectFilterModeAllow: "Uniquement les objets listés",
+    objectFilterModeDeny: "Tous les objets sauf ceux listés",
+    objectFilterSearchPlaceholder: "Recherchez des objets ou saisissez un nom d'API ou un préfixe de clé, puis appuyez sur Entrée",
+    objectFilterFromOrg: "Objets de {host}",
+    objectFilterNoOrg: "Ouvrez un onglet Salesforce pour choisir des objets de son organisation.",
+    objectFilterLoadError: "Impossible de charger les objets de l'organisation.",
+    objectFilterRemove: "Supprimer",
+    orgProfilesTitle: "Profils d'organisation",
+    orgProfilesDescription: "Donnez à une organisation ses propres paramètres, identifiée par son ID d'organisation (00D...) ou son nom de Mon domaine (par ex. acme ou acme--uat). Une étiquette d'organisation comme PROD peut s'afficher sur le bouton sous forme de badge ou de bordure de couleur, pour que vous sachiez toujours dans quelle organisation vous êtes.",
+    orgProfileKeyPlaceholder: "ID d'organisation ou nom de Mon domaine",
+    orgProfileAdd: "Ajouter un profil",
+    orgProfileCreate: "Créer un profil",
+    orgProfileDelete: "Supprimer le profil",
+    orgProfileDetectedTitle: "Organisations visitées qui n'ont pas encore de profil :",
+    orgProfileNoneDetected: "Aucune",
+    orgProfileLabel: "Étiquette :",
+    orgProfileColor: "Couleur :",
+    orgProfileBadgeStyle: "Afficher l'étiquette comme :",
+    orgProfileBadgeStyleBadge: "Badge sur le bouton",
+    orgProfileBadgeStyleBorder: "Bordure de couleur",
+    orgProfileBadgeStyleNone: "Rien",
+    orgProfileEnabled: "Afficher le bouton Partage dans cette organisation",
+    orgProfileObjects: "Objets listés (séparés par des virgules) :",
+    managedByOrganization: "Géré par votre entreprise",
+    customDomainsTitle: "Domaines personnalisés",
+    customDomainsDescription: "Le bouton fonctionne sur les domaines propres à Salesforce. Ajoutez les domaines personnalisés utilisés par vos organisations ou sites Experience Cloud, comme sf.acme.com ou *.acme.com pour tous ses sous-domaines, et indiquez le type de pages qu'ils servent. Chrome vous demande d'autoriser l'accès à chaque domaine ; rechargez ensuite ses onglets ouverts.",
+    customDomainPlaceholder: "sf.acme.com ou *.acme.com",
+    customDomainAdd: "Ajouter un domaine",
+    customDomainRemove: "Supprimer",
+    customDomainGrant: "Autoriser l'accès",
+    customDomainGranted: "Accès autorisé",
+    customDomainNotGranted: "Pas d'accès",
+    customDomainInvalid: "« {host} » n'est pas un nom de domaine.",
+    experienceSitesDescription: "Les sites Experience Cloud (*.my.site.com, *.my.salesforce-sites.com) servent aussi des pages publiques : le bouton n'y fonctionne donc qu'une fois l'accès autorisé.",
+    experienceSitesRevoke: "Retirer l'accès",
+    hostKindLightning: "Lightning",
+    hostKindClassic: "Classic",
+    hostKindVisualforce: "Visualforce",
+    hostKindSetup: "Configuration",
+    hostKindExperience: "Site Experience Cloud",
+    transferTitle: "Importer et exporter",
+    transferDescription: "Exportez vos paramètres, y compris les profils d'organisation, dans un fichier que vos collègues peuvent importer pour obtenir la même configuration. Les paramètres importés sont vérifiés et prévisualisés avant d'être appliqués.",
+    exportSettingsButton: "Exporter les paramètres",
+    importSettingsButton: "Importer les paramètres",
+    importPreviewTitle: { one: "{file} modifie {count} paramètre :", many: "{file} modifie {count} paramètres :", other: "{file} modifie {count} paramètres :" },
+    importNoChanges: "{file} correspond à vos paramètres actuels.",
+    importIgnored: "Paramètres inconnus ignorés : {settings}.",
+    importColumnSetting: "Paramètre",
+    importColumnCurrent: "Actuel",
+    importColumnImported: "Importé",
+    importLockedNotApplied: "Géré par votre entreprise, non appliqué",
+    importApply: "Appliquer",
+    importCancel: "Annuler",
+    importInvalid: "Ce fichier ne peut pas être importé :",
+    importSuccess: "Paramètres importés avec succès !",
+    managedAllowedOrgs: "Votre entreprise limite le bouton Partage à ces organisations : {orgs}",
     saveButtonText: "Enregistrer les Paramètres",
     saveSuccessMessage: "Paramètres enregistrés avec succès!",
     saveErrorMessage: "Erreur lors de l'enregistrement des paramètres. Veuillez réessayer."
@@ -60,15 +801,262 @@ const translations = {
     langEnglishName: "Deutsch (German)",
     buttonText: "Freigabe",
     buttonTitle: "Freigabe-Details für diesen Datensatz öffnen",
+    buttonTargetTitle: "Datensatz: {record}",
     errorNoRecordId: "Auf dieser Seite konnte keine Datensatz-ID erkannt werden. Öffnen Sie eine Datensatz-Detailseite und versuchen Sie es erneut.",
+    errorNoSharingPage: "{object}-Datensätze haben keine Freigabeseite. Freigabe ist nur für Accounts, Kontakte, Opportunities, Leads, Cases, Kampagnen, Benutzer und benutzerdefinierte Objekte verfügbar.",
+    panelTitle: "Freigabe",
+    panelClose: "Schließen",
+    panelLoading: "Freigabezeilen werden geladen...",
+    panelNoRows: "Keine passenden Freigabezeilen.",
+    panelFilterPlaceholder: "Nach Name, Typ, Zugriff oder Grund filtern",
+    panelOpenClassic: "Classic-Freigabeseite öffnen",
+    panelColumnName: "Benutzer oder Gruppe",
+    panelColumnType: "Typ",
+    panelColumnAccess: "Zugriffsebene",
+    panelColumnReason: "Grund",
+    panelColumnLastModified: "Zuletzt geändert",
+    panelRowCount: "{shown} von {total} Freigabezeilen angezeigt",
+    panelErrorLoading: "Die Freigabezeilen konnten nicht geladen werden:",
+    panelErrorUnknownObject: "Das Objekt dieses Datensatzes konnte nicht ermittelt werden. Verwenden Sie stattdessen die Classic-Freigabeseite.",
+    panelColumnActions: "Aktionen",
+    panelAddShare: "Freigabe hinzufügen",
+    panelWriteActionsDisabled: "Schreibgeschützt: von Ihrem Unternehmen verwaltet",
+    panelChangeAccess: "Zugriff ändern",
+    panelChangeAccessFor: "Zugriff für {name} ändern:",
+    panelRemove: "Entfernen",
+    panelSave: "Speichern",
+    panelCancel: "Abbrechen",
+    panelConfirm: "Bestätigen",
+    panelSearchPlaceholder: "Nach Name suchen (mindestens 2 Zeichen)",
+    panelSearchNoResults: "Keine Treffer gefunden.",
+    panelTargetUser: "Benutzer",
+    panelTargetRegular: "Öffentliche Gruppe",
+    panelTargetRole: "Rolle",
+    panelTargetRoleAndSubordinates: "Rolle und Untergebene",
+    accessLevelNone: "Privat",
+    accessLevelRead: "Schreibgeschützt",
+    accessLevelEdit: "Lesen/Schreiben",
+    accessLevelAll: "Vollzugriff",
+    rowCauseOwner: "Inhaber",
+    rowCauseManual: "Manuelle Freigabe",
+    rowCauseRule: "Freigaberegel",
+    rowCauseImplicitChild: "Inhaber oder Freigabe des zugehörigen Datensatzes",
+    rowCauseImplicitParent: "Zugehöriger untergeordneter Datensatz",
+    rowCauseImplicitPerson: "Personenaccount",
+    rowCauseTeam: "Team",
+    rowCauseTerritory: "Gebiet",
+    rowCauseTerritoryRule: "Gebietsregel",
+    rowCauseTerritoryManual: "Gebiet manuell",
+    rowCauseGuestRule: "Freigaberegel für Gastbenutzer",
+    groupTypeRegular: "Öffentliche Gruppe",
+    groupTypeRole: "Rolle",
+    groupTypeRoleAndSubordinates: "Rolle und Untergebene",
+    groupTypeRoleAndSubordinatesInternal: "Rolle und interne Untergebene",
+    groupTypeQueue: "Warteschlange",
+    groupTypeOrganization: "Alle internen Benutzer",
+    groupTypeAllCustomerPortal: "Alle Kundenportalbenutzer",
+    groupTypeManager: "Manager",
+    groupTypeManagerAndSubordinatesInternal: "Manager und Untergebene",
+    groupTypeTerritory: "Gebiet",
+    groupTypeTerritoryAndSubordinates: "Gebiet und Untergebene",
+    panelConfirmAdd: "Diesen Datensatz mit {name} mit Zugriff {access} freigeben?",
+    panelConfirmChange: "Zugriff von {name} von {from} auf {to} ändern?",
+    panelConfirmRemove: "Manuelle Freigabe von {name} entfernen? Der Zugriff auf diesen Datensatz kann verloren gehen.",
+    panelShareAdded: "Freigabe hinzugefügt.",
+    panelShareUpdated: "Zugriff geändert.",
+    panelShareRemoved: "Freigabe entfernt.",
+    panelErrorInsufficientAccess: "Sie sind nicht berechtigt, die Freigabe dieses Datensatzes zu verwalten. Das können nur der Datensatzinhaber, Benutzer oberhalb des Inhabers in der Rollenhierarchie und Administratoren.",
+    panelErrorAccessBelowDefault: "Die Zugriffsebene muss großzügiger sein als die organisationsweite Standardeinstellung des Objekts.",
+    menuToggleTitle: "Weitere Freigabeaktionen",
+    menuExplainAccess: "Zugriff erklären...",
+    menuExportCsv: "Freigabe exportieren (CSV)",
+    menuExportJson: "Freigabe exportieren (JSON)",
+    exportColumnUserOrGroupId: "Benutzer- oder Gruppen-ID",
+    exportColumnLastModifiedBy: "Zuletzt geändert von",
+    exportError: "Die Freigabezeilen konnten nicht exportiert werden:",
+    exportDone: { one: "{count} Freigabezeile exportiert.", other: "{count} Freigabezeilen exportiert." },
+    toastDetails: "Details",
+    toastHideDetails: "Details ausblenden",
+    toastCopyReport: "Diagnosebericht kopieren",
+    toastReportCopied: "Bericht kopiert",
+    toastReportCopyFailed: "Der Bericht konnte nicht kopiert werden",
+    diagnosticUrl: "URL",
+    diagnosticPatternsTried: "Versuchte Muster",
+    diagnosticInsertStrategy: "Einfügestrategie",
+    diagnosticPageType: "Seitentyp",
+    diagnosticNone: "keine",
+    debugTitle: "Fehlerbehebung",
+    debugDescription: "Der Debug-Modus protokolliert, wie die Erweiterung den Datensatz sucht und wo sie die Schaltfläche einfügt, und zeigt auf Salesforce-Seiten eine kleine Einblendung mit ihrem aktuellen Zustand. Aktivieren Sie ihn, reproduzieren Sie das Problem, laden Sie dann das Protokoll herunter und hängen Sie es an Ihren Fehlerbericht an.",
+    debugModeLabel: "Debug-Modus",
+    debugViewLog: "Protokoll anzeigen",
+    debugDownloadLog: "Protokoll herunterladen",
+    debugClearLog: "Protokoll leeren",
+    debugLogEmpty: "Das Protokoll ist leer. Aktivieren Sie den Debug-Modus, speichern Sie und laden Sie eine Salesforce-Seite neu.",
+    explainTitle: "Zugriff erklären",
+    explainChooseUser: "Wählen Sie einen Benutzer, um zu sehen, welchen Zugriff er auf diesen Datensatz hat und warum.",
+    explainLoading: "Zugriff wird geprüft...",
+    explainError: "Der Zugriff konnte nicht erklärt werden:",
+    explainAccessHeading: "Zugriff von {name}",
+    explainRead: "Lesen",
+    explainEdit: "Bearbeiten",
+    explainDelete: "Löschen",
+    explainTransfer: "Übertragen",
+    explainMaxAccess: "Maximaler Zugriff: {level}",
+    explainNoAccessRow: "Salesforce hat keine Zugriffsinformationen für diesen Benutzer und Datensatz zurückgegeben.",
+    explainPathsHeading: "Herkunft des Zugriffs",
+    explainNoPaths: "Keine Herkunft gefunden. Der Zugriff kann aus Teams, Gebieten, impliziter Freigabe oder einer öffentlichen organisationsweiten Standardeinstellung stammen.",
+    explainProfile: "Profil",
+    explainPathPermission: "Berechtigung {permission} aus {source}",
+    explainPathOwner: "Ist Inhaber des Datensatzes",
+    explainPathQueue: "Mitglied der Warteschlange, die den Datensatz besitzt: {group}",
+    explainPathRoleOwner: "Rolle {role} steht in der Rollenhierarchie über dem Datensatzinhaber {name}",
+    explainPathShare: "Direkt freigegeben: {reason}, {access}",
+    explainPathGroup: "Mitglied von {group}, das über {reason} Zugriff {access} hat",
+    explainPathRole: "Rolle {role} steht in der Rollenhierarchie über {name}, der über {reason} Zugriff {access} hat",
+    sharingUnavailableTitle: "Freigabe ist für {object} nicht verfügbar: Die organisationsweite Standardeinstellung ist {internal} (intern) / {external} (extern), daher gibt es kein Freigabeobjekt für {object}.",
+    sharingModelPrivate: "Privat",
+    sharingModelRead: "Öffentlich schreibgeschützt",
+    sharingModelReadWrite: "Öffentlich Lesen/Schreiben",
+    sharingModelReadWriteTransfer: "Öffentlich Lesen/Schreiben/Übertragen",
+    sharingModelFullAccess: "Öffentlicher Vollzugriff",
+    sharingModelControlledByParent: "Durch übergeordnetes Objekt gesteuert",
+    sharingModelControlledByCampaign: "Durch Kampagne gesteuert",
+    sharingModelControlledByLeadOrContact: "Durch Lead oder Kontakt gesteuert",
+    floatingDragTitle: "Ziehen, um die Schaltfläche Freigabe zu verschieben",
+    contextMenuOpenSharing: "Freigabe öffnen",
+    listRowIconTitle: "Freigabe für diesen Datensatz öffnen",
+    listBulkRegionLabel: "Freigabe für Auswahl",
+    listBulkTitle: { one: "{count} ausgewählt", other: "{count} ausgewählt" },
+    listBulkOpenTabs: "Freigabe-Tabs öffnen",
+    listBulkCombinedTable: "Kombinierte Freigabetabelle",
+    listBulkOpened: "{opened} von {selected} ausgewählten geöffnet (höchstens {limit} auf einmal).",
+    listCombinedTitle: "Freigabe für ausgewählte Datensätze",
+    listCombinedProgress: "{done} von {total} Datensätzen werden geladen...",
+    listCombinedDone: { one: "{count} Freigabezeile für {total} Datensätze", other: "{count} Freigabezeilen für {total} Datensätze" },
+    listColumnRecord: "Datensatz",
+    listColumnObject: "Objekt",
+    errorNoRecordIdInLink: "In diesem Link wurde keine Datensatz-ID gefunden.",
+    errorOpenSharingFailed: "Die Freigabeseite konnte nicht geöffnet werden. Laden Sie die Seite neu und versuchen Sie es erneut.",
+    popupRecordId15: "Datensatz-ID (15)",
+    popupRecordId18: "Datensatz-ID (18)",
+    popupObject: "Objekt",
+    popupObjectUnknown: "Unbekannt",
+    popupPageType: "Seitentyp",
+    popupPageTypeLightning: "Lightning",
+    popupPageTypeConsole: "Lightning-Konsole",
+    popupPageTypeClassic: "Classic",
+    popupPageTypeVisualforce: "Visualforce",
+    popupPageTypeSetup: "Setup",
+    popupPageTypeExperience: "Experience Cloud-Site",
+    popupDetectedBy: "Erkannt durch",
+    popupCopyId: "Kopieren",
+    popupCopied: "Kopiert!",
+    popupOpenSharing: "Freigabe öffnen",
+    popupOpenInClassic: "In Classic öffnen",
+    popupOpenInLightning: "In Lightning öffnen",
+    popupOpenInSetup: "Objekt im Setup öffnen",
+    popupStatusInserted: "Die Schaltfläche Freigabe ist auf der Seite.",
+    popupStatusFloating: "Die Schaltfläche Freigabe wird schwebend angezeigt, da ihre Position auf dieser Seite nicht gefunden wurde.",
+    popupStatusPending: "Die Schaltfläche Freigabe wurde noch nicht eingefügt.",
+    popupStatusNotRecordPage: "Die Schaltfläche Freigabe wird nur auf Datensatzseiten angezeigt.",
+    popupStatusObjectFiltered: "Die Schaltfläche Freigabe ist für dieses Objekt durch den Objektfilter der Optionsseite ausgeblendet.",
+    popupStatusOrgDisabled: "Die Schaltfläche Freigabe ist für diese Organisation durch ihr Profil oder durch Ihr Unternehmen deaktiviert.",
+    popupOrg: "Organisation",
+    popupOrgNoProfile: "Kein Profil für diese Organisation",
+    popupCreateProfile: "Profil erstellen",
+    popupNotSalesforce: "Öffnen Sie einen Salesforce-Datensatz, um diese Erweiterung zu verwenden.",
+    popupReloadPage: "Die Erweiterung kann diese Seite nicht erreichen. Laden Sie sie neu und versuchen Sie es erneut.",
     settingsSubtitle: "Einstellungen",
     languageSettingsTitle: "Spracheinstellungen",
-    languageSettingsDescription: "Wählen Sie Ihre bevorzugte Sprache für die Erweiterungsoberfläche. Sie können entweder die Standardsprache Ihres Browsers verwenden oder eine bestimmte Sprache auswählen.",
+    languageSettingsDescription: "Wählen Sie Ihre bevorzugte Sprache für die Erweiterungsoberfläche. Sie können die Standardsprache Ihres Browsers verwenden, eine bestimmte Sprache auswählen oder der Sprache Ihres Salesforce-Benutzers folgen.",
     languageModeLabel: "Sprachmodus:",
     languageModeAuto: "Browser-Sprache verwenden (empfohlen)",
     languageModeManual: "Bestimmte Sprache auswählen",
+    languageModeSalesforce: "Meine Salesforce-Sprache verwenden",
+    salesforceLanguageText: "Ihre Salesforce-Sprache:",
     languageSelectLabel: "Sprache auswählen:",
     browserLanguageText: "Ihre Browser-Sprache:",
+    openSettingsTitle: "Öffnen der Freigabeseite",
+    openSettingsDescription: "Wählen Sie, wie die Classic-Freigabeseite geöffnet wird. Strg/Cmd-Klick, Umschalt-Klick und Mittelklick auf die Schaltfläche folgen immer den Konventionen Ihres Browsers.",
+    openModeLabel: "Öffnungsmodus:",
+    openModeForeground: "Neuer Tab",
+    openModeBackground: "Hintergrund-Tab neben dem aktuellen",
+    openModeReuse: "Einen einzigen Freigabe-Tab wiederverwenden",
+    openModePopup: "Popup-Fenster",
+    openModeSameTab: "Gleicher Tab",
+    popupWidthLabel: "Breite (px):",
+    popupHeightLabel: "Höhe (px):",
+    placementSettingsTitle: "Position der Schaltfläche",
+    placementSettingsDescription: "Wählen Sie, wo die Schaltfläche Freigabe erscheint. Ist die gewählte Stelle nicht auf der Seite vorhanden, wird die Standardposition und danach eine schwebende Schaltfläche verwendet. Die schwebende Schaltfläche lässt sich an ihrem Griff ziehen und bleibt auf jeder Salesforce-Domäne dort, wo Sie sie ablegen.",
+    placementLabel: "Position:",
+    placementAuto: "Standard für die Seite",
+    placementGlobalHeader: "Globale Kopfzeile (Lightning)",
+    placementHighlightsPanel: "Aktionen im Datensatz-Highlights-Bereich (Lightning)",
+    placementClassicButtons: "Schaltflächenleiste der Detailseite (Classic)",
+    placementFloating: "Schwebende Schaltfläche",
+    listSettingsTitle: "Listenansichten",
+    listSettingsDescription: "Zeilen von Listenansichten und Themenlisten erhalten ein Freigabesymbol. „Freigabe für Auswahl“ öffnet die Freigabeseiten der ausgewählten Zeilen in Hintergrund-Tabs, bis zu dieser Anzahl von Tabs auf einmal.",
+    bulkOpenLimitLabel: "Maximal zu öffnende Tabs:",
+    objectFilterTitle: "Objekte",
+    objectFilterDescription: "Wählen Sie die Objekte, deren Datensätze die Schaltfläche Freigabe anzeigen. Geben Sie API-Namen von Objekten (z. B. Invoice__c) oder 3-stellige Schlüsselpräfixe (z. B. a0p) ein oder wählen Sie Objekte aus der Organisation eines geöffneten Salesforce-Tabs.",
+    objectFilterModeLabel: "Schaltfläche anzeigen für:",
+    objectFilterModeAll: "Alle Objekte",
+    objectFilterModeAllow: "Nur die aufgeführten Objekte",
+    objectFilterModeDeny: "Alle Objekte außer den aufgeführten",
+    objectFilterSearchPlaceholder: "Objekte suchen oder API-Namen bzw. Schlüsselpräfix eingeben und Eingabe drücken",
+    objectFilterFromOrg: "Objekte von {host}",
+    objectFilterNoOrg: "Öffnen Sie einen Salesforce-Tab, um Objekte aus dessen Organisation auszuwählen.",
+    objectFilterLoadError: "Die Objekte der Organisation konnten nicht geladen werden.",
+    objectFilterRemove: "Entfernen",
+    orgProfilesTitle: "Organisationsprofile",
+    orgProfilesDescription: "Geben Sie einer Organisation eigene Einstellungen, zugeordnet über ihre Organisations-ID (00D...) oder ihren My Domain-Namen (z. B. acme oder acme--uat). Eine Organisationsbezeichnung wie PROD kann auf der Schaltfläche als farbiges Abzeichen oder farbiger Rahmen erscheinen, damit Sie immer wissen, in welcher Organisation Sie sind.",
+    orgProfileKeyPlaceholder: "Organisations-ID oder My Domain-Name",
+    orgProfileAdd: "Profil hinzufügen",
+    orgProfileCreate: "Profil erstellen",
+    orgProfileDelete: "Profil löschen",
+    orgProfileDetectedTitle: "Besuchte Organisationen ohne Profil:",
+    orgProfileNoneDetected: "Keine",
+    orgProfileLabel: "Bezeichnung:",
+    orgProfileColor: "Farbe:",
+    orgProfileBadgeStyle: "Bezeichnung anzeigen als:",
+    orgProfileBadgeStyleBadge: "Abzeichen auf der Schaltfläche",
+    orgProfileBadgeStyleBorder: "Farbiger Rahmen",
+    orgProfileBadgeStyleNone: "Nichts",
+    orgProfileEnabled: "Schaltfläche Freigabe in dieser Organisation anzeigen",
+    orgProfileObjects: "Aufgeführte Objekte (durch Kommas getrennt):",
+    managedByOrganization: "Von Ihrem Unternehmen verwaltet",
+    customDomainsTitle: "Benutzerdefinierte Domänen",
+    customDomainsDescription: "Die Schaltfläche funktioniert auf den eigenen Domänen von Salesforce. Fügen Sie die benutzerdefinierten Domänen hinzu, die Ihre Organisationen oder Experience Cloud-Sites verwenden, z. B. sf.acme.com oder *.acme.com für alle Subdomänen, und geben Sie an, welche Art von Seiten sie bereitstellen. Chrome fragt Sie, ob der Zugriff auf jede Domäne erlaubt werden soll; laden Sie danach deren geöffnete Tabs neu.",
+    customDomainPlaceholder: "sf.acme.com oder *.acme.com",
+    customDomainAdd: "Domäne hinzufügen",
+    customDomainRemove: "Entfernen",
+    customDomainGrant: "Zugriff erlauben",
+    customDomainGranted: "Zugriff erlaubt",
+    customDomainNotGranted: "Kein Zugriff",
+    customDomainInvalid: "„{host}“ ist kein Domänenname.",
+    experienceSitesDescription: "Experience Cloud-Sites (*.my.site.com, *.my.salesforce-sites.com) stellen auch öffentliche Seiten bereit. Die Schaltfläche läuft dort daher erst, wenn Sie den Zugriff erlauben.",
+    experienceSitesRevoke: "Zugriff entfernen",
+    hostKindLightning: "Lightning",
+    hostKindClassic: "Classic",
+    hostKindVisualforce: "Visualforce",
+    hostKindSetup: "Setup",
+    hostKindExperience: "Experience Cloud-Site",
+    transferTitle: "Importieren und Exportieren",
+    transferDescription: "Exportieren Sie Ihre Einstellungen einschließlich der Organisationsprofile in eine Datei, die Ihre Kollegen importieren können, um dieselbe Konfiguration zu erhalten. Importierte Einstellungen werden geprüft und vor dem Anwenden in einer Vorschau angezeigt.",
+    exportSettingsButton: "Einstellungen exportieren",
+    importSettingsButton: "Einstellungen importieren",
+    importPreviewTitle: { one: "{file} ändert {count} Einstellung:", other: "{file} ändert {count} Einstellungen:" },
+    importNoChanges: "{file} entspricht Ihren aktuellen Einstellungen.",
+    importIgnored: "Unbekannte Einstellungen ausgelassen: {settings}.",
+    importColumnSetting: "Einstellung",
+    importColumnCurrent: "Aktuell",
+    importColumnImported: "Importiert",
+    importLockedNotApplied: "Von Ihrem Unternehmen verwaltet, nicht angewendet",
+    importApply: "Anwenden",
+    importCancel: "Abbrechen",
+    importInvalid: "Diese Datei kann nicht importiert werden:",
+    importSuccess: "Einstellungen erfolgreich importiert!",
+    managedAllowedOrgs: "Ihr Unternehmen beschränkt die Schaltfläche Freigabe auf diese Organisationen: {orgs}",
     saveButtonText: "Einstellungen speichern",
     saveSuccessMessage: "Einstellungen erfolgreich gespeichert!",
     saveErrorMessage: "Fehler beim Speichern der Einstellungen. Bitte versuchen Sie es erneut."
@@ -77,15 +1065,262 @@ const translations = {
     langEnglishName: "Italiano (Italian)",
     buttonText: "Condivisione",
     buttonTitle: "Apri i dettagli di condivisione per questo record",
+    buttonTargetTitle: "Record: {record}",
     errorNoRecordId: "Impossibile rilevare un ID record in questa pagina. Apri una pagina di dettaglio record e riprova.",
+    errorNoSharingPage: "I record {object} non hanno una pagina di condivisione. La condivisione è disponibile solo per account, referenti, opportunità, lead, casi, campagne, utenti e oggetti personalizzati.",
+    panelTitle: "Condivisione",
+    panelClose: "Chiudi",
+    panelLoading: "Caricamento delle righe di condivisione...",
+    panelNoRows: "Nessuna riga di condivisione corrispondente.",
+    panelFilterPlaceholder: "Filtra per nome, tipo, accesso o motivo",
+    panelOpenClassic: "Apri la pagina di condivisione Classic",
+    panelColumnName: "Utente o gruppo",
+    panelColumnType: "Tipo",
+    panelColumnAccess: "Livello di accesso",
+    panelColumnReason: "Motivo",
+    panelColumnLastModified: "Ultima modifica",
+    panelRowCount: "Visualizzate {shown} di {total} righe di condivisione",
+    panelErrorLoading: "Impossibile caricare le righe di condivisione:",
+    panelErrorUnknownObject: "Impossibile determinare l'oggetto di questo record. Usa invece la pagina di condivisione Classic.",
+    panelColumnActions: "Azioni",
+    panelAddShare: "Aggiungi condivisione",
+    panelWriteActionsDisabled: "Sola lettura: gestito dalla tua azienda",
+    panelChangeAccess: "Modifica accesso",
+    panelChangeAccessFor: "Modifica l'accesso di {name}:",
+    panelRemove: "Rimuovi",
+    panelSave: "Salva",
+    panelCancel: "Annulla",
+    panelConfirm: "Conferma",
+    panelSearchPlaceholder: "Cerca per nome (almeno 2 caratteri)",
+    panelSearchNoResults: "Nessuna corrispondenza trovata.",
+    panelTargetUser: "Utente",
+    panelTargetRegular: "Gruppo pubblico",
+    panelTargetRole: "Ruolo",
+    panelTargetRoleAndSubordinates: "Ruolo e subordinati",
+    accessLevelNone: "Privato",
+    accessLevelRead: "Sola lettura",
+    accessLevelEdit: "Lettura/Scrittura",
+    accessLevelAll: "Accesso completo",
+    rowCauseOwner: "Proprietario",
+    rowCauseManual: "Condivisione manuale",
+    rowCauseRule: "Regola di condivisione",
+    rowCauseImplicitChild: "Proprietario o condivisione del record associato",
+    rowCauseImplicitParent: "Record secondario associato",
+    rowCauseImplicitPerson: "Account personale",
+    rowCauseTeam: "Team",
+    rowCauseTerritory: "Territorio",
+    rowCauseTerritoryRule: "Regola territorio",
+    rowCauseTerritoryManual: "Territorio manuale",
+    rowCauseGuestRule: "Regola di condivisione utente ospite",
+    groupTypeRegular: "Gruppo pubblico",
+    groupTypeRole: "Ruolo",
+    groupTypeRoleAndSubordinates: "Ruolo e subordinati",
+    groupTypeRoleAndSubordinatesInternal: "Ruolo e subordinati interni",
+    groupTypeQueue: "Coda",
+    groupTypeOrganization: "Tutti gli utenti interni",
+    groupTypeAllCustomerPortal: "Tutti gli utenti del portale clienti",
+    groupTypeManager: "Manager",
+    groupTypeManagerAndSubordinatesInternal: "Manager e subordinati",
+    groupTypeTerritory: "Territorio",
+    groupTypeTerritoryAndSubordinates: "Territorio e subordinati",
+    panelConfirmAdd: "Condividere questo record con {name} con accesso {access}?",
+    panelConfirmChange: "Modificare l'accesso di {name} da {from} a {to}?",
+    panelConfirmRemove: "Rimuovere la condivisione manuale di {name}? Potrebbe perdere l'accesso a questo record.",
+    panelShareAdded: "Condivisione aggiunta.",
+    panelShareUpdated: "Accesso modificato.",
+    panelShareRemoved: "Condivisione rimossa.",
+    panelErrorInsufficientAccess: "Non hai l'autorizzazione per gestire la condivisione di questo record. Possono farlo solo il proprietario del record, gli utenti sopra il proprietario nella gerarchia dei ruoli e gli amministratori.",
+    panelErrorAccessBelowDefault: "Il livello di accesso deve essere più permissivo dell'impostazione predefinita a livello di organizzazione dell'oggetto.",
+    menuToggleTitle: "Altre azioni di condivisione",
+    menuExplainAccess: "Spiega accesso...",
+    menuExportCsv: "Esporta condivisione (CSV)",
+    menuExportJson: "Esporta condivisione (JSON)",
+    exportColumnUserOrGroupId: "ID utente o gruppo",
+    exportColumnLastModifiedBy: "Ultima modifica di",
+    exportError: "Impossibile esportare le righe di condivisione:",
+    exportDone: { one: "Esportata {count} riga di condivisione.", many: "Esportate {count} righe di condivisione.", other: "Esportate {count} righe di condivisione." },
+    toastDetails: "Dettagli",
+    toastHideDetails: "Nascondi dettagli",
+    toastCopyReport: "Copia rapporto diagnostico",
+    toastReportCopied: "Rapporto copiato",
+    toastReportCopyFailed: "Impossibile copiare il rapporto",
+    diagnosticUrl: "URL",
+    diagnosticPatternsTried: "Modelli provati",
+    diagnosticInsertStrategy: "Strategia di inserimento",
+    diagnosticPageType: "Tipo di pagina",
+    diagnosticNone: "nessuno",
+    debugTitle: "Risoluzione dei problemi",
+    debugDescription: "La modalità di debug registra come l'estensione cerca il record e dove inserisce il pulsante, e mostra una piccola sovrapposizione con il suo stato attuale nelle pagine Salesforce. Attivala, riproduci il problema, quindi scarica il registro e allegalo alla segnalazione del bug.",
+    debugModeLabel: "Modalità di debug",
+    debugViewLog: "Visualizza registro",
+    debugDownloadLog: "Scarica registro",
+    debugClearLog: "Cancella registro",
+    debugLogEmpty: "Il registro è vuoto. Attiva la modalità di debug, salva e ricarica una pagina Salesforce.",
+    explainTitle: "Spiega accesso",
+    explainChooseUser: "Scegli un utente per vedere quale accesso ha a questo record e perché.",
+    explainLoading: "Verifica dell'accesso...",
+    explainError: "Impossibile spiegare l'accesso:",
+    explainAccessHeading: "Accesso di {name}",
+    explainRead: "Lettura",
+    explainEdit: "Modifica",
+    explainDelete: "Eliminazione",
+    explainTransfer: "Trasferimento",
+    explainMaxAccess: "Accesso massimo: {level}",
+    explainNoAccessRow: "Salesforce non ha restituito informazioni di accesso per questo utente e record.",
+    explainPathsHeading: "Origini dell'accesso",
+    explainNoPaths: "Nessuna origine trovata. L'accesso può derivare da team, territori, condivisione implicita o da un'impostazione predefinita pubblica a livello di organizzazione.",
+    explainProfile: "Profilo",
+    explainPathPermission: "Autorizzazione {permission} da {source}",
+    explainPathOwner: "È proprietario del record",
+    explainPathQueue: "Membro della coda proprietaria del record: {group}",
+    explainPathRoleOwner: "Il ruolo {role} è sopra il proprietario del record, {name}, nella gerarchia dei ruoli",
+    explainPathShare: "Condiviso direttamente: {reason}, {access}",
+    explainPathGroup: "Membro di {group}, che ha accesso {access} tramite {reason}",
+    explainPathRole: "Il ruolo {role} è sopra {name} nella gerarchia dei ruoli, che ha accesso {access} tramite {reason}",
+    sharingUnavailableTitle: "La condivisione non è disponibile per {object}: l'impostazione predefinita a livello di organizzazione è {internal} (interno) / {external} (esterno), quindi non esiste un oggetto di condivisione {object}.",
+    sharingModelPrivate: "Privato",
+    sharingModelRead: "Sola lettura pubblica",
+    sharingModelReadWrite: "Lettura/Scrittura pubblica",
+    sharingModelReadWriteTransfer: "Lettura/Scrittura/Trasferimento pubblico",
+    sharingModelFullAccess: "Accesso completo pubblico",
+    sharingModelControlledByParent: "Controllato dal principale",
+    sharingModelControlledByCampaign: "Controllato dalla campagna",
+    sharingModelControlledByLeadOrContact: "Controllato dal lead o dal contatto",
+    floatingDragTitle: "Trascina per spostare il pulsante Condivisione",
+    contextMenuOpenSharing: "Apri condivisione",
+    listRowIconTitle: "Apri la condivisione di questo record",
+    listBulkRegionLabel: "Condivisione dei selezionati",
+    listBulkTitle: { one: "{count} selezionato", many: "{count} selezionati", other: "{count} selezionati" },
+    listBulkOpenTabs: "Apri schede di condivisione",
+    listBulkCombinedTable: "Tabella di condivisione combinata",
+    listBulkOpened: "Aperti {opened} di {selected} selezionati (al massimo {limit} alla volta).",
+    listCombinedTitle: "Condivisione dei record selezionati",
+    listCombinedProgress: "Caricamento di {done} di {total} record...",
+    listCombinedDone: { one: "{count} riga di condivisione per {total} record", many: "{count} righe di condivisione per {total} record", other: "{count} righe di condivisione per {total} record" },
+    listColumnRecord: "Record",
+    listColumnObject: "Oggetto",
+    errorNoRecordIdInLink: "Impossibile trovare un ID record in questo link.",
+    errorOpenSharingFailed: "Impossibile aprire la pagina di condivisione. Ricarica la pagina e riprova.",
+    popupRecordId15: "ID record (15)",
+    popupRecordId18: "ID record (18)",
+    popupObject: "Oggetto",
+    popupObjectUnknown: "Sconosciuto",
+    popupPageType: "Tipo di pagina",
+    popupPageTypeLightning: "Lightning",
+    popupPageTypeConsole: "Console Lightning",
+    popupPageTypeClassic: "Classic",
+    popupPageTypeVisualforce: "Visualforce",
+    popupPageTypeSetup: "Imposta",
+    popupPageTypeExperience: "Sito Experience Cloud",
+    popupDetectedBy: "Rilevato da",
+    popupCopyId: "Copia",
+    popupCopied: "Copiato!",
+    popupOpenSharing: "Apri condivisione",
+    popupOpenInClassic: "Apri in Classic",
+    popupOpenInLightning: "Apri in Lightning",
+    popupOpenInSetup: "Apri oggetto in Imposta",
+    popupStatusInserted: "Il pulsante Condivisione è nella pagina.",
+    popupStatusFloating: "Il pulsante Condivisione è mostrato come pulsante mobile perché la sua posizione non è stata trovata in questa pagina.",
+    popupStatusPending: "Il pulsante Condivisione non è ancora stato inserito.",
+    popupStatusNotRecordPage: "Il pulsante Condivisione viene mostrato solo nelle pagine dei record.",
+    popupStatusObjectFiltered: "Il pulsante Condivisione è nascosto su questo oggetto dal filtro oggetti della pagina delle opzioni.",
+    popupStatusOrgDisabled: "Il pulsante Condivisione è disattivato per questa organizzazione dal suo profilo o dalla tua azienda.",
+    popupOrg: "Organizzazione",
+    popupOrgNoProfile: "Nessun profilo per questa organizzazione",
+    popupCreateProfile: "Crea profilo",
+    popupNotSalesforce: "Apri un record Salesforce per usare questa estensione.",
+    popupReloadPage: "L'estensione non riesce a raggiungere questa pagina. Ricaricala e riprova.",
     settingsSubtitle: "Impostazioni",
     languageSettingsTitle: "Impostazioni Lingua",
-    languageSettingsDescription: "Scegli la tua lingua preferita per l'interfaccia dell'estensione. Puoi utilizzare la lingua predefinita del browser o selezionare una lingua specifica.",
+    languageSettingsDescription: "Scegli la tua lingua preferita per l'interfaccia dell'estensione. Puoi utilizzare la lingua predefinita del browser, selezionare una lingua specifica o seguire la lingua del tuo utente Salesforce.",
     languageModeLabel: "Modalità Lingua:",
     languageModeAuto: "Usa lingua del browser (raccomandato)",
     languageModeManual: "Seleziona lingua specifica",
+    languageModeSalesforce: "Usa la mia lingua di Salesforce",
+    salesforceLanguageText: "La tua lingua di Salesforce:",
     languageSelectLabel: "Seleziona Lingua:",
     browserLanguageText: "Lingua del tuo browser:",
+    openSettingsTitle: "Apertura della pagina di condivisione",
+    openSettingsDescription: "Scegli come si apre la pagina di condivisione Classic. Ctrl/Cmd-clic, Maiusc-clic e clic centrale sul pulsante seguono sempre le convenzioni del browser.",
+    openModeLabel: "Modalità di apertura:",
+    openModeForeground: "Nuova scheda",
+    openModeBackground: "Scheda in background accanto a quella corrente",
+    openModeReuse: "Riutilizza un'unica scheda di condivisione",
+    openModePopup: "Finestra popup",
+    openModeSameTab: "Stessa scheda",
+    popupWidthLabel: "Larghezza (px):",
+    popupHeightLabel: "Altezza (px):",
+    placementSettingsTitle: "Posizione del pulsante",
+    placementSettingsDescription: "Scegli dove appare il pulsante Condivisione. Se la posizione scelta non è presente nella pagina, il pulsante ripiega su quella predefinita e poi su un pulsante mobile. Il pulsante mobile può essere trascinato dalla maniglia e resta dove lo rilasci su ogni dominio Salesforce.",
+    placementLabel: "Posizione:",
+    placementAuto: "Predefinita per la pagina",
+    placementGlobalHeader: "Intestazione globale (Lightning)",
+    placementHighlightsPanel: "Azioni del pannello di evidenziazione del record (Lightning)",
+    placementClassicButtons: "Riga dei pulsanti della pagina dei dettagli (Classic)",
+    placementFloating: "Pulsante mobile",
+    listSettingsTitle: "Visualizzazioni elenco",
+    listSettingsDescription: "Le righe delle visualizzazioni elenco e degli elenchi correlati ricevono un'icona di condivisione. \"Condivisione dei selezionati\" apre le pagine di condivisione delle righe selezionate in schede in background, fino a questo numero di schede alla volta.",
+    bulkOpenLimitLabel: "Numero massimo di schede da aprire:",
+    objectFilterTitle: "Oggetti",
+    objectFilterDescription: "Scegli gli oggetti i cui record mostrano il pulsante Condivisione. Inserisci i nomi API degli oggetti (ad es. Invoice__c) o i prefissi chiave di 3 caratteri (ad es. a0p), oppure scegli gli oggetti dall'organizzazione di una scheda Salesforce aperta.",
+    objectFilterModeLabel: "Mostra il pulsante su:",
+    objectFilterModeAll: "Tutti gli oggetti",
+    objectFilterModeAllow: "Solo gli oggetti elencati",
+    objectFilterModeDeny: "Tutti gli oggetti tranne quelli elencati",
+    objectFilterSearchPlaceholder: "Cerca oggetti o digita un nome API o un prefisso chiave, poi premi Invio",
+    objectFilterFromOrg: "Oggetti di {host}",
+    objectFilterNoOrg: "Apri una scheda Salesforce per scegliere gli oggetti della sua organizzazione.",
+    objectFilterLoadError: "Impossibile caricare gli oggetti dell'organizzazione.",
+    objectFilterRemove: "Rimuovi",
+    orgProfilesTitle: "Profili organizzazione",
+    orgProfilesDescription: "Assegna a un'organizzazione impostazioni proprie, identificata dal suo ID organizzazione (00D...) o dal nome del suo Dominio personale (ad es. acme o acme--uat). Un'etichetta di organizzazione come PROD può apparire sul pulsante come badge o bordo colorato, così sai sempre in quale organizzazione ti trovi.",
+    orgProfileKeyPlaceholder: "ID organizzazione o nome del Dominio personale",
+    orgProfileAdd: "Aggiungi profilo",
+    orgProfileCreate: "Crea profilo",
+    orgProfileDelete: "Elimina profilo",
+    orgProfileDetectedTitle: "Organizzazioni visitate che non hanno ancora un profilo:",
+    orgProfileNoneDetected: "Nessuna",
+    orgProfileLabel: "Etichetta:",
+    orgProfileColor: "Colore:",
+    orgProfileBadgeStyle: "Mostra l'etichetta come:",
+    orgProfileBadgeStyleBadge: "Badge sul pulsante",
+    orgProfileBadgeStyleBorder: "Bordo colorato",
+    orgProfileBadgeStyleNone: "Niente",
+    orgProfileEnabled: "Mostra il pulsante Condivisione in questa organizzazione",
+    orgProfileObjects: "Oggetti elencati (separati da virgole):",
+    managedByOrganization: "Gestito dalla tua azienda",
+    customDomainsTitle: "Domini personalizzati",
+    customDomainsDescription: "Il pulsante funziona sui domini propri di Salesforce. Aggiungi i domini personalizzati usati dalle tue organizzazioni o dai siti Experience Cloud, come sf.acme.com o *.acme.com per tutti i suoi sottodomini, e indica il tipo di pagine che servono. Chrome ti chiede di consentire l'accesso a ogni dominio; poi ricarica le relative schede aperte.",
+    customDomainPlaceholder: "sf.acme.com o *.acme.com",
+    customDomainAdd: "Aggiungi dominio",
+    customDomainRemove: "Rimuovi",
+    customDomainGrant: "Consenti accesso",
+    customDomainGranted: "Accesso consentito",
+    customDomainNotGranted: "Nessun accesso",
+    customDomainInvalid: "\"{host}\" non è un nome di dominio.",
+    experienceSitesDescription: "I siti Experience Cloud (*.my.site.com, *.my.salesforce-sites.com) servono anche pagine pubbliche, quindi il pulsante funziona su di essi solo dopo che ne hai consentito l'accesso.",
+    experienceSitesRevoke: "Rimuovi accesso",
+    hostKindLightning: "Lightning",
+    hostKindClassic: "Classic",
+    hostKindVisualforce: "Visualforce",
+    hostKindSetup: "Imposta",
+    hostKindExperience: "Sito Experience Cloud",
+    transferTitle: "Importa ed esporta",
+    transferDescription: "Esporta le impostazioni, inclusi i profili organizzazione, in un file che i colleghi possono importare per ottenere la stessa configurazione. Le impostazioni importate vengono verificate e mostrate in anteprima prima di essere applicate.",
+    exportSettingsButton: "Esporta impostazioni",
+    importSettingsButton: "Importa impostazioni",
+    importPreviewTitle: { one: "{file} modifica {count} impostazione:", many: "{file} modifica {count} impostazioni:", other: "{file} modifica {count} impostazioni:" },
+    importNoChanges: "{file} corrisponde alle impostazioni attuali.",
+    importIgnored: "Impostazioni sconosciute escluse: {settings}.",
+    importColumnSetting: "Impostazione",
+    importColumnCurrent: "Attuale",
+    importColumnImported: "Importato",
+    importLockedNotApplied: "Gestito dalla tua azienda, non applicato",
+    importApply: "Applica",
+    importCancel: "Annulla",
+    importInvalid: "Impossibile importare questo file:",
+    importSuccess: "Impostazioni importate correttamente!",
+    managedAllowedOrgs: "La tua azienda limita il pulsante Condivisione a queste organizzazioni: {orgs}",
     saveButtonText: "Salva Impostazioni",
     saveSuccessMessage: "Impostazioni salvate con successo!",
     saveErrorMessage: "Errore nel salvare le impostazioni. Riprova."
@@ -94,15 +1329,262 @@ const translations = {
     langEnglishName: "Português (Portuguese)",
     buttonText: "Compartilhamento",
     buttonTitle: "Abrir detalhes de compartilhamento para este registro",
+    buttonTargetTitle: "Registro: {record}",
     errorNoRecordId: "Não foi possível detectar um ID de registro nesta página. Abra uma página de detalhes do registro e tente novamente.",
+    errorNoSharingPage: "Os registros de {object} não têm página de compartilhamento. O compartilhamento só está disponível para contas, contatos, oportunidades, leads, casos, campanhas, usuários e objetos personalizados.",
+    panelTitle: "Compartilhamento",
+    panelClose: "Fechar",
+    panelLoading: "Carregando linhas de compartilhamento...",
+    panelNoRows: "Nenhuma linha de compartilhamento corresponde.",
+    panelFilterPlaceholder: "Filtrar por nome, tipo, acesso ou motivo",
+    panelOpenClassic: "Abrir a página de compartilhamento do Classic",
+    panelColumnName: "Usuário ou grupo",
+    panelColumnType: "Tipo",
+    panelColumnAccess: "Nível de acesso",
+    panelColumnReason: "Motivo",
+    panelColumnLastModified: "Última modificação",
+    panelRowCount: "Mostrando {shown} de {total} linhas de compartilhamento",
+    panelErrorLoading: "Não foi possível carregar as linhas de compartilhamento:",
+    panelErrorUnknownObject: "Não foi possível determinar o objeto deste registro. Use a página de compartilhamento do Classic.",
+    panelColumnActions: "Ações",
+    panelAddShare: "Adicionar compartilhamento",
+    panelWriteActionsDisabled: "Somente leitura: gerenciado pela sua empresa",
+    panelChangeAccess: "Alterar acesso",
+    panelChangeAccessFor: "Alterar o acesso de {name}:",
+    panelRemove: "Remover",
+    panelSave: "Salvar",
+    panelCancel: "Cancelar",
+    panelConfirm: "Confirmar",
+    panelSearchPlaceholder: "Pesquisar por nome (pelo menos 2 caracteres)",
+    panelSearchNoResults: "Nenhuma correspondência encontrada.",
+    panelTargetUser: "Usuário",
+    panelTargetRegular: "Grupo público",
+    panelTargetRole: "Função",
+    panelTargetRoleAndSubordinates: "Função e subordinados",
+    accessLevelNone: "Particular",
+    accessLevelRead: "Somente leitura",
+    accessLevelEdit: "Leitura/Gravação",
+    accessLevelAll: "Acesso total",
+    rowCauseOwner: "Proprietário",
+    rowCauseManual: "Compartilhamento manual",
+    rowCauseRule: "Regra de compartilhamento",
+    rowCauseImplicitChild: "Proprietário ou compartilhamento do registro associado",
+    rowCauseImplicitParent: "Registro filho associado",
+    rowCauseImplicitPerson: "Conta pessoal",
+    rowCauseTeam: "Equipe",
+    rowCauseTerritory: "Território",
+    rowCauseTerritoryRule: "Regra de território",
+    rowCauseTerritoryManual: "Território manual",
+    rowCauseGuestRule: "Regra de compartilhamento de usuário convidado",
+    groupTypeRegular: "Grupo público",
+    groupTypeRole: "Função",
+    groupTypeRoleAndSubordinates: "Função e subordinados",
+    groupTypeRoleAndSubordinatesInternal: "Função e subordinados internos",
+    groupTypeQueue: "Fila",
+    groupTypeOrganization: "Todos os usuários internos",
+    groupTypeAllCustomerPortal: "Todos os usuários do portal do cliente",
+    groupTypeManager: "Gerente",
+    groupTypeManagerAndSubordinatesInternal: "Gerente e subordinados",
+    groupTypeTerritory: "Território",
+    groupTypeTerritoryAndSubordinates: "Território e subordinados",
+    panelConfirmAdd: "Compartilhar este registro com {name} com acesso {access}?",
+    panelConfirmChange: "Alterar o acesso de {name} de {from} para {to}?",
+    panelConfirmRemove: "Remover o compartilhamento manual de {name}? Essa pessoa pode perder o acesso a este registro.",
+    panelShareAdded: "Compartilhamento adicionado.",
+    panelShareUpdated: "Acesso alterado.",
+    panelShareRemoved: "Compartilhamento removido.",
+    panelErrorInsufficientAccess: "Você não tem permissão para gerenciar o compartilhamento deste registro. Somente o proprietário do registro, os usuários acima dele na hierarquia de funções e os administradores podem.",
+    panelErrorAccessBelowDefault: "O nível de acesso deve ser mais permissivo que o padrão para toda a organização do objeto.",
+    menuToggleTitle: "Mais ações de compartilhamento",
+    menuExplainAccess: "Explicar acesso...",
+    menuExportCsv: "Exportar compartilhamento (CSV)",
+    menuExportJson: "Exportar compartilhamento (JSON)",
+    exportColumnUserOrGroupId: "ID de usuário ou grupo",
+    exportColumnLastModifiedBy: "Última modificação por",
+    exportError: "Não foi possível exportar as linhas de compartilhamento:",
+    exportDone: { one: "{count} linha de compartilhamento exportada.", many: "{count} linhas de compartilhamento exportadas.", other: "{count} linhas de compartilhamento exportadas." },
+    toastDetails: "Detalhes",
+    toastHideDetails: "Ocultar detalhes",
+    toastCopyReport: "Copiar relatório de diagnóstico",
+    toastReportCopied: "Relatório copiado",
+    toastReportCopyFailed: "Não foi possível copiar o relatório",
+    diagnosticUrl: "URL",
+    diagnosticPatternsTried: "Padrões testados",
+    diagnosticInsertStrategy: "Estratégia de inserção",
+    diagnosticPageType: "Tipo de página",
+    diagnosticNone: "nenhum",
+    debugTitle: "Solução de problemas",
+    debugDescription: "O modo de depuração registra como a extensão procura o registro e onde insere o botão, e mostra uma pequena sobreposição com seu estado atual nas páginas do Salesforce. Ative-o, reproduza o problema, depois baixe o log e anexe-o ao seu relato de bug.",
+    debugModeLabel: "Modo de depuração",
+    debugViewLog: "Ver log",
+    debugDownloadLog: "Baixar log",
+    debugClearLog: "Limpar log",
+    debugLogEmpty: "O log está vazio. Ative o modo de depuração, salve e recarregue uma página do Salesforce.",
+    explainTitle: "Explicar acesso",
+    explainChooseUser: "Escolha um usuário para ver qual acesso ele tem a este registro e por quê.",
+    explainLoading: "Verificando o acesso...",
+    explainError: "Não foi possível explicar o acesso:",
+    explainAccessHeading: "Acesso de {name}",
+    explainRead: "Ler",
+    explainEdit: "Editar",
+    explainDelete: "Excluir",
+    explainTransfer: "Transferir",
+    explainMaxAccess: "Acesso máximo: {level}",
+    explainNoAccessRow: "O Salesforce não retornou informações de acesso para este usuário e registro.",
+    explainPathsHeading: "Origens do acesso",
+    explainNoPaths: "Nenhuma origem encontrada. O acesso pode vir de equipes, territórios, compartilhamento implícito ou de um padrão público para toda a organização.",
+    explainProfile: "Perfil",
+    explainPathPermission: "Permissão {permission} de {source}",
+    explainPathOwner: "É proprietário do registro",
+    explainPathQueue: "Membro da fila proprietária do registro: {group}",
+    explainPathRoleOwner: "A função {role} está acima do proprietário do registro, {name}, na hierarquia de funções",
+    explainPathShare: "Compartilhado diretamente: {reason}, {access}",
+    explainPathGroup: "Membro de {group}, que tem acesso {access} por meio de {reason}",
+    explainPathRole: "A função {role} está acima de {name} na hierarquia de funções, que tem acesso {access} por meio de {reason}",
+    sharingUnavailableTitle: "O compartilhamento não está disponível para {object}: o padrão para toda a organização é {internal} (interno) / {external} (externo), portanto não há objeto de compartilhamento de {object}.",
+    sharingModelPrivate: "Particular",
+    sharingModelRead: "Somente leitura pública",
+    sharingModelReadWrite: "Leitura/Gravação pública",
+    sharingModelReadWriteTransfer: "Leitura/Gravação/Transferência pública",
+    sharingModelFullAccess: "Acesso total público",
+    sharingModelControlledByParent: "Controlado pelo pai",
+    sharingModelControlledByCampaign: "Controlado pela campanha",
+    sharingModelControlledByLeadOrContact: "Controlado pelo lead ou contato",
+    floatingDragTitle: "Arraste para mover o botão Compartilhamento",
+    contextMenuOpenSharing: "Abrir compartilhamento",
+    listRowIconTitle: "Abrir o compartilhamento deste registro",
+    listBulkRegionLabel: "Compartilhamento dos selecionados",
+    listBulkTitle: { one: "{count} selecionado", many: "{count} selecionados", other: "{count} selecionados" },
+    listBulkOpenTabs: "Abrir guias de compartilhamento",
+    listBulkCombinedTable: "Tabela de compartilhamento combinada",
+    listBulkOpened: "{opened} de {selected} selecionados abertos (no máximo {limit} por vez).",
+    listCombinedTitle: "Compartilhamento dos registros selecionados",
+    listCombinedProgress: "Carregando {done} de {total} registros...",
+    listCombinedDone: { one: "{count} linha de compartilhamento para {total} registros", many: "{count} linhas de compartilhamento para {total} registros", other: "{count} linhas de compartilhamento para {total} registros" },
+    listColumnRecord: "Registro",
+    listColumnObject: "Objeto",
+    errorNoRecordIdInLink: "Não foi possível encontrar um ID de registro neste link.",
+    errorOpenSharingFailed: "Não foi possível abrir a página de compartilhamento. Recarregue a página e tente novamente.",
+    popupRecordId15: "ID do registro (15)",
+    popupRecordId18: "ID do registro (18)",
+    popupObject: "Objeto",
+    popupObjectUnknown: "Desconhecido",
+    popupPageType: "Tipo de página",
+    popupPageTypeLightning: "Lightning",
+    popupPageTypeConsole: "Console do Lightning",
+    popupPageTypeClassic: "Classic",
+    popupPageTypeVisualforce: "Visualforce",
+    popupPageTypeSetup: "Configuração",
+    popupPageTypeExperience: "Site do Experience Cloud",
+    popupDetectedBy: "Detectado por",
+    popupCopyId: "Copiar",
+    popupCopied: "Copiado!",
+    popupOpenSharing: "Abrir compartilhamento",
+    popupOpenInClassic: "Abrir no Classic",
+    popupOpenInLightning: "Abrir no Lightning",
+    popupOpenInSetup: "Abrir objeto na Configuração",
+    popupStatusInserted: "O botão Compartilhamento está na página.",
+    popupStatusFloating: "O botão Compartilhamento aparece como botão flutuante, pois sua posição não foi encontrada nesta página.",
+    popupStatusPending: "O botão Compartilhamento ainda não foi inserido.",
+    popupStatusNotRecordPage: "O botão Compartilhamento só aparece em páginas de registro.",
+    popupStatusObjectFiltered: "O botão Compartilhamento está oculto neste objeto pelo filtro de objetos da página de opções.",
+    popupStatusOrgDisabled: "O botão Compartilhamento está desativado para esta organização pelo perfil dela ou pela sua empresa.",
+    popupOrg: "Organização",
+    popupOrgNoProfile: "Nenhum perfil para esta organização",
+    popupCreateProfile: "Criar perfil",
+    popupNotSalesforce: "Abra um registro do Salesforce para usar esta extensão.",
+    popupReloadPage: "A extensão não consegue acessar esta página. Recarregue-a e tente novamente.",
     settingsSubtitle: "Configurações",
     languageSettingsTitle: "Configurações de Idioma",
-    languageSettingsDescription: "Escolha seu idioma preferido para a interface da extensão. Você pode usar o idioma padrão do seu navegador ou selecionar um idioma específico.",
+    languageSettingsDescription: "Escolha seu idioma preferido para a interface da extensão. Você pode usar o idioma padrão do seu navegador, selecionar um idioma específico ou seguir o idioma do seu usuário do Salesforce.",
     languageModeLabel: "Modo de Idioma:",
     languageModeAuto: "Usar idioma do navegador (recomendado)",
     languageModeManual: "Selecionar idioma específico",
+    languageModeSalesforce: "Usar meu idioma do Salesforce",
+    salesforceLanguageText: "Seu idioma do Salesforce:",
     languageSelectLabel: "Selecionar Idioma:",
     browserLanguageText: "Idioma do seu navegador:",
+    openSettingsTitle: "Abertura da página de compartilhamento",
+    openSettingsDescription: "Escolha como a página de compartilhamento do Classic é aberta. Ctrl/Cmd-clique, Shift-clique e clique do meio no botão sempre seguem as convenções do seu navegador.",
+    openModeLabel: "Modo de abertura:",
+    openModeForeground: "Nova guia",
+    openModeBackground: "Guia em segundo plano ao lado da atual",
+    openModeReuse: "Reutilizar uma única guia de compartilhamento",
+    openModePopup: "Janela pop-up",
+    openModeSameTab: "Mesma guia",
+    popupWidthLabel: "Largura (px):",
+    popupHeightLabel: "Altura (px):",
+    placementSettingsTitle: "Posição do botão",
+    placementSettingsDescription: "Escolha onde o botão Compartilhamento aparece. Quando o local escolhido não está na página, o botão volta ao local padrão e depois a um botão flutuante. O botão flutuante pode ser arrastado pela alça e fica onde você o soltar em cada domínio do Salesforce.",
+    placementLabel: "Posição:",
+    placementAuto: "Padrão da página",
+    placementGlobalHeader: "Cabeçalho global (Lightning)",
+    placementHighlightsPanel: "Ações do painel de destaques do registro (Lightning)",
+    placementClassicButtons: "Linha de botões da página de detalhes (Classic)",
+    placementFloating: "Botão flutuante",
+    listSettingsTitle: "Visualizações de lista",
+    listSettingsDescription: "As linhas de visualizações de lista e listas relacionadas recebem um ícone de compartilhamento. \"Compartilhamento dos selecionados\" abre as páginas de compartilhamento das linhas selecionadas em guias em segundo plano, até este número de guias por vez.",
+    bulkOpenLimitLabel: "Máximo de guias a abrir:",
+    objectFilterTitle: "Objetos",
+    objectFilterDescription: "Escolha os objetos cujos registros mostram o botão Compartilhamento. Digite nomes de API de objetos (por exemplo, Invoice__c) ou prefixos de chave de 3 caracteres (por exemplo, a0p), ou escolha objetos da organização de uma guia aberta do Salesforce.",
+    objectFilterModeLabel: "Mostrar o botão em:",
+    objectFilterModeAll: "Todos os objetos",
+    objectFilterModeAllow: "Somente os objetos listados",
+    objectFilterModeDeny: "Todos os objetos, exceto os listados",
+    objectFilterSearchPlaceholder: "Pesquise objetos ou digite um nome de API ou prefixo de chave e pressione Enter",
+    objectFilterFromOrg: "Objetos de {host}",
+    objectFilterNoOrg: "Abra uma guia do Salesforce para escolher objetos da organização dela.",
+    objectFilterLoadError: "Não foi possível carregar os objetos da organização.",
+    objectFilterRemove: "Remover",
+    orgProfilesTitle: "Perfis de organização",
+    orgProfilesDescription: "Dê a uma organização suas próprias configurações, identificada pelo ID da organização (00D...) ou pelo nome do Meu domínio (por exemplo, acme ou acme--uat). Um rótulo de organização como PROD pode aparecer no botão como um selo ou uma borda colorida, para você sempre saber em qual organização está.",
+    orgProfileKeyPlaceholder: "ID da organização ou nome do Meu domínio",
+    orgProfileAdd: "Adicionar perfil",
+    orgProfileCreate: "Criar perfil",
+    orgProfileDelete: "Excluir perfil",
+    orgProfileDetectedTitle: "Organizações visitadas que ainda não têm perfil:",
+    orgProfileNoneDetected: "Nenhuma",
+    orgProfileLabel: "Rótulo:",
+    orgProfileColor: "Cor:",
+    orgProfileBadgeStyle: "Mostrar o rótulo como:",
+    orgProfileBadgeStyleBadge: "Selo no botão",
+    orgProfileBadgeStyleBorder: "Borda colorida",
+    orgProfileBadgeStyleNone: "Nada",
+    orgProfileEnabled: "Mostrar o botão Compartilhamento nesta organização",
+    orgProfileObjects: "Objetos listados (separados por vírgulas):",
+    managedByOrganization: "Gerenciado pela sua empresa",
+    customDomainsTitle: "Domínios personalizados",
+    customDomainsDescription: "O botão funciona nos domínios do próprio Salesforce. Adicione os domínios personalizados que suas organizações ou sites do Experience Cloud usam, como sf.acme.com ou *.acme.com para todos os seus subdomínios, e informe que tipo de páginas eles servem. O Chrome pede que você permita o acesso a cada domínio; depois, recarregue as guias abertas dele.",
+    customDomainPlaceholder: "sf.acme.com ou *.acme.com",
+    customDomainAdd: "Adicionar domínio",
+    customDomainRemove: "Remover",
+    customDomainGrant: "Permitir acesso",
+    customDomainGranted: "Acesso permitido",
+    customDomainNotGranted: "Sem acesso",
+    customDomainInvalid: "\"{host}\" não é um nome de domínio.",
+    experienceSitesDescription: "Os sites do Experience Cloud (*.my.site.com, *.my.salesforce-sites.com) também servem páginas públicas, então o botão só funciona neles depois que você permitir o acesso.",
+    experienceSitesRevoke: "Remover acesso",
+    hostKindLightning: "Lightning",
+    hostKindClassic: "Classic",
+    hostKindVisualforce: "Visualforce",
+    hostKindSetup: "Configuração",
+    hostKindExperience: "Site do Experience Cloud",
+    transferTitle: "Importar e exportar",
+    transferDescription: "Exporte suas configurações, incluindo os perfis de organização, para um arquivo que os colegas podem importar para obter a mesma configuração. As configurações importadas são verificadas e pré-visualizadas antes de serem aplicadas.",
+    exportSettingsButton: "Exportar configurações",
+    importSettingsButton: "Importar configurações",
+    importPreviewTitle: { one: "{file} altera {count} configuração:", many: "{file} altera {count} configurações:", other: "{file} altera {count} configurações:" },
+    importNoChanges: "{file} corresponde às suas configurações atuais.",
+    importIgnored: "Configurações desconhecidas ignoradas: {settings}.",
+    importColumnSetting: "Configuração",
+    importColumnCurrent: "Atual",
+    importColumnImported: "Importado",
+    importLockedNotApplied: "Gerenciado pela sua empresa, não aplicado",
+    importApply: "Aplicar",
+    importCancel: "Cancelar",
+    importInvalid: "Este arquivo não pode ser importado:",
+    importSuccess: "Configurações importadas com sucesso!",
+    managedAllowedOrgs: "Sua empresa limita o botão Compartilhamento a estas organizações: {orgs}",
     saveButtonText: "Salvar Configurações",
     saveSuccessMessage: "Configurações salvas com sucesso!",
     saveErrorMessage: "Erro ao salvar configurações. Tente novamente."
@@ -111,15 +1593,262 @@ const translations = {
     langEnglishName: "Português do Brasil (Brazilian Portuguese)",
     buttonText: "Compartilhamento",
     buttonTitle: "Abrir detalhes de compartilhamento para este registro",
+    buttonTargetTitle: "Registro: {record}",
     errorNoRecordId: "Não foi possível detectar um ID de registro nesta página. Abra uma página de detalhes do registro e tente novamente.",
+    errorNoSharingPage: "Os registros de {object} não têm página de compartilhamento. O compartilhamento só está disponível para contas, contatos, oportunidades, leads, casos, campanhas, usuários e objetos personalizados.",
+    panelTitle: "Compartilhamento",
+    panelClose: "Fechar",
+    panelLoading: "Carregando linhas de compartilhamento...",
+    panelNoRows: "Nenhuma linha de compartilhamento corresponde.",
+    panelFilterPlaceholder: "Filtrar por nome, tipo, acesso ou motivo",
+    panelOpenClassic: "Abrir a página de compartilhamento do Classic",
+    panelColumnName: "Usuário ou grupo",
+    panelColumnType: "Tipo",
+    panelColumnAccess: "Nível de acesso",
+    panelColumnReason: "Motivo",
+    panelColumnLastModified: "Última modificação",
+    panelRowCount: "Mostrando {shown} de {total} linhas de compartilhamento",
+    panelErrorLoading: "Não foi possível carregar as linhas de compartilhamento:",
+    panelErrorUnknownObject: "Não foi possível determinar o objeto deste registro. Use a página de compartilhamento do Classic.",
+    panelColumnActions: "Ações",
+    panelAddShare: "Adicionar compartilhamento",
+    panelWriteActionsDisabled: "Somente leitura: gerenciado pela sua empresa",
+    panelChangeAccess: "Alterar acesso",
+    panelChangeAccessFor: "Alterar o acesso de {name}:",
+    panelRemove: "Remover",
+    panelSave: "Salvar",
+    panelCancel: "Cancelar",
+    panelConfirm: "Confirmar",
+    panelSearchPlaceholder: "Pesquisar por nome (pelo menos 2 caracteres)",
+    panelSearchNoResults: "Nenhuma correspondência encontrada.",
+    panelTargetUser: "Usuário",
+    panelTargetRegular: "Grupo público",
+    panelTargetRole: "Função",
+    panelTargetRoleAndSubordinates: "Função e subordinados",
+    accessLevelNone: "Particular",
+    accessLevelRead: "Somente leitura",
+    accessLevelEdit: "Leitura/Gravação",
+    accessLevelAll: "Acesso total",
+    rowCauseOwner: "Proprietário",
+    rowCauseManual: "Compartilhamento manual",
+    rowCauseRule: "Regra de compartilhamento",
+    rowCauseImplicitChild: "Proprietário ou compartilhamento do registro associado",
+    rowCauseImplicitParent: "Registro filho associado",
+    rowCauseImplicitPerson: "Conta pessoal",
+    rowCauseTeam: "Equipe",
+    rowCauseTerritory: "Território",
+    rowCauseTerritoryRule: "Regra de território",
+    rowCauseTerritoryManual: "Território manual",
+    rowCauseGuestRule: "Regra de compartilhamento de usuário convidado",
+    groupTypeRegular: "Grupo público",
+    groupTypeRole: "Função",
+    groupTypeRoleAndSubordinates: "Função e subordinados",
+    groupTypeRoleAndSubordinatesInternal: "Função e subordinados internos",
+    groupTypeQueue: "Fila",
+    groupTypeOrganization: "Todos os usuários internos",
+    groupTypeAllCustomerPortal: "Todos os usuários do portal do cliente",
+    groupTypeManager: "Gerente",
+    groupTypeManagerAndSubordinatesInternal: "Gerente e subordinados",
+    groupTypeTerritory: "Território",
+    groupTypeTerritoryAndSubordinates: "Território e subordinados",
+    panelConfirmAdd: "Compartilhar este registro com {name} com acesso {access}?",
+    panelConfirmChange: "Alterar o acesso de {name} de {from} para {to}?",
+    panelConfirmRemove: "Remover o compartilhamento manual de {name}? Essa pessoa pode perder o acesso a este registro.",
+    panelShareAdded: "Compartilhamento adicionado.",
+    panelShareUpdated: "Acesso alterado.",
+    panelShareRemoved: "Compartilhamento removido.",
+    panelErrorInsufficientAccess: "Você não tem permissão para gerenciar o compartilhamento deste registro. Somente o proprietário do registro, os usuários acima dele na hierarquia de funções e os administradores podem.",
+    panelErrorAccessBelowDefault: "O nível de acesso deve ser mais permissivo que o padrão para toda a organização do objeto.",
+    menuToggleTitle: "Mais ações de compartilhamento",
+    menuExplainAccess: "Explicar acesso...",
+    menuExportCsv: "Exportar compartilhamento (CSV)",
+    menuExportJson: "Exportar compartilhamento (JSON)",
+    exportColumnUserOrGroupId: "ID de usuário ou grupo",
+    exportColumnLastModifiedBy: "Última modificação por",
+    exportError: "Não foi possível exportar as linhas de compartilhamento:",
+    exportDone: { one: "{count} linha de compartilhamento exportada.", many: "{count} linhas de compartilhamento exportadas.", other: "{count} linhas de compartilhamento exportadas." },
+    toastDetails: "Detalhes",
+    toastHideDetails: "Ocultar detalhes",
+    toastCopyReport: "Copiar relatório de diagnóstico",
+    toastReportCopied: "Relatório copiado",
+    toastReportCopyFailed: "Não foi possível copiar o relatório",
+    diagnosticUrl: "URL",
+    diagnosticPatternsTried: "Padrões testados",
+    diagnosticInsertStrategy: "Estratégia de inserção",
+    diagnosticPageType: "Tipo de página",
+    diagnosticNone: "nenhum",
+    debugTitle: "Solução de problemas",
+    debugDescription: "O modo de depuração registra como a extensão procura o registro e onde insere o botão, e mostra uma pequena sobreposição com seu estado atual nas páginas do Salesforce. Ative-o, reproduza o problema, depois baixe o log e anexe-o ao seu relato de bug.",
+    debugModeLabel: "Modo de depuração",
+    debugViewLog: "Ver log",
+    debugDownloadLog: "Baixar log",
+    debugClearLog: "Limpar log",
+    debugLogEmpty: "O log está vazio. Ative o modo de depuração, salve e recarregue uma página do Salesforce.",
+    explainTitle: "Explicar acesso",
+    explainChooseUser: "Escolha um usuário para ver qual acesso ele tem a este registro e por quê.",
+    explainLoading: "Verificando o acesso...",
+    explainError: "Não foi possível explicar o acesso:",
+    explainAccessHeading: "Acesso de {name}",
+    explainRead: "Ler",
+    explainEdit: "Editar",
+    explainDelete: "Excluir",
+    explainTransfer: "Transferir",
+    explainMaxAccess: "Acesso máximo: {level}",
+    explainNoAccessRow: "O Salesforce não retornou informações de acesso para este usuário e registro.",
+    explainPathsHeading: "Origens do acesso",
+    explainNoPaths: "Nenhuma origem encontrada. O acesso pode vir de equipes, territórios, compartilhamento implícito ou de um padrão público para toda a organização.",
+    explainProfile: "Perfil",
+    explainPathPermission: "Permissão {permission} de {source}",
+    explainPathOwner: "É proprietário do registro",
+    explainPathQueue: "Membro da fila proprietária do registro: {group}",
+    explainPathRoleOwner: "A função {role} está acima do proprietário do registro, {name}, na hierarquia de funções",
+    explainPathShare: "Compartilhado diretamente: {reason}, {access}",
+    explainPathGroup: "Membro de {group}, que tem acesso {access} por meio de {reason}",
+    explainPathRole: "A função {role} está acima de {name} na hierarquia de funções, que tem acesso {access} por meio de {reason}",
+    sharingUnavailableTitle: "O compartilhamento não está disponível para {object}: o padrão para toda a organização é {internal} (interno) / {external} (externo), portanto não há objeto de compartilhamento de {object}.",
+    sharingModelPrivate: "Particular",
+    sharingModelRead: "Somente leitura pública",
+    sharingModelReadWrite: "Leitura/Gravação pública",
+    sharingModelReadWriteTransfer: "Leitura/Gravação/Transferência pública",
+    sharingModelFullAccess: "Acesso total público",
+    sharingModelControlledByParent: "Controlado pelo pai",
+    sharingModelControlledByCampaign: "Controlado pela campanha",
+    sharingModelControlledByLeadOrContact: "Controlado pelo lead ou contato",
+    floatingDragTitle: "Arraste para mover o botão Compartilhamento",
+    contextMenuOpenSharing: "Abrir compartilhamento",
+    listRowIconTitle: "Abrir o compartilhamento deste registro",
+    listBulkRegionLabel: "Compartilhamento dos selecionados",
+    listBulkTitle: { one: "{count} selecionado", many: "{count} selecionados", other: "{count} selecionados" },
+    listBulkOpenTabs: "Abrir guias de compartilhamento",
+    listBulkCombinedTable: "Tabela de compartilhamento combinada",
+    listBulkOpened: "{opened} de {selected} selecionados abertos (no máximo {limit} por vez).",
+    listCombinedTitle: "Compartilhamento dos registros selecionados",
+    listCombinedProgress: "Carregando {done} de {total} registros...",
+    listCombinedDone: { one: "{count} linha de compartilhamento para {total} registros", many: "{count} linhas de compartilhamento para {total} registros", other: "{count} linhas de compartilhamento para {total} registros" },
+    listColumnRecord: "Registro",
+    listColumnObject: "Objeto",
+    errorNoRecordIdInLink: "Não foi possível encontrar um ID de registro neste link.",
+    errorOpenSharingFailed: "Não foi possível abrir a página de compartilhamento. Recarregue a página e tente novamente.",
+    popupRecordId15: "ID do registro (15)",
+    popupRecordId18: "ID do registro (18)",
+    popupObject: "Objeto",
+    popupObjectUnknown: "Desconhecido",
+    popupPageType: "Tipo de página",
+    popupPageTypeLightning: "Lightning",
+    popupPageTypeConsole: "Console do Lightning",
+    popupPageTypeClassic: "Classic",
+    popupPageTypeVisualforce: "Visualforce",
+    popupPageTypeSetup: "Configuração",
+    popupPageTypeExperience: "Site do Experience Cloud",
+    popupDetectedBy: "Detectado por",
+    popupCopyId: "Copiar",
+    popupCopied: "Copiado!",
+    popupOpenSharing: "Abrir compartilhamento",
+    popupOpenInClassic: "Abrir no Classic",
+    popupOpenInLightning: "Abrir no Lightning",
+    popupOpenInSetup: "Abrir objeto na Configuração",
+    popupStatusInserted: "O botão Compartilhamento está na página.",
+    popupStatusFloating: "O botão Compartilhamento aparece como botão flutuante, pois sua posição não foi encontrada nesta página.",
+    popupStatusPending: "O botão Compartilhamento ainda não foi inserido.",
+    popupStatusNotRecordPage: "O botão Compartilhamento só aparece em páginas de registro.",
+    popupStatusObjectFiltered: "O botão Compartilhamento está oculto neste objeto pelo filtro de objetos da página de opções.",
+    popupStatusOrgDisabled: "O botão Compartilhamento está desativado para esta organização pelo perfil dela ou pela sua empresa.",
+    popupOrg: "Organização",
+    popupOrgNoProfile: "Nenhum perfil para esta organização",
+    popupCreateProfile: "Criar perfil",
+    popupNotSalesforce: "Abra um registro do Salesforce para usar esta extensão.",
+    popupReloadPage: "A extensão não consegue acessar esta página. Recarregue-a e tente novamente.",
     settingsSubtitle: "Configurações",
     languageSettingsTitle: "Configurações de Idioma",
-    languageSettingsDescription: "Escolha seu idioma para a interface da extensão. Você pode usar o idioma padrão do seu navegador ou selecionar um idioma específico.",
+    languageSettingsDescription: "Escolha seu idioma preferido para a interface da extensão. Você pode usar o idioma padrão do seu navegador, selecionar um idioma específico ou seguir o idioma do seu usuário do Salesforce.",
     languageModeLabel: "Modo de Idioma:",
     languageModeAuto: "Usar idioma do navegador (recomendado)",
     languageModeManual: "Selecionar um idioma específico",
+    languageModeSalesforce: "Usar meu idioma do Salesforce",
+    salesforceLanguageText: "Seu idioma do Salesforce:",
     languageSelectLabel: "Selecione um idioma:",
     browserLanguageText: "Idioma do seu navegador:",
+    openSettingsTitle: "Abertura da página de compartilhamento",
+    openSettingsDescription: "Escolha como a página de compartilhamento do Classic é aberta. Ctrl/Cmd-clique, Shift-clique e clique do meio no botão sempre seguem as convenções do seu navegador.",
+    openModeLabel: "Modo de abertura:",
+    openModeForeground: "Nova guia",
+    openModeBackground: "Guia em segundo plano ao lado da atual",
+    openModeReuse: "Reutilizar uma única guia de compartilhamento",
+    openModePopup: "Janela pop-up",
+    openModeSameTab: "Mesma guia",
+    popupWidthLabel: "Largura (px):",
+    popupHeightLabel: "Altura (px):",
+    placementSettingsTitle: "Posição do botão",
+    placementSettingsDescription: "Escolha onde o botão Compartilhamento aparece. Quando o local escolhido não está na página, o botão volta ao local padrão e depois a um botão flutuante. O botão flutuante pode ser arrastado pela alça e fica onde você o soltar em cada domínio do Salesforce.",
+    placementLabel: "Posição:",
+    placementAuto: "Padrão da página",
+    placementGlobalHeader: "Cabeçalho global (Lightning)",
+    placementHighlightsPanel: "Ações do painel de destaques do registro (Lightning)",
+    placementClassicButtons: "Linha de botões da página de detalhes (Classic)",
+    placementFloating: "Botão flutuante",
+    listSettingsTitle: "Visualizações de lista",
+    listSettingsDescription: "As linhas de visualizações de lista e listas relacionadas recebem um ícone de compartilhamento. \"Compartilhamento dos selecionados\" abre as páginas de compartilhamento das linhas selecionadas em guias em segundo plano, até este número de guias por vez.",
+    bulkOpenLimitLabel: "Máximo de guias a abrir:",
+    objectFilterTitle: "Objetos",
+    objectFilterDescription: "Escolha os objetos cujos registros mostram o botão Compartilhamento. Digite nomes de API de objetos (por exemplo, Invoice__c) ou prefixos de chave de 3 caracteres (por exemplo, a0p), ou escolha objetos da organização de uma guia aberta do Salesforce.",
+    objectFilterModeLabel: "Mostrar o botão em:",
+    objectFilterModeAll: "Todos os objetos",
+    objectFilterModeAllow: "Somente os objetos listados",
+    objectFilterModeDeny: "Todos os objetos, exceto os listados",
+    objectFilterSearchPlaceholder: "Pesquise objetos ou digite um nome de API ou prefixo de chave e pressione Enter",
+    objectFilterFromOrg: "Objetos de {host}",
+    objectFilterNoOrg: "Abra uma guia do Salesforce para escolher objetos da organização dela.",
+    objectFilterLoadError: "Não foi possível carregar os objetos da organização.",
+    objectFilterRemove: "Remover",
+    orgProfilesTitle: "Perfis de organização",
+    orgProfilesDescription: "Dê a uma organização suas próprias configurações, identificada pelo ID da organização (00D...) ou pelo nome do Meu domínio (por exemplo, acme ou acme--uat). Um rótulo de organização como PROD pode aparecer no botão como um selo ou uma borda colorida, para você sempre saber em qual organização está.",
+    orgProfileKeyPlaceholder: "ID da organização ou nome do Meu domínio",
+    orgProfileAdd: "Adicionar perfil",
+    orgProfileCreate: "Criar perfil",
+    orgProfileDelete: "Excluir perfil",
+    orgProfileDetectedTitle: "Organizações visitadas que ainda não têm perfil:",
+    orgProfileNoneDetected: "Nenhuma",
+    orgProfileLabel: "Rótulo:",
+    orgProfileColor: "Cor:",
+    orgProfileBadgeStyle: "Mostrar o rótulo como:",
+    orgProfileBadgeStyleBadge: "Selo no botão",
+    orgProfileBadgeStyleBorder: "Borda colorida",
+    orgProfileBadgeStyleNone: "Nada",
+    orgProfileEnabled: "Mostrar o botão Compartilhamento nesta organização",
+    orgProfileObjects: "Objetos listados (separados por vírgulas):",
+    managedByOrganization: "Gerenciado pela sua empresa",
+    customDomainsTitle: "Domínios personalizados",
+    customDomainsDescription: "O botão funciona nos domínios do próprio Salesforce. Adicione os domínios personalizados que suas organizações ou sites do Experience Cloud usam, como sf.acme.com ou *.acme.com para todos os seus subdomínios, e informe que tipo de páginas eles servem. O Chrome pede que você permita o acesso a cada domínio; depois, recarregue as guias abertas dele.",
+    customDomainPlaceholder: "sf.acme.com ou *.acme.com",
+    customDomainAdd: "Adicionar domínio",
+    customDomainRemove: "Remover",
+    customDomainGrant: "Permitir acesso",
+    customDomainGranted: "Acesso permitido",
+    customDomainNotGranted: "Sem acesso",
+    customDomainInvalid: "\"{host}\" não é um nome de domínio.",
+    experienceSitesDescription: "Os sites do Experience Cloud (*.my.site.com, *.my.salesforce-sites.com) também servem páginas públicas, então o botão só funciona neles depois que você permitir o acesso.",
+    experienceSitesRevoke: "Remover acesso",
+    hostKindLightning: "Lightning",
+    hostKindClassic: "Classic",
+    hostKindVisualforce: "Visualforce",
+    hostKindSetup: "Configuração",
+    hostKindExperience: "Site do Experience Cloud",
+    transferTitle: "Importar e exportar",
+    transferDescription: "Exporte suas configurações, incluindo os perfis de organização, para um arquivo que os colegas podem importar para obter a mesma configuração. As configurações importadas são verificadas e pré-visualizadas antes de serem aplicadas.",
+    exportSettingsButton: "Exportar configurações",
+    importSettingsButton: "Importar configurações",
+    importPreviewTitle: { one: "{file} altera {count} configuração:", many: "{file} altera {count} configurações:", other: "{file} altera {count} configurações:" },
+    importNoChanges: "{file} corresponde às suas configurações atuais.",
+    importIgnored: "Configurações desconhecidas ignoradas: {settings}.",
+    importColumnSetting: "Configuração",
+    importColumnCurrent: "Atual",
+    importColumnImported: "Importado",
+    importLockedNotApplied: "Gerenciado pela sua empresa, não aplicado",
+    importApply: "Aplicar",
+    importCancel: "Cancelar",
+    importInvalid: "Este arquivo não pode ser importado:",
+    importSuccess: "Configurações importadas com sucesso!",
+    managedAllowedOrgs: "Sua empresa limita o botão Compartilhamento a estas organizações: {orgs}",
     saveButtonText: "Salvar Configurações",
     saveSuccessMessage: "Configurações salvas com sucesso!",
     saveErrorMessage: "Erro ao salvar configurações. Tente novamente."
@@ -128,15 +1857,262 @@ const translations = {
     langEnglishName: "日本語 (Japanese)",
     buttonText: "共有",
     buttonTitle: "このレコードの共有詳細を開く",
+    buttonTargetTitle: "レコード: {record}",
     errorNoRecordId: "このページでレコードIDを検出できませんでした。レコード詳細ページを開いて再試行してください。",
+    errorNoSharingPage: "{object} のレコードには共有ページがありません。共有は取引先、取引先責任者、商談、リード、ケース、キャンペーン、ユーザー、カスタムオブジェクトでのみ使用できます。",
+    panelTitle: "共有",
+    panelClose: "閉じる",
+    panelLoading: "共有行を読み込んでいます...",
+    panelNoRows: "一致する共有行はありません。",
+    panelFilterPlaceholder: "名前、種別、アクセス権、理由で絞り込む",
+    panelOpenClassic: "Classic の共有ページを開く",
+    panelColumnName: "ユーザーまたはグループ",
+    panelColumnType: "種別",
+    panelColumnAccess: "アクセスレベル",
+    panelColumnReason: "理由",
+    panelColumnLastModified: "最終更新",
+    panelRowCount: "{total} 件中 {shown} 件の共有行を表示",
+    panelErrorLoading: "共有行を読み込めませんでした:",
+    panelErrorUnknownObject: "このレコードのオブジェクトを特定できませんでした。代わりに Classic の共有ページを使用してください。",
+    panelColumnActions: "アクション",
+    panelAddShare: "共有を追加",
+    panelWriteActionsDisabled: "読み取り専用: 所属組織によって管理されています",
+    panelChangeAccess: "アクセス権を変更",
+    panelChangeAccessFor: "{name} のアクセス権を変更:",
+    panelRemove: "削除",
+    panelSave: "保存",
+    panelCancel: "キャンセル",
+    panelConfirm: "確認",
+    panelSearchPlaceholder: "名前で検索 (2 文字以上)",
+    panelSearchNoResults: "一致するものが見つかりません。",
+    panelTargetUser: "ユーザー",
+    panelTargetRegular: "公開グループ",
+    panelTargetRole: "ロール",
+    panelTargetRoleAndSubordinates: "ロールと部下",
+    accessLevelNone: "非公開",
+    accessLevelRead: "参照のみ",
+    accessLevelEdit: "参照・更新",
+    accessLevelAll: "フルアクセス",
+    rowCauseOwner: "所有者",
+    rowCauseManual: "手動共有",
+    rowCauseRule: "共有ルール",
+    rowCauseImplicitChild: "関連レコードの所有者または共有",
+    rowCauseImplicitParent: "関連する子レコード",
+    rowCauseImplicitPerson: "個人取引先",
+    rowCauseTeam: "チーム",
+    rowCauseTerritory: "テリトリー",
+    rowCauseTerritoryRule: "テリトリールール",
+    rowCauseTerritoryManual: "テリトリー (手動)",
+    rowCauseGuestRule: "ゲストユーザー共有ルール",
+    groupTypeRegular: "公開グループ",
+    groupTypeRole: "ロール",
+    groupTypeRoleAndSubordinates: "ロールと部下",
+    groupTypeRoleAndSubordinatesInternal: "ロールと内部部下",
+    groupTypeQueue: "キュー",
+    groupTypeOrganization: "すべての内部ユーザー",
+    groupTypeAllCustomerPortal: "すべてのカスタマーポータルユーザー",
+    groupTypeManager: "マネージャー",
+    groupTypeManagerAndSubordinatesInternal: "マネージャーと部下",
+    groupTypeTerritory: "テリトリー",
+    groupTypeTerritoryAndSubordinates: "テリトリーと下位テリトリー",
+    panelConfirmAdd: "このレコードを {name} と {access} アクセス権で共有しますか?",
+    panelConfirmChange: "{name} のアクセス権を {from} から {to} に変更しますか?",
+    panelConfirmRemove: "{name} の手動共有を削除しますか? このレコードにアクセスできなくなる可能性があります。",
+    panelShareAdded: "共有を追加しました。",
+    panelShareUpdated: "アクセス権を変更しました。",
+    panelShareRemoved: "共有を削除しました。",
+    panelErrorInsufficientAccess: "このレコードの共有を管理する権限がありません。管理できるのは、レコード所有者、ロール階層で所有者より上位のユーザー、および管理者のみです。",
+    panelErrorAccessBelowDefault: "アクセスレベルは、オブジェクトの組織の共有設定よりも広い必要があります。",
+    menuToggleTitle: "その他の共有アクション",
+    menuExplainAccess: "アクセス権の説明...",
+    menuExportCsv: "共有をエクスポート (CSV)",
+    menuExportJson: "共有をエクスポート (JSON)",
+    exportColumnUserOrGroupId: "ユーザーまたはグループ ID",
+    exportColumnLastModifiedBy: "最終更新者",
+    exportError: "共有行をエクスポートできませんでした:",
+    exportDone: { other: "{count} 件の共有行をエクスポートしました。" },
+    toastDetails: "詳細",
+    toastHideDetails: "詳細を非表示",
+    toastCopyReport: "診断レポートをコピー",
+    toastReportCopied: "レポートをコピーしました",
+    toastReportCopyFailed: "レポートをコピーできませんでした",
+    diagnosticUrl: "URL",
+    diagnosticPatternsTried: "試行したパターン",
+    diagnosticInsertStrategy: "挿入方法",
+    diagnosticPageType: "ページの種類",
+    diagnosticNone: "なし",
+    debugTitle: "トラブルシューティング",
+    debugDescription: "デバッグモードでは、拡張機能がレコードを探す方法とボタンを挿入する場所が記録され、Salesforce ページに現在の状態を示す小さなオーバーレイが表示されます。オンにして問題を再現してから、ログをダウンロードしてバグレポートに添付してください。",
+    debugModeLabel: "デバッグモード",
+    debugViewLog: "ログを表示",
+    debugDownloadLog: "ログをダウンロード",
+    debugClearLog: "ログをクリア",
+    debugLogEmpty: "ログは空です。デバッグモードをオンにして保存し、Salesforce ページを再読み込みしてください。",
+    explainTitle: "アクセス権の説明",
+    explainChooseUser: "ユーザーを選択すると、このレコードに対するアクセス権とその理由が表示されます。",
+    explainLoading: "アクセス権を確認しています...",
+    explainError: "アクセス権を説明できませんでした:",
+    explainAccessHeading: "{name} のアクセス権",
+    explainRead: "参照",
+    explainEdit: "編集",
+    explainDelete: "削除",
+    explainTransfer: "移行",
+    explainMaxAccess: "最大アクセス権: {level}",
+    explainNoAccessRow: "Salesforce はこのユーザーとレコードのアクセス情報を返しませんでした。",
+    explainPathsHeading: "アクセス権の経路",
+    explainNoPaths: "経路が見つかりません。アクセス権はチーム、テリトリー、暗黙的な共有、または公開の組織の共有設定によるものである可能性があります。",
+    explainProfile: "プロファイル",
+    explainPathPermission: "{source} の {permission} 権限",
+    explainPathOwner: "レコードの所有者",
+    explainPathQueue: "レコードを所有するキューのメンバー: {group}",
+    explainPathRoleOwner: "ロール {role} はロール階層でレコード所有者 {name} より上位です",
+    explainPathShare: "直接共有: {reason}、{access}",
+    explainPathGroup: "{group} のメンバー ({reason} により {access} アクセス権あり)",
+    explainPathRole: "ロール {role} はロール階層で {name} より上位です (このユーザーは {reason} により {access} アクセス権あり)",
+    sharingUnavailableTitle: "{object} では共有を使用できません。組織の共有設定が {internal} (内部) / {external} (外部) のため、{object} の共有オブジェクトがありません。",
+    sharingModelPrivate: "非公開",
+    sharingModelRead: "公開/参照のみ",
+    sharingModelReadWrite: "公開/参照・更新可能",
+    sharingModelReadWriteTransfer: "公開/参照・更新・譲渡可能",
+    sharingModelFullAccess: "公開/フルアクセス",
+    sharingModelControlledByParent: "親レコードに連動",
+    sharingModelControlledByCampaign: "キャンペーンに連動",
+    sharingModelControlledByLeadOrContact: "リードまたは取引先責任者に連動",
+    floatingDragTitle: "ドラッグして共有ボタンを移動",
+    contextMenuOpenSharing: "共有を開く",
+    listRowIconTitle: "このレコードの共有を開く",
+    listBulkRegionLabel: "選択項目の共有",
+    listBulkTitle: { other: "{count} 件選択" },
+    listBulkOpenTabs: "共有タブを開く",
+    listBulkCombinedTable: "共有の結合テーブル",
+    listBulkOpened: "選択した {selected} 件のうち {opened} 件を開きました (一度に最大 {limit} 件)。",
+    listCombinedTitle: "選択したレコードの共有",
+    listCombinedProgress: "{total} 件中 {done} 件のレコードを読み込んでいます...",
+    listCombinedDone: { other: "{total} 件のレコードの共有行 {count} 件" },
+    listColumnRecord: "レコード",
+    listColumnObject: "オブジェクト",
+    errorNoRecordIdInLink: "このリンクにレコード ID が見つかりませんでした。",
+    errorOpenSharingFailed: "共有ページを開けませんでした。ページを再読み込みして再試行してください。",
+    popupRecordId15: "レコード ID (15)",
+    popupRecordId18: "レコード ID (18)",
+    popupObject: "オブジェクト",
+    popupObjectUnknown: "不明",
+    popupPageType: "ページの種類",
+    popupPageTypeLightning: "Lightning",
+    popupPageTypeConsole: "Lightning コンソール",
+    popupPageTypeClassic: "Classic",
+    popupPageTypeVisualforce: "Visualforce",
+    popupPageTypeSetup: "設定",
+    popupPageTypeExperience: "Experience Cloud サイト",
+    popupDetectedBy: "検出方法",
+    popupCopyId: "コピー",
+    popupCopied: "コピーしました!",
+    popupOpenSharing: "共有を開く",
+    popupOpenInClassic: "Classic で開く",
+    popupOpenInLightning: "Lightning で開く",
+    popupOpenInSetup: "設定でオブジェクトを開く",
+    popupStatusInserted: "共有ボタンがページに表示されています。",
+    popupStatusFloating: "このページで配置場所が見つからなかったため、共有ボタンはフローティングボタンとして表示されています。",
+    popupStatusPending: "共有ボタンはまだ挿入されていません。",
+    popupStatusNotRecordPage: "共有ボタンはレコードページにのみ表示されます。",
+    popupStatusObjectFiltered: "オプションページのオブジェクトフィルターにより、このオブジェクトでは共有ボタンが非表示になっています。",
+    popupStatusOrgDisabled: "この組織では、プロファイルまたは所属組織の設定により共有ボタンがオフになっています。",
+    popupOrg: "組織",
+    popupOrgNoProfile: "この組織のプロファイルはありません",
+    popupCreateProfile: "プロファイルを作成",
+    popupNotSalesforce: "この拡張機能を使用するには Salesforce のレコードを開いてください。",
+    popupReloadPage: "拡張機能がこのページにアクセスできません。ページを再読み込みしてもう一度お試しください。",
     settingsSubtitle: "設定",
     languageSettingsTitle: "言語設定",
-    languageSettingsDescription: "拡張機能のインターフェースに使用する言語を選択してください。ブラウザのデフォルト言語を使用するか、特定の言語を選択できます。",
+    languageSettingsDescription: "拡張機能のインターフェースに使用する言語を選択してください。ブラウザのデフォルト言語を使用するか、特定の言語を選択するか、Salesforce ユーザーの言語に合わせることができます。",
     languageModeLabel: "言語モード:",
     languageModeAuto: "ブラウザの言語を使用（推奨）",
     languageModeManual: "特定の言語を選択",
+    languageModeSalesforce: "Salesforce の言語を使用",
+    salesforceLanguageText: "Salesforce の言語:",
     languageSelectLabel: "言語を選択:",
     browserLanguageText: "ブラウザの言語:",
+    openSettingsTitle: "共有ページの開き方",
+    openSettingsDescription: "Classic の共有ページの開き方を選択します。ボタンの Ctrl/Cmd+クリック、Shift+クリック、中クリックは常にブラウザーの標準動作に従います。",
+    openModeLabel: "開き方:",
+    openModeForeground: "新しいタブ",
+    openModeBackground: "現在のタブの隣にバックグラウンドタブ",
+    openModeReuse: "1 つの共有タブを再利用",
+    openModePopup: "ポップアップウィンドウ",
+    openModeSameTab: "同じタブ",
+    popupWidthLabel: "幅 (px):",
+    popupHeightLabel: "高さ (px):",
+    placementSettingsTitle: "ボタンの配置",
+    placementSettingsDescription: "共有ボタンを表示する場所を選択します。選択した場所がページにない場合は、既定の場所、次にフローティングボタンが使用されます。フローティングボタンはハンドルでドラッグでき、Salesforce ドメインごとにドロップした位置に留まります。",
+    placementLabel: "配置:",
+    placementAuto: "ページの既定",
+    placementGlobalHeader: "グローバルヘッダー (Lightning)",
+    placementHighlightsPanel: "レコードの強調表示パネルのアクション (Lightning)",
+    placementClassicButtons: "詳細ページのボタン行 (Classic)",
+    placementFloating: "フローティングボタン",
+    listSettingsTitle: "リストビュー",
+    listSettingsDescription: "リストビューと関連リストの行に共有アイコンが表示されます。「選択項目の共有」は、選択した行の共有ページをバックグラウンドタブで開きます。一度に開くタブはこの数までです。",
+    bulkOpenLimitLabel: "開くタブの最大数:",
+    objectFilterTitle: "オブジェクト",
+    objectFilterDescription: "共有ボタンをレコードに表示するオブジェクトを選択します。オブジェクトの API 参照名 (例: Invoice__c) または 3 文字のキープレフィックス (例: a0p) を入力するか、開いている Salesforce タブの組織からオブジェクトを選択してください。",
+    objectFilterModeLabel: "ボタンを表示する対象:",
+    objectFilterModeAll: "すべてのオブジェクト",
+    objectFilterModeAllow: "リスト内のオブジェクトのみ",
+    objectFilterModeDeny: "リスト内のオブジェクト以外のすべて",
+    objectFilterSearchPlaceholder: "オブジェクトを検索するか、API 参照名またはキープレフィックスを入力して Enter キーを押します",
+    objectFilterFromOrg: "{host} のオブジェクト",
+    objectFilterNoOrg: "組織からオブジェクトを選択するには Salesforce タブを開いてください。",
+    objectFilterLoadError: "組織のオブジェクトを読み込めませんでした。",
+    objectFilterRemove: "削除",
+    orgProfilesTitle: "組織プロファイル",
+    orgProfilesDescription: "組織 ID (00D...) または私のドメイン名 (例: acme、acme--uat) をキーとして、組織ごとに独自の設定を指定できます。PROD などの組織ラベルをボタン上に色付きのバッジや枠線として表示すると、どの組織にいるかが常にわかります。",
+    orgProfileKeyPlaceholder: "組織 ID または私のドメイン名",
+    orgProfileAdd: "プロファイルを追加",
+    orgProfileCreate: "プロファイルを作成",
+    orgProfileDelete: "プロファイルを削除",
+    orgProfileDetectedTitle: "アクセスしたがまだプロファイルがない組織:",
+    orgProfileNoneDetected: "なし",
+    orgProfileLabel: "ラベル:",
+    orgProfileColor: "色:",
+    orgProfileBadgeStyle: "ラベルの表示方法:",
+    orgProfileBadgeStyleBadge: "ボタン上のバッジ",
+    orgProfileBadgeStyleBorder: "色付きの枠線",
+    orgProfileBadgeStyleNone: "表示しない",
+    orgProfileEnabled: "この組織で共有ボタンを表示",
+    orgProfileObjects: "リストするオブジェクト (カンマ区切り):",
+    managedByOrganization: "所属組織によって管理されています",
+    customDomainsTitle: "カスタムドメイン",
+    customDomainsDescription: "ボタンは Salesforce 自身のドメインで動作します。組織や Experience Cloud サイトで使用するカスタムドメイン (sf.acme.com、またはすべてのサブドメインを対象とする *.acme.com など) を追加し、どの種類のページを提供するかを指定してください。Chrome から各ドメインへのアクセスを許可するよう求められます。その後、開いているタブを再読み込みしてください。",
+    customDomainPlaceholder: "sf.acme.com または *.acme.com",
+    customDomainAdd: "ドメインを追加",
+    customDomainRemove: "削除",
+    customDomainGrant: "アクセスを許可",
+    customDomainGranted: "アクセス許可済み",
+    customDomainNotGranted: "アクセスなし",
+    customDomainInvalid: "「{host}」はドメイン名ではありません。",
+    experienceSitesDescription: "Experience Cloud サイト (*.my.site.com、*.my.salesforce-sites.com) は公開ページも配信するため、アクセスを許可した場合にのみボタンが動作します。",
+    experienceSitesRevoke: "アクセスを削除",
+    hostKindLightning: "Lightning",
+    hostKindClassic: "Classic",
+    hostKindVisualforce: "Visualforce",
+    hostKindSetup: "設定",
+    hostKindExperience: "Experience Cloud サイト",
+    transferTitle: "インポートとエクスポート",
+    transferDescription: "組織プロファイルを含む設定をファイルにエクスポートすると、チームメンバーがそれをインポートして同じ構成にできます。インポートした設定は、適用前に検証されプレビューされます。",
+    exportSettingsButton: "設定をエクスポート",
+    importSettingsButton: "設定をインポート",
+    importPreviewTitle: { other: "{file} は {count} 件の設定を変更します:" },
+    importNoChanges: "{file} は現在の設定と一致しています。",
+    importIgnored: "不明な設定は除外されました: {settings}。",
+    importColumnSetting: "設定",
+    importColumnCurrent: "現在",
+    importColumnImported: "インポート",
+    importLockedNotApplied: "所属組織によって管理されているため適用されません",
+    importApply: "適用",
+    importCancel: "キャンセル",
+    importInvalid: "このファイルはインポートできません:",
+    importSuccess: "設定を正常にインポートしました!",
+    managedAllowedOrgs: "所属組織により、共有ボタンは次の組織に制限されています: {orgs}",
     saveButtonText: "設定を保存",
     saveSuccessMessage: "設定が正常に保存されました！",
     saveErrorMessage: "設定の保存中にエラーが発生しました。もう一度お試しください。"
@@ -145,15 +2121,262 @@ const translations = {
     langEnglishName: "한국어 (Korean)",
     buttonText: "공유",
     buttonTitle: "이 레코드의 공유 세부정보 열기",
+    buttonTargetTitle: "레코드: {record}",
     errorNoRecordId: "이 페이지에서 레코드 ID를 감지할 수 없습니다. 레코드 세부정보 페이지를 열고 다시 시도하세요.",
+    errorNoSharingPage: "{object} 레코드에는 공유 페이지가 없습니다. 공유는 계정, 연락처, 기회, 리드, 케이스, 캠페인, 사용자 및 사용자 정의 개체에서만 사용할 수 있습니다.",
+    panelTitle: "공유",
+    panelClose: "닫기",
+    panelLoading: "공유 행을 불러오는 중...",
+    panelNoRows: "일치하는 공유 행이 없습니다.",
+    panelFilterPlaceholder: "이름, 유형, 액세스 또는 이유로 필터링",
+    panelOpenClassic: "Classic 공유 페이지 열기",
+    panelColumnName: "사용자 또는 그룹",
+    panelColumnType: "유형",
+    panelColumnAccess: "액세스 수준",
+    panelColumnReason: "이유",
+    panelColumnLastModified: "마지막 수정",
+    panelRowCount: "공유 행 {total}개 중 {shown}개 표시",
+    panelErrorLoading: "공유 행을 불러올 수 없습니다:",
+    panelErrorUnknownObject: "이 레코드의 개체를 확인할 수 없습니다. 대신 Classic 공유 페이지를 사용하세요.",
+    panelColumnActions: "작업",
+    panelAddShare: "공유 추가",
+    panelWriteActionsDisabled: "읽기 전용: 소속 조직에서 관리함",
+    panelChangeAccess: "액세스 변경",
+    panelChangeAccessFor: "{name}의 액세스 변경:",
+    panelRemove: "제거",
+    panelSave: "저장",
+    panelCancel: "취소",
+    panelConfirm: "확인",
+    panelSearchPlaceholder: "이름으로 검색(2자 이상)",
+    panelSearchNoResults: "일치하는 항목이 없습니다.",
+    panelTargetUser: "사용자",
+    panelTargetRegular: "공개 그룹",
+    panelTargetRole: "역할",
+    panelTargetRoleAndSubordinates: "역할 및 하위 역할",
+    accessLevelNone: "비공개",
+    accessLevelRead: "읽기 전용",
+    accessLevelEdit: "읽기/쓰기",
+    accessLevelAll: "모든 액세스",
+    rowCauseOwner: "소유자",
+    rowCauseManual: "수동 공유",
+    rowCauseRule: "공유 규칙",
+    rowCauseImplicitChild: "연결된 레코드 소유자 또는 공유",
+    rowCauseImplicitParent: "연결된 하위 레코드",
+    rowCauseImplicitPerson: "개인 계정",
+    rowCauseTeam: "팀",
+    rowCauseTerritory: "영역",
+    rowCauseTerritoryRule: "영역 규칙",
+    rowCauseTerritoryManual: "수동 영역",
+    rowCauseGuestRule: "게스트 사용자 공유 규칙",
+    groupTypeRegular: "공개 그룹",
+    groupTypeRole: "역할",
+    groupTypeRoleAndSubordinates: "역할 및 하위",
+    groupTypeRoleAndSubordinatesInternal: "역할 및 내부 하위",
+    groupTypeQueue: "대기열",
+    groupTypeOrganization: "모든 내부 사용자",
+    groupTypeAllCustomerPortal: "모든 고객 포털 사용자",
+    groupTypeManager: "관리자",
+    groupTypeManagerAndSubordinatesInternal: "관리자 및 하위",
+    groupTypeTerritory: "영역",
+    groupTypeTerritoryAndSubordinates: "영역 및 하위",
+    panelConfirmAdd: "이 레코드를 {name}과(와) {access} 액세스로 공유하시겠습니까?",
+    panelConfirmChange: "{name}의 액세스를 {from}에서 {to}(으)로 변경하시겠습니까?",
+    panelConfirmRemove: "{name}의 수동 공유를 제거하시겠습니까? 이 레코드에 대한 액세스 권한을 잃을 수 있습니다.",
+    panelShareAdded: "공유가 추가되었습니다.",
+    panelShareUpdated: "액세스가 변경되었습니다.",
+    panelShareRemoved: "공유가 제거되었습니다.",
+    panelErrorInsufficientAccess: "이 레코드의 공유를 관리할 권한이 없습니다. 레코드 소유자, 역할 계층에서 소유자보다 상위에 있는 사용자 및 관리자만 관리할 수 있습니다.",
+    panelErrorAccessBelowDefault: "액세스 수준은 개체의 조직 전체 기본값보다 더 허용적이어야 합니다.",
+    menuToggleTitle: "추가 공유 작업",
+    menuExplainAccess: "액세스 설명...",
+    menuExportCsv: "공유 내보내기(CSV)",
+    menuExportJson: "공유 내보내기(JSON)",
+    exportColumnUserOrGroupId: "사용자 또는 그룹 ID",
+    exportColumnLastModifiedBy: "최종 수정자",
+    exportError: "공유 행을 내보낼 수 없습니다:",
+    exportDone: { other: "공유 행 {count}개를 내보냈습니다." },
+    toastDetails: "세부 정보",
+    toastHideDetails: "세부 정보 숨기기",
+    toastCopyReport: "진단 보고서 복사",
+    toastReportCopied: "보고서가 복사되었습니다",
+    toastReportCopyFailed: "보고서를 복사할 수 없습니다",
+    diagnosticUrl: "URL",
+    diagnosticPatternsTried: "시도한 패턴",
+    diagnosticInsertStrategy: "삽입 방식",
+    diagnosticPageType: "페이지 유형",
+    diagnosticNone: "없음",
+    debugTitle: "문제 해결",
+    debugDescription: "디버그 모드는 확장 프로그램이 레코드를 찾는 방법과 버튼을 삽입하는 위치를 기록하고, Salesforce 페이지에 현재 상태를 보여 주는 작은 오버레이를 표시합니다. 켜고 문제를 재현한 다음 로그를 다운로드하여 버그 보고서에 첨부하세요.",
+    debugModeLabel: "디버그 모드",
+    debugViewLog: "로그 보기",
+    debugDownloadLog: "로그 다운로드",
+    debugClearLog: "로그 지우기",
+    debugLogEmpty: "로그가 비어 있습니다. 디버그 모드를 켜고 저장한 후 Salesforce 페이지를 새로고침하세요.",
+    explainTitle: "액세스 설명",
+    explainChooseUser: "사용자를 선택하면 이 레코드에 대한 액세스 권한과 그 이유를 볼 수 있습니다.",
+    explainLoading: "액세스 확인 중...",
+    explainError: "액세스를 설명할 수 없습니다:",
+    explainAccessHeading: "{name}의 액세스",
+    explainRead: "읽기",
+    explainEdit: "편집",
+    explainDelete: "삭제",
+    explainTransfer: "이전",
+    explainMaxAccess: "최대 액세스: {level}",
+    explainNoAccessRow: "Salesforce에서 이 사용자와 레코드에 대한 액세스 정보를 반환하지 않았습니다.",
+    explainPathsHeading: "액세스 경로",
+    explainNoPaths: "액세스 경로를 찾을 수 없습니다. 팀, 영역, 암시적 공유 또는 공개 조직 전체 기본값에서 액세스가 부여되었을 수 있습니다.",
+    explainProfile: "프로필",
+    explainPathPermission: "{source}의 {permission} 권한",
+    explainPathOwner: "레코드 소유자",
+    explainPathQueue: "레코드를 소유한 대기열의 구성원: {group}",
+    explainPathRoleOwner: "역할 {role}이(가) 역할 계층에서 레코드 소유자 {name}보다 상위에 있음",
+    explainPathShare: "직접 공유: {reason}, {access}",
+    explainPathGroup: "{reason}을(를) 통해 {access} 액세스 권한이 있는 {group}의 구성원",
+    explainPathRole: "역할 {role}이(가) 역할 계층에서 {name}보다 상위에 있으며, 이 사용자는 {reason}을(를) 통해 {access} 액세스 권한이 있음",
+    sharingUnavailableTitle: "{object}에는 공유를 사용할 수 없습니다. 조직 전체 기본값이 {internal}(내부) / {external}(외부)이므로 {object} 공유 개체가 없습니다.",
+    sharingModelPrivate: "비공개",
+    sharingModelRead: "공개 읽기 전용",
+    sharingModelReadWrite: "공개 읽기/쓰기",
+    sharingModelReadWriteTransfer: "공개 읽기/쓰기/이전",
+    sharingModelFullAccess: "공개 모든 액세스",
+    sharingModelControlledByParent: "상위에서 제어",
+    sharingModelControlledByCampaign: "캠페인에서 제어",
+    sharingModelControlledByLeadOrContact: "리드 또는 연락처에서 제어",
+    floatingDragTitle: "끌어서 공유 버튼 이동",
+    contextMenuOpenSharing: "공유 열기",
+    listRowIconTitle: "이 레코드의 공유 열기",
+    listBulkRegionLabel: "선택 항목 공유",
+    listBulkTitle: { other: "{count}개 선택됨" },
+    listBulkOpenTabs: "공유 탭 열기",
+    listBulkCombinedTable: "통합 공유 표",
+    listBulkOpened: "선택한 {selected}개 중 {opened}개를 열었습니다(한 번에 최대 {limit}개).",
+    listCombinedTitle: "선택한 레코드의 공유",
+    listCombinedProgress: "레코드 {total}개 중 {done}개 로드 중...",
+    listCombinedDone: { other: "레코드 {total}개의 공유 행 {count}개" },
+    listColumnRecord: "레코드",
+    listColumnObject: "개체",
+    errorNoRecordIdInLink: "이 링크에서 레코드 ID를 찾을 수 없습니다.",
+    errorOpenSharingFailed: "공유 페이지를 열 수 없습니다. 페이지를 새로고침하고 다시 시도하세요.",
+    popupRecordId15: "레코드 ID(15)",
+    popupRecordId18: "레코드 ID(18)",
+    popupObject: "개체",
+    popupObjectUnknown: "알 수 없음",
+    popupPageType: "페이지 유형",
+    popupPageTypeLightning: "Lightning",
+    popupPageTypeConsole: "Lightning 콘솔",
+    popupPageTypeClassic: "Classic",
+    popupPageTypeVisualforce: "Visualforce",
+    popupPageTypeSetup: "설정",
+    popupPageTypeExperience: "Experience Cloud 사이트",
+    popupDetectedBy: "감지 방법",
+    popupCopyId: "복사",
+    popupCopied: "복사됨!",
+    popupOpenSharing: "공유 열기",
+    popupOpenInClassic: "Classic에서 열기",
+    popupOpenInLightning: "Lightning에서 열기",
+    popupOpenInSetup: "설정에서 개체 열기",
+    popupStatusInserted: "공유 버튼이 페이지에 있습니다.",
+    popupStatusFloating: "이 페이지에서 배치 위치를 찾지 못해 공유 버튼이 플로팅 버튼으로 표시됩니다.",
+    popupStatusPending: "공유 버튼이 아직 삽입되지 않았습니다.",
+    popupStatusNotRecordPage: "공유 버튼은 레코드 페이지에만 표시됩니다.",
+    popupStatusObjectFiltered: "옵션 페이지의 개체 필터에 의해 이 개체에서는 공유 버튼이 숨겨져 있습니다.",
+    popupStatusOrgDisabled: "이 조직에서는 프로필 또는 소속 조직의 설정으로 공유 버튼이 꺼져 있습니다.",
+    popupOrg: "조직",
+    popupOrgNoProfile: "이 조직의 프로필이 없습니다",
+    popupCreateProfile: "프로필 만들기",
+    popupNotSalesforce: "이 확장 프로그램을 사용하려면 Salesforce 레코드를 여세요.",
+    popupReloadPage: "확장 프로그램이 이 페이지에 접근할 수 없습니다. 페이지를 새로고침한 후 다시 시도하세요.",
     settingsSubtitle: "설정",
     languageSettingsTitle: "언어 설정",
-    languageSettingsDescription: "확장 프로그램 인터페이스에 사용할 언어를 선택하세요. 브라우저의 기본 언어를 사용하거나 특정 언어를 선택할 수 있습니다.",
+    languageSettingsDescription: "확장 프로그램 인터페이스에 사용할 언어를 선택하세요. 브라우저의 기본 언어를 사용하거나, 특정 언어를 선택하거나, Salesforce 사용자의 언어를 따를 수 있습니다.",
     languageModeLabel: "언어 모드:",
     languageModeAuto: "브라우저 언어 사용 (권장)",
     languageModeManual: "특정 언어 선택",
+    languageModeSalesforce: "내 Salesforce 언어 사용",
+    salesforceLanguageText: "Salesforce 언어:",
     languageSelectLabel: "언어 선택:",
     browserLanguageText: "브라우저 언어:",
+    openSettingsTitle: "공유 페이지 열기",
+    openSettingsDescription: "Classic 공유 페이지를 여는 방식을 선택합니다. 버튼의 Ctrl/Cmd-클릭, Shift-클릭 및 가운데 클릭은 항상 브라우저의 규칙을 따릅니다.",
+    openModeLabel: "열기 모드:",
+    openModeForeground: "새 탭",
+    openModeBackground: "현재 탭 옆의 백그라운드 탭",
+    openModeReuse: "하나의 공유 탭 재사용",
+    openModePopup: "팝업 창",
+    openModeSameTab: "같은 탭",
+    popupWidthLabel: "너비(px):",
+    popupHeightLabel: "높이(px):",
+    placementSettingsTitle: "버튼 위치",
+    placementSettingsDescription: "공유 버튼이 표시될 위치를 선택합니다. 선택한 위치가 페이지에 없으면 기본 위치로, 그다음 플로팅 버튼으로 대체됩니다. 플로팅 버튼은 핸들로 끌 수 있으며 각 Salesforce 도메인에서 놓은 위치에 유지됩니다.",
+    placementLabel: "위치:",
+    placementAuto: "페이지 기본값",
+    placementGlobalHeader: "전역 헤더(Lightning)",
+    placementHighlightsPanel: "레코드 강조 표시 패널 작업(Lightning)",
+    placementClassicButtons: "세부 사항 페이지 버튼 행(Classic)",
+    placementFloating: "플로팅 버튼",
+    listSettingsTitle: "목록 보기",
+    listSettingsDescription: "목록 보기와 관련 목록의 행에 공유 아이콘이 표시됩니다. \"선택 항목 공유\"는 선택한 행의 공유 페이지를 백그라운드 탭에서 엽니다. 한 번에 여는 탭은 이 수까지입니다.",
+    bulkOpenLimitLabel: "열 수 있는 최대 탭 수:",
+    objectFilterTitle: "개체",
+    objectFilterDescription: "레코드에 공유 버튼을 표시할 개체를 선택합니다. 개체 API 이름(예: Invoice__c) 또는 3자리 키 접두사(예: a0p)를 입력하거나, 열려 있는 Salesforce 탭의 조직에서 개체를 선택하세요.",
+    objectFilterModeLabel: "버튼 표시 대상:",
+    objectFilterModeAll: "모든 개체",
+    objectFilterModeAllow: "목록의 개체만",
+    objectFilterModeDeny: "목록의 개체를 제외한 모든 개체",
+    objectFilterSearchPlaceholder: "개체를 검색하거나 API 이름 또는 키 접두사를 입력한 후 Enter 키를 누르세요",
+    objectFilterFromOrg: "{host}의 개체",
+    objectFilterNoOrg: "조직에서 개체를 선택하려면 Salesforce 탭을 여세요.",
+    objectFilterLoadError: "조직의 개체를 로드할 수 없습니다.",
+    objectFilterRemove: "제거",
+    orgProfilesTitle: "조직 프로필",
+    orgProfilesDescription: "조직 ID(00D...) 또는 내 도메인 이름(예: acme 또는 acme--uat)을 키로 하여 조직별 설정을 지정합니다. PROD 같은 조직 레이블을 버튼에 색상 배지나 테두리로 표시하면 현재 어떤 조직에 있는지 항상 알 수 있습니다.",
+    orgProfileKeyPlaceholder: "조직 ID 또는 내 도메인 이름",
+    orgProfileAdd: "프로필 추가",
+    orgProfileCreate: "프로필 만들기",
+    orgProfileDelete: "프로필 삭제",
+    orgProfileDetectedTitle: "방문했지만 아직 프로필이 없는 조직:",
+    orgProfileNoneDetected: "없음",
+    orgProfileLabel: "레이블:",
+    orgProfileColor: "색상:",
+    orgProfileBadgeStyle: "레이블 표시 방식:",
+    orgProfileBadgeStyleBadge: "버튼의 배지",
+    orgProfileBadgeStyleBorder: "색상 테두리",
+    orgProfileBadgeStyleNone: "표시 안 함",
+    orgProfileEnabled: "이 조직에서 공유 버튼 표시",
+    orgProfileObjects: "목록의 개체(쉼표로 구분):",
+    managedByOrganization: "소속 조직에서 관리함",
+    customDomainsTitle: "사용자 정의 도메인",
+    customDomainsDescription: "버튼은 Salesforce 자체 도메인에서 작동합니다. 조직이나 Experience Cloud 사이트에서 사용하는 사용자 정의 도메인(예: sf.acme.com 또는 모든 하위 도메인을 위한 *.acme.com)을 추가하고 어떤 종류의 페이지를 제공하는지 지정하세요. Chrome에서 각 도메인에 대한 액세스를 허용할지 묻습니다. 그런 다음 열려 있는 탭을 새로고침하세요.",
+    customDomainPlaceholder: "sf.acme.com 또는 *.acme.com",
+    customDomainAdd: "도메인 추가",
+    customDomainRemove: "제거",
+    customDomainGrant: "액세스 허용",
+    customDomainGranted: "액세스 허용됨",
+    customDomainNotGranted: "액세스 없음",
+    customDomainInvalid: "\"{host}\"은(는) 도메인 이름이 아닙니다.",
+    experienceSitesDescription: "Experience Cloud 사이트(*.my.site.com, *.my.salesforce-sites.com)는 공개 페이지도 제공하므로 액세스를 허용한 경우에만 버튼이 작동합니다.",
+    experienceSitesRevoke: "액세스 제거",
+    hostKindLightning: "Lightning",
+    hostKindClassic: "Classic",
+    hostKindVisualforce: "Visualforce",
+    hostKindSetup: "설정",
+    hostKindExperience: "Experience Cloud 사이트",
+    transferTitle: "가져오기 및 내보내기",
+    transferDescription: "조직 프로필을 포함한 설정을 파일로 내보내면 팀원이 이를 가져와 같은 구성을 사용할 수 있습니다. 가져온 설정은 적용 전에 확인되고 미리 표시됩니다.",
+    exportSettingsButton: "설정 내보내기",
+    importSettingsButton: "설정 가져오기",
+    importPreviewTitle: { other: "{file}에서 설정 {count}개를 변경합니다:" },
+    importNoChanges: "{file}이(가) 현재 설정과 일치합니다.",
+    importIgnored: "제외된 알 수 없는 설정: {settings}.",
+    importColumnSetting: "설정",
+    importColumnCurrent: "현재",
+    importColumnImported: "가져온 값",
+    importLockedNotApplied: "소속 조직에서 관리하므로 적용되지 않음",
+    importApply: "적용",
+    importCancel: "취소",
+    importInvalid: "이 파일을 가져올 수 없습니다:",
+    importSuccess: "설정을 가져왔습니다!",
+    managedAllowedOrgs: "소속 조직에서 공유 버튼을 다음 조직으로 제한합니다: {orgs}",
     saveButtonText: "설정 저장",
     saveSuccessMessage: "설정이 성공적으로 저장되었습니다!",
     saveErrorMessage: "설정 저장 중 오류가 발생했습니다. 다시 시도해 주세요."
@@ -162,15 +2385,262 @@ const translations = {
     langEnglishName: "中文 (Chinese)",
     buttonText: "共享",
     buttonTitle: "打开此记录的共享详细信息",
+    buttonTargetTitle: "记录：{record}",
     errorNoRecordId: "无法在此页面检测到记录ID。请打开记录详细信息页面并重试。",
+    errorNoSharingPage: "{object} 记录没有共享页面。共享仅适用于客户、联系人、业务机会、潜在客户、个案、市场活动、用户和自定义对象。",
+    panelTitle: "共享",
+    panelClose: "关闭",
+    panelLoading: "正在加载共享行...",
+    panelNoRows: "没有匹配的共享行。",
+    panelFilterPlaceholder: "按名称、类型、访问权限或原因筛选",
+    panelOpenClassic: "打开 Classic 共享页面",
+    panelColumnName: "用户或组",
+    panelColumnType: "类型",
+    panelColumnAccess: "访问级别",
+    panelColumnReason: "原因",
+    panelColumnLastModified: "上次修改",
+    panelRowCount: "显示 {total} 个共享行中的 {shown} 个",
+    panelErrorLoading: "无法加载共享行：",
+    panelErrorUnknownObject: "无法确定此记录的对象。请改用 Classic 共享页面。",
+    panelColumnActions: "操作",
+    panelAddShare: "添加共享",
+    panelWriteActionsDisabled: "只读：由您的公司管理",
+    panelChangeAccess: "更改访问权限",
+    panelChangeAccessFor: "更改 {name} 的访问权限：",
+    panelRemove: "删除",
+    panelSave: "保存",
+    panelCancel: "取消",
+    panelConfirm: "确认",
+    panelSearchPlaceholder: "按名称搜索（至少 2 个字符）",
+    panelSearchNoResults: "未找到匹配项。",
+    panelTargetUser: "用户",
+    panelTargetRegular: "公用小组",
+    panelTargetRole: "角色",
+    panelTargetRoleAndSubordinates: "角色和下属",
+    accessLevelNone: "私有",
+    accessLevelRead: "只读",
+    accessLevelEdit: "读取/写入",
+    accessLevelAll: "完全访问",
+    rowCauseOwner: "所有人",
+    rowCauseManual: "手动共享",
+    rowCauseRule: "共享规则",
+    rowCauseImplicitChild: "关联记录所有人或共享",
+    rowCauseImplicitParent: "关联子记录",
+    rowCauseImplicitPerson: "个人客户",
+    rowCauseTeam: "团队",
+    rowCauseTerritory: "区域",
+    rowCauseTerritoryRule: "区域规则",
+    rowCauseTerritoryManual: "手动区域",
+    rowCauseGuestRule: "来宾用户共享规则",
+    groupTypeRegular: "公用小组",
+    groupTypeRole: "角色",
+    groupTypeRoleAndSubordinates: "角色及下属",
+    groupTypeRoleAndSubordinatesInternal: "角色及内部下属",
+    groupTypeQueue: "队列",
+    groupTypeOrganization: "所有内部用户",
+    groupTypeAllCustomerPortal: "所有客户门户用户",
+    groupTypeManager: "经理",
+    groupTypeManagerAndSubordinatesInternal: "经理及下属",
+    groupTypeTerritory: "区域",
+    groupTypeTerritoryAndSubordinates: "区域及下属",
+    panelConfirmAdd: "以 {access} 访问权限与 {name} 共享此记录？",
+    panelConfirmChange: "将 {name} 的访问权限从 {from} 更改为 {to}？",
+    panelConfirmRemove: "删除 {name} 的手动共享？其可能会失去对此记录的访问权限。",
+    panelShareAdded: "已添加共享。",
+    panelShareUpdated: "已更改访问权限。",
+    panelShareRemoved: "已删除共享。",
+    panelErrorInsufficientAccess: "您没有管理此记录共享的权限。只有记录所有人、角色层级中位于所有人之上的用户以及管理员才能管理。",
+    panelErrorAccessBelowDefault: "访问级别必须比对象的组织范围默认设置更宽松。",
+    menuToggleTitle: "更多共享操作",
+    menuExplainAccess: "解释访问权限...",
+    menuExportCsv: "导出共享 (CSV)",
+    menuExportJson: "导出共享 (JSON)",
+    exportColumnUserOrGroupId: "用户或小组 ID",
+    exportColumnLastModifiedBy: "上次修改人",
+    exportError: "无法导出共享行：",
+    exportDone: { other: "已导出 {count} 个共享行。" },
+    toastDetails: "详细信息",
+    toastHideDetails: "隐藏详细信息",
+    toastCopyReport: "复制诊断报告",
+    toastReportCopied: "报告已复制",
+    toastReportCopyFailed: "无法复制报告",
+    diagnosticUrl: "URL",
+    diagnosticPatternsTried: "已尝试的模式",
+    diagnosticInsertStrategy: "插入策略",
+    diagnosticPageType: "页面类型",
+    diagnosticNone: "无",
+    debugTitle: "故障排除",
+    debugDescription: "调试模式会记录扩展程序如何查找记录以及在何处插入按钮，并在 Salesforce 页面上显示一个显示其当前状态的小浮层。开启后重现问题，然后下载日志并将其附加到您的错误报告中。",
+    debugModeLabel: "调试模式",
+    debugViewLog: "查看日志",
+    debugDownloadLog: "下载日志",
+    debugClearLog: "清除日志",
+    debugLogEmpty: "日志为空。请开启调试模式，保存后重新加载 Salesforce 页面。",
+    explainTitle: "解释访问权限",
+    explainChooseUser: "选择一个用户，查看其对此记录拥有的访问权限及原因。",
+    explainLoading: "正在检查访问权限...",
+    explainError: "无法解释访问权限：",
+    explainAccessHeading: "{name} 的访问权限",
+    explainRead: "读取",
+    explainEdit: "编辑",
+    explainDelete: "删除",
+    explainTransfer: "转移",
+    explainMaxAccess: "最高访问权限：{level}",
+    explainNoAccessRow: "Salesforce 未返回此用户和记录的访问信息。",
+    explainPathsHeading: "访问来源",
+    explainNoPaths: "未找到访问来源。访问权限可能来自小组、区域、隐式共享或公共的组织范围默认设置。",
+    explainProfile: "简档",
+    explainPathPermission: "来自 {source} 的 {permission} 权限",
+    explainPathOwner: "拥有此记录",
+    explainPathQueue: "拥有此记录的队列的成员：{group}",
+    explainPathRoleOwner: "角色 {role} 在角色层级中位于记录所有人 {name} 之上",
+    explainPathShare: "直接共享：{reason}，{access}",
+    explainPathGroup: "{group} 的成员，该组通过 {reason} 拥有 {access} 访问权限",
+    explainPathRole: "角色 {role} 在角色层级中位于 {name} 之上，该用户通过 {reason} 拥有 {access} 访问权限",
+    sharingUnavailableTitle: "{object} 无法使用共享：其组织范围默认设置为 {internal}（内部）/ {external}（外部），因此没有 {object} 共享对象。",
+    sharingModelPrivate: "私有",
+    sharingModelRead: "公用只读",
+    sharingModelReadWrite: "公用读取/写入",
+    sharingModelReadWriteTransfer: "公用读取/写入/转移",
+    sharingModelFullAccess: "公用完全访问",
+    sharingModelControlledByParent: "由父级控制",
+    sharingModelControlledByCampaign: "由市场活动控制",
+    sharingModelControlledByLeadOrContact: "由潜在客户或联系人控制",
+    floatingDragTitle: "拖动以移动共享按钮",
+    contextMenuOpenSharing: "打开共享",
+    listRowIconTitle: "打开此记录的共享",
+    listBulkRegionLabel: "所选项的共享",
+    listBulkTitle: { other: "已选择 {count} 项" },
+    listBulkOpenTabs: "打开共享标签页",
+    listBulkCombinedTable: "合并共享表",
+    listBulkOpened: "已打开所选 {selected} 项中的 {opened} 项（一次最多 {limit} 项）。",
+    listCombinedTitle: "所选记录的共享",
+    listCombinedProgress: "正在加载第 {done} 条，共 {total} 条记录...",
+    listCombinedDone: { other: "{total} 条记录的 {count} 个共享行" },
+    listColumnRecord: "记录",
+    listColumnObject: "对象",
+    errorNoRecordIdInLink: "在此链接中找不到记录 ID。",
+    errorOpenSharingFailed: "无法打开共享页面。请重新加载页面并重试。",
+    popupRecordId15: "记录 ID (15)",
+    popupRecordId18: "记录 ID (18)",
+    popupObject: "对象",
+    popupObjectUnknown: "未知",
+    popupPageType: "页面类型",
+    popupPageTypeLightning: "Lightning",
+    popupPageTypeConsole: "Lightning 控制台",
+    popupPageTypeClassic: "Classic",
+    popupPageTypeVisualforce: "Visualforce",
+    popupPageTypeSetup: "设置",
+    popupPageTypeExperience: "Experience Cloud 站点",
+    popupDetectedBy: "检测方式",
+    popupCopyId: "复制",
+    popupCopied: "已复制！",
+    popupOpenSharing: "打开共享",
+    popupOpenInClassic: "在 Classic 中打开",
+    popupOpenInLightning: "在 Lightning 中打开",
+    popupOpenInSetup: "在设置中打开对象",
+    popupStatusInserted: "共享按钮已在页面上。",
+    popupStatusFloating: "由于在此页面上找不到其位置，共享按钮显示为浮动按钮。",
+    popupStatusPending: "共享按钮尚未插入。",
+    popupStatusNotRecordPage: "共享按钮仅在记录页面上显示。",
+    popupStatusObjectFiltered: "选项页面的对象筛选器已在此对象上隐藏共享按钮。",
+    popupStatusOrgDisabled: "此组织的简档或您的公司已关闭共享按钮。",
+    popupOrg: "组织",
+    popupOrgNoProfile: "此组织没有简档",
+    popupCreateProfile: "创建简档",
+    popupNotSalesforce: "打开 Salesforce 记录以使用此扩展程序。",
+    popupReloadPage: "扩展程序无法访问此页面。请重新加载后重试。",
     settingsSubtitle: "设置",
     languageSettingsTitle: "语言设置",
-    languageSettingsDescription: "选择扩展程序界面的首选语言。您可以使用浏览器的默认语言或选择特定语言。",
+    languageSettingsDescription: "选择扩展程序界面的首选语言。您可以使用浏览器的默认语言、选择特定语言，或跟随您的 Salesforce 用户语言。",
     languageModeLabel: "语言模式:",
     languageModeAuto: "使用浏览器语言（推荐）",
     languageModeManual: "选择特定语言",
+    languageModeSalesforce: "使用我的 Salesforce 语言",
+    salesforceLanguageText: "您的 Salesforce 语言:",
     languageSelectLabel: "选择语言:",
     browserLanguageText: "您的浏览器语言:",
+    openSettingsTitle: "打开共享页面",
+    openSettingsDescription: "选择 Classic 共享页面的打开方式。在按钮上按 Ctrl/Cmd 单击、Shift 单击和中键单击始终遵循浏览器的惯例。",
+    openModeLabel: "打开方式：",
+    openModeForeground: "新标签页",
+    openModeBackground: "当前标签页旁的后台标签页",
+    openModeReuse: "重复使用同一个共享标签页",
+    openModePopup: "弹出窗口",
+    openModeSameTab: "同一标签页",
+    popupWidthLabel: "宽度 (px)：",
+    popupHeightLabel: "高度 (px)：",
+    placementSettingsTitle: "按钮位置",
+    placementSettingsDescription: "选择共享按钮的显示位置。如果所选位置不在页面上，按钮会先回退到默认位置，再回退到浮动按钮。浮动按钮可通过其手柄拖动，并在每个 Salesforce 域中停留在您放下的位置。",
+    placementLabel: "位置：",
+    placementAuto: "页面默认",
+    placementGlobalHeader: "全局标题 (Lightning)",
+    placementHighlightsPanel: "记录突出显示面板操作 (Lightning)",
+    placementClassicButtons: "详细信息页面按钮行 (Classic)",
+    placementFloating: "浮动按钮",
+    listSettingsTitle: "列表视图",
+    listSettingsDescription: "列表视图和相关列表的行会显示共享图标。“所选项的共享”会在后台标签页中打开所选行的共享页面，一次最多打开此数量的标签页。",
+    bulkOpenLimitLabel: "最多打开的标签页数：",
+    objectFilterTitle: "对象",
+    objectFilterDescription: "选择在其记录上显示共享按钮的对象。输入对象 API 名称（例如 Invoice__c）或 3 个字符的键前缀（例如 a0p），或从已打开的 Salesforce 标签页所属组织中选择对象。",
+    objectFilterModeLabel: "在以下对象上显示按钮：",
+    objectFilterModeAll: "所有对象",
+    objectFilterModeAllow: "仅列出的对象",
+    objectFilterModeDeny: "除列出对象外的所有对象",
+    objectFilterSearchPlaceholder: "搜索对象或输入 API 名称或键前缀，然后按 Enter",
+    objectFilterFromOrg: "{host} 的对象",
+    objectFilterNoOrg: "打开一个 Salesforce 标签页以从其组织中选择对象。",
+    objectFilterLoadError: "无法加载组织的对象。",
+    objectFilterRemove: "删除",
+    orgProfilesTitle: "组织简档",
+    orgProfilesDescription: "按组织 ID (00D...) 或“我的域”名称（例如 acme 或 acme--uat）为组织指定单独的设置。PROD 等组织标签可以在按钮上显示为彩色徽章或边框，让您始终知道自己所在的组织。",
+    orgProfileKeyPlaceholder: "组织 ID 或“我的域”名称",
+    orgProfileAdd: "添加简档",
+    orgProfileCreate: "创建简档",
+    orgProfileDelete: "删除简档",
+    orgProfileDetectedTitle: "已访问但尚无简档的组织：",
+    orgProfileNoneDetected: "无",
+    orgProfileLabel: "标签：",
+    orgProfileColor: "颜色：",
+    orgProfileBadgeStyle: "标签显示方式：",
+    orgProfileBadgeStyleBadge: "按钮上的徽章",
+    orgProfileBadgeStyleBorder: "彩色边框",
+    orgProfileBadgeStyleNone: "不显示",
+    orgProfileEnabled: "在此组织中显示共享按钮",
+    orgProfileObjects: "列出的对象（以逗号分隔）：",
+    managedByOrganization: "由您的公司管理",
+    customDomainsTitle: "自定义域",
+    customDomainsDescription: "按钮可在 Salesforce 自有域上使用。添加您的组织或 Experience Cloud 站点使用的自定义域，例如 sf.acme.com，或用 *.acme.com 涵盖其所有子域，并说明它们提供哪类页面。Chrome 会请求您允许访问每个域；之后请重新加载其已打开的标签页。",
+    customDomainPlaceholder: "sf.acme.com 或 *.acme.com",
+    customDomainAdd: "添加域",
+    customDomainRemove: "删除",
+    customDomainGrant: "允许访问",
+    customDomainGranted: "已允许访问",
+    customDomainNotGranted: "无访问权限",
+    customDomainInvalid: "“{host}”不是域名。",
+    experienceSitesDescription: "Experience Cloud 站点（*.my.site.com、*.my.salesforce-sites.com）也提供公开页面，因此只有在您允许访问后，按钮才会在这些站点上运行。",
+    experienceSitesRevoke: "移除访问权限",
+    hostKindLightning: "Lightning",
+    hostKindClassic: "Classic",
+    hostKindVisualforce: "Visualforce",
+    hostKindSetup: "设置",
+    hostKindExperience: "Experience Cloud 站点",
+    transferTitle: "导入和导出",
+    transferDescription: "将您的设置（包括组织简档）导出到文件，团队成员可以导入该文件以获得相同的配置。导入的设置在应用前会经过检查和预览。",
+    exportSettingsButton: "导出设置",
+    importSettingsButton: "导入设置",
+    importPreviewTitle: { other: "{file} 更改了 {count} 项设置：" },
+    importNoChanges: "{file} 与您当前的设置一致。",
+    importIgnored: "已忽略未知设置：{settings}。",
+    importColumnSetting: "设置",
+    importColumnCurrent: "当前",
+    importColumnImported: "导入",
+    importLockedNotApplied: "由您的公司管理，未应用",
+    importApply: "应用",
+    importCancel: "取消",
+    importInvalid: "无法导入此文件：",
+    importSuccess: "设置已成功导入！",
+    managedAllowedOrgs: "您的公司将共享按钮限制在以下组织：{orgs}",
     saveButtonText: "保存设置",
     saveSuccessMessage: "设置保存成功！",
     saveErrorMessage: "保存设置时出错。请重试。"
@@ -179,15 +2649,262 @@ const translations = {
     langEnglishName: "Русский (Russian)",
     buttonText: "Общий доступ",
     buttonTitle: "Открыть детали общего доступа для этой записи",
+    buttonTargetTitle: "Запись: {record}",
     errorNoRecordId: "Не удалось обнаружить ID записи на этой странице. Откройте страницу сведений о записи и попробуйте снова.",
+    errorNoSharingPage: "У записей {object} нет страницы общего доступа. Общий доступ доступен только для организаций, контактов, возможностей, интересов, обращений, кампаний, пользователей и пользовательских объектов.",
+    panelTitle: "Общий доступ",
+    panelClose: "Закрыть",
+    panelLoading: "Загрузка строк общего доступа...",
+    panelNoRows: "Нет подходящих строк общего доступа.",
+    panelFilterPlaceholder: "Фильтр по имени, типу, доступу или причине",
+    panelOpenClassic: "Открыть страницу общего доступа Classic",
+    panelColumnName: "Пользователь или группа",
+    panelColumnType: "Тип",
+    panelColumnAccess: "Уровень доступа",
+    panelColumnReason: "Причина",
+    panelColumnLastModified: "Последнее изменение",
+    panelRowCount: "Показано строк общего доступа: {shown} из {total}",
+    panelErrorLoading: "Не удалось загрузить строки общего доступа:",
+    panelErrorUnknownObject: "Не удалось определить объект этой записи. Используйте страницу общего доступа Classic.",
+    panelColumnActions: "Действия",
+    panelAddShare: "Добавить общий доступ",
+    panelWriteActionsDisabled: "Только чтение: управляется вашей компанией",
+    panelChangeAccess: "Изменить доступ",
+    panelChangeAccessFor: "Изменить доступ для {name}:",
+    panelRemove: "Удалить",
+    panelSave: "Сохранить",
+    panelCancel: "Отмена",
+    panelConfirm: "Подтвердить",
+    panelSearchPlaceholder: "Поиск по имени (не менее 2 символов)",
+    panelSearchNoResults: "Совпадений не найдено.",
+    panelTargetUser: "Пользователь",
+    panelTargetRegular: "Открытая группа",
+    panelTargetRole: "Роль",
+    panelTargetRoleAndSubordinates: "Роль и подчиненные",
+    accessLevelNone: "Частный",
+    accessLevelRead: "Только чтение",
+    accessLevelEdit: "Чтение/запись",
+    accessLevelAll: "Полный доступ",
+    rowCauseOwner: "Владелец",
+    rowCauseManual: "Ручной общий доступ",
+    rowCauseRule: "Правило общего доступа",
+    rowCauseImplicitChild: "Владелец связанной записи или общий доступ к ней",
+    rowCauseImplicitParent: "Связанная дочерняя запись",
+    rowCauseImplicitPerson: "Персональная учетная запись",
+    rowCauseTeam: "Группа",
+    rowCauseTerritory: "Территория",
+    rowCauseTerritoryRule: "Правило территории",
+    rowCauseTerritoryManual: "Территория вручную",
+    rowCauseGuestRule: "Правило общего доступа для гостевого пользователя",
+    groupTypeRegular: "Общедоступная группа",
+    groupTypeRole: "Роль",
+    groupTypeRoleAndSubordinates: "Роль и подчиненные",
+    groupTypeRoleAndSubordinatesInternal: "Роль и внутренние подчиненные",
+    groupTypeQueue: "Очередь",
+    groupTypeOrganization: "Все внутренние пользователи",
+    groupTypeAllCustomerPortal: "Все пользователи клиентского портала",
+    groupTypeManager: "Руководитель",
+    groupTypeManagerAndSubordinatesInternal: "Руководитель и подчиненные",
+    groupTypeTerritory: "Территория",
+    groupTypeTerritoryAndSubordinates: "Территория и подчиненные",
+    panelConfirmAdd: "Предоставить {name} доступ {access} к этой записи?",
+    panelConfirmChange: "Изменить доступ {name} с {from} на {to}?",
+    panelConfirmRemove: "Удалить ручной общий доступ для {name}? Доступ к этой записи может быть потерян.",
+    panelShareAdded: "Общий доступ добавлен.",
+    panelShareUpdated: "Доступ изменен.",
+    panelShareRemoved: "Общий доступ удален.",
+    panelErrorInsufficientAccess: "У вас нет разрешения на управление общим доступом к этой записи. Это могут делать только владелец записи, пользователи выше владельца в иерархии ролей и администраторы.",
+    panelErrorAccessBelowDefault: "Уровень доступа должен быть шире, чем значение по умолчанию для всей организации для этого объекта.",
+    menuToggleTitle: "Другие действия общего доступа",
+    menuExplainAccess: "Объяснить доступ...",
+    menuExportCsv: "Экспорт общего доступа (CSV)",
+    menuExportJson: "Экспорт общего доступа (JSON)",
+    exportColumnUserOrGroupId: "Идентификатор пользователя или группы",
+    exportColumnLastModifiedBy: "Кем изменено",
+    exportError: "Не удалось экспортировать строки общего доступа:",
+    exportDone: { one: "Экспортирована {count} строка общего доступа.", few: "Экспортировано {count} строки общего доступа.", many: "Экспортировано {count} строк общего доступа.", other: "Экспортировано {count} строки общего доступа." },
+    toastDetails: "Подробности",
+    toastHideDetails: "Скрыть подробности",
+    toastCopyReport: "Копировать диагностический отчет",
+    toastReportCopied: "Отчет скопирован",
+    toastReportCopyFailed: "Не удалось скопировать отчет",
+    diagnosticUrl: "URL",
+    diagnosticPatternsTried: "Проверенные шаблоны",
+    diagnosticInsertStrategy: "Стратегия вставки",
+    diagnosticPageType: "Тип страницы",
+    diagnosticNone: "нет",
+    debugTitle: "Устранение неполадок",
+    debugDescription: "Режим отладки записывает, как расширение ищет запись и куда вставляет кнопку, и показывает на страницах Salesforce небольшую панель с его текущим состоянием. Включите его, воспроизведите проблему, затем скачайте журнал и приложите его к отчету об ошибке.",
+    debugModeLabel: "Режим отладки",
+    debugViewLog: "Просмотреть журнал",
+    debugDownloadLog: "Скачать журнал",
+    debugClearLog: "Очистить журнал",
+    debugLogEmpty: "Журнал пуст. Включите режим отладки, сохраните и перезагрузите страницу Salesforce.",
+    explainTitle: "Объяснить доступ",
+    explainChooseUser: "Выберите пользователя, чтобы увидеть, какой у него доступ к этой записи и почему.",
+    explainLoading: "Проверка доступа...",
+    explainError: "Не удалось объяснить доступ:",
+    explainAccessHeading: "Доступ пользователя {name}",
+    explainRead: "Чтение",
+    explainEdit: "Изменение",
+    explainDelete: "Удаление",
+    explainTransfer: "Передача",
+    explainMaxAccess: "Максимальный доступ: {level}",
+    explainNoAccessRow: "Salesforce не вернул сведения о доступе для этого пользователя и записи.",
+    explainPathsHeading: "Источники доступа",
+    explainNoPaths: "Источник доступа не найден. Доступ может предоставляться командами, территориями, неявным общим доступом или открытым значением по умолчанию для всей организации.",
+    explainProfile: "Профиль",
+    explainPathPermission: "Разрешение {permission} из {source}",
+    explainPathOwner: "Владелец записи",
+    explainPathQueue: "Участник очереди, владеющей записью: {group}",
+    explainPathRoleOwner: "Роль {role} выше владельца записи {name} в иерархии ролей",
+    explainPathShare: "Общий доступ напрямую: {reason}, {access}",
+    explainPathGroup: "Участник {group}, у которой есть доступ {access} через {reason}",
+    explainPathRole: "Роль {role} выше {name} в иерархии ролей, у которого есть доступ {access} через {reason}",
+    sharingUnavailableTitle: "Общий доступ недоступен для {object}: значение по умолчанию для всей организации — {internal} (внутренний) / {external} (внешний), поэтому объекта общего доступа {object} нет.",
+    sharingModelPrivate: "Частный",
+    sharingModelRead: "Общедоступный только для чтения",
+    sharingModelReadWrite: "Общедоступный для чтения и записи",
+    sharingModelReadWriteTransfer: "Общедоступный для чтения, записи и передачи",
+    sharingModelFullAccess: "Общедоступный полный доступ",
+    sharingModelControlledByParent: "Управляется родительским объектом",
+    sharingModelControlledByCampaign: "Управляется кампанией",
+    sharingModelControlledByLeadOrContact: "Управляется интересом или контактом",
+    floatingDragTitle: "Перетащите, чтобы переместить кнопку «Общий доступ»",
+    contextMenuOpenSharing: "Открыть общий доступ",
+    listRowIconTitle: "Открыть общий доступ к этой записи",
+    listBulkRegionLabel: "Общий доступ для выбранных",
+    listBulkTitle: { one: "Выбрана {count}", few: "Выбрано {count}", many: "Выбрано {count}", other: "Выбрано {count}" },
+    listBulkOpenTabs: "Открыть вкладки общего доступа",
+    listBulkCombinedTable: "Сводная таблица общего доступа",
+    listBulkOpened: "Открыто {opened} из {selected} выбранных (не более {limit} за раз).",
+    listCombinedTitle: "Общий доступ к выбранным записям",
+    listCombinedProgress: "Загрузка {done} из {total} записей...",
+    listCombinedDone: { one: "{count} строка общего доступа для записей: {total}", few: "{count} строки общего доступа для записей: {total}", many: "{count} строк общего доступа для записей: {total}", other: "{count} строки общего доступа для записей: {total}" },
+    listColumnRecord: "Запись",
+    listColumnObject: "Объект",
+    errorNoRecordIdInLink: "В этой ссылке не найден идентификатор записи.",
+    errorOpenSharingFailed: "Не удалось открыть страницу общего доступа. Перезагрузите страницу и попробуйте снова.",
+    popupRecordId15: "Идентификатор записи (15)",
+    popupRecordId18: "Идентификатор записи (18)",
+    popupObject: "Объект",
+    popupObjectUnknown: "Неизвестно",
+    popupPageType: "Тип страницы",
+    popupPageTypeLightning: "Lightning",
+    popupPageTypeConsole: "Консоль Lightning",
+    popupPageTypeClassic: "Classic",
+    popupPageTypeVisualforce: "Visualforce",
+    popupPageTypeSetup: "Настройка",
+    popupPageTypeExperience: "Сайт Experience Cloud",
+    popupDetectedBy: "Способ определения",
+    popupCopyId: "Копировать",
+    popupCopied: "Скопировано!",
+    popupOpenSharing: "Открыть общий доступ",
+    popupOpenInClassic: "Открыть в Classic",
+    popupOpenInLightning: "Открыть в Lightning",
+    popupOpenInSetup: "Открыть объект в настройке",
+    popupStatusInserted: "Кнопка «Общий доступ» есть на странице.",
+    popupStatusFloating: "Кнопка «Общий доступ» показана как плавающая, так как ее место не найдено на этой странице.",
+    popupStatusPending: "Кнопка «Общий доступ» еще не вставлена.",
+    popupStatusNotRecordPage: "Кнопка «Общий доступ» показывается только на страницах записей.",
+    popupStatusObjectFiltered: "Кнопка «Общий доступ» скрыта для этого объекта фильтром объектов на странице параметров.",
+    popupStatusOrgDisabled: "Кнопка «Общий доступ» отключена для этой организации ее профилем или вашей компанией.",
+    popupOrg: "Организация",
+    popupOrgNoProfile: "Нет профиля для этой организации",
+    popupCreateProfile: "Создать профиль",
+    popupNotSalesforce: "Откройте запись Salesforce, чтобы использовать это расширение.",
+    popupReloadPage: "Расширение не может получить доступ к этой странице. Перезагрузите ее и повторите попытку.",
     settingsSubtitle: "Настройки",
     languageSettingsTitle: "Настройки языка",
-    languageSettingsDescription: "Выберите предпочитаемый язык для интерфейса расширения. Вы можете использовать язык по умолчанию вашего браузера или выбрать конкретный язык.",
+    languageSettingsDescription: "Выберите предпочитаемый язык для интерфейса расширения. Вы можете использовать язык по умолчанию вашего браузера, выбрать конкретный язык или использовать язык вашего пользователя Salesforce.",
     languageModeLabel: "Режим языка:",
     languageModeAuto: "Использовать язык браузера (рекомендуется)",
     languageModeManual: "Выбрать конкретный язык",
+    languageModeSalesforce: "Использовать мой язык Salesforce",
+    salesforceLanguageText: "Ваш язык Salesforce:",
     languageSelectLabel: "Выбрать язык:",
     browserLanguageText: "Язык вашего браузера:",
+    openSettingsTitle: "Открытие страницы общего доступа",
+    openSettingsDescription: "Выберите, как открывается страница общего доступа Classic. Ctrl/Cmd-щелчок, Shift-щелчок и щелчок средней кнопкой по кнопке всегда работают по правилам вашего браузера.",
+    openModeLabel: "Режим открытия:",
+    openModeForeground: "Новая вкладка",
+    openModeBackground: "Фоновая вкладка рядом с текущей",
+    openModeReuse: "Использовать одну вкладку общего доступа",
+    openModePopup: "Всплывающее окно",
+    openModeSameTab: "Та же вкладка",
+    popupWidthLabel: "Ширина (px):",
+    popupHeightLabel: "Высота (px):",
+    placementSettingsTitle: "Расположение кнопки",
+    placementSettingsDescription: "Выберите, где будет кнопка «Общий доступ». Если выбранного места нет на странице, кнопка переходит на место по умолчанию, а затем становится плавающей. Плавающую кнопку можно перетаскивать за маркер, и она остается там, где вы ее оставили, для каждого домена Salesforce.",
+    placementLabel: "Расположение:",
+    placementAuto: "По умолчанию для страницы",
+    placementGlobalHeader: "Глобальный заголовок (Lightning)",
+    placementHighlightsPanel: "Действия панели основных сведений записи (Lightning)",
+    placementClassicButtons: "Строка кнопок страницы сведений (Classic)",
+    placementFloating: "Плавающая кнопка",
+    listSettingsTitle: "Представления списков",
+    listSettingsDescription: "Строки представлений списков и связанных списков получают значок общего доступа. «Общий доступ для выбранных» открывает страницы общего доступа выбранных строк в фоновых вкладках, не более этого числа вкладок за раз.",
+    bulkOpenLimitLabel: "Максимум открываемых вкладок:",
+    objectFilterTitle: "Объекты",
+    objectFilterDescription: "Выберите объекты, в записях которых показывается кнопка «Общий доступ». Введите API-имена объектов (например, Invoice__c) или 3-символьные префиксы ключей (например, a0p) либо выберите объекты из организации открытой вкладки Salesforce.",
+    objectFilterModeLabel: "Показывать кнопку для:",
+    objectFilterModeAll: "Всех объектов",
+    objectFilterModeAllow: "Только перечисленных объектов",
+    objectFilterModeDeny: "Всех объектов, кроме перечисленных",
+    objectFilterSearchPlaceholder: "Найдите объекты или введите API-имя или префикс ключа и нажмите Enter",
+    objectFilterFromOrg: "Объекты {host}",
+    objectFilterNoOrg: "Откройте вкладку Salesforce, чтобы выбрать объекты из ее организации.",
+    objectFilterLoadError: "Не удалось загрузить объекты организации.",
+    objectFilterRemove: "Удалить",
+    orgProfilesTitle: "Профили организаций",
+    orgProfilesDescription: "Задайте организации собственные настройки по ее идентификатору (00D...) или имени «Мой домен» (например, acme или acme--uat). Метка организации, например PROD, может отображаться на кнопке как цветной значок или рамка, чтобы вы всегда знали, в какой организации находитесь.",
+    orgProfileKeyPlaceholder: "Идентификатор организации или имя «Мой домен»",
+    orgProfileAdd: "Добавить профиль",
+    orgProfileCreate: "Создать профиль",
+    orgProfileDelete: "Удалить профиль",
+    orgProfileDetectedTitle: "Посещенные организации без профиля:",
+    orgProfileNoneDetected: "Нет",
+    orgProfileLabel: "Метка:",
+    orgProfileColor: "Цвет:",
+    orgProfileBadgeStyle: "Показывать метку как:",
+    orgProfileBadgeStyleBadge: "Значок на кнопке",
+    orgProfileBadgeStyleBorder: "Цветная рамка",
+    orgProfileBadgeStyleNone: "Не показывать",
+    orgProfileEnabled: "Показывать кнопку «Общий доступ» в этой организации",
+    orgProfileObjects: "Перечисленные объекты (через запятую):",
+    managedByOrganization: "Управляется вашей компанией",
+    customDomainsTitle: "Пользовательские домены",
+    customDomainsDescription: "Кнопка работает на собственных доменах Salesforce. Добавьте пользовательские домены, которые используют ваши организации или сайты Experience Cloud, например sf.acme.com или *.acme.com для всех его поддоменов, и укажите, какие страницы они обслуживают. Chrome попросит разрешить доступ к каждому домену; после этого перезагрузите его открытые вкладки.",
+    customDomainPlaceholder: "sf.acme.com или *.acme.com",
+    customDomainAdd: "Добавить домен",
+    customDomainRemove: "Удалить",
+    customDomainGrant: "Разрешить доступ",
+    customDomainGranted: "Доступ разрешен",
+    customDomainNotGranted: "Нет доступа",
+    customDomainInvalid: "«{host}» не является именем домена.",
+    experienceSitesDescription: "Сайты Experience Cloud (*.my.site.com, *.my.salesforce-sites.com) также обслуживают общедоступные страницы, поэтому кнопка работает на них только после того, как вы разрешите доступ.",
+    experienceSitesRevoke: "Отозвать доступ",
+    hostKindLightning: "Lightning",
+    hostKindClassic: "Classic",
+    hostKindVisualforce: "Visualforce",
+    hostKindSetup: "Настройка",
+    hostKindExperience: "Сайт Experience Cloud",
+    transferTitle: "Импорт и экспорт",
+    transferDescription: "Экспортируйте параметры, включая профили организаций, в файл, который коллеги могут импортировать, чтобы получить такую же конфигурацию. Импортированные параметры проверяются и показываются для предварительного просмотра перед применением.",
+    exportSettingsButton: "Экспортировать параметры",
+    importSettingsButton: "Импортировать параметры",
+    importPreviewTitle: { one: "{file} изменяет {count} параметр:", few: "{file} изменяет {count} параметра:", many: "{file} изменяет {count} параметров:", other: "{file} изменяет {count} параметра:" },
+    importNoChanges: "{file} совпадает с текущими параметрами.",
+    importIgnored: "Пропущены неизвестные параметры: {settings}.",
+    importColumnSetting: "Параметр",
+    importColumnCurrent: "Текущее",
+    importColumnImported: "Импортированное",
+    importLockedNotApplied: "Управляется вашей компанией, не применено",
+    importApply: "Применить",
+    importCancel: "Отмена",
+    importInvalid: "Этот файл нельзя импортировать:",
+    importSuccess: "Параметры успешно импортированы!",
+    managedAllowedOrgs: "Ваша компания ограничивает кнопку «Общий доступ» этими организациями: {orgs}",
     saveButtonText: "Сохранить настройки",
     saveSuccessMessage: "Настройки успешно сохранены!",
     saveErrorMessage: "Ошибка при сохранении настроек. Попробуйте еще раз."
@@ -196,15 +2913,262 @@ const translations = {
     langEnglishName: "العربية (Arabic)",
     buttonText: "مشاركة",
     buttonTitle: "فتح تفاصيل المشاركة لهذا السجل",
+    buttonTargetTitle: "السجل: {record}",
     errorNoRecordId: "تعذر اكتشاف معرف السجل في هذه الصفحة. افتح صفحة تفاصيل السجل وحاول مرة أخرى.",
+    errorNoSharingPage: "سجلات {object} ليس لها صفحة مشاركة. المشاركة متاحة فقط للحسابات وجهات الاتصال والفرص والعملاء المحتملين والحالات والحملات والمستخدمين والكائنات المخصصة.",
+    panelTitle: "المشاركة",
+    panelClose: "إغلاق",
+    panelLoading: "جارٍ تحميل صفوف المشاركة...",
+    panelNoRows: "لا توجد صفوف مشاركة مطابقة.",
+    panelFilterPlaceholder: "التصفية حسب الاسم أو النوع أو الوصول أو السبب",
+    panelOpenClassic: "فتح صفحة المشاركة في Classic",
+    panelColumnName: "المستخدم أو المجموعة",
+    panelColumnType: "النوع",
+    panelColumnAccess: "مستوى الوصول",
+    panelColumnReason: "السبب",
+    panelColumnLastModified: "آخر تعديل",
+    panelRowCount: "عرض {shown} من {total} من صفوف المشاركة",
+    panelErrorLoading: "تعذر تحميل صفوف المشاركة:",
+    panelErrorUnknownObject: "تعذر تحديد كائن هذا السجل. استخدم صفحة المشاركة في Classic بدلاً من ذلك.",
+    panelColumnActions: "الإجراءات",
+    panelAddShare: "إضافة مشاركة",
+    panelWriteActionsDisabled: "للقراءة فقط: تتم إدارته بواسطة مؤسستك",
+    panelChangeAccess: "تغيير الوصول",
+    panelChangeAccessFor: "تغيير وصول {name}:",
+    panelRemove: "إزالة",
+    panelSave: "حفظ",
+    panelCancel: "إلغاء",
+    panelConfirm: "تأكيد",
+    panelSearchPlaceholder: "البحث بالاسم (حرفان على الأقل)",
+    panelSearchNoResults: "لم يتم العثور على نتائج.",
+    panelTargetUser: "مستخدم",
+    panelTargetRegular: "مجموعة عامة",
+    panelTargetRole: "دور",
+    panelTargetRoleAndSubordinates: "الدور والمرؤوسون",
+    accessLevelNone: "خاص",
+    accessLevelRead: "قراءة فقط",
+    accessLevelEdit: "قراءة/كتابة",
+    accessLevelAll: "وصول كامل",
+    rowCauseOwner: "المالك",
+    rowCauseManual: "مشاركة يدوية",
+    rowCauseRule: "قاعدة مشاركة",
+    rowCauseImplicitChild: "مالك السجل المرتبط أو مشاركته",
+    rowCauseImplicitParent: "سجل فرعي مرتبط",
+    rowCauseImplicitPerson: "حساب شخصي",
+    rowCauseTeam: "فريق",
+    rowCauseTerritory: "منطقة",
+    rowCauseTerritoryRule: "قاعدة منطقة",
+    rowCauseTerritoryManual: "منطقة يدوية",
+    rowCauseGuestRule: "قاعدة مشاركة المستخدم الضيف",
+    groupTypeRegular: "مجموعة عامة",
+    groupTypeRole: "دور",
+    groupTypeRoleAndSubordinates: "الدور والمرؤوسون",
+    groupTypeRoleAndSubordinatesInternal: "الدور والمرؤوسون الداخليون",
+    groupTypeQueue: "قائمة انتظار",
+    groupTypeOrganization: "جميع المستخدمين الداخليين",
+    groupTypeAllCustomerPortal: "جميع مستخدمي بوابة العملاء",
+    groupTypeManager: "المدير",
+    groupTypeManagerAndSubordinatesInternal: "المدير والمرؤوسون",
+    groupTypeTerritory: "منطقة",
+    groupTypeTerritoryAndSubordinates: "المنطقة والمرؤوسون",
+    panelConfirmAdd: "هل تريد مشاركة هذا السجل مع {name} بوصول {access}؟",
+    panelConfirmChange: "هل تريد تغيير وصول {name} من {from} إلى {to}؟",
+    panelConfirmRemove: "هل تريد إزالة المشاركة اليدوية لـ {name}؟ قد يفقد الوصول إلى هذا السجل.",
+    panelShareAdded: "تمت إضافة المشاركة.",
+    panelShareUpdated: "تم تغيير الوصول.",
+    panelShareRemoved: "تمت إزالة المشاركة.",
+    panelErrorInsufficientAccess: "ليس لديك إذن لإدارة مشاركة هذا السجل. يمكن ذلك فقط لمالك السجل والمستخدمين الأعلى من المالك في تسلسل الأدوار والمسؤولين.",
+    panelErrorAccessBelowDefault: "يجب أن يكون مستوى الوصول أكثر تساهلاً من الإعداد الافتراضي للكائن على مستوى المؤسسة.",
+    menuToggleTitle: "المزيد من إجراءات المشاركة",
+    menuExplainAccess: "شرح الوصول...",
+    menuExportCsv: "تصدير المشاركة (CSV)",
+    menuExportJson: "تصدير المشاركة (JSON)",
+    exportColumnUserOrGroupId: "معرّف المستخدم أو المجموعة",
+    exportColumnLastModifiedBy: "آخر تعديل بواسطة",
+    exportError: "تعذر تصدير صفوف المشاركة:",
+    exportDone: { zero: "لم يتم تصدير أي صف مشاركة ({count}).", one: "تم تصدير صف مشاركة واحد ({count}).", two: "تم تصدير صفي مشاركة ({count}).", few: "تم تصدير {count} صفوف مشاركة.", many: "تم تصدير {count} صف مشاركة.", other: "تم تصدير {count} صف مشاركة." },
+    toastDetails: "التفاصيل",
+    toastHideDetails: "إخفاء التفاصيل",
+    toastCopyReport: "نسخ تقرير التشخيص",
+    toastReportCopied: "تم نسخ التقرير",
+    toastReportCopyFailed: "تعذر نسخ التقرير",
+    diagnosticUrl: "URL",
+    diagnosticPatternsTried: "الأنماط التي تمت تجربتها",
+    diagnosticInsertStrategy: "استراتيجية الإدراج",
+    diagnosticPageType: "نوع الصفحة",
+    diagnosticNone: "لا شيء",
+    debugTitle: "استكشاف الأخطاء وإصلاحها",
+    debugDescription: "يسجل وضع التصحيح كيفية بحث الإضافة عن السجل ومكان إدراجها للزر، ويعرض طبقة صغيرة بحالتها الحالية في صفحات Salesforce. شغّله، وأعد إنتاج المشكلة، ثم نزّل السجل وأرفقه بتقرير الخطأ.",
+    debugModeLabel: "وضع التصحيح",
+    debugViewLog: "عرض السجل",
+    debugDownloadLog: "تنزيل السجل",
+    debugClearLog: "مسح السجل",
+    debugLogEmpty: "السجل فارغ. شغّل وضع التصحيح واحفظ ثم أعد تحميل صفحة Salesforce.",
+    explainTitle: "شرح الوصول",
+    explainChooseUser: "اختر مستخدمًا لمعرفة الوصول الذي يملكه إلى هذا السجل وسببه.",
+    explainLoading: "جارٍ التحقق من الوصول...",
+    explainError: "تعذر شرح الوصول:",
+    explainAccessHeading: "وصول {name}",
+    explainRead: "قراءة",
+    explainEdit: "تحرير",
+    explainDelete: "حذف",
+    explainTransfer: "نقل",
+    explainMaxAccess: "أقصى وصول: {level}",
+    explainNoAccessRow: "لم يُرجع Salesforce أي معلومات وصول لهذا المستخدم والسجل.",
+    explainPathsHeading: "مصادر الوصول",
+    explainNoPaths: "لم يتم العثور على مصدر للوصول. قد يأتي الوصول من الفرق أو المناطق أو المشاركة الضمنية أو إعداد افتراضي عام على مستوى المؤسسة.",
+    explainProfile: "ملف التعريف",
+    explainPathPermission: "إذن {permission} من {source}",
+    explainPathOwner: "يملك السجل",
+    explainPathQueue: "عضو في قائمة الانتظار التي تملك السجل: {group}",
+    explainPathRoleOwner: "الدور {role} أعلى من مالك السجل {name} في تسلسل الأدوار",
+    explainPathShare: "مشاركة مباشرة: {reason}، {access}",
+    explainPathGroup: "عضو في {group} التي لديها وصول {access} عبر {reason}",
+    explainPathRole: "الدور {role} أعلى من {name} في تسلسل الأدوار، ولديه وصول {access} عبر {reason}",
+    sharingUnavailableTitle: "المشاركة غير متاحة لـ {object}: الإعداد الافتراضي على مستوى المؤسسة هو {internal} (داخلي) / {external} (خارجي)، لذلك لا يوجد كائن مشاركة لـ {object}.",
+    sharingModelPrivate: "خاص",
+    sharingModelRead: "قراءة عامة فقط",
+    sharingModelReadWrite: "قراءة/كتابة عامة",
+    sharingModelReadWriteTransfer: "قراءة/كتابة/نقل عامة",
+    sharingModelFullAccess: "وصول كامل عام",
+    sharingModelControlledByParent: "يتحكم فيه الأصل",
+    sharingModelControlledByCampaign: "تتحكم فيه الحملة",
+    sharingModelControlledByLeadOrContact: "يتحكم فيه العميل المحتمل أو جهة الاتصال",
+    floatingDragTitle: "اسحب لتحريك زر المشاركة",
+    contextMenuOpenSharing: "فتح المشاركة",
+    listRowIconTitle: "فتح مشاركة هذا السجل",
+    listBulkRegionLabel: "مشاركة المحدد",
+    listBulkTitle: { zero: "لم يتم تحديد أي عنصر ({count})", one: "تم تحديد عنصر واحد ({count})", two: "تم تحديد عنصرين ({count})", few: "تم تحديد {count} عناصر", many: "تم تحديد {count} عنصرًا", other: "تم تحديد {count} عنصر" },
+    listBulkOpenTabs: "فتح علامات تبويب المشاركة",
+    listBulkCombinedTable: "جدول المشاركة المجمّع",
+    listBulkOpened: "تم فتح {opened} من {selected} محددة (بحد أقصى {limit} في المرة الواحدة).",
+    listCombinedTitle: "مشاركة السجلات المحددة",
+    listCombinedProgress: "جارٍ تحميل {done} من {total} سجلات...",
+    listCombinedDone: { zero: "لا توجد صفوف مشاركة ({count}) لـ {total} سجلات", one: "صف مشاركة واحد ({count}) لـ {total} سجلات", two: "صفا مشاركة ({count}) لـ {total} سجلات", few: "{count} صفوف مشاركة لـ {total} سجلات", many: "{count} صف مشاركة لـ {total} سجلات", other: "{count} صف مشاركة لـ {total} سجلات" },
+    listColumnRecord: "السجل",
+    listColumnObject: "الكائن",
+    errorNoRecordIdInLink: "تعذر العثور على معرّف سجل في هذا الرابط.",
+    errorOpenSharingFailed: "تعذر فتح صفحة المشاركة. أعد تحميل الصفحة وحاول مرة أخرى.",
+    popupRecordId15: "معرّف السجل (15)",
+    popupRecordId18: "معرّف السجل (18)",
+    popupObject: "الكائن",
+    popupObjectUnknown: "غير معروف",
+    popupPageType: "نوع الصفحة",
+    popupPageTypeLightning: "Lightning",
+    popupPageTypeConsole: "وحدة تحكم Lightning",
+    popupPageTypeClassic: "Classic",
+    popupPageTypeVisualforce: "Visualforce",
+    popupPageTypeSetup: "الإعداد",
+    popupPageTypeExperience: "موقع Experience Cloud",
+    popupDetectedBy: "طريقة الاكتشاف",
+    popupCopyId: "نسخ",
+    popupCopied: "تم النسخ!",
+    popupOpenSharing: "فتح المشاركة",
+    popupOpenInClassic: "فتح في Classic",
+    popupOpenInLightning: "فتح في Lightning",
+    popupOpenInSetup: "فتح الكائن في الإعداد",
+    popupStatusInserted: "زر المشاركة موجود في الصفحة.",
+    popupStatusFloating: "يظهر زر المشاركة كزر عائم، لأنه لم يتم العثور على موضعه في هذه الصفحة.",
+    popupStatusPending: "لم يتم إدراج زر المشاركة بعد.",
+    popupStatusNotRecordPage: "يظهر زر المشاركة في صفحات السجلات فقط.",
+    popupStatusObjectFiltered: "زر المشاركة مخفي في هذا الكائن بواسطة عامل تصفية الكائنات في صفحة الخيارات.",
+    popupStatusOrgDisabled: "زر المشاركة متوقف لهذه المؤسسة بواسطة ملف تعريفها أو بواسطة مؤسستك.",
+    popupOrg: "المؤسسة",
+    popupOrgNoProfile: "لا يوجد ملف تعريف لهذه المؤسسة",
+    popupCreateProfile: "إنشاء ملف تعريف",
+    popupNotSalesforce: "افتح سجل Salesforce لاستخدام هذه الإضافة.",
+    popupReloadPage: "لا يمكن للإضافة الوصول إلى هذه الصفحة. أعد تحميلها وحاول مرة أخرى.",
     settingsSubtitle: "الإعدادات",
     languageSettingsTitle: "إعدادات اللغة",
-    languageSettingsDescription: "اختر لغتك المفضلة لواجهة الإضافة. يمكنك استخدام اللغة الافتراضية لمتصفحك أو اختيار لغة محددة.",
+    languageSettingsDescription: "اختر لغتك المفضلة لواجهة الإضافة. يمكنك استخدام اللغة الافتراضية لمتصفحك أو اختيار لغة محددة أو اتباع لغة مستخدم Salesforce الخاص بك.",
     languageModeLabel: "وضع اللغة:",
     languageModeAuto: "استخدام لغة المتصفح (موصى به)",
     languageModeManual: "اختيار لغة محددة",
+    languageModeSalesforce: "استخدام لغتي في Salesforce",
+    salesforceLanguageText: "لغتك في Salesforce:",
     languageSelectLabel: "اختيار اللغة:",
     browserLanguageText: "لغة متصفحك:",
+    openSettingsTitle: "فتح صفحة المشاركة",
+    openSettingsDescription: "اختر طريقة فتح صفحة المشاركة في Classic. يتبع النقر مع Ctrl/Cmd والنقر مع Shift والنقر بالزر الأوسط على الزر دائمًا اصطلاحات متصفحك.",
+    openModeLabel: "وضع الفتح:",
+    openModeForeground: "علامة تبويب جديدة",
+    openModeBackground: "علامة تبويب في الخلفية بجانب الحالية",
+    openModeReuse: "إعادة استخدام علامة تبويب مشاركة واحدة",
+    openModePopup: "نافذة منبثقة",
+    openModeSameTab: "نفس علامة التبويب",
+    popupWidthLabel: "العرض (px):",
+    popupHeightLabel: "الارتفاع (px):",
+    placementSettingsTitle: "موضع الزر",
+    placementSettingsDescription: "اختر مكان ظهور زر المشاركة. عندما لا يكون المكان المختار موجودًا في الصفحة، يعود الزر إلى المكان الافتراضي ثم إلى زر عائم. يمكن سحب الزر العائم من مقبضه ويبقى حيث تضعه في كل نطاق Salesforce.",
+    placementLabel: "الموضع:",
+    placementAuto: "الافتراضي للصفحة",
+    placementGlobalHeader: "الرأس العام (Lightning)",
+    placementHighlightsPanel: "إجراءات لوحة أبرز معلومات السجل (Lightning)",
+    placementClassicButtons: "صف أزرار صفحة التفاصيل (Classic)",
+    placementFloating: "زر عائم",
+    listSettingsTitle: "طرق عرض القوائم",
+    listSettingsDescription: "تحصل صفوف طرق عرض القوائم والقوائم ذات الصلة على أيقونة مشاركة. يفتح \"مشاركة المحدد\" صفحات مشاركة الصفوف المحددة في علامات تبويب في الخلفية، حتى هذا العدد من علامات التبويب في المرة الواحدة.",
+    bulkOpenLimitLabel: "الحد الأقصى لعلامات التبويب المفتوحة:",
+    objectFilterTitle: "الكائنات",
+    objectFilterDescription: "اختر الكائنات التي تعرض سجلاتها زر المشاركة. أدخل أسماء API للكائنات (مثل Invoice__c) أو بادئات مفاتيح من 3 أحرف (مثل a0p)، أو اختر كائنات من مؤسسة علامة تبويب Salesforce مفتوحة.",
+    objectFilterModeLabel: "إظهار الزر في:",
+    objectFilterModeAll: "كل الكائنات",
+    objectFilterModeAllow: "الكائنات المدرجة فقط",
+    objectFilterModeDeny: "كل الكائنات باستثناء المدرجة",
+    objectFilterSearchPlaceholder: "ابحث عن الكائنات أو اكتب اسم API أو بادئة مفتاح، ثم اضغط Enter",
+    objectFilterFromOrg: "كائنات {host}",
+    objectFilterNoOrg: "افتح علامة تبويب Salesforce لاختيار كائنات من مؤسستها.",
+    objectFilterLoadError: "تعذر تحميل كائنات المؤسسة.",
+    objectFilterRemove: "إزالة",
+    orgProfilesTitle: "ملفات تعريف المؤسسات",
+    orgProfilesDescription: "امنح المؤسسة إعداداتها الخاصة، بمفتاح معرّف المؤسسة (00D...) أو اسم My Domain الخاص بها (مثل acme أو acme--uat). يمكن أن تظهر تسمية مؤسسة مثل PROD على الزر كشارة أو حد ملون، لتعرف دائمًا في أي مؤسسة أنت.",
+    orgProfileKeyPlaceholder: "معرّف المؤسسة أو اسم My Domain",
+    orgProfileAdd: "إضافة ملف تعريف",
+    orgProfileCreate: "إنشاء ملف تعريف",
+    orgProfileDelete: "حذف ملف التعريف",
+    orgProfileDetectedTitle: "المؤسسات التي زرتها وليس لها ملف تعريف بعد:",
+    orgProfileNoneDetected: "لا شيء",
+    orgProfileLabel: "التسمية:",
+    orgProfileColor: "اللون:",
+    orgProfileBadgeStyle: "إظهار التسمية كـ:",
+    orgProfileBadgeStyleBadge: "شارة على الزر",
+    orgProfileBadgeStyleBorder: "حد ملون",
+    orgProfileBadgeStyleNone: "لا شيء",
+    orgProfileEnabled: "إظهار زر المشاركة في هذه المؤسسة",
+    orgProfileObjects: "الكائنات المدرجة (مفصولة بفواصل):",
+    managedByOrganization: "تتم إدارته بواسطة مؤسستك",
+    customDomainsTitle: "النطاقات المخصصة",
+    customDomainsDescription: "يعمل الزر على نطاقات Salesforce الخاصة. أضف النطاقات المخصصة التي تستخدمها مؤسساتك أو مواقع Experience Cloud، مثل sf.acme.com أو *.acme.com لكل نطاقاته الفرعية، وحدد نوع الصفحات التي تقدمها. سيطلب منك Chrome السماح بالوصول إلى كل نطاق؛ ثم أعد تحميل علامات التبويب المفتوحة له.",
+    customDomainPlaceholder: "sf.acme.com أو *.acme.com",
+    customDomainAdd: "إضافة نطاق",
+    customDomainRemove: "إزالة",
+    customDomainGrant: "السماح بالوصول",
+    customDomainGranted: "تم السماح بالوصول",
+    customDomainNotGranted: "لا يوجد وصول",
+    customDomainInvalid: "\"{host}\" ليس اسم نطاق.",
+    experienceSitesDescription: "تقدّم مواقع Experience Cloud (*.my.site.com و*.my.salesforce-sites.com) صفحات عامة أيضًا، لذا لا يعمل الزر عليها إلا بعد أن تسمح بالوصول.",
+    experienceSitesRevoke: "إزالة الوصول",
+    hostKindLightning: "Lightning",
+    hostKindClassic: "Classic",
+    hostKindVisualforce: "Visualforce",
+    hostKindSetup: "الإعداد",
+    hostKindExperience: "موقع Experience Cloud",
+    transferTitle: "الاستيراد والتصدير",
+    transferDescription: "صدّر إعداداتك، بما في ذلك ملفات تعريف المؤسسات، إلى ملف يمكن لزملائك استيراده للحصول على التكوين نفسه. يتم التحقق من الإعدادات المستوردة ومعاينتها قبل تطبيقها.",
+    exportSettingsButton: "تصدير الإعدادات",
+    importSettingsButton: "استيراد الإعدادات",
+    importPreviewTitle: { zero: "لا يغيّر {file} أي إعداد ({count}):", one: "يغيّر {file} إعدادًا واحدًا ({count}):", two: "يغيّر {file} إعدادين ({count}):", few: "يغيّر {file} {count} إعدادات:", many: "يغيّر {file} {count} إعدادًا:", other: "يغيّر {file} {count} إعداد:" },
+    importNoChanges: "يطابق {file} إعداداتك الحالية.",
+    importIgnored: "تم استبعاد إعدادات غير معروفة: {settings}.",
+    importColumnSetting: "الإعداد",
+    importColumnCurrent: "الحالي",
+    importColumnImported: "المستورد",
+    importLockedNotApplied: "تتم إدارته بواسطة مؤسستك، لم يُطبَّق",
+    importApply: "تطبيق",
+    importCancel: "إلغاء",
+    importInvalid: "لا يمكن استيراد هذا الملف:",
+    importSuccess: "تم استيراد الإعدادات بنجاح!",
+    managedAllowedOrgs: "تقصر مؤسستك زر المشاركة على هذه المؤسسات: {orgs}",
     saveButtonText: "حفظ الإعدادات",
     saveSuccessMessage: "تم حفظ الإعدادات بنجاح!",
     saveErrorMessage: "خطأ في حفظ الإعدادات. يرجى المحاولة مرة أخرى."
@@ -213,15 +3177,262 @@ const translations = {
     langEnglishName: "हिन्दी (Hindi)",
     buttonText: "शेयरिंग",
     buttonTitle: "इस रिकॉर्ड के लिए शेयरिंग विवरण खोलें",
+    buttonTargetTitle: "रिकॉर्ड: {record}",
     errorNoRecordId: "इस पेज पर रिकॉर्ड ID का पता नहीं लगाया जा सका। कृपया रिकॉर्ड विवरण पेज खोलें और पुनः प्रयास करें।",
+    errorNoSharingPage: "{object} रिकॉर्ड का कोई शेयरिंग पेज नहीं है। शेयरिंग केवल अकाउंट, कॉन्टैक्ट, अवसर, लीड, केस, कैंपेन, यूज़र और कस्टम ऑब्जेक्ट के लिए उपलब्ध है।",
+    panelTitle: "शेयरिंग",
+    panelClose: "बंद करें",
+    panelLoading: "शेयर पंक्तियाँ लोड हो रही हैं...",
+    panelNoRows: "कोई मेल खाती शेयर पंक्ति नहीं है।",
+    panelFilterPlaceholder: "नाम, प्रकार, एक्सेस या कारण से फ़िल्टर करें",
+    panelOpenClassic: "Classic शेयरिंग पेज खोलें",
+    panelColumnName: "यूज़र या समूह",
+    panelColumnType: "प्रकार",
+    panelColumnAccess: "एक्सेस स्तर",
+    panelColumnReason: "कारण",
+    panelColumnLastModified: "अंतिम संशोधन",
+    panelRowCount: "{total} में से {shown} शेयर पंक्तियाँ दिखाई जा रही हैं",
+    panelErrorLoading: "शेयर पंक्तियाँ लोड नहीं हो सकीं:",
+    panelErrorUnknownObject: "इस रिकॉर्ड का ऑब्जेक्ट निर्धारित नहीं किया जा सका। इसके बजाय Classic शेयरिंग पेज का उपयोग करें।",
+    panelColumnActions: "कार्रवाइयाँ",
+    panelAddShare: "शेयर जोड़ें",
+    panelWriteActionsDisabled: "केवल पढ़ने के लिए: आपकी कंपनी द्वारा प्रबंधित",
+    panelChangeAccess: "एक्सेस बदलें",
+    panelChangeAccessFor: "{name} का एक्सेस बदलें:",
+    panelRemove: "हटाएँ",
+    panelSave: "सहेजें",
+    panelCancel: "रद्द करें",
+    panelConfirm: "पुष्टि करें",
+    panelSearchPlaceholder: "नाम से खोजें (कम से कम 2 अक्षर)",
+    panelSearchNoResults: "कोई मिलान नहीं मिला।",
+    panelTargetUser: "यूज़र",
+    panelTargetRegular: "सार्वजनिक समूह",
+    panelTargetRole: "भूमिका",
+    panelTargetRoleAndSubordinates: "भूमिका और अधीनस्थ",
+    accessLevelNone: "निजी",
+    accessLevelRead: "केवल पढ़ने के लिए",
+    accessLevelEdit: "पढ़ें/लिखें",
+    accessLevelAll: "पूर्ण एक्सेस",
+    rowCauseOwner: "स्वामी",
+    rowCauseManual: "मैन्युअल शेयरिंग",
+    rowCauseRule: "शेयरिंग नियम",
+    rowCauseImplicitChild: "संबद्ध रिकॉर्ड स्वामी या शेयरिंग",
+    rowCauseImplicitParent: "संबद्ध चाइल्ड रिकॉर्ड",
+    rowCauseImplicitPerson: "व्यक्तिगत खाता",
+    rowCauseTeam: "टीम",
+    rowCauseTerritory: "क्षेत्र",
+    rowCauseTerritoryRule: "क्षेत्र नियम",
+    rowCauseTerritoryManual: "मैन्युअल क्षेत्र",
+    rowCauseGuestRule: "अतिथि उपयोगकर्ता शेयरिंग नियम",
+    groupTypeRegular: "सार्वजनिक समूह",
+    groupTypeRole: "भूमिका",
+    groupTypeRoleAndSubordinates: "भूमिका और अधीनस्थ",
+    groupTypeRoleAndSubordinatesInternal: "भूमिका और आंतरिक अधीनस्थ",
+    groupTypeQueue: "कतार",
+    groupTypeOrganization: "सभी आंतरिक उपयोगकर्ता",
+    groupTypeAllCustomerPortal: "सभी ग्राहक पोर्टल उपयोगकर्ता",
+    groupTypeManager: "प्रबंधक",
+    groupTypeManagerAndSubordinatesInternal: "प्रबंधक और अधीनस्थ",
+    groupTypeTerritory: "क्षेत्र",
+    groupTypeTerritoryAndSubordinates: "क्षेत्र और अधीनस्थ",
+    panelConfirmAdd: "यह रिकॉर्ड {name} के साथ {access} एक्सेस के साथ शेयर करें?",
+    panelConfirmChange: "{name} का एक्सेस {from} से {to} में बदलें?",
+    panelConfirmRemove: "{name} का मैन्युअल शेयर हटाएँ? वे इस रिकॉर्ड का एक्सेस खो सकते हैं।",
+    panelShareAdded: "शेयर जोड़ा गया।",
+    panelShareUpdated: "एक्सेस बदला गया।",
+    panelShareRemoved: "शेयर हटाया गया।",
+    panelErrorInsufficientAccess: "आपको इस रिकॉर्ड की शेयरिंग प्रबंधित करने की अनुमति नहीं है। केवल रिकॉर्ड के स्वामी, भूमिका पदानुक्रम में स्वामी से ऊपर के यूज़र और व्यवस्थापक ही ऐसा कर सकते हैं।",
+    panelErrorAccessBelowDefault: "एक्सेस स्तर ऑब्जेक्ट के संगठन-व्यापी डिफ़ॉल्ट से अधिक अनुमोदक होना चाहिए।",
+    menuToggleTitle: "अधिक शेयरिंग कार्रवाइयाँ",
+    menuExplainAccess: "एक्सेस समझाएँ...",
+    menuExportCsv: "शेयरिंग निर्यात करें (CSV)",
+    menuExportJson: "शेयरिंग निर्यात करें (JSON)",
+    exportColumnUserOrGroupId: "यूज़र या समूह ID",
+    exportColumnLastModifiedBy: "अंतिम संशोधनकर्ता",
+    exportError: "शेयरिंग पंक्तियाँ निर्यात नहीं की जा सकीं:",
+    exportDone: { one: "{count} शेयर पंक्ति निर्यात की गई।", other: "{count} शेयर पंक्तियाँ निर्यात की गईं।" },
+    toastDetails: "विवरण",
+    toastHideDetails: "विवरण छिपाएँ",
+    toastCopyReport: "निदान रिपोर्ट कॉपी करें",
+    toastReportCopied: "रिपोर्ट कॉपी हो गई",
+    toastReportCopyFailed: "रिपोर्ट कॉपी नहीं की जा सकी",
+    diagnosticUrl: "URL",
+    diagnosticPatternsTried: "आज़माए गए पैटर्न",
+    diagnosticInsertStrategy: "जोड़ने की रणनीति",
+    diagnosticPageType: "पेज का प्रकार",
+    diagnosticNone: "कोई नहीं",
+    debugTitle: "समस्या निवारण",
+    debugDescription: "डीबग मोड लॉग करता है कि एक्सटेंशन रिकॉर्ड को कैसे खोजता है और बटन कहाँ जोड़ता है, और Salesforce पेजों पर उसकी मौजूदा स्थिति के साथ एक छोटा ओवरले दिखाता है। इसे चालू करें, समस्या दोहराएँ, फिर लॉग डाउनलोड करें और उसे अपनी बग रिपोर्ट के साथ संलग्न करें।",
+    debugModeLabel: "डीबग मोड",
+    debugViewLog: "लॉग देखें",
+    debugDownloadLog: "लॉग डाउनलोड करें",
+    debugClearLog: "लॉग साफ़ करें",
+    debugLogEmpty: "लॉग खाली है। डीबग मोड चालू करें, सहेजें और कोई Salesforce पेज फिर से लोड करें।",
+    explainTitle: "एक्सेस समझाएँ",
+    explainChooseUser: "कोई यूज़र चुनें ताकि देख सकें कि उसके पास इस रिकॉर्ड का कौन-सा एक्सेस है और क्यों।",
+    explainLoading: "एक्सेस जाँचा जा रहा है...",
+    explainError: "एक्सेस समझाया नहीं जा सका:",
+    explainAccessHeading: "{name} का एक्सेस",
+    explainRead: "पढ़ें",
+    explainEdit: "संपादित करें",
+    explainDelete: "हटाएँ",
+    explainTransfer: "स्थानांतरित करें",
+    explainMaxAccess: "अधिकतम एक्सेस: {level}",
+    explainNoAccessRow: "Salesforce ने इस यूज़र और रिकॉर्ड के लिए कोई एक्सेस जानकारी नहीं लौटाई।",
+    explainPathsHeading: "एक्सेस के स्रोत",
+    explainNoPaths: "कोई स्रोत नहीं मिला। एक्सेस टीमों, क्षेत्रों, अंतर्निहित शेयरिंग या सार्वजनिक संगठन-व्यापी डिफ़ॉल्ट से आ सकता है।",
+    explainProfile: "प्रोफ़ाइल",
+    explainPathPermission: "{source} से {permission} अनुमति",
+    explainPathOwner: "रिकॉर्ड का स्वामी है",
+    explainPathQueue: "रिकॉर्ड की स्वामी कतार का सदस्य: {group}",
+    explainPathRoleOwner: "भूमिका {role} भूमिका पदानुक्रम में रिकॉर्ड के स्वामी {name} से ऊपर है",
+    explainPathShare: "सीधे शेयर किया गया: {reason}, {access}",
+    explainPathGroup: "{group} का सदस्य, जिसके पास {reason} के ज़रिए {access} एक्सेस है",
+    explainPathRole: "भूमिका {role} भूमिका पदानुक्रम में {name} से ऊपर है, जिसके पास {reason} के ज़रिए {access} एक्सेस है",
+    sharingUnavailableTitle: "{object} के लिए शेयरिंग उपलब्ध नहीं है: इसका संगठन-व्यापी डिफ़ॉल्ट {internal} (आंतरिक) / {external} (बाहरी) है, इसलिए कोई {object} शेयर ऑब्जेक्ट नहीं है।",
+    sharingModelPrivate: "निजी",
+    sharingModelRead: "सार्वजनिक केवल पढ़ने के लिए",
+    sharingModelReadWrite: "सार्वजनिक पढ़ें/लिखें",
+    sharingModelReadWriteTransfer: "सार्वजनिक पढ़ें/लिखें/स्थानांतरित करें",
+    sharingModelFullAccess: "सार्वजनिक पूर्ण एक्सेस",
+    sharingModelControlledByParent: "पैरेंट द्वारा नियंत्रित",
+    sharingModelControlledByCampaign: "अभियान द्वारा नियंत्रित",
+    sharingModelControlledByLeadOrContact: "लीड या संपर्क द्वारा नियंत्रित",
+    floatingDragTitle: "शेयरिंग बटन को खिसकाने के लिए खींचें",
+    contextMenuOpenSharing: "शेयरिंग खोलें",
+    listRowIconTitle: "इस रिकॉर्ड की शेयरिंग खोलें",
+    listBulkRegionLabel: "चयनित के लिए शेयरिंग",
+    listBulkTitle: { one: "{count} चयनित", other: "{count} चयनित" },
+    listBulkOpenTabs: "शेयरिंग टैब खोलें",
+    listBulkCombinedTable: "संयुक्त शेयरिंग तालिका",
+    listBulkOpened: "{selected} चयनित में से {opened} खोले गए (एक बार में अधिकतम {limit})।",
+    listCombinedTitle: "चयनित रिकॉर्ड की शेयरिंग",
+    listCombinedProgress: "{total} में से {done} रिकॉर्ड लोड हो रहे हैं...",
+    listCombinedDone: { one: "{total} रिकॉर्ड के लिए {count} शेयर पंक्ति", other: "{total} रिकॉर्ड के लिए {count} शेयर पंक्तियाँ" },
+    listColumnRecord: "रिकॉर्ड",
+    listColumnObject: "ऑब्जेक्ट",
+    errorNoRecordIdInLink: "इस लिंक में कोई रिकॉर्ड ID नहीं मिली।",
+    errorOpenSharingFailed: "शेयरिंग पेज नहीं खोला जा सका। कृपया पेज को फिर से लोड करें और पुनः प्रयास करें।",
+    popupRecordId15: "रिकॉर्ड ID (15)",
+    popupRecordId18: "रिकॉर्ड ID (18)",
+    popupObject: "ऑब्जेक्ट",
+    popupObjectUnknown: "अज्ञात",
+    popupPageType: "पेज का प्रकार",
+    popupPageTypeLightning: "Lightning",
+    popupPageTypeConsole: "Lightning कंसोल",
+    popupPageTypeClassic: "Classic",
+    popupPageTypeVisualforce: "Visualforce",
+    popupPageTypeSetup: "Setup",
+    popupPageTypeExperience: "Experience Cloud साइट",
+    popupDetectedBy: "पहचान का तरीका",
+    popupCopyId: "कॉपी करें",
+    popupCopied: "कॉपी हो गया!",
+    popupOpenSharing: "शेयरिंग खोलें",
+    popupOpenInClassic: "Classic में खोलें",
+    popupOpenInLightning: "Lightning में खोलें",
+    popupOpenInSetup: "Setup में ऑब्जेक्ट खोलें",
+    popupStatusInserted: "शेयरिंग बटन पेज पर है।",
+    popupStatusFloating: "शेयरिंग बटन फ़्लोटिंग बटन के रूप में दिखाया गया है, क्योंकि इस पेज पर उसका स्थान नहीं मिला।",
+    popupStatusPending: "शेयरिंग बटन अभी तक नहीं जोड़ा गया है।",
+    popupStatusNotRecordPage: "शेयरिंग बटन केवल रिकॉर्ड पेजों पर दिखता है।",
+    popupStatusObjectFiltered: "विकल्प पेज के ऑब्जेक्ट फ़िल्टर ने इस ऑब्जेक्ट पर शेयरिंग बटन छिपा दिया है।",
+    popupStatusOrgDisabled: "इस संगठन के लिए शेयरिंग बटन उसकी प्रोफ़ाइल या आपकी कंपनी द्वारा बंद किया गया है।",
+    popupOrg: "संगठन",
+    popupOrgNoProfile: "इस संगठन के लिए कोई प्रोफ़ाइल नहीं",
+    popupCreateProfile: "प्रोफ़ाइल बनाएँ",
+    popupNotSalesforce: "इस एक्सटेंशन का उपयोग करने के लिए कोई Salesforce रिकॉर्ड खोलें।",
+    popupReloadPage: "एक्सटेंशन इस पेज तक नहीं पहुँच सकता। इसे फिर से लोड करें और दोबारा कोशिश करें।",
     settingsSubtitle: "सेटिंग्स",
     languageSettingsTitle: "भाषा सेटिंग्स",
-    languageSettingsDescription: "एक्सटेंशन इंटरफेस के लिए अपनी पसंदीदा भाषा चुनें। आप अपने ब्राउज़र की डिफ़ॉल्ट भाषा का उपयोग कर सकते हैं या कोई विशिष्ट भाषा चुन सकते हैं।",
+    languageSettingsDescription: "एक्सटेंशन इंटरफेस के लिए अपनी पसंदीदा भाषा चुनें। आप अपने ब्राउज़र की डिफ़ॉल्ट भाषा का उपयोग कर सकते हैं, कोई विशिष्ट भाषा चुन सकते हैं या अपने Salesforce यूज़र की भाषा का पालन कर सकते हैं।",
     languageModeLabel: "भाषा मोड:",
     languageModeAuto: "ब्राउज़र भाषा का उपयोग करें (अनुशंसित)",
     languageModeManual: "विशिष्ट भाषा चुनें",
+    languageModeSalesforce: "मेरी Salesforce भाषा का उपयोग करें",
+    salesforceLanguageText: "आपकी Salesforce भाषा:",
     languageSelectLabel: "भाषा चुनें:",
     browserLanguageText: "आपकी ब्राउज़र भाषा:",
+    openSettingsTitle: "शेयरिंग पेज खोलना",
+    openSettingsDescription: "चुनें कि Classic शेयरिंग पेज कैसे खुले। बटन पर Ctrl/Cmd-क्लिक, Shift-क्लिक और मध्य-क्लिक हमेशा आपके ब्राउज़र के नियमों का पालन करते हैं।",
+    openModeLabel: "खोलने का तरीका:",
+    openModeForeground: "नया टैब",
+    openModeBackground: "मौजूदा टैब के बगल में बैकग्राउंड टैब",
+    openModeReuse: "एक ही शेयरिंग टैब का दोबारा उपयोग करें",
+    openModePopup: "पॉपअप विंडो",
+    openModeSameTab: "वही टैब",
+    popupWidthLabel: "चौड़ाई (px):",
+    popupHeightLabel: "ऊँचाई (px):",
+    placementSettingsTitle: "बटन का स्थान",
+    placementSettingsDescription: "चुनें कि शेयरिंग बटन कहाँ दिखे। जब चुना गया स्थान पेज पर न हो, तो बटन डिफ़ॉल्ट स्थान पर, फिर फ़्लोटिंग बटन पर चला जाता है। फ़्लोटिंग बटन को उसके हैंडल से खींचा जा सकता है और वह हर Salesforce डोमेन पर वहीं रहता है जहाँ आप उसे छोड़ते हैं।",
+    placementLabel: "स्थान:",
+    placementAuto: "पेज के लिए डिफ़ॉल्ट",
+    placementGlobalHeader: "ग्लोबल हेडर (Lightning)",
+    placementHighlightsPanel: "रिकॉर्ड हाइलाइट्स पैनल की कार्रवाइयाँ (Lightning)",
+    placementClassicButtons: "विवरण पेज की बटन पंक्ति (Classic)",
+    placementFloating: "फ़्लोटिंग बटन",
+    listSettingsTitle: "सूची दृश्य",
+    listSettingsDescription: "सूची दृश्यों और संबंधित सूचियों की पंक्तियों को शेयरिंग आइकन मिलता है। \"चयनित के लिए शेयरिंग\" चयनित पंक्तियों के शेयरिंग पेज बैकग्राउंड टैब में खोलता है, एक बार में अधिकतम इतने टैब तक।",
+    bulkOpenLimitLabel: "खोलने के लिए अधिकतम टैब:",
+    objectFilterTitle: "ऑब्जेक्ट",
+    objectFilterDescription: "वे ऑब्जेक्ट चुनें जिनके रिकॉर्ड पर शेयरिंग बटन दिखे। ऑब्जेक्ट API नाम (जैसे Invoice__c) या 3-अक्षर के की प्रीफ़िक्स (जैसे a0p) दर्ज करें, या किसी खुले Salesforce टैब के संगठन से ऑब्जेक्ट चुनें।",
+    objectFilterModeLabel: "बटन यहाँ दिखाएँ:",
+    objectFilterModeAll: "सभी ऑब्जेक्ट",
+    objectFilterModeAllow: "केवल सूचीबद्ध ऑब्जेक्ट",
+    objectFilterModeDeny: "सूचीबद्ध को छोड़कर सभी ऑब्जेक्ट",
+    objectFilterSearchPlaceholder: "ऑब्जेक्ट खोजें या API नाम या की प्रीफ़िक्स लिखें, फिर Enter दबाएँ",
+    objectFilterFromOrg: "{host} के ऑब्जेक्ट",
+    objectFilterNoOrg: "उसके संगठन से ऑब्जेक्ट चुनने के लिए कोई Salesforce टैब खोलें।",
+    objectFilterLoadError: "संगठन के ऑब्जेक्ट लोड नहीं किए जा सके।",
+    objectFilterRemove: "हटाएँ",
+    orgProfilesTitle: "संगठन प्रोफ़ाइलें",
+    orgProfilesDescription: "किसी संगठन को उसकी संगठन ID (00D...) या My Domain नाम (जैसे acme या acme--uat) के आधार पर अपनी सेटिंग्स दें। PROD जैसा संगठन लेबल बटन पर रंगीन बैज या बॉर्डर के रूप में दिख सकता है, ताकि आपको हमेशा पता रहे कि आप किस संगठन में हैं।",
+    orgProfileKeyPlaceholder: "संगठन ID या My Domain नाम",
+    orgProfileAdd: "प्रोफ़ाइल जोड़ें",
+    orgProfileCreate: "प्रोफ़ाइल बनाएँ",
+    orgProfileDelete: "प्रोफ़ाइल हटाएँ",
+    orgProfileDetectedTitle: "आपके द्वारा देखे गए संगठन जिनकी अभी कोई प्रोफ़ाइल नहीं है:",
+    orgProfileNoneDetected: "कोई नहीं",
+    orgProfileLabel: "लेबल:",
+    orgProfileColor: "रंग:",
+    orgProfileBadgeStyle: "लेबल इस रूप में दिखाएँ:",
+    orgProfileBadgeStyleBadge: "बटन पर बैज",
+    orgProfileBadgeStyleBorder: "रंगीन बॉर्डर",
+    orgProfileBadgeStyleNone: "कुछ नहीं",
+    orgProfileEnabled: "इस संगठन में शेयरिंग बटन दिखाएँ",
+    orgProfileObjects: "सूचीबद्ध ऑब्जेक्ट (अल्पविराम से अलग):",
+    managedByOrganization: "आपकी कंपनी द्वारा प्रबंधित",
+    customDomainsTitle: "कस्टम डोमेन",
+    customDomainsDescription: "बटन Salesforce के अपने डोमेन पर काम करता है। आपके संगठनों या Experience Cloud साइटों द्वारा उपयोग किए जाने वाले कस्टम डोमेन जोड़ें, जैसे sf.acme.com या उसके सभी सबडोमेन के लिए *.acme.com, और बताएँ कि वे किस प्रकार के पेज देते हैं। Chrome आपसे हर डोमेन का एक्सेस देने के लिए पूछता है; इसके बाद उसके खुले टैब फिर से लोड करें।",
+    customDomainPlaceholder: "sf.acme.com या *.acme.com",
+    customDomainAdd: "डोमेन जोड़ें",
+    customDomainRemove: "हटाएँ",
+    customDomainGrant: "एक्सेस दें",
+    customDomainGranted: "एक्सेस दिया गया",
+    customDomainNotGranted: "कोई एक्सेस नहीं",
+    customDomainInvalid: "\"{host}\" डोमेन नाम नहीं है।",
+    experienceSitesDescription: "Experience Cloud साइटें (*.my.site.com, *.my.salesforce-sites.com) सार्वजनिक पेज भी दिखाती हैं, इसलिए बटन उन पर तभी चलता है जब आप एक्सेस की अनुमति देते हैं।",
+    experienceSitesRevoke: "एक्सेस हटाएं",
+    hostKindLightning: "Lightning",
+    hostKindClassic: "Classic",
+    hostKindVisualforce: "Visualforce",
+    hostKindSetup: "Setup",
+    hostKindExperience: "Experience Cloud साइट",
+    transferTitle: "आयात और निर्यात",
+    transferDescription: "अपनी सेटिंग्स, संगठन प्रोफ़ाइलों सहित, एक फ़ाइल में निर्यात करें जिसे आपके साथी वही कॉन्फ़िगरेशन पाने के लिए आयात कर सकते हैं। आयात की गई सेटिंग्स लागू होने से पहले जाँची और पूर्वावलोकन की जाती हैं।",
+    exportSettingsButton: "सेटिंग्स निर्यात करें",
+    importSettingsButton: "सेटिंग्स आयात करें",
+    importPreviewTitle: { one: "{file} {count} सेटिंग बदलती है:", other: "{file} {count} सेटिंग्स बदलती है:" },
+    importNoChanges: "{file} आपकी मौजूदा सेटिंग्स से मेल खाती है।",
+    importIgnored: "अज्ञात सेटिंग्स छोड़ी गईं: {settings}।",
+    importColumnSetting: "सेटिंग",
+    importColumnCurrent: "मौजूदा",
+    importColumnImported: "आयातित",
+    importLockedNotApplied: "आपकी कंपनी द्वारा प्रबंधित, लागू नहीं किया गया",
+    importApply: "लागू करें",
+    importCancel: "रद्द करें",
+    importInvalid: "यह फ़ाइल आयात नहीं की जा सकती:",
+    importSuccess: "सेटिंग्स सफलतापूर्वक आयात की गईं!",
+    managedAllowedOrgs: "आपकी कंपनी शेयरिंग बटन को इन संगठनों तक सीमित करती है: {orgs}",
     saveButtonText: "सेटिंग्स सहेजें",
     saveSuccessMessage: "सेटिंग्स सफलतापूर्वक सहेजी गईं!",
     saveErrorMessage: "सेटिंग्स सहेजने में त्रुटि। कृपया पुनः प्रयास करें।"
@@ -230,15 +3441,262 @@ const translations = {
     langEnglishName: "Nederlands (Dutch)",
     buttonText: "Delen",
     buttonTitle: "Deelgegevens voor dit record openen",
+    buttonTargetTitle: "Record: {record}",
     errorNoRecordId: "Kon geen record-ID detecteren op deze pagina. Open een recorddetailpagina en probeer het opnieuw.",
+    errorNoSharingPage: "{object}-records hebben geen deelpagina. Delen is alleen beschikbaar voor accounts, contactpersonen, verkoopkansen, leads, cases, campagnes, gebruikers en aangepaste objecten.",
+    panelTitle: "Delen",
+    panelClose: "Sluiten",
+    panelLoading: "Deelregels laden...",
+    panelNoRows: "Geen overeenkomende deelregels.",
+    panelFilterPlaceholder: "Filteren op naam, type, toegang of reden",
+    panelOpenClassic: "Classic-deelpagina openen",
+    panelColumnName: "Gebruiker of groep",
+    panelColumnType: "Type",
+    panelColumnAccess: "Toegangsniveau",
+    panelColumnReason: "Reden",
+    panelColumnLastModified: "Laatst gewijzigd",
+    panelRowCount: "{shown} van {total} deelregels weergegeven",
+    panelErrorLoading: "Kon de deelregels niet laden:",
+    panelErrorUnknownObject: "Kon het object van dit record niet bepalen. Gebruik in plaats daarvan de Classic-deelpagina.",
+    panelColumnActions: "Acties",
+    panelAddShare: "Delen toevoegen",
+    panelWriteActionsDisabled: "Alleen-lezen: beheerd door uw bedrijf",
+    panelChangeAccess: "Toegang wijzigen",
+    panelChangeAccessFor: "Toegang wijzigen voor {name}:",
+    panelRemove: "Verwijderen",
+    panelSave: "Opslaan",
+    panelCancel: "Annuleren",
+    panelConfirm: "Bevestigen",
+    panelSearchPlaceholder: "Zoeken op naam (minstens 2 tekens)",
+    panelSearchNoResults: "Geen overeenkomsten gevonden.",
+    panelTargetUser: "Gebruiker",
+    panelTargetRegular: "Openbare groep",
+    panelTargetRole: "Rol",
+    panelTargetRoleAndSubordinates: "Rol en ondergeschikten",
+    accessLevelNone: "Privé",
+    accessLevelRead: "Alleen-lezen",
+    accessLevelEdit: "Lezen/schrijven",
+    accessLevelAll: "Volledige toegang",
+    rowCauseOwner: "Eigenaar",
+    rowCauseManual: "Handmatig delen",
+    rowCauseRule: "Deelregel",
+    rowCauseImplicitChild: "Eigenaar of delen van gekoppelde record",
+    rowCauseImplicitParent: "Gekoppelde onderliggende record",
+    rowCauseImplicitPerson: "Persoonsaccount",
+    rowCauseTeam: "Team",
+    rowCauseTerritory: "Gebied",
+    rowCauseTerritoryRule: "Gebiedsregel",
+    rowCauseTerritoryManual: "Gebied handmatig",
+    rowCauseGuestRule: "Deelregel voor gastgebruikers",
+    groupTypeRegular: "Openbare groep",
+    groupTypeRole: "Rol",
+    groupTypeRoleAndSubordinates: "Rol en ondergeschikten",
+    groupTypeRoleAndSubordinatesInternal: "Rol en interne ondergeschikten",
+    groupTypeQueue: "Wachtrij",
+    groupTypeOrganization: "Alle interne gebruikers",
+    groupTypeAllCustomerPortal: "Alle gebruikers van klantenportal",
+    groupTypeManager: "Manager",
+    groupTypeManagerAndSubordinatesInternal: "Manager en ondergeschikten",
+    groupTypeTerritory: "Gebied",
+    groupTypeTerritoryAndSubordinates: "Gebied en ondergeschikten",
+    panelConfirmAdd: "Dit record delen met {name} met {access}-toegang?",
+    panelConfirmChange: "Toegang van {name} wijzigen van {from} naar {to}?",
+    panelConfirmRemove: "Handmatig delen van {name} verwijderen? Die persoon kan de toegang tot dit record verliezen.",
+    panelShareAdded: "Delen toegevoegd.",
+    panelShareUpdated: "Toegang gewijzigd.",
+    panelShareRemoved: "Delen verwijderd.",
+    panelErrorInsufficientAccess: "U hebt geen toestemming om het delen van dit record te beheren. Alleen de eigenaar van het record, gebruikers boven de eigenaar in de rolhiërarchie en beheerders kunnen dat.",
+    panelErrorAccessBelowDefault: "Het toegangsniveau moet ruimer zijn dan de organisatiebrede standaard van het object.",
+    menuToggleTitle: "Meer deelacties",
+    menuExplainAccess: "Toegang uitleggen...",
+    menuExportCsv: "Delen exporteren (CSV)",
+    menuExportJson: "Delen exporteren (JSON)",
+    exportColumnUserOrGroupId: "Gebruikers- of groeps-ID",
+    exportColumnLastModifiedBy: "Laatst gewijzigd door",
+    exportError: "Kan de deelrijen niet exporteren:",
+    exportDone: { one: "{count} deelrij geëxporteerd.", other: "{count} deelrijen geëxporteerd." },
+    toastDetails: "Details",
+    toastHideDetails: "Details verbergen",
+    toastCopyReport: "Diagnoserapport kopiëren",
+    toastReportCopied: "Rapport gekopieerd",
+    toastReportCopyFailed: "Kan het rapport niet kopiëren",
+    diagnosticUrl: "URL",
+    diagnosticPatternsTried: "Geprobeerde patronen",
+    diagnosticInsertStrategy: "Invoegstrategie",
+    diagnosticPageType: "Paginatype",
+    diagnosticNone: "geen",
+    debugTitle: "Probleemoplossing",
+    debugDescription: "De foutopsporingsmodus logt hoe de extensie het record zoekt en waar de knop wordt ingevoegd, en toont op Salesforce-pagina's een kleine overlay met de huidige status. Schakel de modus in, reproduceer het probleem, download dan het logboek en voeg het toe aan uw bugmelding.",
+    debugModeLabel: "Foutopsporingsmodus",
+    debugViewLog: "Logboek bekijken",
+    debugDownloadLog: "Logboek downloaden",
+    debugClearLog: "Logboek wissen",
+    debugLogEmpty: "Het logboek is leeg. Schakel de foutopsporingsmodus in, sla op en laad een Salesforce-pagina opnieuw.",
+    explainTitle: "Toegang uitleggen",
+    explainChooseUser: "Kies een gebruiker om te zien welke toegang die tot dit record heeft en waarom.",
+    explainLoading: "Toegang controleren...",
+    explainError: "Kan de toegang niet uitleggen:",
+    explainAccessHeading: "Toegang van {name}",
+    explainRead: "Lezen",
+    explainEdit: "Bewerken",
+    explainDelete: "Verwijderen",
+    explainTransfer: "Overdragen",
+    explainMaxAccess: "Maximale toegang: {level}",
+    explainNoAccessRow: "Salesforce heeft geen toegangsgegevens voor deze gebruiker en dit record teruggegeven.",
+    explainPathsHeading: "Herkomst van toegang",
+    explainNoPaths: "Geen herkomst gevonden. Toegang kan komen van teams, gebieden, impliciet delen of een openbare organisatiebrede standaard.",
+    explainProfile: "Profiel",
+    explainPathPermission: "Machtiging {permission} uit {source}",
+    explainPathOwner: "Is eigenaar van het record",
+    explainPathQueue: "Lid van de wachtrij die eigenaar is van het record: {group}",
+    explainPathRoleOwner: "Rol {role} staat boven de eigenaar van het record, {name}, in de rolhiërarchie",
+    explainPathShare: "Direct gedeeld: {reason}, {access}",
+    explainPathGroup: "Lid van {group}, die {access}-toegang heeft via {reason}",
+    explainPathRole: "Rol {role} staat boven {name} in de rolhiërarchie, die {access}-toegang heeft via {reason}",
+    sharingUnavailableTitle: "Delen is niet beschikbaar voor {object}: de organisatiebrede standaard is {internal} (intern) / {external} (extern), dus er is geen deelobject voor {object}.",
+    sharingModelPrivate: "Privé",
+    sharingModelRead: "Openbaar alleen-lezen",
+    sharingModelReadWrite: "Openbaar lezen/schrijven",
+    sharingModelReadWriteTransfer: "Openbaar lezen/schrijven/overdragen",
+    sharingModelFullAccess: "Openbare volledige toegang",
+    sharingModelControlledByParent: "Beheerd door bovenliggend object",
+    sharingModelControlledByCampaign: "Beheerd door campagne",
+    sharingModelControlledByLeadOrContact: "Beheerd door lead of contactpersoon",
+    floatingDragTitle: "Sleep om de knop Delen te verplaatsen",
+    contextMenuOpenSharing: "Delen openen",
+    listRowIconTitle: "Delen van dit record openen",
+    listBulkRegionLabel: "Delen voor selectie",
+    listBulkTitle: { one: "{count} geselecteerd", other: "{count} geselecteerd" },
+    listBulkOpenTabs: "Deeltabbladen openen",
+    listBulkCombinedTable: "Gecombineerde deeltabel",
+    listBulkOpened: "{opened} van {selected} geselecteerde geopend (maximaal {limit} tegelijk).",
+    listCombinedTitle: "Delen van geselecteerde records",
+    listCombinedProgress: "{done} van {total} records laden...",
+    listCombinedDone: { one: "{count} deelrij voor {total} records", other: "{count} deelrijen voor {total} records" },
+    listColumnRecord: "Record",
+    listColumnObject: "Object",
+    errorNoRecordIdInLink: "Kan geen record-ID in deze link vinden.",
+    errorOpenSharingFailed: "Kon de deelpagina niet openen. Laad de pagina opnieuw en probeer het opnieuw.",
+    popupRecordId15: "Record-ID (15)",
+    popupRecordId18: "Record-ID (18)",
+    popupObject: "Object",
+    popupObjectUnknown: "Onbekend",
+    popupPageType: "Paginatype",
+    popupPageTypeLightning: "Lightning",
+    popupPageTypeConsole: "Lightning-console",
+    popupPageTypeClassic: "Classic",
+    popupPageTypeVisualforce: "Visualforce",
+    popupPageTypeSetup: "Setup",
+    popupPageTypeExperience: "Experience Cloud-site",
+    popupDetectedBy: "Gedetecteerd via",
+    popupCopyId: "Kopiëren",
+    popupCopied: "Gekopieerd!",
+    popupOpenSharing: "Delen openen",
+    popupOpenInClassic: "Openen in Classic",
+    popupOpenInLightning: "Openen in Lightning",
+    popupOpenInSetup: "Object openen in Setup",
+    popupStatusInserted: "De knop Delen staat op de pagina.",
+    popupStatusFloating: "De knop Delen wordt als zwevende knop getoond, omdat de plaats ervan niet op deze pagina is gevonden.",
+    popupStatusPending: "De knop Delen is nog niet ingevoegd.",
+    popupStatusNotRecordPage: "De knop Delen wordt alleen op recordpagina's getoond.",
+    popupStatusObjectFiltered: "De knop Delen is op dit object verborgen door het objectfilter van de optiepagina.",
+    popupStatusOrgDisabled: "De knop Delen is voor deze organisatie uitgeschakeld door het profiel ervan of door uw bedrijf.",
+    popupOrg: "Organisatie",
+    popupOrgNoProfile: "Geen profiel voor deze organisatie",
+    popupCreateProfile: "Profiel maken",
+    popupNotSalesforce: "Open een Salesforce-record om deze extensie te gebruiken.",
+    popupReloadPage: "De extensie kan deze pagina niet bereiken. Laad de pagina opnieuw en probeer het nogmaals.",
     settingsSubtitle: "Instellingen",
     languageSettingsTitle: "Taalinstellingen",
-    languageSettingsDescription: "Kies uw voorkeurstaal voor de extensie-interface. U kunt de standaardtaal van uw browser gebruiken of een specifieke taal selecteren.",
+    languageSettingsDescription: "Kies uw voorkeurstaal voor de extensie-interface. U kunt de standaardtaal van uw browser gebruiken, een specifieke taal selecteren of de taal van uw Salesforce-gebruiker volgen.",
     languageModeLabel: "Taalmodus:",
     languageModeAuto: "Browser-taal gebruiken (aanbevolen)",
     languageModeManual: "Specifieke taal selecteren",
+    languageModeSalesforce: "Mijn Salesforce-taal gebruiken",
+    salesforceLanguageText: "Uw Salesforce-taal:",
     languageSelectLabel: "Taal selecteren:",
     browserLanguageText: "Uw browser-taal:",
+    openSettingsTitle: "De deelpagina openen",
+    openSettingsDescription: "Kies hoe de Classic-deelpagina wordt geopend. Ctrl/Cmd-klik, Shift-klik en middelklik op de knop volgen altijd de conventies van uw browser.",
+    openModeLabel: "Openmodus:",
+    openModeForeground: "Nieuw tabblad",
+    openModeBackground: "Achtergrondtabblad naast het huidige",
+    openModeReuse: "Eén deeltabblad hergebruiken",
+    openModePopup: "Pop-upvenster",
+    openModeSameTab: "Zelfde tabblad",
+    popupWidthLabel: "Breedte (px):",
+    popupHeightLabel: "Hoogte (px):",
+    placementSettingsTitle: "Plaats van de knop",
+    placementSettingsDescription: "Kies waar de knop Delen verschijnt. Als de gekozen plaats niet op de pagina staat, valt de knop terug op de standaardplaats en daarna op een zwevende knop. De zwevende knop kan aan de greep worden versleept en blijft per Salesforce-domein staan waar u hem neerzet.",
+    placementLabel: "Plaats:",
+    placementAuto: "Standaard voor de pagina",
+    placementGlobalHeader: "Algemene koptekst (Lightning)",
+    placementHighlightsPanel: "Acties van het markeringenpaneel van het record (Lightning)",
+    placementClassicButtons: "Knoppenrij van de detailpagina (Classic)",
+    placementFloating: "Zwevende knop",
+    listSettingsTitle: "Lijstweergaven",
+    listSettingsDescription: "Rijen van lijstweergaven en gerelateerde lijsten krijgen een deelpictogram. \"Delen voor selectie\" opent de deelpagina's van de geselecteerde rijen in achtergrondtabbladen, tot dit aantal tabbladen tegelijk.",
+    bulkOpenLimitLabel: "Maximaal te openen tabbladen:",
+    objectFilterTitle: "Objecten",
+    objectFilterDescription: "Kies de objecten waarvan de records de knop Delen tonen. Voer API-namen van objecten in (bijv. Invoice__c) of sleutelvoorvoegsels van 3 tekens (bijv. a0p), of kies objecten uit de organisatie van een geopend Salesforce-tabblad.",
+    objectFilterModeLabel: "Knop tonen op:",
+    objectFilterModeAll: "Alle objecten",
+    objectFilterModeAllow: "Alleen de vermelde objecten",
+    objectFilterModeDeny: "Alle objecten behalve de vermelde",
+    objectFilterSearchPlaceholder: "Zoek objecten of typ een API-naam of sleutelvoorvoegsel en druk op Enter",
+    objectFilterFromOrg: "Objecten van {host}",
+    objectFilterNoOrg: "Open een Salesforce-tabblad om objecten uit de organisatie ervan te kiezen.",
+    objectFilterLoadError: "Kan de objecten van de organisatie niet laden.",
+    objectFilterRemove: "Verwijderen",
+    orgProfilesTitle: "Organisatieprofielen",
+    orgProfilesDescription: "Geef een organisatie eigen instellingen, op basis van de organisatie-ID (00D...) of de Mijn domein-naam (bijv. acme of acme--uat). Een organisatielabel zoals PROD kan op de knop verschijnen als gekleurde badge of rand, zodat u altijd weet in welke organisatie u zit.",
+    orgProfileKeyPlaceholder: "Organisatie-ID of Mijn domein-naam",
+    orgProfileAdd: "Profiel toevoegen",
+    orgProfileCreate: "Profiel maken",
+    orgProfileDelete: "Profiel verwijderen",
+    orgProfileDetectedTitle: "Bezochte organisaties die nog geen profiel hebben:",
+    orgProfileNoneDetected: "Geen",
+    orgProfileLabel: "Label:",
+    orgProfileColor: "Kleur:",
+    orgProfileBadgeStyle: "Label tonen als:",
+    orgProfileBadgeStyleBadge: "Badge op de knop",
+    orgProfileBadgeStyleBorder: "Gekleurde rand",
+    orgProfileBadgeStyleNone: "Niets",
+    orgProfileEnabled: "De knop Delen tonen in deze organisatie",
+    orgProfileObjects: "Vermelde objecten (door komma's gescheiden):",
+    managedByOrganization: "Beheerd door uw bedrijf",
+    customDomainsTitle: "Aangepaste domeinen",
+    customDomainsDescription: "De knop werkt op de eigen domeinen van Salesforce. Voeg de aangepaste domeinen toe die uw organisaties of Experience Cloud-sites gebruiken, zoals sf.acme.com of *.acme.com voor alle subdomeinen, en geef aan welk soort pagina's ze leveren. Chrome vraagt u om toegang tot elk domein toe te staan; laad daarna de geopende tabbladen ervan opnieuw.",
+    customDomainPlaceholder: "sf.acme.com of *.acme.com",
+    customDomainAdd: "Domein toevoegen",
+    customDomainRemove: "Verwijderen",
+    customDomainGrant: "Toegang toestaan",
+    customDomainGranted: "Toegang toegestaan",
+    customDomainNotGranted: "Geen toegang",
+    customDomainInvalid: "\"{host}\" is geen domeinnaam.",
+    experienceSitesDescription: "Experience Cloud-sites (*.my.site.com, *.my.salesforce-sites.com) tonen ook openbare pagina's, dus de knop werkt daar pas nadat u toegang hebt toegestaan.",
+    experienceSitesRevoke: "Toegang intrekken",
+    hostKindLightning: "Lightning",
+    hostKindClassic: "Classic",
+    hostKindVisualforce: "Visualforce",
+    hostKindSetup: "Setup",
+    hostKindExperience: "Experience Cloud-site",
+    transferTitle: "Importeren en exporteren",
+    transferDescription: "Exporteer uw instellingen, inclusief organisatieprofielen, naar een bestand dat collega's kunnen importeren om dezelfde configuratie te krijgen. Geïmporteerde instellingen worden gecontroleerd en vooraf getoond voordat ze worden toegepast.",
+    exportSettingsButton: "Instellingen exporteren",
+    importSettingsButton: "Instellingen importeren",
+    importPreviewTitle: { one: "{file} wijzigt {count} instelling:", other: "{file} wijzigt {count} instellingen:" },
+    importNoChanges: "{file} komt overeen met uw huidige instellingen.",
+    importIgnored: "Onbekende instellingen weggelaten: {settings}.",
+    importColumnSetting: "Instelling",
+    importColumnCurrent: "Huidig",
+    importColumnImported: "Geïmporteerd",
+    importLockedNotApplied: "Beheerd door uw bedrijf, niet toegepast",
+    importApply: "Toepassen",
+    importCancel: "Annuleren",
+    importInvalid: "Dit bestand kan niet worden geïmporteerd:",
+    importSuccess: "Instellingen geïmporteerd!",
+    managedAllowedOrgs: "Uw bedrijf beperkt de knop Delen tot deze organisaties: {orgs}",
     saveButtonText: "Instellingen opslaan",
     saveSuccessMessage: "Instellingen succesvol opgeslagen!",
     saveErrorMessage: "Fout bij het opslaan van instellingen. Probeer het opnieuw."
@@ -247,15 +3705,262 @@ const translations = {
     langEnglishName: "Svenska (Swedish)",
     buttonText: "Delning",
     buttonTitle: "Öppna delningsdetaljer för denna post",
+    buttonTargetTitle: "Post: {record}",
     errorNoRecordId: "Kunde inte upptäcka ett post-ID på denna sida. Öppna en postdetaljsida och försök igen.",
+    errorNoSharingPage: "{object}-poster har ingen delningssida. Delning är endast tillgänglig för konton, kontakter, affärsmöjligheter, leads, ärenden, kampanjer, användare och anpassade objekt.",
+    panelTitle: "Delning",
+    panelClose: "Stäng",
+    panelLoading: "Läser in delningsrader...",
+    panelNoRows: "Inga matchande delningsrader.",
+    panelFilterPlaceholder: "Filtrera efter namn, typ, åtkomst eller orsak",
+    panelOpenClassic: "Öppna delningssidan i Classic",
+    panelColumnName: "Användare eller grupp",
+    panelColumnType: "Typ",
+    panelColumnAccess: "Åtkomstnivå",
+    panelColumnReason: "Orsak",
+    panelColumnLastModified: "Senast ändrad",
+    panelRowCount: "Visar {shown} av {total} delningsrader",
+    panelErrorLoading: "Det gick inte att läsa in delningsraderna:",
+    panelErrorUnknownObject: "Det gick inte att avgöra objektet för denna post. Använd delningssidan i Classic i stället.",
+    panelColumnActions: "Åtgärder",
+    panelAddShare: "Lägg till delning",
+    panelWriteActionsDisabled: "Skrivskyddad: hanteras av ditt företag",
+    panelChangeAccess: "Ändra åtkomst",
+    panelChangeAccessFor: "Ändra åtkomst för {name}:",
+    panelRemove: "Ta bort",
+    panelSave: "Spara",
+    panelCancel: "Avbryt",
+    panelConfirm: "Bekräfta",
+    panelSearchPlaceholder: "Sök efter namn (minst 2 tecken)",
+    panelSearchNoResults: "Inga träffar.",
+    panelTargetUser: "Användare",
+    panelTargetRegular: "Offentlig grupp",
+    panelTargetRole: "Roll",
+    panelTargetRoleAndSubordinates: "Roll och underordnade",
+    accessLevelNone: "Privat",
+    accessLevelRead: "Skrivskyddad",
+    accessLevelEdit: "Läsa/skriva",
+    accessLevelAll: "Fullständig åtkomst",
+    rowCauseOwner: "Ägare",
+    rowCauseManual: "Manuell delning",
+    rowCauseRule: "Delningsregel",
+    rowCauseImplicitChild: "Ägare eller delning av associerad post",
+    rowCauseImplicitParent: "Associerad underordnad post",
+    rowCauseImplicitPerson: "Personkonto",
+    rowCauseTeam: "Team",
+    rowCauseTerritory: "Område",
+    rowCauseTerritoryRule: "Områdesregel",
+    rowCauseTerritoryManual: "Manuellt område",
+    rowCauseGuestRule: "Delningsregel för gästanvändare",
+    groupTypeRegular: "Offentlig grupp",
+    groupTypeRole: "Roll",
+    groupTypeRoleAndSubordinates: "Roll och underordnade",
+    groupTypeRoleAndSubordinatesInternal: "Roll och interna underordnade",
+    groupTypeQueue: "Kö",
+    groupTypeOrganization: "Alla interna användare",
+    groupTypeAllCustomerPortal: "Alla kundportalanvändare",
+    groupTypeManager: "Chef",
+    groupTypeManagerAndSubordinatesInternal: "Chef och underordnade",
+    groupTypeTerritory: "Område",
+    groupTypeTerritoryAndSubordinates: "Område och underordnade",
+    panelConfirmAdd: "Dela denna post med {name} med åtkomsten {access}?",
+    panelConfirmChange: "Ändra åtkomsten för {name} från {from} till {to}?",
+    panelConfirmRemove: "Ta bort den manuella delningen för {name}? Åtkomsten till denna post kan gå förlorad.",
+    panelShareAdded: "Delning tillagd.",
+    panelShareUpdated: "Åtkomst ändrad.",
+    panelShareRemoved: "Delning borttagen.",
+    panelErrorInsufficientAccess: "Du har inte behörighet att hantera delning för denna post. Endast postens ägare, användare ovanför ägaren i rollhierarkin och administratörer kan göra det.",
+    panelErrorAccessBelowDefault: "Åtkomstnivån måste vara mer tillåtande än objektets organisationsomfattande standard.",
+    menuToggleTitle: "Fler delningsåtgärder",
+    menuExplainAccess: "Förklara åtkomst...",
+    menuExportCsv: "Exportera delning (CSV)",
+    menuExportJson: "Exportera delning (JSON)",
+    exportColumnUserOrGroupId: "Användar- eller grupp-ID",
+    exportColumnLastModifiedBy: "Senast ändrad av",
+    exportError: "Kunde inte exportera delningsraderna:",
+    exportDone: { one: "Exporterade {count} delningsrad.", other: "Exporterade {count} delningsrader." },
+    toastDetails: "Detaljer",
+    toastHideDetails: "Dölj detaljer",
+    toastCopyReport: "Kopiera diagnostikrapport",
+    toastReportCopied: "Rapporten har kopierats",
+    toastReportCopyFailed: "Kunde inte kopiera rapporten",
+    diagnosticUrl: "URL",
+    diagnosticPatternsTried: "Provade mönster",
+    diagnosticInsertStrategy: "Infogningsstrategi",
+    diagnosticPageType: "Sidtyp",
+    diagnosticNone: "inga",
+    debugTitle: "Felsökning",
+    debugDescription: "Felsökningsläget loggar hur tillägget letar efter posten och var det infogar knappen, och visar ett litet överlägg med dess aktuella tillstånd på Salesforce-sidor. Aktivera det, återskapa problemet, ladda sedan ned loggen och bifoga den till din felrapport.",
+    debugModeLabel: "Felsökningsläge",
+    debugViewLog: "Visa logg",
+    debugDownloadLog: "Ladda ned logg",
+    debugClearLog: "Rensa logg",
+    debugLogEmpty: "Loggen är tom. Aktivera felsökningsläget, spara och ladda om en Salesforce-sida.",
+    explainTitle: "Förklara åtkomst",
+    explainChooseUser: "Välj en användare för att se vilken åtkomst den har till denna post och varför.",
+    explainLoading: "Kontrollerar åtkomst...",
+    explainError: "Kunde inte förklara åtkomsten:",
+    explainAccessHeading: "Åtkomst för {name}",
+    explainRead: "Läsa",
+    explainEdit: "Redigera",
+    explainDelete: "Ta bort",
+    explainTransfer: "Överföra",
+    explainMaxAccess: "Högsta åtkomst: {level}",
+    explainNoAccessRow: "Salesforce returnerade ingen åtkomstinformation för denna användare och post.",
+    explainPathsHeading: "Åtkomstens ursprung",
+    explainNoPaths: "Inget ursprung hittades. Åtkomsten kan komma från team, territorier, implicit delning eller en offentlig organisationsomfattande standard.",
+    explainProfile: "Profil",
+    explainPathPermission: "Behörigheten {permission} från {source}",
+    explainPathOwner: "Äger posten",
+    explainPathQueue: "Medlem i kön som äger posten: {group}",
+    explainPathRoleOwner: "Rollen {role} ligger över postens ägare, {name}, i rollhierarkin",
+    explainPathShare: "Delad direkt: {reason}, {access}",
+    explainPathGroup: "Medlem i {group}, som har {access}-åtkomst via {reason}",
+    explainPathRole: "Rollen {role} ligger över {name} i rollhierarkin, som har {access}-åtkomst via {reason}",
+    sharingUnavailableTitle: "Delning är inte tillgänglig för {object}: dess organisationsomfattande standard är {internal} (intern) / {external} (extern), så det finns inget delningsobjekt för {object}.",
+    sharingModelPrivate: "Privat",
+    sharingModelRead: "Offentlig skrivskyddad",
+    sharingModelReadWrite: "Offentlig läsa/skriva",
+    sharingModelReadWriteTransfer: "Offentlig läsa/skriva/överföra",
+    sharingModelFullAccess: "Offentlig fullständig åtkomst",
+    sharingModelControlledByParent: "Styrs av överordnad",
+    sharingModelControlledByCampaign: "Styrs av kampanj",
+    sharingModelControlledByLeadOrContact: "Styrs av lead eller kontakt",
+    floatingDragTitle: "Dra för att flytta knappen Delning",
+    contextMenuOpenSharing: "Öppna delning",
+    listRowIconTitle: "Öppna delning för denna post",
+    listBulkRegionLabel: "Delning för markerade",
+    listBulkTitle: { one: "{count} markerad", other: "{count} markerade" },
+    listBulkOpenTabs: "Öppna delningsflikar",
+    listBulkCombinedTable: "Kombinerad delningstabell",
+    listBulkOpened: "Öppnade {opened} av {selected} markerade (högst {limit} åt gången).",
+    listCombinedTitle: "Delning för markerade poster",
+    listCombinedProgress: "Läser in {done} av {total} poster...",
+    listCombinedDone: { one: "{count} delningsrad för {total} poster", other: "{count} delningsrader för {total} poster" },
+    listColumnRecord: "Post",
+    listColumnObject: "Objekt",
+    errorNoRecordIdInLink: "Kunde inte hitta något post-ID i denna länk.",
+    errorOpenSharingFailed: "Det gick inte att öppna delningssidan. Ladda om sidan och försök igen.",
+    popupRecordId15: "Post-ID (15)",
+    popupRecordId18: "Post-ID (18)",
+    popupObject: "Objekt",
+    popupObjectUnknown: "Okänt",
+    popupPageType: "Sidtyp",
+    popupPageTypeLightning: "Lightning",
+    popupPageTypeConsole: "Lightning-konsol",
+    popupPageTypeClassic: "Classic",
+    popupPageTypeVisualforce: "Visualforce",
+    popupPageTypeSetup: "Inställningar",
+    popupPageTypeExperience: "Experience Cloud-webbplats",
+    popupDetectedBy: "Identifierad via",
+    popupCopyId: "Kopiera",
+    popupCopied: "Kopierat!",
+    popupOpenSharing: "Öppna delning",
+    popupOpenInClassic: "Öppna i Classic",
+    popupOpenInLightning: "Öppna i Lightning",
+    popupOpenInSetup: "Öppna objektet i Inställningar",
+    popupStatusInserted: "Knappen Delning finns på sidan.",
+    popupStatusFloating: "Knappen Delning visas som en flytande knapp eftersom dess placering inte hittades på sidan.",
+    popupStatusPending: "Knappen Delning har inte infogats än.",
+    popupStatusNotRecordPage: "Knappen Delning visas bara på postsidor.",
+    popupStatusObjectFiltered: "Knappen Delning är dold för detta objekt av objektfiltret på alternativsidan.",
+    popupStatusOrgDisabled: "Knappen Delning är avstängd för denna organisation av dess profil eller av ditt företag.",
+    popupOrg: "Organisation",
+    popupOrgNoProfile: "Ingen profil för denna organisation",
+    popupCreateProfile: "Skapa profil",
+    popupNotSalesforce: "Öppna en Salesforce-post för att använda detta tillägg.",
+    popupReloadPage: "Tillägget når inte denna sida. Ladda om den och försök igen.",
     settingsSubtitle: "Inställningar",
     languageSettingsTitle: "Språkinställningar",
-    languageSettingsDescription: "Välj ditt föredragna språk för tilläggsgränssnittet. Du kan använda din webbläsares standardspråk eller välja ett specifikt språk.",
+    languageSettingsDescription: "Välj ditt föredragna språk för tilläggsgränssnittet. Du kan använda din webbläsares standardspråk, välja ett specifikt språk eller följa språket för din Salesforce-användare.",
     languageModeLabel: "Språkläge:",
     languageModeAuto: "Använd webbläsarens språk (rekommenderat)",
     languageModeManual: "Välj specifikt språk",
+    languageModeSalesforce: "Använd mitt Salesforce-språk",
+    salesforceLanguageText: "Ditt Salesforce-språk:",
     languageSelectLabel: "Välj språk:",
     browserLanguageText: "Din webbläsares språk:",
+    openSettingsTitle: "Öppna delningssidan",
+    openSettingsDescription: "Välj hur Classic-delningssidan öppnas. Ctrl/Cmd-klick, Skift-klick och mittenklick på knappen följer alltid webbläsarens konventioner.",
+    openModeLabel: "Öppningsläge:",
+    openModeForeground: "Ny flik",
+    openModeBackground: "Bakgrundsflik bredvid den aktuella",
+    openModeReuse: "Återanvänd en enda delningsflik",
+    openModePopup: "Popup-fönster",
+    openModeSameTab: "Samma flik",
+    popupWidthLabel: "Bredd (px):",
+    popupHeightLabel: "Höjd (px):",
+    placementSettingsTitle: "Knappens placering",
+    placementSettingsDescription: "Välj var knappen Delning visas. Om den valda platsen inte finns på sidan används standardplatsen och sedan en flytande knapp. Den flytande knappen kan dras i sitt handtag och stannar där du släpper den på varje Salesforce-domän.",
+    placementLabel: "Placering:",
+    placementAuto: "Standard för sidan",
+    placementGlobalHeader: "Globalt sidhuvud (Lightning)",
+    placementHighlightsPanel: "Åtgärder i postens markeringspanel (Lightning)",
+    placementClassicButtons: "Knappraden på detaljsidan (Classic)",
+    placementFloating: "Flytande knapp",
+    listSettingsTitle: "Listvyer",
+    listSettingsDescription: "Rader i listvyer och relaterade listor får en delningsikon. \"Delning för markerade\" öppnar delningssidorna för de markerade raderna i bakgrundsflikar, högst så här många flikar åt gången.",
+    bulkOpenLimitLabel: "Högsta antal flikar att öppna:",
+    objectFilterTitle: "Objekt",
+    objectFilterDescription: "Välj de objekt vars poster visar knappen Delning. Ange API-namn för objekt (t.ex. Invoice__c) eller nyckelprefix på 3 tecken (t.ex. a0p), eller välj objekt från organisationen i en öppen Salesforce-flik.",
+    objectFilterModeLabel: "Visa knappen på:",
+    objectFilterModeAll: "Alla objekt",
+    objectFilterModeAllow: "Endast de listade objekten",
+    objectFilterModeDeny: "Alla objekt utom de listade",
+    objectFilterSearchPlaceholder: "Sök objekt eller skriv ett API-namn eller nyckelprefix och tryck på Enter",
+    objectFilterFromOrg: "Objekt i {host}",
+    objectFilterNoOrg: "Öppna en Salesforce-flik för att välja objekt från dess organisation.",
+    objectFilterLoadError: "Kunde inte läsa in organisationens objekt.",
+    objectFilterRemove: "Ta bort",
+    orgProfilesTitle: "Organisationsprofiler",
+    orgProfilesDescription: "Ge en organisation egna inställningar, med dess organisations-ID (00D...) eller dess Min domän-namn (t.ex. acme eller acme--uat) som nyckel. En organisationsetikett som PROD kan visas på knappen som en färgad bricka eller kant, så att du alltid vet vilken organisation du är i.",
+    orgProfileKeyPlaceholder: "Organisations-ID eller Min domän-namn",
+    orgProfileAdd: "Lägg till profil",
+    orgProfileCreate: "Skapa profil",
+    orgProfileDelete: "Ta bort profil",
+    orgProfileDetectedTitle: "Besökta organisationer som ännu inte har någon profil:",
+    orgProfileNoneDetected: "Inga",
+    orgProfileLabel: "Etikett:",
+    orgProfileColor: "Färg:",
+    orgProfileBadgeStyle: "Visa etiketten som:",
+    orgProfileBadgeStyleBadge: "Bricka på knappen",
+    orgProfileBadgeStyleBorder: "Färgad kant",
+    orgProfileBadgeStyleNone: "Ingenting",
+    orgProfileEnabled: "Visa knappen Delning i denna organisation",
+    orgProfileObjects: "Listade objekt (kommaavgränsade):",
+    managedByOrganization: "Hanteras av ditt företag",
+    customDomainsTitle: "Anpassade domäner",
+    customDomainsDescription: "Knappen fungerar på Salesforces egna domäner. Lägg till de anpassade domäner som dina organisationer eller Experience Cloud-webbplatser använder, till exempel sf.acme.com eller *.acme.com för alla dess underdomäner, och ange vilken typ av sidor de visar. Chrome ber dig tillåta åtkomst till varje domän; ladda sedan om dess öppna flikar.",
+    customDomainPlaceholder: "sf.acme.com eller *.acme.com",
+    customDomainAdd: "Lägg till domän",
+    customDomainRemove: "Ta bort",
+    customDomainGrant: "Tillåt åtkomst",
+    customDomainGranted: "Åtkomst tillåten",
+    customDomainNotGranted: "Ingen åtkomst",
+    customDomainInvalid: "\"{host}\" är inte ett domännamn.",
+    experienceSitesDescription: "Experience Cloud-webbplatser (*.my.site.com, *.my.salesforce-sites.com) visar även offentliga sidor, så knappen körs bara där när du har tillåtit åtkomst.",
+    experienceSitesRevoke: "Ta bort åtkomst",
+    hostKindLightning: "Lightning",
+    hostKindClassic: "Classic",
+    hostKindVisualforce: "Visualforce",
+    hostKindSetup: "Inställningar",
+    hostKindExperience: "Experience Cloud-webbplats",
+    transferTitle: "Importera och exportera",
+    transferDescription: "Exportera dina inställningar, inklusive organisationsprofiler, till en fil som kollegor kan importera för att få samma konfiguration. Importerade inställningar kontrolleras och förhandsgranskas innan de tillämpas.",
+    exportSettingsButton: "Exportera inställningar",
+    importSettingsButton: "Importera inställningar",
+    importPreviewTitle: { one: "{file} ändrar {count} inställning:", other: "{file} ändrar {count} inställningar:" },
+    importNoChanges: "{file} motsvarar dina nuvarande inställningar.",
+    importIgnored: "Okända inställningar utelämnades: {settings}.",
+    importColumnSetting: "Inställning",
+    importColumnCurrent: "Nuvarande",
+    importColumnImported: "Importerad",
+    importLockedNotApplied: "Hanteras av ditt företag, tillämpas inte",
+    importApply: "Tillämpa",
+    importCancel: "Avbryt",
+    importInvalid: "Den här filen kan inte importeras:",
+    importSuccess: "Inställningarna har importerats!",
+    managedAllowedOrgs: "Ditt företag begränsar knappen Delning till dessa organisationer: {orgs}",
     saveButtonText: "Spara inställningar",
     saveSuccessMessage: "Inställningar sparade framgångsrikt!",
     saveErrorMessage: "Fel vid sparande av inställningar. Försök igen."
@@ -264,15 +3969,262 @@ const translations = {
     langEnglishName: "Dansk (Danish)",
     buttonText: "Deling",
     buttonTitle: "Åbn delingsdetaljer for denne post",
+    buttonTargetTitle: "Post: {record}",
     errorNoRecordId: "Kunne ikke registrere et post-ID på denne side. Åbn en postdetaljeside og prøv igen.",
+    errorNoSharingPage: "{object}-poster har ingen delingsside. Deling er kun tilgængelig for konti, kontakter, salgsmuligheder, kundeemner, sager, kampagner, brugere og brugerdefinerede objekter.",
+    panelTitle: "Deling",
+    panelClose: "Luk",
+    panelLoading: "Indlæser delingsrækker...",
+    panelNoRows: "Ingen matchende delingsrækker.",
+    panelFilterPlaceholder: "Filtrer efter navn, type, adgang eller årsag",
+    panelOpenClassic: "Åbn delingssiden i Classic",
+    panelColumnName: "Bruger eller gruppe",
+    panelColumnType: "Type",
+    panelColumnAccess: "Adgangsniveau",
+    panelColumnReason: "Årsag",
+    panelColumnLastModified: "Sidst ændret",
+    panelRowCount: "Viser {shown} af {total} delingsrækker",
+    panelErrorLoading: "Delingsrækkerne kunne ikke indlæses:",
+    panelErrorUnknownObject: "Objektet for denne post kunne ikke bestemmes. Brug delingssiden i Classic i stedet.",
+    panelColumnActions: "Handlinger",
+    panelAddShare: "Tilføj deling",
+    panelWriteActionsDisabled: "Skrivebeskyttet: administreres af din virksomhed",
+    panelChangeAccess: "Skift adgang",
+    panelChangeAccessFor: "Skift adgang for {name}:",
+    panelRemove: "Fjern",
+    panelSave: "Gem",
+    panelCancel: "Annuller",
+    panelConfirm: "Bekræft",
+    panelSearchPlaceholder: "Søg efter navn (mindst 2 tegn)",
+    panelSearchNoResults: "Ingen resultater fundet.",
+    panelTargetUser: "Bruger",
+    panelTargetRegular: "Offentlig gruppe",
+    panelTargetRole: "Rolle",
+    panelTargetRoleAndSubordinates: "Rolle og underordnede",
+    accessLevelNone: "Privat",
+    accessLevelRead: "Skrivebeskyttet",
+    accessLevelEdit: "Læse/skrive",
+    accessLevelAll: "Fuld adgang",
+    rowCauseOwner: "Ejer",
+    rowCauseManual: "Manuel deling",
+    rowCauseRule: "Delingsregel",
+    rowCauseImplicitChild: "Ejer eller deling af tilknyttet post",
+    rowCauseImplicitParent: "Tilknyttet underordnet post",
+    rowCauseImplicitPerson: "Personkonto",
+    rowCauseTeam: "Team",
+    rowCauseTerritory: "Område",
+    rowCauseTerritoryRule: "Områderegel",
+    rowCauseTerritoryManual: "Manuelt område",
+    rowCauseGuestRule: "Delingsregel for gæstebrugere",
+    groupTypeRegular: "Offentlig gruppe",
+    groupTypeRole: "Rolle",
+    groupTypeRoleAndSubordinates: "Rolle og underordnede",
+    groupTypeRoleAndSubordinatesInternal: "Rolle og interne underordnede",
+    groupTypeQueue: "Kø",
+    groupTypeOrganization: "Alle interne brugere",
+    groupTypeAllCustomerPortal: "Alle kundeportalbrugere",
+    groupTypeManager: "Leder",
+    groupTypeManagerAndSubordinatesInternal: "Leder og underordnede",
+    groupTypeTerritory: "Område",
+    groupTypeTerritoryAndSubordinates: "Område og underordnede",
+    panelConfirmAdd: "Del denne post med {name} med {access}-adgang?",
+    panelConfirmChange: "Skift adgangen for {name} fra {from} til {to}?",
+    panelConfirmRemove: "Fjern den manuelle deling for {name}? Adgangen til denne post kan gå tabt.",
+    panelShareAdded: "Deling tilføjet.",
+    panelShareUpdated: "Adgang ændret.",
+    panelShareRemoved: "Deling fjernet.",
+    panelErrorInsufficientAccess: "Du har ikke tilladelse til at administrere deling af denne post. Kun postens ejer, brugere over ejeren i rollehierarkiet og administratorer kan.",
+    panelErrorAccessBelowDefault: "Adgangsniveauet skal være mere tilladende end objektets organisationsdækkende standard.",
+    menuToggleTitle: "Flere delingshandlinger",
+    menuExplainAccess: "Forklar adgang...",
+    menuExportCsv: "Eksportér deling (CSV)",
+    menuExportJson: "Eksportér deling (JSON)",
+    exportColumnUserOrGroupId: "Bruger- eller gruppe-id",
+    exportColumnLastModifiedBy: "Senest ændret af",
+    exportError: "Kunne ikke eksportere delingsrækkerne:",
+    exportDone: { one: "Eksporterede {count} delingsrække.", other: "Eksporterede {count} delingsrækker." },
+    toastDetails: "Detaljer",
+    toastHideDetails: "Skjul detaljer",
+    toastCopyReport: "Kopiér diagnoserapport",
+    toastReportCopied: "Rapporten er kopieret",
+    toastReportCopyFailed: "Kunne ikke kopiere rapporten",
+    diagnosticUrl: "URL",
+    diagnosticPatternsTried: "Afprøvede mønstre",
+    diagnosticInsertStrategy: "Indsættelsesstrategi",
+    diagnosticPageType: "Sidetype",
+    diagnosticNone: "ingen",
+    debugTitle: "Fejlfinding",
+    debugDescription: "Fejlfindingstilstand logger, hvordan udvidelsen leder efter posten, og hvor den indsætter knappen, og viser et lille overlay med dens aktuelle tilstand på Salesforce-sider. Slå den til, genskab problemet, og download derefter loggen, og vedhæft den til din fejlrapport.",
+    debugModeLabel: "Fejlfindingstilstand",
+    debugViewLog: "Vis log",
+    debugDownloadLog: "Download log",
+    debugClearLog: "Ryd log",
+    debugLogEmpty: "Loggen er tom. Slå fejlfindingstilstand til, gem, og genindlæs en Salesforce-side.",
+    explainTitle: "Forklar adgang",
+    explainChooseUser: "Vælg en bruger for at se, hvilken adgang vedkommende har til denne post og hvorfor.",
+    explainLoading: "Kontrollerer adgang...",
+    explainError: "Kunne ikke forklare adgangen:",
+    explainAccessHeading: "Adgang for {name}",
+    explainRead: "Læse",
+    explainEdit: "Redigere",
+    explainDelete: "Slette",
+    explainTransfer: "Overføre",
+    explainMaxAccess: "Højeste adgang: {level}",
+    explainNoAccessRow: "Salesforce returnerede ingen adgangsoplysninger for denne bruger og post.",
+    explainPathsHeading: "Adgangens oprindelse",
+    explainNoPaths: "Ingen oprindelse fundet. Adgangen kan komme fra teams, territorier, implicit deling eller en offentlig organisationsdækkende standard.",
+    explainProfile: "Profil",
+    explainPathPermission: "Tilladelsen {permission} fra {source}",
+    explainPathOwner: "Ejer posten",
+    explainPathQueue: "Medlem af køen, der ejer posten: {group}",
+    explainPathRoleOwner: "Rollen {role} er over postens ejer, {name}, i rollehierarkiet",
+    explainPathShare: "Delt direkte: {reason}, {access}",
+    explainPathGroup: "Medlem af {group}, som har {access}-adgang via {reason}",
+    explainPathRole: "Rollen {role} er over {name} i rollehierarkiet, som har {access}-adgang via {reason}",
+    sharingUnavailableTitle: "Deling er ikke tilgængelig for {object}: dens organisationsdækkende standard er {internal} (intern) / {external} (ekstern), så der er intet delingsobjekt for {object}.",
+    sharingModelPrivate: "Privat",
+    sharingModelRead: "Offentlig skrivebeskyttet",
+    sharingModelReadWrite: "Offentlig læse/skrive",
+    sharingModelReadWriteTransfer: "Offentlig læse/skrive/overføre",
+    sharingModelFullAccess: "Offentlig fuld adgang",
+    sharingModelControlledByParent: "Styret af overordnet",
+    sharingModelControlledByCampaign: "Styret af kampagne",
+    sharingModelControlledByLeadOrContact: "Styret af kundeemne eller kontakt",
+    floatingDragTitle: "Træk for at flytte knappen Deling",
+    contextMenuOpenSharing: "Åbn deling",
+    listRowIconTitle: "Åbn deling for denne post",
+    listBulkRegionLabel: "Deling for valgte",
+    listBulkTitle: { one: "{count} valgt", other: "{count} valgt" },
+    listBulkOpenTabs: "Åbn delingsfaner",
+    listBulkCombinedTable: "Samlet delingstabel",
+    listBulkOpened: "Åbnede {opened} af {selected} valgte (højst {limit} ad gangen).",
+    listCombinedTitle: "Deling for valgte poster",
+    listCombinedProgress: "Indlæser {done} af {total} poster...",
+    listCombinedDone: { one: "{count} delingsrække for {total} poster", other: "{count} delingsrækker for {total} poster" },
+    listColumnRecord: "Post",
+    listColumnObject: "Objekt",
+    errorNoRecordIdInLink: "Kunne ikke finde et post-id i dette link.",
+    errorOpenSharingFailed: "Delingssiden kunne ikke åbnes. Genindlæs siden, og prøv igen.",
+    popupRecordId15: "Post-id (15)",
+    popupRecordId18: "Post-id (18)",
+    popupObject: "Objekt",
+    popupObjectUnknown: "Ukendt",
+    popupPageType: "Sidetype",
+    popupPageTypeLightning: "Lightning",
+    popupPageTypeConsole: "Lightning-konsol",
+    popupPageTypeClassic: "Classic",
+    popupPageTypeVisualforce: "Visualforce",
+    popupPageTypeSetup: "Opsætning",
+    popupPageTypeExperience: "Experience Cloud-websted",
+    popupDetectedBy: "Registreret via",
+    popupCopyId: "Kopiér",
+    popupCopied: "Kopieret!",
+    popupOpenSharing: "Åbn deling",
+    popupOpenInClassic: "Åbn i Classic",
+    popupOpenInLightning: "Åbn i Lightning",
+    popupOpenInSetup: "Åbn objektet i Opsætning",
+    popupStatusInserted: "Knappen Deling er på siden.",
+    popupStatusFloating: "Knappen Deling vises som en flydende knap, da dens placering ikke blev fundet på denne side.",
+    popupStatusPending: "Knappen Deling er ikke indsat endnu.",
+    popupStatusNotRecordPage: "Knappen Deling vises kun på postsider.",
+    popupStatusObjectFiltered: "Knappen Deling er skjult på dette objekt af objektfilteret på indstillingssiden.",
+    popupStatusOrgDisabled: "Knappen Deling er slået fra for denne organisation af dens profil eller af din virksomhed.",
+    popupOrg: "Organisation",
+    popupOrgNoProfile: "Ingen profil for denne organisation",
+    popupCreateProfile: "Opret profil",
+    popupNotSalesforce: "Åbn en Salesforce-post for at bruge denne udvidelse.",
+    popupReloadPage: "Udvidelsen kan ikke nå denne side. Genindlæs den, og prøv igen.",
     settingsSubtitle: "Indstillinger",
     languageSettingsTitle: "Sprogindstillinger",
-    languageSettingsDescription: "Vælg dit foretrukne sprog til udvidelsesgrænsefladen. Du kan bruge din browsers standardsprog eller vælge et specifikt sprog.",
+    languageSettingsDescription: "Vælg dit foretrukne sprog til udvidelsesgrænsefladen. Du kan bruge din browsers standardsprog, vælge et specifikt sprog eller følge sproget for din Salesforce-bruger.",
     languageModeLabel: "Sprogtilstand:",
     languageModeAuto: "Brug browsers sprog (anbefalet)",
     languageModeManual: "Vælg specifikt sprog",
+    languageModeSalesforce: "Brug mit Salesforce-sprog",
+    salesforceLanguageText: "Dit Salesforce-sprog:",
     languageSelectLabel: "Vælg sprog:",
     browserLanguageText: "Din browsers sprog:",
+    openSettingsTitle: "Åbning af delingssiden",
+    openSettingsDescription: "Vælg, hvordan Classic-delingssiden åbnes. Ctrl/Cmd-klik, Skift-klik og midterklik på knappen følger altid din browsers konventioner.",
+    openModeLabel: "Åbningstilstand:",
+    openModeForeground: "Ny fane",
+    openModeBackground: "Baggrundsfane ved siden af den aktuelle",
+    openModeReuse: "Genbrug én delingsfane",
+    openModePopup: "Pop op-vindue",
+    openModeSameTab: "Samme fane",
+    popupWidthLabel: "Bredde (px):",
+    popupHeightLabel: "Højde (px):",
+    placementSettingsTitle: "Knappens placering",
+    placementSettingsDescription: "Vælg, hvor knappen Deling vises. Hvis det valgte sted ikke findes på siden, bruges standardstedet og derefter en flydende knap. Den flydende knap kan trækkes i sit håndtag og bliver, hvor du slipper den, på hvert Salesforce-domæne.",
+    placementLabel: "Placering:",
+    placementAuto: "Standard for siden",
+    placementGlobalHeader: "Globalt sidehoved (Lightning)",
+    placementHighlightsPanel: "Handlinger i postens fremhævelsespanel (Lightning)",
+    placementClassicButtons: "Knaprække på detaljesiden (Classic)",
+    placementFloating: "Flydende knap",
+    listSettingsTitle: "Listevisninger",
+    listSettingsDescription: "Rækker i listevisninger og relaterede lister får et delingsikon. \"Deling for valgte\" åbner delingssiderne for de valgte rækker i baggrundsfaner, op til dette antal faner ad gangen.",
+    bulkOpenLimitLabel: "Maksimalt antal faner at åbne:",
+    objectFilterTitle: "Objekter",
+    objectFilterDescription: "Vælg de objekter, hvis poster viser knappen Deling. Angiv API-navne for objekter (f.eks. Invoice__c) eller nøglepræfikser på 3 tegn (f.eks. a0p), eller vælg objekter fra organisationen i en åben Salesforce-fane.",
+    objectFilterModeLabel: "Vis knappen på:",
+    objectFilterModeAll: "Alle objekter",
+    objectFilterModeAllow: "Kun de angivne objekter",
+    objectFilterModeDeny: "Alle objekter undtagen de angivne",
+    objectFilterSearchPlaceholder: "Søg efter objekter, eller skriv et API-navn eller nøglepræfiks, og tryk på Enter",
+    objectFilterFromOrg: "Objekter i {host}",
+    objectFilterNoOrg: "Åbn en Salesforce-fane for at vælge objekter fra dens organisation.",
+    objectFilterLoadError: "Kunne ikke indlæse organisationens objekter.",
+    objectFilterRemove: "Fjern",
+    orgProfilesTitle: "Organisationsprofiler",
+    orgProfilesDescription: "Giv en organisation sine egne indstillinger med dens organisations-id (00D...) eller dens Mit domæne-navn (f.eks. acme eller acme--uat) som nøgle. En organisationsetiket som PROD kan vises på knappen som et farvet mærke eller en farvet kant, så du altid ved, hvilken organisation du er i.",
+    orgProfileKeyPlaceholder: "Organisations-id eller Mit domæne-navn",
+    orgProfileAdd: "Tilføj profil",
+    orgProfileCreate: "Opret profil",
+    orgProfileDelete: "Slet profil",
+    orgProfileDetectedTitle: "Besøgte organisationer, der endnu ikke har en profil:",
+    orgProfileNoneDetected: "Ingen",
+    orgProfileLabel: "Etiket:",
+    orgProfileColor: "Farve:",
+    orgProfileBadgeStyle: "Vis etiketten som:",
+    orgProfileBadgeStyleBadge: "Mærke på knappen",
+    orgProfileBadgeStyleBorder: "Farvet kant",
+    orgProfileBadgeStyleNone: "Intet",
+    orgProfileEnabled: "Vis knappen Deling i denne organisation",
+    orgProfileObjects: "Angivne objekter (kommasepareret):",
+    managedByOrganization: "Administreres af din virksomhed",
+    customDomainsTitle: "Brugerdefinerede domæner",
+    customDomainsDescription: "Knappen virker på Salesforces egne domæner. Tilføj de brugerdefinerede domæner, som dine organisationer eller Experience Cloud-websteder bruger, f.eks. sf.acme.com eller *.acme.com for alle dets underdomæner, og angiv, hvilken slags sider de leverer. Chrome beder dig om at tillade adgang til hvert domæne; genindlæs derefter dets åbne faner.",
+    customDomainPlaceholder: "sf.acme.com eller *.acme.com",
+    customDomainAdd: "Tilføj domæne",
+    customDomainRemove: "Fjern",
+    customDomainGrant: "Tillad adgang",
+    customDomainGranted: "Adgang tilladt",
+    customDomainNotGranted: "Ingen adgang",
+    customDomainInvalid: "\"{host}\" er ikke et domænenavn.",
+    experienceSitesDescription: "Experience Cloud-websteder (*.my.site.com, *.my.salesforce-sites.com) viser også offentlige sider, så knappen kører kun på dem, når du har tilladt adgang.",
+    experienceSitesRevoke: "Fjern adgang",
+    hostKindLightning: "Lightning",
+    hostKindClassic: "Classic",
+    hostKindVisualforce: "Visualforce",
+    hostKindSetup: "Opsætning",
+    hostKindExperience: "Experience Cloud-websted",
+    transferTitle: "Import og eksport",
+    transferDescription: "Eksportér dine indstillinger, herunder organisationsprofiler, til en fil, som kolleger kan importere for at få den samme konfiguration. Importerede indstillinger kontrolleres og vises som eksempel, før de anvendes.",
+    exportSettingsButton: "Eksportér indstillinger",
+    importSettingsButton: "Importér indstillinger",
+    importPreviewTitle: { one: "{file} ændrer {count} indstilling:", other: "{file} ændrer {count} indstillinger:" },
+    importNoChanges: "{file} svarer til dine nuværende indstillinger.",
+    importIgnored: "Ukendte indstillinger udeladt: {settings}.",
+    importColumnSetting: "Indstilling",
+    importColumnCurrent: "Nuværende",
+    importColumnImported: "Importeret",
+    importLockedNotApplied: "Administreres af din virksomhed, ikke anvendt",
+    importApply: "Anvend",
+    importCancel: "Annuller",
+    importInvalid: "Denne fil kan ikke importeres:",
+    importSuccess: "Indstillingerne er importeret!",
+    managedAllowedOrgs: "Din virksomhed begrænser knappen Deling til disse organisationer: {orgs}",
     saveButtonText: "Gem indstillinger",
     saveSuccessMessage: "Indstillinger gemt succesfuldt!",
     saveErrorMessage: "Fejl ved gemning af indstillinger. Prøv igen."
@@ -281,15 +4233,262 @@ const translations = {
     langEnglishName: "Suomi (Finnish)",
     buttonText: "Jako",
     buttonTitle: "Avaa tämän tietueen jakotiedot",
+    buttonTargetTitle: "Tietue: {record}",
     errorNoRecordId: "Tietueen ID:tä ei voitu tunnistaa tällä sivulla. Avaa tietueen yksityiskohtasivu ja yritä uudelleen.",
+    errorNoSharingPage: "Kohteen {object} tietueilla ei ole jakamissivua. Jakaminen on käytettävissä vain asiakkaille, yhteyshenkilöille, myyntimahdollisuuksille, liideille, tapauksille, kampanjoille, käyttäjille ja mukautetuille objekteille.",
+    panelTitle: "Jako",
+    panelClose: "Sulje",
+    panelLoading: "Ladataan jakorivejä...",
+    panelNoRows: "Ei vastaavia jakorivejä.",
+    panelFilterPlaceholder: "Suodata nimen, tyypin, käyttöoikeuden tai syyn mukaan",
+    panelOpenClassic: "Avaa Classicin jakamissivu",
+    panelColumnName: "Käyttäjä tai ryhmä",
+    panelColumnType: "Tyyppi",
+    panelColumnAccess: "Käyttöoikeustaso",
+    panelColumnReason: "Syy",
+    panelColumnLastModified: "Viimeksi muokattu",
+    panelRowCount: "Näytetään {shown}/{total} jakoriviä",
+    panelErrorLoading: "Jakorivejä ei voitu ladata:",
+    panelErrorUnknownObject: "Tämän tietueen objektia ei voitu määrittää. Käytä sen sijaan Classicin jakamissivua.",
+    panelColumnActions: "Toiminnot",
+    panelAddShare: "Lisää jako",
+    panelWriteActionsDisabled: "Vain luku: yrityksesi hallinnoima",
+    panelChangeAccess: "Muuta käyttöoikeutta",
+    panelChangeAccessFor: "Muuta käyttöoikeutta: {name}",
+    panelRemove: "Poista",
+    panelSave: "Tallenna",
+    panelCancel: "Peruuta",
+    panelConfirm: "Vahvista",
+    panelSearchPlaceholder: "Hae nimellä (vähintään 2 merkkiä)",
+    panelSearchNoResults: "Osumia ei löytynyt.",
+    panelTargetUser: "Käyttäjä",
+    panelTargetRegular: "Julkinen ryhmä",
+    panelTargetRole: "Rooli",
+    panelTargetRoleAndSubordinates: "Rooli ja alaiset",
+    accessLevelNone: "Yksityinen",
+    accessLevelRead: "Vain luku",
+    accessLevelEdit: "Luku/kirjoitus",
+    accessLevelAll: "Täydet käyttöoikeudet",
+    rowCauseOwner: "Omistaja",
+    rowCauseManual: "Manuaalinen jakaminen",
+    rowCauseRule: "Jakamissääntö",
+    rowCauseImplicitChild: "Liittyvän tietueen omistaja tai jakaminen",
+    rowCauseImplicitParent: "Liittyvä alatason tietue",
+    rowCauseImplicitPerson: "Henkilöasiakas",
+    rowCauseTeam: "Tiimi",
+    rowCauseTerritory: "Alue",
+    rowCauseTerritoryRule: "Aluesääntö",
+    rowCauseTerritoryManual: "Manuaalinen alue",
+    rowCauseGuestRule: "Vierailijakäyttäjän jakamissääntö",
+    groupTypeRegular: "Julkinen ryhmä",
+    groupTypeRole: "Rooli",
+    groupTypeRoleAndSubordinates: "Rooli ja alaiset",
+    groupTypeRoleAndSubordinatesInternal: "Rooli ja sisäiset alaiset",
+    groupTypeQueue: "Jono",
+    groupTypeOrganization: "Kaikki sisäiset käyttäjät",
+    groupTypeAllCustomerPortal: "Kaikki asiakasportaalin käyttäjät",
+    groupTypeManager: "Esimies",
+    groupTypeManagerAndSubordinatesInternal: "Esimies ja alaiset",
+    groupTypeTerritory: "Alue",
+    groupTypeTerritoryAndSubordinates: "Alue ja alaiset",
+    panelConfirmAdd: "Jaetaanko tämä tietue käyttäjälle {name} käyttöoikeudella {access}?",
+    panelConfirmChange: "Muutetaanko käyttäjän {name} käyttöoikeus: {from} → {to}?",
+    panelConfirmRemove: "Poistetaanko käyttäjän {name} manuaalinen jako? Hän voi menettää pääsyn tähän tietueeseen.",
+    panelShareAdded: "Jako lisätty.",
+    panelShareUpdated: "Käyttöoikeus muutettu.",
+    panelShareRemoved: "Jako poistettu.",
+    panelErrorInsufficientAccess: "Sinulla ei ole oikeutta hallita tämän tietueen jakamista. Vain tietueen omistaja, roolihierarkiassa omistajan yläpuolella olevat käyttäjät ja järjestelmänvalvojat voivat tehdä sen.",
+    panelErrorAccessBelowDefault: "Käyttöoikeustason on oltava sallivampi kuin objektin organisaation laajuinen oletus.",
+    menuToggleTitle: "Lisää jakotoimintoja",
+    menuExplainAccess: "Selitä käyttöoikeus...",
+    menuExportCsv: "Vie jako (CSV)",
+    menuExportJson: "Vie jako (JSON)",
+    exportColumnUserOrGroupId: "Käyttäjän tai ryhmän tunnus",
+    exportColumnLastModifiedBy: "Viimeksi muokannut",
+    exportError: "Jakorivejä ei voitu viedä:",
+    exportDone: { one: "Vietiin {count} jakorivi.", other: "Vietiin {count} jakoriviä." },
+    toastDetails: "Tiedot",
+    toastHideDetails: "Piilota tiedot",
+    toastCopyReport: "Kopioi vianmääritysraportti",
+    toastReportCopied: "Raportti kopioitu",
+    toastReportCopyFailed: "Raporttia ei voitu kopioida",
+    diagnosticUrl: "URL",
+    diagnosticPatternsTried: "Kokeillut mallit",
+    diagnosticInsertStrategy: "Lisäystapa",
+    diagnosticPageType: "Sivun tyyppi",
+    diagnosticNone: "ei mitään",
+    debugTitle: "Vianmääritys",
+    debugDescription: "Virheenkorjaustila kirjaa lokiin, miten laajennus etsii tietuetta ja mihin se lisää painikkeen, ja näyttää Salesforce-sivuilla pienen peittokuvan sen nykyisestä tilasta. Ota se käyttöön, toista ongelma, lataa sitten loki ja liitä se virheraporttiisi.",
+    debugModeLabel: "Virheenkorjaustila",
+    debugViewLog: "Näytä loki",
+    debugDownloadLog: "Lataa loki",
+    debugClearLog: "Tyhjennä loki",
+    debugLogEmpty: "Loki on tyhjä. Ota virheenkorjaustila käyttöön, tallenna ja lataa Salesforce-sivu uudelleen.",
+    explainTitle: "Selitä käyttöoikeus",
+    explainChooseUser: "Valitse käyttäjä nähdäksesi, millainen käyttöoikeus hänellä on tähän tietueeseen ja miksi.",
+    explainLoading: "Tarkistetaan käyttöoikeutta...",
+    explainError: "Käyttöoikeutta ei voitu selittää:",
+    explainAccessHeading: "Käyttöoikeus: {name}",
+    explainRead: "Luku",
+    explainEdit: "Muokkaus",
+    explainDelete: "Poisto",
+    explainTransfer: "Siirto",
+    explainMaxAccess: "Suurin käyttöoikeus: {level}",
+    explainNoAccessRow: "Salesforce ei palauttanut käyttöoikeustietoja tälle käyttäjälle ja tietueelle.",
+    explainPathsHeading: "Käyttöoikeuden lähteet",
+    explainNoPaths: "Lähdettä ei löytynyt. Käyttöoikeus voi tulla tiimeistä, alueista, implisiittisestä jakamisesta tai julkisesta organisaation laajuisesta oletuksesta.",
+    explainProfile: "Profiili",
+    explainPathPermission: "Käyttöoikeus {permission} lähteestä {source}",
+    explainPathOwner: "Omistaa tietueen",
+    explainPathQueue: "Tietueen omistavan jonon jäsen: {group}",
+    explainPathRoleOwner: "Rooli {role} on roolihierarkiassa tietueen omistajan {name} yläpuolella",
+    explainPathShare: "Jaettu suoraan: {reason}, {access}",
+    explainPathGroup: "Ryhmän {group} jäsen, jolla on käyttöoikeus {access} kautta {reason}",
+    explainPathRole: "Rooli {role} on roolihierarkiassa käyttäjän {name} yläpuolella, jolla on käyttöoikeus {access} kautta {reason}",
+    sharingUnavailableTitle: "Jakaminen ei ole käytettävissä kohteelle {object}: sen organisaation laajuinen oletus on {internal} (sisäinen) / {external} (ulkoinen), joten {object}-jako-objektia ei ole.",
+    sharingModelPrivate: "Yksityinen",
+    sharingModelRead: "Julkinen vain luku",
+    sharingModelReadWrite: "Julkinen luku/kirjoitus",
+    sharingModelReadWriteTransfer: "Julkinen luku/kirjoitus/siirto",
+    sharingModelFullAccess: "Julkiset täydet käyttöoikeudet",
+    sharingModelControlledByParent: "Ylätason ohjaama",
+    sharingModelControlledByCampaign: "Kampanjan ohjaama",
+    sharingModelControlledByLeadOrContact: "Liidin tai yhteyshenkilön ohjaama",
+    floatingDragTitle: "Siirrä Jako-painiketta vetämällä",
+    contextMenuOpenSharing: "Avaa jako",
+    listRowIconTitle: "Avaa tämän tietueen jako",
+    listBulkRegionLabel: "Valittujen jako",
+    listBulkTitle: { one: "{count} valittu", other: "{count} valittu" },
+    listBulkOpenTabs: "Avaa jakovälilehdet",
+    listBulkCombinedTable: "Yhdistetty jakotaulukko",
+    listBulkOpened: "Avattiin {opened}/{selected} valittua (enintään {limit} kerrallaan).",
+    listCombinedTitle: "Valittujen tietueiden jako",
+    listCombinedProgress: "Ladataan {done}/{total} tietuetta...",
+    listCombinedDone: { one: "{count} jakorivi {total} tietueelle", other: "{count} jakoriviä {total} tietueelle" },
+    listColumnRecord: "Tietue",
+    listColumnObject: "Objekti",
+    errorNoRecordIdInLink: "Tästä linkistä ei löytynyt tietueen tunnusta.",
+    errorOpenSharingFailed: "Jakamissivua ei voitu avata. Lataa sivu uudelleen ja yritä uudelleen.",
+    popupRecordId15: "Tietueen tunnus (15)",
+    popupRecordId18: "Tietueen tunnus (18)",
+    popupObject: "Objekti",
+    popupObjectUnknown: "Tuntematon",
+    popupPageType: "Sivun tyyppi",
+    popupPageTypeLightning: "Lightning",
+    popupPageTypeConsole: "Lightning-konsoli",
+    popupPageTypeClassic: "Classic",
+    popupPageTypeVisualforce: "Visualforce",
+    popupPageTypeSetup: "Asetukset",
+    popupPageTypeExperience: "Experience Cloud -sivusto",
+    popupDetectedBy: "Tunnistustapa",
+    popupCopyId: "Kopioi",
+    popupCopied: "Kopioitu!",
+    popupOpenSharing: "Avaa jako",
+    popupOpenInClassic: "Avaa Classicissa",
+    popupOpenInLightning: "Avaa Lightningissa",
+    popupOpenInSetup: "Avaa objekti asetuksissa",
+    popupStatusInserted: "Jako-painike on sivulla.",
+    popupStatusFloating: "Jako-painike näytetään kelluvana, koska sen sijaintia ei löytynyt tältä sivulta.",
+    popupStatusPending: "Jako-painiketta ei ole vielä lisätty.",
+    popupStatusNotRecordPage: "Jako-painike näytetään vain tietuesivuilla.",
+    popupStatusObjectFiltered: "Asetussivun objektisuodatin piilottaa Jako-painikkeen tästä objektista.",
+    popupStatusOrgDisabled: "Jako-painike on poistettu käytöstä tässä organisaatiossa sen profiilin tai yrityksesi toimesta.",
+    popupOrg: "Organisaatio",
+    popupOrgNoProfile: "Tällä organisaatiolla ei ole profiilia",
+    popupCreateProfile: "Luo profiili",
+    popupNotSalesforce: "Avaa Salesforce-tietue käyttääksesi tätä laajennusta.",
+    popupReloadPage: "Laajennus ei tavoita tätä sivua. Lataa sivu uudelleen ja yritä uudelleen.",
     settingsSubtitle: "Asetukset",
     languageSettingsTitle: "Kieliasetukset",
-    languageSettingsDescription: "Valitse laajennuksen käyttöliittymän ensisijainen kieli. Voit käyttää selaimen oletuskieltä tai valita tietyn kielen.",
+    languageSettingsDescription: "Valitse laajennuksen käyttöliittymän ensisijainen kieli. Voit käyttää selaimen oletuskieltä, valita tietyn kielen tai noudattaa Salesforce-käyttäjäsi kieltä.",
     languageModeLabel: "Kielitila:",
     languageModeAuto: "Käytä selaimen kieltä (suositeltu)",
     languageModeManual: "Valitse tietty kieli",
+    languageModeSalesforce: "Käytä Salesforce-kieltäni",
+    salesforceLanguageText: "Salesforce-kielesi:",
     languageSelectLabel: "Valitse kieli:",
     browserLanguageText: "Selaimesi kieli:",
+    openSettingsTitle: "Jakosivun avaaminen",
+    openSettingsDescription: "Valitse, miten Classic-jakosivu avataan. Ctrl/Cmd-napsautus, Vaihto-napsautus ja keskinapsautus painikkeessa noudattavat aina selaimesi käytäntöjä.",
+    openModeLabel: "Avaustapa:",
+    openModeForeground: "Uusi välilehti",
+    openModeBackground: "Taustavälilehti nykyisen vieressä",
+    openModeReuse: "Käytä yhtä jakovälilehteä uudelleen",
+    openModePopup: "Ponnahdusikkuna",
+    openModeSameTab: "Sama välilehti",
+    popupWidthLabel: "Leveys (px):",
+    popupHeightLabel: "Korkeus (px):",
+    placementSettingsTitle: "Painikkeen sijainti",
+    placementSettingsDescription: "Valitse, missä Jako-painike näkyy. Jos valittua paikkaa ei ole sivulla, painike siirtyy oletuspaikkaan ja sen jälkeen kelluvaksi painikkeeksi. Kelluvaa painiketta voi vetää kahvasta, ja se pysyy jokaisessa Salesforce-toimialueessa siinä, mihin sen pudotat.",
+    placementLabel: "Sijainti:",
+    placementAuto: "Sivun oletus",
+    placementGlobalHeader: "Yleinen ylätunniste (Lightning)",
+    placementHighlightsPanel: "Tietueen korostuspaneelin toiminnot (Lightning)",
+    placementClassicButtons: "Tietosivun painikerivi (Classic)",
+    placementFloating: "Kelluva painike",
+    listSettingsTitle: "Luettelonäkymät",
+    listSettingsDescription: "Luettelonäkymien ja liittyvien luetteloiden riveille lisätään jakokuvake. \"Valittujen jako\" avaa valittujen rivien jakosivut taustavälilehtiin, enintään tämän määrän välilehtiä kerrallaan.",
+    bulkOpenLimitLabel: "Avattavien välilehtien enimmäismäärä:",
+    objectFilterTitle: "Objektit",
+    objectFilterDescription: "Valitse objektit, joiden tietueissa Jako-painike näkyy. Anna objektien API-nimiä (esim. Invoice__c) tai 3-merkkisiä avainetuliitteitä (esim. a0p), tai valitse objekteja avoimen Salesforce-välilehden organisaatiosta.",
+    objectFilterModeLabel: "Näytä painike:",
+    objectFilterModeAll: "Kaikissa objekteissa",
+    objectFilterModeAllow: "Vain luetelluissa objekteissa",
+    objectFilterModeDeny: "Kaikissa paitsi luetelluissa objekteissa",
+    objectFilterSearchPlaceholder: "Hae objekteja tai kirjoita API-nimi tai avainetuliite ja paina Enter",
+    objectFilterFromOrg: "Objektit: {host}",
+    objectFilterNoOrg: "Avaa Salesforce-välilehti valitaksesi objekteja sen organisaatiosta.",
+    objectFilterLoadError: "Organisaation objekteja ei voitu ladata.",
+    objectFilterRemove: "Poista",
+    orgProfilesTitle: "Organisaatioprofiilit",
+    orgProfilesDescription: "Anna organisaatiolle omat asetukset sen organisaatiotunnuksen (00D...) tai Oma toimialue -nimen (esim. acme tai acme--uat) perusteella. Organisaation nimike, kuten PROD, voidaan näyttää painikkeessa värillisenä merkkinä tai reunuksena, jotta tiedät aina, missä organisaatiossa olet.",
+    orgProfileKeyPlaceholder: "Organisaatiotunnus tai Oma toimialue -nimi",
+    orgProfileAdd: "Lisää profiili",
+    orgProfileCreate: "Luo profiili",
+    orgProfileDelete: "Poista profiili",
+    orgProfileDetectedTitle: "Vierailemasi organisaatiot, joilla ei vielä ole profiilia:",
+    orgProfileNoneDetected: "Ei yhtään",
+    orgProfileLabel: "Nimike:",
+    orgProfileColor: "Väri:",
+    orgProfileBadgeStyle: "Näytä nimike:",
+    orgProfileBadgeStyleBadge: "Merkkinä painikkeessa",
+    orgProfileBadgeStyleBorder: "Värillisenä reunuksena",
+    orgProfileBadgeStyleNone: "Ei mitenkään",
+    orgProfileEnabled: "Näytä Jako-painike tässä organisaatiossa",
+    orgProfileObjects: "Luetellut objektit (pilkuin eroteltuina):",
+    managedByOrganization: "Yrityksesi hallinnoima",
+    customDomainsTitle: "Mukautetut toimialueet",
+    customDomainsDescription: "Painike toimii Salesforcen omilla toimialueilla. Lisää organisaatioidesi tai Experience Cloud -sivustojesi käyttämät mukautetut toimialueet, kuten sf.acme.com tai *.acme.com kaikille sen aliverkkotunnuksille, ja kerro, millaisia sivuja ne tarjoavat. Chrome pyytää sinua sallimaan pääsyn kuhunkin toimialueeseen; lataa sen jälkeen sen avoimet välilehdet uudelleen.",
+    customDomainPlaceholder: "sf.acme.com tai *.acme.com",
+    customDomainAdd: "Lisää toimialue",
+    customDomainRemove: "Poista",
+    customDomainGrant: "Salli pääsy",
+    customDomainGranted: "Pääsy sallittu",
+    customDomainNotGranted: "Ei pääsyä",
+    customDomainInvalid: "\"{host}\" ei ole toimialueen nimi.",
+    experienceSitesDescription: "Experience Cloud -sivustot (*.my.site.com, *.my.salesforce-sites.com) näyttävät myös julkisia sivuja, joten painike toimii niillä vasta, kun sallit käyttöoikeuden.",
+    experienceSitesRevoke: "Poista käyttöoikeus",
+    hostKindLightning: "Lightning",
+    hostKindClassic: "Classic",
+    hostKindVisualforce: "Visualforce",
+    hostKindSetup: "Asetukset",
+    hostKindExperience: "Experience Cloud -sivusto",
+    transferTitle: "Tuonti ja vienti",
+    transferDescription: "Vie asetuksesi organisaatioprofiileineen tiedostoon, jonka tiimitoverit voivat tuoda saadakseen saman määrityksen. Tuodut asetukset tarkistetaan ja esikatsellaan ennen käyttöönottoa.",
+    exportSettingsButton: "Vie asetukset",
+    importSettingsButton: "Tuo asetukset",
+    importPreviewTitle: { one: "{file} muuttaa {count} asetuksen:", other: "{file} muuttaa {count} asetusta:" },
+    importNoChanges: "{file} vastaa nykyisiä asetuksiasi.",
+    importIgnored: "Tuntemattomat asetukset jätettiin pois: {settings}.",
+    importColumnSetting: "Asetus",
+    importColumnCurrent: "Nykyinen",
+    importColumnImported: "Tuotu",
+    importLockedNotApplied: "Yrityksesi hallinnoima, ei otettu käyttöön",
+    importApply: "Ota käyttöön",
+    importCancel: "Peruuta",
+    importInvalid: "Tätä tiedostoa ei voi tuoda:",
+    importSuccess: "Asetukset tuotiin onnistuneesti!",
+    managedAllowedOrgs: "Yrityksesi rajoittaa Jako-painikkeen näihin organisaatioihin: {orgs}",
     saveButtonText: "Tallenna asetukset",
     saveSuccessMessage: "Asetukset tallennettu onnistuneesti!",
     saveErrorMessage: "Virhe asetusten tallentamisessa. Yritä uudelleen."
@@ -298,15 +4497,262 @@ const translations = {
     langEnglishName: "Polski (Polish)",
     buttonText: "Udostępnianie",
     buttonTitle: "Otwórz szczegóły udostępniania dla tego rekordu",
+    buttonTargetTitle: "Rekord: {record}",
     errorNoRecordId: "Nie można wykryć ID rekordu na tej stronie. Otwórz stronę szczegółów rekordu i spróbuj ponownie.",
+    errorNoSharingPage: "Rekordy {object} nie mają strony udostępniania. Udostępnianie jest dostępne tylko dla kont, kontaktów, szans sprzedaży, potencjalnych klientów, zgłoszeń, kampanii, użytkowników i obiektów niestandardowych.",
+    panelTitle: "Udostępnianie",
+    panelClose: "Zamknij",
+    panelLoading: "Ładowanie wierszy udostępniania...",
+    panelNoRows: "Brak pasujących wierszy udostępniania.",
+    panelFilterPlaceholder: "Filtruj według nazwy, typu, dostępu lub przyczyny",
+    panelOpenClassic: "Otwórz stronę udostępniania w Classic",
+    panelColumnName: "Użytkownik lub grupa",
+    panelColumnType: "Typ",
+    panelColumnAccess: "Poziom dostępu",
+    panelColumnReason: "Przyczyna",
+    panelColumnLastModified: "Ostatnia modyfikacja",
+    panelRowCount: "Wyświetlane wiersze udostępniania: {shown} z {total}",
+    panelErrorLoading: "Nie można załadować wierszy udostępniania:",
+    panelErrorUnknownObject: "Nie można określić obiektu tego rekordu. Użyj zamiast tego strony udostępniania w Classic.",
+    panelColumnActions: "Akcje",
+    panelAddShare: "Dodaj udostępnienie",
+    panelWriteActionsDisabled: "Tylko do odczytu: zarządzane przez Twoją firmę",
+    panelChangeAccess: "Zmień dostęp",
+    panelChangeAccessFor: "Zmień dostęp dla {name}:",
+    panelRemove: "Usuń",
+    panelSave: "Zapisz",
+    panelCancel: "Anuluj",
+    panelConfirm: "Potwierdź",
+    panelSearchPlaceholder: "Szukaj według nazwy (co najmniej 2 znaki)",
+    panelSearchNoResults: "Nie znaleziono dopasowań.",
+    panelTargetUser: "Użytkownik",
+    panelTargetRegular: "Grupa publiczna",
+    panelTargetRole: "Rola",
+    panelTargetRoleAndSubordinates: "Rola i podwładni",
+    accessLevelNone: "Prywatny",
+    accessLevelRead: "Tylko do odczytu",
+    accessLevelEdit: "Odczyt/zapis",
+    accessLevelAll: "Pełny dostęp",
+    rowCauseOwner: "Właściciel",
+    rowCauseManual: "Udostępnianie ręczne",
+    rowCauseRule: "Reguła udostępniania",
+    rowCauseImplicitChild: "Właściciel lub udostępnianie powiązanego rekordu",
+    rowCauseImplicitParent: "Powiązany rekord podrzędny",
+    rowCauseImplicitPerson: "Konto osobiste",
+    rowCauseTeam: "Zespół",
+    rowCauseTerritory: "Terytorium",
+    rowCauseTerritoryRule: "Reguła terytorium",
+    rowCauseTerritoryManual: "Terytorium ręczne",
+    rowCauseGuestRule: "Reguła udostępniania dla użytkownika gościa",
+    groupTypeRegular: "Grupa publiczna",
+    groupTypeRole: "Rola",
+    groupTypeRoleAndSubordinates: "Rola i podwładni",
+    groupTypeRoleAndSubordinatesInternal: "Rola i wewnętrzni podwładni",
+    groupTypeQueue: "Kolejka",
+    groupTypeOrganization: "Wszyscy użytkownicy wewnętrzni",
+    groupTypeAllCustomerPortal: "Wszyscy użytkownicy portalu klienta",
+    groupTypeManager: "Menedżer",
+    groupTypeManagerAndSubordinatesInternal: "Menedżer i podwładni",
+    groupTypeTerritory: "Terytorium",
+    groupTypeTerritoryAndSubordinates: "Terytorium i podwładni",
+    panelConfirmAdd: "Udostępnić ten rekord dla {name} z dostępem {access}?",
+    panelConfirmChange: "Zmienić dostęp {name} z {from} na {to}?",
+    panelConfirmRemove: "Usunąć ręczne udostępnienie dla {name}? Dostęp do tego rekordu może zostać utracony.",
+    panelShareAdded: "Dodano udostępnienie.",
+    panelShareUpdated: "Zmieniono dostęp.",
+    panelShareRemoved: "Usunięto udostępnienie.",
+    panelErrorInsufficientAccess: "Nie masz uprawnień do zarządzania udostępnianiem tego rekordu. Mogą to robić tylko właściciel rekordu, użytkownicy powyżej właściciela w hierarchii ról i administratorzy.",
+    panelErrorAccessBelowDefault: "Poziom dostępu musi być szerszy niż domyślne ustawienie obiektu dla całej organizacji.",
+    menuToggleTitle: "Więcej akcji udostępniania",
+    menuExplainAccess: "Wyjaśnij dostęp...",
+    menuExportCsv: "Eksportuj udostępnianie (CSV)",
+    menuExportJson: "Eksportuj udostępnianie (JSON)",
+    exportColumnUserOrGroupId: "Identyfikator użytkownika lub grupy",
+    exportColumnLastModifiedBy: "Ostatnio zmodyfikowane przez",
+    exportError: "Nie można wyeksportować wierszy udostępniania:",
+    exportDone: { one: "Wyeksportowano {count} wiersz udostępniania.", few: "Wyeksportowano {count} wiersze udostępniania.", many: "Wyeksportowano {count} wierszy udostępniania.", other: "Wyeksportowano {count} wiersza udostępniania." },
+    toastDetails: "Szczegóły",
+    toastHideDetails: "Ukryj szczegóły",
+    toastCopyReport: "Kopiuj raport diagnostyczny",
+    toastReportCopied: "Skopiowano raport",
+    toastReportCopyFailed: "Nie można skopiować raportu",
+    diagnosticUrl: "URL",
+    diagnosticPatternsTried: "Wypróbowane wzorce",
+    diagnosticInsertStrategy: "Strategia wstawiania",
+    diagnosticPageType: "Typ strony",
+    diagnosticNone: "brak",
+    debugTitle: "Rozwiązywanie problemów",
+    debugDescription: "Tryb debugowania zapisuje, jak rozszerzenie szuka rekordu i gdzie wstawia przycisk, oraz pokazuje na stronach Salesforce małą nakładkę z jego bieżącym stanem. Włącz go, odtwórz problem, a następnie pobierz dziennik i dołącz go do zgłoszenia błędu.",
+    debugModeLabel: "Tryb debugowania",
+    debugViewLog: "Pokaż dziennik",
+    debugDownloadLog: "Pobierz dziennik",
+    debugClearLog: "Wyczyść dziennik",
+    debugLogEmpty: "Dziennik jest pusty. Włącz tryb debugowania, zapisz i odśwież stronę Salesforce.",
+    explainTitle: "Wyjaśnij dostęp",
+    explainChooseUser: "Wybierz użytkownika, aby zobaczyć, jaki ma dostęp do tego rekordu i dlaczego.",
+    explainLoading: "Sprawdzanie dostępu...",
+    explainError: "Nie można wyjaśnić dostępu:",
+    explainAccessHeading: "Dostęp użytkownika {name}",
+    explainRead: "Odczyt",
+    explainEdit: "Edycja",
+    explainDelete: "Usuwanie",
+    explainTransfer: "Przeniesienie",
+    explainMaxAccess: "Maksymalny dostęp: {level}",
+    explainNoAccessRow: "Salesforce nie zwrócił informacji o dostępie dla tego użytkownika i rekordu.",
+    explainPathsHeading: "Źródła dostępu",
+    explainNoPaths: "Nie znaleziono źródła dostępu. Dostęp może pochodzić z zespołów, terytoriów, niejawnego udostępniania lub publicznego ustawienia domyślnego dla całej organizacji.",
+    explainProfile: "Profil",
+    explainPathPermission: "Uprawnienie {permission} z {source}",
+    explainPathOwner: "Jest właścicielem rekordu",
+    explainPathQueue: "Członek kolejki będącej właścicielem rekordu: {group}",
+    explainPathRoleOwner: "Rola {role} jest powyżej właściciela rekordu, {name}, w hierarchii ról",
+    explainPathShare: "Udostępniono bezpośrednio: {reason}, {access}",
+    explainPathGroup: "Członek {group}, która ma dostęp {access} przez {reason}",
+    explainPathRole: "Rola {role} jest powyżej {name} w hierarchii ról, który ma dostęp {access} przez {reason}",
+    sharingUnavailableTitle: "Udostępnianie nie jest dostępne dla {object}: domyślne ustawienie dla całej organizacji to {internal} (wewnętrzne) / {external} (zewnętrzne), więc nie ma obiektu udostępniania {object}.",
+    sharingModelPrivate: "Prywatny",
+    sharingModelRead: "Publiczny tylko do odczytu",
+    sharingModelReadWrite: "Publiczny odczyt/zapis",
+    sharingModelReadWriteTransfer: "Publiczny odczyt/zapis/przeniesienie",
+    sharingModelFullAccess: "Publiczny pełny dostęp",
+    sharingModelControlledByParent: "Kontrolowany przez rekord nadrzędny",
+    sharingModelControlledByCampaign: "Kontrolowany przez kampanię",
+    sharingModelControlledByLeadOrContact: "Kontrolowany przez potencjalnego klienta lub kontakt",
+    floatingDragTitle: "Przeciągnij, aby przenieść przycisk Udostępnianie",
+    contextMenuOpenSharing: "Otwórz udostępnianie",
+    listRowIconTitle: "Otwórz udostępnianie tego rekordu",
+    listBulkRegionLabel: "Udostępnianie zaznaczonych",
+    listBulkTitle: { one: "Zaznaczono {count}", few: "Zaznaczono {count}", many: "Zaznaczono {count}", other: "Zaznaczono {count}" },
+    listBulkOpenTabs: "Otwórz karty udostępniania",
+    listBulkCombinedTable: "Połączona tabela udostępniania",
+    listBulkOpened: "Otwarto {opened} z {selected} zaznaczonych (maksymalnie {limit} naraz).",
+    listCombinedTitle: "Udostępnianie zaznaczonych rekordów",
+    listCombinedProgress: "Ładowanie {done} z {total} rekordów...",
+    listCombinedDone: { one: "{count} wiersz udostępniania dla rekordów: {total}", few: "{count} wiersze udostępniania dla rekordów: {total}", many: "{count} wierszy udostępniania dla rekordów: {total}", other: "{count} wiersza udostępniania dla rekordów: {total}" },
+    listColumnRecord: "Rekord",
+    listColumnObject: "Obiekt",
+    errorNoRecordIdInLink: "Nie znaleziono identyfikatora rekordu w tym linku.",
+    errorOpenSharingFailed: "Nie można otworzyć strony udostępniania. Załaduj stronę ponownie i spróbuj jeszcze raz.",
+    popupRecordId15: "Identyfikator rekordu (15)",
+    popupRecordId18: "Identyfikator rekordu (18)",
+    popupObject: "Obiekt",
+    popupObjectUnknown: "Nieznany",
+    popupPageType: "Typ strony",
+    popupPageTypeLightning: "Lightning",
+    popupPageTypeConsole: "Konsola Lightning",
+    popupPageTypeClassic: "Classic",
+    popupPageTypeVisualforce: "Visualforce",
+    popupPageTypeSetup: "Konfiguracja",
+    popupPageTypeExperience: "Witryna Experience Cloud",
+    popupDetectedBy: "Wykryto przez",
+    popupCopyId: "Kopiuj",
+    popupCopied: "Skopiowano!",
+    popupOpenSharing: "Otwórz udostępnianie",
+    popupOpenInClassic: "Otwórz w Classic",
+    popupOpenInLightning: "Otwórz w Lightning",
+    popupOpenInSetup: "Otwórz obiekt w Konfiguracji",
+    popupStatusInserted: "Przycisk Udostępnianie jest na stronie.",
+    popupStatusFloating: "Przycisk Udostępnianie jest wyświetlany jako pływający, ponieważ nie znaleziono jego miejsca na tej stronie.",
+    popupStatusPending: "Przycisk Udostępnianie nie został jeszcze wstawiony.",
+    popupStatusNotRecordPage: "Przycisk Udostępnianie jest wyświetlany tylko na stronach rekordów.",
+    popupStatusObjectFiltered: "Przycisk Udostępnianie jest ukryty dla tego obiektu przez filtr obiektów na stronie opcji.",
+    popupStatusOrgDisabled: "Przycisk Udostępnianie jest wyłączony dla tej organizacji przez jej profil lub przez Twoją firmę.",
+    popupOrg: "Organizacja",
+    popupOrgNoProfile: "Brak profilu dla tej organizacji",
+    popupCreateProfile: "Utwórz profil",
+    popupNotSalesforce: "Otwórz rekord Salesforce, aby użyć tego rozszerzenia.",
+    popupReloadPage: "Rozszerzenie nie ma dostępu do tej strony. Odśwież ją i spróbuj ponownie.",
     settingsSubtitle: "Ustawienia",
     languageSettingsTitle: "Ustawienia języka",
-    languageSettingsDescription: "Wybierz preferowany język dla interfejsu rozszerzenia. Możesz użyć domyślnego języka przeglądarki lub wybrać konkretny język.",
+    languageSettingsDescription: "Wybierz preferowany język dla interfejsu rozszerzenia. Możesz użyć domyślnego języka przeglądarki, wybrać konkretny język lub używać języka swojego użytkownika Salesforce.",
     languageModeLabel: "Tryb języka:",
     languageModeAuto: "Użyj języka przeglądarki (zalecane)",
     languageModeManual: "Wybierz konkretny język",
+    languageModeSalesforce: "Użyj mojego języka Salesforce",
+    salesforceLanguageText: "Twój język Salesforce:",
     languageSelectLabel: "Wybierz język:",
     browserLanguageText: "Język przeglądarki:",
+    openSettingsTitle: "Otwieranie strony udostępniania",
+    openSettingsDescription: "Wybierz, jak otwiera się strona udostępniania Classic. Ctrl/Cmd-kliknięcie, Shift-kliknięcie i kliknięcie środkowym przyciskiem zawsze działają zgodnie z konwencjami przeglądarki.",
+    openModeLabel: "Tryb otwierania:",
+    openModeForeground: "Nowa karta",
+    openModeBackground: "Karta w tle obok bieżącej",
+    openModeReuse: "Używaj jednej karty udostępniania",
+    openModePopup: "Okno wyskakujące",
+    openModeSameTab: "Ta sama karta",
+    popupWidthLabel: "Szerokość (px):",
+    popupHeightLabel: "Wysokość (px):",
+    placementSettingsTitle: "Położenie przycisku",
+    placementSettingsDescription: "Wybierz, gdzie ma się pojawiać przycisk Udostępnianie. Jeśli wybranego miejsca nie ma na stronie, przycisk trafia do miejsca domyślnego, a następnie staje się przyciskiem pływającym. Przycisk pływający można przeciągać za uchwyt i pozostaje tam, gdzie go upuścisz, w każdej domenie Salesforce.",
+    placementLabel: "Położenie:",
+    placementAuto: "Domyślne dla strony",
+    placementGlobalHeader: "Nagłówek globalny (Lightning)",
+    placementHighlightsPanel: "Akcje panelu wyróżnień rekordu (Lightning)",
+    placementClassicButtons: "Wiersz przycisków strony szczegółów (Classic)",
+    placementFloating: "Przycisk pływający",
+    listSettingsTitle: "Widoki list",
+    listSettingsDescription: "Wiersze widoków list i list pokrewnych otrzymują ikonę udostępniania. „Udostępnianie zaznaczonych” otwiera strony udostępniania zaznaczonych wierszy w kartach w tle, maksymalnie tyle kart naraz.",
+    bulkOpenLimitLabel: "Maksymalna liczba otwieranych kart:",
+    objectFilterTitle: "Obiekty",
+    objectFilterDescription: "Wybierz obiekty, których rekordy pokazują przycisk Udostępnianie. Wpisz nazwy API obiektów (np. Invoice__c) lub 3-znakowe prefiksy kluczy (np. a0p) albo wybierz obiekty z organizacji otwartej karty Salesforce.",
+    objectFilterModeLabel: "Pokazuj przycisk dla:",
+    objectFilterModeAll: "Wszystkich obiektów",
+    objectFilterModeAllow: "Tylko wymienionych obiektów",
+    objectFilterModeDeny: "Wszystkich obiektów oprócz wymienionych",
+    objectFilterSearchPlaceholder: "Wyszukaj obiekty lub wpisz nazwę API lub prefiks klucza, a następnie naciśnij Enter",
+    objectFilterFromOrg: "Obiekty {host}",
+    objectFilterNoOrg: "Otwórz kartę Salesforce, aby wybrać obiekty z jej organizacji.",
+    objectFilterLoadError: "Nie można załadować obiektów organizacji.",
+    objectFilterRemove: "Usuń",
+    orgProfilesTitle: "Profile organizacji",
+    orgProfilesDescription: "Nadaj organizacji własne ustawienia, przypisane do jej identyfikatora (00D...) lub nazwy Moja domena (np. acme lub acme--uat). Etykieta organizacji, np. PROD, może być wyświetlana na przycisku jako kolorowa plakietka lub obramowanie, dzięki czemu zawsze wiesz, w której organizacji jesteś.",
+    orgProfileKeyPlaceholder: "Identyfikator organizacji lub nazwa Moja domena",
+    orgProfileAdd: "Dodaj profil",
+    orgProfileCreate: "Utwórz profil",
+    orgProfileDelete: "Usuń profil",
+    orgProfileDetectedTitle: "Odwiedzone organizacje, które nie mają jeszcze profilu:",
+    orgProfileNoneDetected: "Brak",
+    orgProfileLabel: "Etykieta:",
+    orgProfileColor: "Kolor:",
+    orgProfileBadgeStyle: "Pokazuj etykietę jako:",
+    orgProfileBadgeStyleBadge: "Plakietka na przycisku",
+    orgProfileBadgeStyleBorder: "Kolorowe obramowanie",
+    orgProfileBadgeStyleNone: "Nic",
+    orgProfileEnabled: "Pokazuj przycisk Udostępnianie w tej organizacji",
+    orgProfileObjects: "Wymienione obiekty (oddzielone przecinkami):",
+    managedByOrganization: "Zarządzane przez Twoją firmę",
+    customDomainsTitle: "Domeny niestandardowe",
+    customDomainsDescription: "Przycisk działa w domenach należących do Salesforce. Dodaj domeny niestandardowe używane przez Twoje organizacje lub witryny Experience Cloud, np. sf.acme.com lub *.acme.com dla wszystkich jej subdomen, i wskaż, jakiego rodzaju strony obsługują. Chrome poprosi o zezwolenie na dostęp do każdej domeny; następnie odśwież jej otwarte karty.",
+    customDomainPlaceholder: "sf.acme.com lub *.acme.com",
+    customDomainAdd: "Dodaj domenę",
+    customDomainRemove: "Usuń",
+    customDomainGrant: "Zezwól na dostęp",
+    customDomainGranted: "Dostęp dozwolony",
+    customDomainNotGranted: "Brak dostępu",
+    customDomainInvalid: "„{host}” nie jest nazwą domeny.",
+    experienceSitesDescription: "Witryny Experience Cloud (*.my.site.com, *.my.salesforce-sites.com) udostępniają też strony publiczne, dlatego przycisk działa na nich dopiero po zezwoleniu na dostęp.",
+    experienceSitesRevoke: "Usuń dostęp",
+    hostKindLightning: "Lightning",
+    hostKindClassic: "Classic",
+    hostKindVisualforce: "Visualforce",
+    hostKindSetup: "Konfiguracja",
+    hostKindExperience: "Witryna Experience Cloud",
+    transferTitle: "Import i eksport",
+    transferDescription: "Wyeksportuj ustawienia, w tym profile organizacji, do pliku, który współpracownicy mogą zaimportować, aby uzyskać tę samą konfigurację. Zaimportowane ustawienia są sprawdzane i wyświetlane w podglądzie przed zastosowaniem.",
+    exportSettingsButton: "Eksportuj ustawienia",
+    importSettingsButton: "Importuj ustawienia",
+    importPreviewTitle: { one: "{file} zmienia {count} ustawienie:", few: "{file} zmienia {count} ustawienia:", many: "{file} zmienia {count} ustawień:", other: "{file} zmienia {count} ustawienia:" },
+    importNoChanges: "{file} odpowiada bieżącym ustawieniom.",
+    importIgnored: "Pominięto nieznane ustawienia: {settings}.",
+    importColumnSetting: "Ustawienie",
+    importColumnCurrent: "Bieżące",
+    importColumnImported: "Zaimportowane",
+    importLockedNotApplied: "Zarządzane przez Twoją firmę, nie zastosowano",
+    importApply: "Zastosuj",
+    importCancel: "Anuluj",
+    importInvalid: "Nie można zaimportować tego pliku:",
+    importSuccess: "Ustawienia zostały zaimportowane!",
+    managedAllowedOrgs: "Twoja firma ogranicza przycisk Udostępnianie do tych organizacji: {orgs}",
     saveButtonText: "Zapisz ustawienia",
     saveSuccessMessage: "Ustawienia zostały pomyślnie zapisane!",
     saveErrorMessage: "Błąd podczas zapisywania ustawień. Spróbuj ponownie."
@@ -315,15 +4761,262 @@ const translations = {
     langEnglishName: "Türkçe (Turkish)",
     buttonText: "Paylaşım",
     buttonTitle: "Bu kayıt için paylaşım ayrıntılarını aç",
+    buttonTargetTitle: "Kayıt: {record}",
     errorNoRecordId: "Bu sayfada kayıt ID'si tespit edilemedi. Bir kayıt ayrıntı sayfası açın ve tekrar deneyin.",
+    errorNoSharingPage: "{object} kayıtlarının paylaşım sayfası yok. Paylaşım yalnızca hesaplar, kişiler, fırsatlar, potansiyel müşteriler, vakalar, kampanyalar, kullanıcılar ve özel nesneler için kullanılabilir.",
+    panelTitle: "Paylaşım",
+    panelClose: "Kapat",
+    panelLoading: "Paylaşım satırları yükleniyor...",
+    panelNoRows: "Eşleşen paylaşım satırı yok.",
+    panelFilterPlaceholder: "Ada, türe, erişime veya nedene göre filtrele",
+    panelOpenClassic: "Classic paylaşım sayfasını aç",
+    panelColumnName: "Kullanıcı veya Grup",
+    panelColumnType: "Tür",
+    panelColumnAccess: "Erişim Düzeyi",
+    panelColumnReason: "Neden",
+    panelColumnLastModified: "Son Değişiklik",
+    panelRowCount: "{total} paylaşım satırından {shown} tanesi gösteriliyor",
+    panelErrorLoading: "Paylaşım satırları yüklenemedi:",
+    panelErrorUnknownObject: "Bu kaydın nesnesi belirlenemedi. Bunun yerine Classic paylaşım sayfasını kullanın.",
+    panelColumnActions: "Eylemler",
+    panelAddShare: "Paylaşım ekle",
+    panelWriteActionsDisabled: "Salt okunur: şirketiniz tarafından yönetiliyor",
+    panelChangeAccess: "Erişimi değiştir",
+    panelChangeAccessFor: "{name} için erişimi değiştir:",
+    panelRemove: "Kaldır",
+    panelSave: "Kaydet",
+    panelCancel: "İptal",
+    panelConfirm: "Onayla",
+    panelSearchPlaceholder: "Ada göre ara (en az 2 karakter)",
+    panelSearchNoResults: "Eşleşme bulunamadı.",
+    panelTargetUser: "Kullanıcı",
+    panelTargetRegular: "Genel Grup",
+    panelTargetRole: "Rol",
+    panelTargetRoleAndSubordinates: "Rol ve Astlar",
+    accessLevelNone: "Özel",
+    accessLevelRead: "Salt okunur",
+    accessLevelEdit: "Okuma/yazma",
+    accessLevelAll: "Tam erişim",
+    rowCauseOwner: "Sahip",
+    rowCauseManual: "El ile paylaşım",
+    rowCauseRule: "Paylaşım kuralı",
+    rowCauseImplicitChild: "İlişkili kayıt sahibi veya paylaşımı",
+    rowCauseImplicitParent: "İlişkili alt kayıt",
+    rowCauseImplicitPerson: "Kişi hesabı",
+    rowCauseTeam: "Ekip",
+    rowCauseTerritory: "Bölge",
+    rowCauseTerritoryRule: "Bölge kuralı",
+    rowCauseTerritoryManual: "El ile bölge",
+    rowCauseGuestRule: "Misafir kullanıcı paylaşım kuralı",
+    groupTypeRegular: "Herkese açık grup",
+    groupTypeRole: "Rol",
+    groupTypeRoleAndSubordinates: "Rol ve astlar",
+    groupTypeRoleAndSubordinatesInternal: "Rol ve dahili astlar",
+    groupTypeQueue: "Kuyruk",
+    groupTypeOrganization: "Tüm dahili kullanıcılar",
+    groupTypeAllCustomerPortal: "Tüm müşteri portalı kullanıcıları",
+    groupTypeManager: "Yönetici",
+    groupTypeManagerAndSubordinatesInternal: "Yönetici ve astlar",
+    groupTypeTerritory: "Bölge",
+    groupTypeTerritoryAndSubordinates: "Bölge ve astlar",
+    panelConfirmAdd: "Bu kayıt {name} ile {access} erişimiyle paylaşılsın mı?",
+    panelConfirmChange: "{name} erişimi {from} yerine {to} olarak değiştirilsin mi?",
+    panelConfirmRemove: "{name} için manuel paylaşım kaldırılsın mı? Bu kayda erişimini kaybedebilir.",
+    panelShareAdded: "Paylaşım eklendi.",
+    panelShareUpdated: "Erişim değiştirildi.",
+    panelShareRemoved: "Paylaşım kaldırıldı.",
+    panelErrorInsufficientAccess: "Bu kaydın paylaşımını yönetme izniniz yok. Bunu yalnızca kayıt sahibi, rol hiyerarşisinde sahibin üstündeki kullanıcılar ve yöneticiler yapabilir.",
+    panelErrorAccessBelowDefault: "Erişim düzeyi, nesnenin kuruluş genelindeki varsayılanından daha geniş olmalıdır.",
+    menuToggleTitle: "Diğer paylaşım eylemleri",
+    menuExplainAccess: "Erişimi açıkla...",
+    menuExportCsv: "Paylaşımı dışa aktar (CSV)",
+    menuExportJson: "Paylaşımı dışa aktar (JSON)",
+    exportColumnUserOrGroupId: "Kullanıcı veya Grup Kimliği",
+    exportColumnLastModifiedBy: "Son Değiştiren",
+    exportError: "Paylaşım satırları dışa aktarılamadı:",
+    exportDone: { one: "{count} paylaşım satırı dışa aktarıldı.", other: "{count} paylaşım satırı dışa aktarıldı." },
+    toastDetails: "Ayrıntılar",
+    toastHideDetails: "Ayrıntıları gizle",
+    toastCopyReport: "Tanılama raporunu kopyala",
+    toastReportCopied: "Rapor kopyalandı",
+    toastReportCopyFailed: "Rapor kopyalanamadı",
+    diagnosticUrl: "URL",
+    diagnosticPatternsTried: "Denenen kalıplar",
+    diagnosticInsertStrategy: "Ekleme stratejisi",
+    diagnosticPageType: "Sayfa türü",
+    diagnosticNone: "yok",
+    debugTitle: "Sorun Giderme",
+    debugDescription: "Hata ayıklama modu, uzantının kaydı nasıl aradığını ve düğmeyi nereye eklediğini günlüğe kaydeder ve Salesforce sayfalarında mevcut durumunu gösteren küçük bir katman görüntüler. Açın, sorunu yeniden oluşturun, ardından günlüğü indirip hata raporunuza ekleyin.",
+    debugModeLabel: "Hata ayıklama modu",
+    debugViewLog: "Günlüğü görüntüle",
+    debugDownloadLog: "Günlüğü indir",
+    debugClearLog: "Günlüğü temizle",
+    debugLogEmpty: "Günlük boş. Hata ayıklama modunu açın, kaydedin ve bir Salesforce sayfasını yeniden yükleyin.",
+    explainTitle: "Erişimi açıkla",
+    explainChooseUser: "Bu kayda hangi erişime sahip olduğunu ve nedenini görmek için bir kullanıcı seçin.",
+    explainLoading: "Erişim denetleniyor...",
+    explainError: "Erişim açıklanamadı:",
+    explainAccessHeading: "{name} erişimi",
+    explainRead: "Okuma",
+    explainEdit: "Düzenleme",
+    explainDelete: "Silme",
+    explainTransfer: "Aktarma",
+    explainMaxAccess: "En yüksek erişim: {level}",
+    explainNoAccessRow: "Salesforce bu kullanıcı ve kayıt için erişim bilgisi döndürmedi.",
+    explainPathsHeading: "Erişim kaynakları",
+    explainNoPaths: "Erişim kaynağı bulunamadı. Erişim ekiplerden, bölgelerden, örtük paylaşımdan veya genel bir kuruluş geneli varsayılandan gelebilir.",
+    explainProfile: "Profil",
+    explainPathPermission: "{source} kaynağından {permission} izni",
+    explainPathOwner: "Kaydın sahibi",
+    explainPathQueue: "Kaydın sahibi olan kuyruğun üyesi: {group}",
+    explainPathRoleOwner: "{role} rolü, rol hiyerarşisinde kayıt sahibi {name} üzerinde",
+    explainPathShare: "Doğrudan paylaşıldı: {reason}, {access}",
+    explainPathGroup: "{reason} aracılığıyla {access} erişimi olan {group} üyesi",
+    explainPathRole: "{role} rolü, rol hiyerarşisinde {reason} aracılığıyla {access} erişimi olan {name} üzerinde",
+    sharingUnavailableTitle: "{object} için paylaşım kullanılamıyor: kuruluş genelindeki varsayılanı {internal} (dahili) / {external} (harici) olduğundan {object} paylaşım nesnesi yok.",
+    sharingModelPrivate: "Özel",
+    sharingModelRead: "Herkese açık salt okunur",
+    sharingModelReadWrite: "Herkese açık okuma/yazma",
+    sharingModelReadWriteTransfer: "Herkese açık okuma/yazma/aktarma",
+    sharingModelFullAccess: "Herkese açık tam erişim",
+    sharingModelControlledByParent: "Üst öğe tarafından denetlenir",
+    sharingModelControlledByCampaign: "Kampanya tarafından denetlenir",
+    sharingModelControlledByLeadOrContact: "Potansiyel müşteri veya kişi tarafından denetlenir",
+    floatingDragTitle: "Paylaşım düğmesini taşımak için sürükleyin",
+    contextMenuOpenSharing: "Paylaşımı aç",
+    listRowIconTitle: "Bu kaydın paylaşımını aç",
+    listBulkRegionLabel: "Seçilenlerin paylaşımı",
+    listBulkTitle: { one: "{count} seçili", other: "{count} seçili" },
+    listBulkOpenTabs: "Paylaşım sekmelerini aç",
+    listBulkCombinedTable: "Birleşik paylaşım tablosu",
+    listBulkOpened: "Seçilen {selected} kayıttan {opened} tanesi açıldı (aynı anda en fazla {limit}).",
+    listCombinedTitle: "Seçili Kayıtların Paylaşımı",
+    listCombinedProgress: "{total} kayıttan {done} tanesi yükleniyor...",
+    listCombinedDone: { one: "{total} kayıt için {count} paylaşım satırı", other: "{total} kayıt için {count} paylaşım satırı" },
+    listColumnRecord: "Kayıt",
+    listColumnObject: "Nesne",
+    errorNoRecordIdInLink: "Bu bağlantıda Kayıt Kimliği bulunamadı.",
+    errorOpenSharingFailed: "Paylaşım sayfası açılamadı. Sayfayı yeniden yükleyip tekrar deneyin.",
+    popupRecordId15: "Kayıt Kimliği (15)",
+    popupRecordId18: "Kayıt Kimliği (18)",
+    popupObject: "Nesne",
+    popupObjectUnknown: "Bilinmiyor",
+    popupPageType: "Sayfa türü",
+    popupPageTypeLightning: "Lightning",
+    popupPageTypeConsole: "Lightning konsolu",
+    popupPageTypeClassic: "Classic",
+    popupPageTypeVisualforce: "Visualforce",
+    popupPageTypeSetup: "Kurulum",
+    popupPageTypeExperience: "Experience Cloud sitesi",
+    popupDetectedBy: "Algılama yöntemi",
+    popupCopyId: "Kopyala",
+    popupCopied: "Kopyalandı!",
+    popupOpenSharing: "Paylaşımı aç",
+    popupOpenInClassic: "Classic'te aç",
+    popupOpenInLightning: "Lightning'de aç",
+    popupOpenInSetup: "Nesneyi Kurulum'da aç",
+    popupStatusInserted: "Paylaşım düğmesi sayfada.",
+    popupStatusFloating: "Paylaşım düğmesinin yeri bu sayfada bulunamadığı için kayan düğme olarak gösteriliyor.",
+    popupStatusPending: "Paylaşım düğmesi henüz eklenmedi.",
+    popupStatusNotRecordPage: "Paylaşım düğmesi yalnızca kayıt sayfalarında gösterilir.",
+    popupStatusObjectFiltered: "Paylaşım düğmesi, seçenekler sayfasındaki nesne filtresi tarafından bu nesnede gizlendi.",
+    popupStatusOrgDisabled: "Paylaşım düğmesi bu kuruluş için profili veya şirketiniz tarafından kapatıldı.",
+    popupOrg: "Kuruluş",
+    popupOrgNoProfile: "Bu kuruluş için profil yok",
+    popupCreateProfile: "Profil oluştur",
+    popupNotSalesforce: "Bu uzantıyı kullanmak için bir Salesforce kaydı açın.",
+    popupReloadPage: "Uzantı bu sayfaya erişemiyor. Sayfayı yeniden yükleyip tekrar deneyin.",
     settingsSubtitle: "Ayarlar",
     languageSettingsTitle: "Dil Ayarları",
-    languageSettingsDescription: "Uzantı arayüzü için tercih ettiğiniz dili seçin. Tarayıcınızın varsayılan dilini kullanabilir veya belirli bir dil seçebilirsiniz.",
+    languageSettingsDescription: "Uzantı arayüzü için tercih ettiğiniz dili seçin. Tarayıcınızın varsayılan dilini kullanabilir, belirli bir dil seçebilir veya Salesforce kullanıcınızın dilini izleyebilirsiniz.",
     languageModeLabel: "Dil Modu:",
     languageModeAuto: "Tarayıcı dilini kullan (önerilen)",
     languageModeManual: "Belirli dil seç",
+    languageModeSalesforce: "Salesforce dilimi kullan",
+    salesforceLanguageText: "Salesforce diliniz:",
     languageSelectLabel: "Dil Seç:",
     browserLanguageText: "Tarayıcınızın dili:",
+    openSettingsTitle: "Paylaşım Sayfasını Açma",
+    openSettingsDescription: "Classic paylaşım sayfasının nasıl açılacağını seçin. Düğmeye Ctrl/Cmd-tıklama, Shift-tıklama ve orta tıklama her zaman tarayıcınızın kurallarına uyar.",
+    openModeLabel: "Açma Modu:",
+    openModeForeground: "Yeni sekme",
+    openModeBackground: "Geçerli sekmenin yanında arka plan sekmesi",
+    openModeReuse: "Tek bir paylaşım sekmesini yeniden kullan",
+    openModePopup: "Açılır pencere",
+    openModeSameTab: "Aynı sekme",
+    popupWidthLabel: "Genişlik (px):",
+    popupHeightLabel: "Yükseklik (px):",
+    placementSettingsTitle: "Düğme Konumu",
+    placementSettingsDescription: "Paylaşım düğmesinin nerede görüneceğini seçin. Seçilen yer sayfada yoksa düğme önce varsayılan yere, sonra kayan bir düğmeye geçer. Kayan düğme tutamacından sürüklenebilir ve her Salesforce alan adında bıraktığınız yerde kalır.",
+    placementLabel: "Konum:",
+    placementAuto: "Sayfa için varsayılan",
+    placementGlobalHeader: "Genel başlık (Lightning)",
+    placementHighlightsPanel: "Kayıt vurgular paneli eylemleri (Lightning)",
+    placementClassicButtons: "Ayrıntı sayfası düğme satırı (Classic)",
+    placementFloating: "Kayan düğme",
+    listSettingsTitle: "Liste Görünümleri",
+    listSettingsDescription: "Liste görünümlerinin ve ilgili listelerin satırlarına bir paylaşım simgesi eklenir. \"Seçilenlerin paylaşımı\", seçili satırların paylaşım sayfalarını arka plan sekmelerinde, aynı anda en fazla bu sayıda sekme olacak şekilde açar.",
+    bulkOpenLimitLabel: "Açılacak en fazla sekme:",
+    objectFilterTitle: "Nesneler",
+    objectFilterDescription: "Kayıtlarında Paylaşım düğmesinin gösterileceği nesneleri seçin. Nesne API adlarını (ör. Invoice__c) veya 3 karakterlik anahtar öneklerini (ör. a0p) girin ya da açık bir Salesforce sekmesinin kuruluşundan nesne seçin.",
+    objectFilterModeLabel: "Düğmeyi şurada göster:",
+    objectFilterModeAll: "Tüm nesneler",
+    objectFilterModeAllow: "Yalnızca listelenen nesneler",
+    objectFilterModeDeny: "Listelenenler dışındaki tüm nesneler",
+    objectFilterSearchPlaceholder: "Nesne arayın veya bir API adı ya da anahtar öneki yazıp Enter'a basın",
+    objectFilterFromOrg: "{host} nesneleri",
+    objectFilterNoOrg: "Kuruluşundan nesne seçmek için bir Salesforce sekmesi açın.",
+    objectFilterLoadError: "Kuruluşun nesneleri yüklenemedi.",
+    objectFilterRemove: "Kaldır",
+    orgProfilesTitle: "Kuruluş Profilleri",
+    orgProfilesDescription: "Bir kuruluşa, kuruluş kimliği (00D...) veya Etki Alanım adıyla (ör. acme veya acme--uat) eşleşen kendi ayarlarını verin. PROD gibi bir kuruluş etiketi düğmede renkli bir rozet veya kenarlık olarak gösterilebilir; böylece hangi kuruluşta olduğunuzu her zaman bilirsiniz.",
+    orgProfileKeyPlaceholder: "Kuruluş kimliği veya Etki Alanım adı",
+    orgProfileAdd: "Profil ekle",
+    orgProfileCreate: "Profil oluştur",
+    orgProfileDelete: "Profili sil",
+    orgProfileDetectedTitle: "Ziyaret ettiğiniz ve henüz profili olmayan kuruluşlar:",
+    orgProfileNoneDetected: "Yok",
+    orgProfileLabel: "Etiket:",
+    orgProfileColor: "Renk:",
+    orgProfileBadgeStyle: "Etiketi şöyle göster:",
+    orgProfileBadgeStyleBadge: "Düğmede rozet",
+    orgProfileBadgeStyleBorder: "Renkli kenarlık",
+    orgProfileBadgeStyleNone: "Hiçbir şey",
+    orgProfileEnabled: "Bu kuruluşta Paylaşım düğmesini göster",
+    orgProfileObjects: "Listelenen nesneler (virgülle ayrılmış):",
+    managedByOrganization: "Şirketiniz tarafından yönetiliyor",
+    customDomainsTitle: "Özel Alan Adları",
+    customDomainsDescription: "Düğme, Salesforce'un kendi alan adlarında çalışır. Kuruluşlarınızın veya Experience Cloud sitelerinizin kullandığı özel alan adlarını ekleyin (ör. sf.acme.com veya tüm alt alan adları için *.acme.com) ve hangi tür sayfaları sunduklarını belirtin. Chrome her alan adına erişim izni vermenizi ister; ardından açık sekmelerini yeniden yükleyin.",
+    customDomainPlaceholder: "sf.acme.com veya *.acme.com",
+    customDomainAdd: "Alan adı ekle",
+    customDomainRemove: "Kaldır",
+    customDomainGrant: "Erişime izin ver",
+    customDomainGranted: "Erişime izin verildi",
+    customDomainNotGranted: "Erişim yok",
+    customDomainInvalid: "\"{host}\" bir alan adı değil.",
+    experienceSitesDescription: "Experience Cloud siteleri (*.my.site.com, *.my.salesforce-sites.com) herkese açık sayfalar da sunduğundan düğme bu sitelerde yalnızca erişime izin verdiğinizde çalışır.",
+    experienceSitesRevoke: "Erişimi kaldır",
+    hostKindLightning: "Lightning",
+    hostKindClassic: "Classic",
+    hostKindVisualforce: "Visualforce",
+    hostKindSetup: "Kurulum",
+    hostKindExperience: "Experience Cloud sitesi",
+    transferTitle: "İçe ve Dışa Aktarma",
+    transferDescription: "Kuruluş profilleri dahil ayarlarınızı, ekip arkadaşlarınızın aynı yapılandırmayı almak için içe aktarabileceği bir dosyaya aktarın. İçe aktarılan ayarlar uygulanmadan önce denetlenir ve önizlenir.",
+    exportSettingsButton: "Ayarları dışa aktar",
+    importSettingsButton: "Ayarları içe aktar",
+    importPreviewTitle: { one: "{file} {count} ayarı değiştiriyor:", other: "{file} {count} ayarı değiştiriyor:" },
+    importNoChanges: "{file} mevcut ayarlarınızla aynı.",
+    importIgnored: "Bilinmeyen ayarlar dışarıda bırakıldı: {settings}.",
+    importColumnSetting: "Ayar",
+    importColumnCurrent: "Mevcut",
+    importColumnImported: "İçe aktarılan",
+    importLockedNotApplied: "Şirketiniz tarafından yönetiliyor, uygulanmadı",
+    importApply: "Uygula",
+    importCancel: "İptal",
+    importInvalid: "Bu dosya içe aktarılamıyor:",
+    importSuccess: "Ayarlar başarıyla içe aktarıldı!",
+    managedAllowedOrgs: "Şirketiniz Paylaşım düğmesini şu kuruluşlarla sınırlıyor: {orgs}",
     saveButtonText: "Ayarları Kaydet",
     saveSuccessMessage: "Ayarlar başarıyla kaydedildi!",
     saveErrorMessage: "Ayarları kaydetme hatası. Lütfen tekrar deneyin."
@@ -332,15 +5025,262 @@ const translations = {
     langEnglishName: "עברית (Hebrew)",
     buttonText: "שיתוף",
     buttonTitle: "פתח פרטי שיתוף עבור רשומה זו",
+    buttonTargetTitle: "רשומה: {record}",
     errorNoRecordId: "לא ניתן לזהות מזהה רשומה בדף זה. פתח דף פרטי רשומה ונסה שוב.",
+    errorNoSharingPage: "לרשומות {object} אין דף שיתוף. שיתוף זמין רק עבור חשבונות, אנשי קשר, הזדמנויות, לידים, פניות, קמפיינים, משתמשים ואובייקטים מותאמים אישית.",
+    panelTitle: "שיתוף",
+    panelClose: "סגור",
+    panelLoading: "טוען שורות שיתוף...",
+    panelNoRows: "אין שורות שיתוף תואמות.",
+    panelFilterPlaceholder: "סנן לפי שם, סוג, גישה או סיבה",
+    panelOpenClassic: "פתח את דף השיתוף ב-Classic",
+    panelColumnName: "משתמש או קבוצה",
+    panelColumnType: "סוג",
+    panelColumnAccess: "רמת גישה",
+    panelColumnReason: "סיבה",
+    panelColumnLastModified: "שינוי אחרון",
+    panelRowCount: "מוצגות {shown} מתוך {total} שורות שיתוף",
+    panelErrorLoading: "לא ניתן לטעון את שורות השיתוף:",
+    panelErrorUnknownObject: "לא ניתן לקבוע את האובייקט של רשומה זו. השתמש בדף השיתוף ב-Classic במקום זאת.",
+    panelColumnActions: "פעולות",
+    panelAddShare: "הוסף שיתוף",
+    panelWriteActionsDisabled: "קריאה בלבד: מנוהל על ידי החברה שלך",
+    panelChangeAccess: "שנה גישה",
+    panelChangeAccessFor: "שנה את הגישה של {name}:",
+    panelRemove: "הסר",
+    panelSave: "שמור",
+    panelCancel: "ביטול",
+    panelConfirm: "אישור",
+    panelSearchPlaceholder: "חפש לפי שם (2 תווים לפחות)",
+    panelSearchNoResults: "לא נמצאו התאמות.",
+    panelTargetUser: "משתמש",
+    panelTargetRegular: "קבוצה ציבורית",
+    panelTargetRole: "תפקיד",
+    panelTargetRoleAndSubordinates: "תפקיד וכפופים",
+    accessLevelNone: "פרטי",
+    accessLevelRead: "קריאה בלבד",
+    accessLevelEdit: "קריאה/כתיבה",
+    accessLevelAll: "גישה מלאה",
+    rowCauseOwner: "בעלים",
+    rowCauseManual: "שיתוף ידני",
+    rowCauseRule: "כלל שיתוף",
+    rowCauseImplicitChild: "הבעלים או השיתוף של הרשומה המשויכת",
+    rowCauseImplicitParent: "רשומת צאצא משויכת",
+    rowCauseImplicitPerson: "חשבון אישי",
+    rowCauseTeam: "צוות",
+    rowCauseTerritory: "טריטוריה",
+    rowCauseTerritoryRule: "כלל טריטוריה",
+    rowCauseTerritoryManual: "טריטוריה ידנית",
+    rowCauseGuestRule: "כלל שיתוף למשתמש אורח",
+    groupTypeRegular: "קבוצה ציבורית",
+    groupTypeRole: "תפקיד",
+    groupTypeRoleAndSubordinates: "תפקיד וכפיפים",
+    groupTypeRoleAndSubordinatesInternal: "תפקיד וכפיפים פנימיים",
+    groupTypeQueue: "תור",
+    groupTypeOrganization: "כל המשתמשים הפנימיים",
+    groupTypeAllCustomerPortal: "כל משתמשי פורטל הלקוחות",
+    groupTypeManager: "מנהל",
+    groupTypeManagerAndSubordinatesInternal: "מנהל וכפיפים",
+    groupTypeTerritory: "טריטוריה",
+    groupTypeTerritoryAndSubordinates: "טריטוריה וכפיפים",
+    panelConfirmAdd: "לשתף רשומה זו עם {name} עם גישת {access}?",
+    panelConfirmChange: "לשנות את הגישה של {name} מ-{from} ל-{to}?",
+    panelConfirmRemove: "להסיר את השיתוף הידני של {name}? ייתכן שהגישה לרשומה זו תאבד.",
+    panelShareAdded: "השיתוף נוסף.",
+    panelShareUpdated: "הגישה שונתה.",
+    panelShareRemoved: "השיתוף הוסר.",
+    panelErrorInsufficientAccess: "אין לך הרשאה לנהל את השיתוף של רשומה זו. רק בעל הרשומה, משתמשים מעל הבעלים בהיררכיית התפקידים ומנהלי מערכת יכולים לעשות זאת.",
+    panelErrorAccessBelowDefault: "רמת הגישה חייבת להיות מתירנית יותר מברירת המחדל של האובייקט ברמת הארגון.",
+    menuToggleTitle: "פעולות שיתוף נוספות",
+    menuExplainAccess: "הסבר גישה...",
+    menuExportCsv: "ייצוא שיתוף (CSV)",
+    menuExportJson: "ייצוא שיתוף (JSON)",
+    exportColumnUserOrGroupId: "מזהה משתמש או קבוצה",
+    exportColumnLastModifiedBy: "שונה לאחרונה על ידי",
+    exportError: "לא ניתן היה לייצא את שורות השיתוף:",
+    exportDone: { one: "יוצאה שורת שיתוף {count}.", two: "יוצאו {count} שורות שיתוף.", other: "יוצאו {count} שורות שיתוף." },
+    toastDetails: "פרטים",
+    toastHideDetails: "הסתר פרטים",
+    toastCopyReport: "העתק דוח אבחון",
+    toastReportCopied: "הדוח הועתק",
+    toastReportCopyFailed: "לא ניתן היה להעתיק את הדוח",
+    diagnosticUrl: "URL",
+    diagnosticPatternsTried: "תבניות שנוסו",
+    diagnosticInsertStrategy: "אסטרטגיית הוספה",
+    diagnosticPageType: "סוג דף",
+    diagnosticNone: "אין",
+    debugTitle: "פתרון בעיות",
+    debugDescription: "מצב ניפוי באגים רושם כיצד התוסף מחפש את הרשומה והיכן הוא מוסיף את הלחצן, ומציג בדפי Salesforce שכבה קטנה עם מצבו הנוכחי. הפעל אותו, שחזר את הבעיה, ואז הורד את היומן וצרף אותו לדוח הבאג שלך.",
+    debugModeLabel: "מצב ניפוי באגים",
+    debugViewLog: "הצג יומן",
+    debugDownloadLog: "הורד יומן",
+    debugClearLog: "נקה יומן",
+    debugLogEmpty: "היומן ריק. הפעל את מצב ניפוי הבאגים, שמור וטען מחדש דף Salesforce.",
+    explainTitle: "הסבר גישה",
+    explainChooseUser: "בחר משתמש כדי לראות איזו גישה יש לו לרשומה זו ומדוע.",
+    explainLoading: "בודק גישה...",
+    explainError: "לא ניתן היה להסביר את הגישה:",
+    explainAccessHeading: "הגישה של {name}",
+    explainRead: "קריאה",
+    explainEdit: "עריכה",
+    explainDelete: "מחיקה",
+    explainTransfer: "העברה",
+    explainMaxAccess: "גישה מרבית: {level}",
+    explainNoAccessRow: "Salesforce לא החזיר מידע גישה עבור משתמש ורשומה אלה.",
+    explainPathsHeading: "מקורות הגישה",
+    explainNoPaths: "לא נמצא מקור לגישה. הגישה עשויה להגיע מצוותים, טריטוריות, שיתוף מרומז או ברירת מחדל ציבורית ברמת הארגון.",
+    explainProfile: "פרופיל",
+    explainPathPermission: "הרשאת {permission} מ-{source}",
+    explainPathOwner: "בעל הרשומה",
+    explainPathQueue: "חבר בתור שבבעלותו הרשומה: {group}",
+    explainPathRoleOwner: "התפקיד {role} נמצא מעל בעל הרשומה, {name}, בהיררכיית התפקידים",
+    explainPathShare: "שותף ישירות: {reason}, {access}",
+    explainPathGroup: "חבר ב-{group}, שיש לה גישת {access} דרך {reason}",
+    explainPathRole: "התפקיד {role} נמצא מעל {name} בהיררכיית התפקידים, שיש לו גישת {access} דרך {reason}",
+    sharingUnavailableTitle: "שיתוף אינו זמין עבור {object}: ברירת המחדל ברמת הארגון היא {internal} (פנימי) / {external} (חיצוני), ולכן אין אובייקט שיתוף של {object}.",
+    sharingModelPrivate: "פרטי",
+    sharingModelRead: "קריאה ציבורית בלבד",
+    sharingModelReadWrite: "קריאה/כתיבה ציבורית",
+    sharingModelReadWriteTransfer: "קריאה/כתיבה/העברה ציבורית",
+    sharingModelFullAccess: "גישה מלאה ציבורית",
+    sharingModelControlledByParent: "נשלט על ידי ההורה",
+    sharingModelControlledByCampaign: "נשלט על ידי הקמפיין",
+    sharingModelControlledByLeadOrContact: "נשלט על ידי הליד או איש הקשר",
+    floatingDragTitle: "גרור כדי להזיז את לחצן השיתוף",
+    contextMenuOpenSharing: "פתח שיתוף",
+    listRowIconTitle: "פתח את השיתוף של רשומה זו",
+    listBulkRegionLabel: "שיתוף של הנבחרים",
+    listBulkTitle: { one: "נבחר {count}", two: "נבחרו {count}", other: "נבחרו {count}" },
+    listBulkOpenTabs: "פתח כרטיסיות שיתוף",
+    listBulkCombinedTable: "טבלת שיתוף משולבת",
+    listBulkOpened: "נפתחו {opened} מתוך {selected} נבחרים (עד {limit} בבת אחת).",
+    listCombinedTitle: "שיתוף של הרשומות שנבחרו",
+    listCombinedProgress: "טוען {done} מתוך {total} רשומות...",
+    listCombinedDone: { one: "שורת שיתוף {count} עבור {total} רשומות", two: "{count} שורות שיתוף עבור {total} רשומות", other: "{count} שורות שיתוף עבור {total} רשומות" },
+    listColumnRecord: "רשומה",
+    listColumnObject: "אובייקט",
+    errorNoRecordIdInLink: "לא נמצא מזהה רשומה בקישור זה.",
+    errorOpenSharingFailed: "לא ניתן לפתוח את דף השיתוף. טען מחדש את הדף ונסה שוב.",
+    popupRecordId15: "מזהה רשומה (15)",
+    popupRecordId18: "מזהה רשומה (18)",
+    popupObject: "אובייקט",
+    popupObjectUnknown: "לא ידוע",
+    popupPageType: "סוג דף",
+    popupPageTypeLightning: "Lightning",
+    popupPageTypeConsole: "מסוף Lightning",
+    popupPageTypeClassic: "Classic",
+    popupPageTypeVisualforce: "Visualforce",
+    popupPageTypeSetup: "הגדרות",
+    popupPageTypeExperience: "אתר Experience Cloud",
+    popupDetectedBy: "זוהה באמצעות",
+    popupCopyId: "העתק",
+    popupCopied: "הועתק!",
+    popupOpenSharing: "פתח שיתוף",
+    popupOpenInClassic: "פתח ב-Classic",
+    popupOpenInLightning: "פתח ב-Lightning",
+    popupOpenInSetup: "פתח את האובייקט בהגדרות",
+    popupStatusInserted: "לחצן השיתוף נמצא בדף.",
+    popupStatusFloating: "לחצן השיתוף מוצג כלחצן צף, מכיוון שמיקומו לא נמצא בדף זה.",
+    popupStatusPending: "לחצן השיתוף עדיין לא נוסף.",
+    popupStatusNotRecordPage: "לחצן השיתוף מוצג רק בדפי רשומות.",
+    popupStatusObjectFiltered: "לחצן השיתוף מוסתר באובייקט זה על ידי מסנן האובייקטים בדף האפשרויות.",
+    popupStatusOrgDisabled: "לחצן השיתוף כבוי עבור ארגון זה על ידי הפרופיל שלו או על ידי החברה שלך.",
+    popupOrg: "ארגון",
+    popupOrgNoProfile: "אין פרופיל לארגון זה",
+    popupCreateProfile: "צור פרופיל",
+    popupNotSalesforce: "פתח רשומת Salesforce כדי להשתמש בתוסף זה.",
+    popupReloadPage: "התוסף לא יכול לגשת לדף זה. טען אותו מחדש ונסה שוב.",
     settingsSubtitle: "הגדרות",
     languageSettingsTitle: "הגדרות שפה",
-    languageSettingsDescription: "בחר את השפה המועדפת שלך לממשק התוסף. אתה יכול להשתמש בשפת ברירת המחדל של הדפדפן שלך או לבחור שפה ספציפית.",
+    languageSettingsDescription: "בחר את השפה המועדפת שלך לממשק התוסף. אתה יכול להשתמש בשפת ברירת המחדל של הדפדפן שלך, לבחור שפה ספציפית או לעקוב אחר השפה של משתמש ה-Salesforce שלך.",
     languageModeLabel: "מצב שפה:",
     languageModeAuto: "השתמש בשפת הדפדפן (מומלץ)",
     languageModeManual: "בחר שפה ספציפית",
+    languageModeSalesforce: "השתמש בשפת ה-Salesforce שלי",
+    salesforceLanguageText: "שפת ה-Salesforce שלך:",
     languageSelectLabel: "בחר שפה:",
     browserLanguageText: "שפת הדפדפן שלך:",
+    openSettingsTitle: "פתיחת דף השיתוף",
+    openSettingsDescription: "בחר כיצד ייפתח דף השיתוף של Classic. Ctrl/Cmd-לחיצה, Shift-לחיצה ולחיצה אמצעית על הלחצן תמיד פועלות לפי המוסכמות של הדפדפן.",
+    openModeLabel: "מצב פתיחה:",
+    openModeForeground: "כרטיסייה חדשה",
+    openModeBackground: "כרטיסיית רקע ליד הנוכחית",
+    openModeReuse: "שימוש חוזר בכרטיסיית שיתוף אחת",
+    openModePopup: "חלון קופץ",
+    openModeSameTab: "אותה כרטיסייה",
+    popupWidthLabel: "רוחב (px):",
+    popupHeightLabel: "גובה (px):",
+    placementSettingsTitle: "מיקום הלחצן",
+    placementSettingsDescription: "בחר היכן יופיע לחצן השיתוף. כשהמקום שנבחר אינו בדף, הלחצן חוזר למקום ברירת המחדל ולאחר מכן ללחצן צף. ניתן לגרור את הלחצן הצף באמצעות הידית שלו, והוא נשאר במקום שבו שחררת אותו בכל דומיין של Salesforce.",
+    placementLabel: "מיקום:",
+    placementAuto: "ברירת המחדל של הדף",
+    placementGlobalHeader: "כותרת גלובלית (Lightning)",
+    placementHighlightsPanel: "פעולות בחלונית ההדגשות של הרשומה (Lightning)",
+    placementClassicButtons: "שורת הלחצנים בדף הפרטים (Classic)",
+    placementFloating: "לחצן צף",
+    listSettingsTitle: "תצוגות רשימה",
+    listSettingsDescription: "שורות בתצוגות רשימה וברשימות קשורות מקבלות סמל שיתוף. \"שיתוף של הנבחרים\" פותח את דפי השיתוף של השורות הנבחרות בכרטיסיות רקע, עד מספר זה של כרטיסיות בבת אחת.",
+    bulkOpenLimitLabel: "מספר מרבי של כרטיסיות לפתיחה:",
+    objectFilterTitle: "אובייקטים",
+    objectFilterDescription: "בחר את האובייקטים שברשומות שלהם יוצג לחצן השיתוף. הזן שמות API של אובייקטים (לדוגמה Invoice__c) או קידומות מפתח בנות 3 תווים (לדוגמה a0p), או בחר אובייקטים מהארגון של כרטיסיית Salesforce פתוחה.",
+    objectFilterModeLabel: "הצג את הלחצן ב:",
+    objectFilterModeAll: "כל האובייקטים",
+    objectFilterModeAllow: "רק האובייקטים ברשימה",
+    objectFilterModeDeny: "כל האובייקטים מלבד אלה שברשימה",
+    objectFilterSearchPlaceholder: "חפש אובייקטים או הקלד שם API או קידומת מפתח ולחץ Enter",
+    objectFilterFromOrg: "אובייקטים של {host}",
+    objectFilterNoOrg: "פתח כרטיסיית Salesforce כדי לבחור אובייקטים מהארגון שלה.",
+    objectFilterLoadError: "לא ניתן היה לטעון את האובייקטים של הארגון.",
+    objectFilterRemove: "הסר",
+    orgProfilesTitle: "פרופילי ארגון",
+    orgProfilesDescription: "תן לארגון הגדרות משלו, לפי מזהה הארגון (00D...) או שם My Domain שלו (לדוגמה acme או acme--uat). תווית ארגון כמו PROD יכולה להופיע על הלחצן כתג או כמסגרת צבעונית, כדי שתמיד תדע באיזה ארגון אתה נמצא.",
+    orgProfileKeyPlaceholder: "מזהה ארגון או שם My Domain",
+    orgProfileAdd: "הוסף פרופיל",
+    orgProfileCreate: "צור פרופיל",
+    orgProfileDelete: "מחק פרופיל",
+    orgProfileDetectedTitle: "ארגונים שביקרת בהם שעדיין אין להם פרופיל:",
+    orgProfileNoneDetected: "אין",
+    orgProfileLabel: "תווית:",
+    orgProfileColor: "צבע:",
+    orgProfileBadgeStyle: "הצג את התווית כ:",
+    orgProfileBadgeStyleBadge: "תג על הלחצן",
+    orgProfileBadgeStyleBorder: "מסגרת צבעונית",
+    orgProfileBadgeStyleNone: "כלום",
+    orgProfileEnabled: "הצג את לחצן השיתוף בארגון זה",
+    orgProfileObjects: "אובייקטים ברשימה (מופרדים בפסיקים):",
+    managedByOrganization: "מנוהל על ידי החברה שלך",
+    customDomainsTitle: "דומיינים מותאמים אישית",
+    customDomainsDescription: "הלחצן פועל בדומיינים של Salesforce עצמה. הוסף את הדומיינים המותאמים אישית שבהם משתמשים הארגונים שלך או אתרי Experience Cloud, כמו sf.acme.com או *.acme.com לכל תת-הדומיינים שלו, וציין איזה סוג דפים הם מגישים. Chrome יבקש ממך לאשר גישה לכל דומיין; לאחר מכן טען מחדש את הכרטיסיות הפתוחות שלו.",
+    customDomainPlaceholder: "sf.acme.com או *.acme.com",
+    customDomainAdd: "הוסף דומיין",
+    customDomainRemove: "הסר",
+    customDomainGrant: "אשר גישה",
+    customDomainGranted: "הגישה אושרה",
+    customDomainNotGranted: "אין גישה",
+    customDomainInvalid: "\"{host}\" אינו שם דומיין.",
+    experienceSitesDescription: "אתרי Experience Cloud (*.my.site.com, *.my.salesforce-sites.com) מציגים גם דפים ציבוריים, ולכן הלחצן פועל בהם רק לאחר שתאפשר גישה.",
+    experienceSitesRevoke: "הסר גישה",
+    hostKindLightning: "Lightning",
+    hostKindClassic: "Classic",
+    hostKindVisualforce: "Visualforce",
+    hostKindSetup: "הגדרות",
+    hostKindExperience: "אתר Experience Cloud",
+    transferTitle: "ייבוא וייצוא",
+    transferDescription: "ייצא את ההגדרות שלך, כולל פרופילי הארגון, לקובץ שחברי הצוות יכולים לייבא כדי לקבל את אותה תצורה. הגדרות מיובאות נבדקות ומוצגות בתצוגה מקדימה לפני שהן מוחלות.",
+    exportSettingsButton: "ייצא הגדרות",
+    importSettingsButton: "ייבא הגדרות",
+    importPreviewTitle: { one: "{file} משנה הגדרה {count}:", two: "{file} משנה {count} הגדרות:", other: "{file} משנה {count} הגדרות:" },
+    importNoChanges: "{file} תואם להגדרות הנוכחיות שלך.",
+    importIgnored: "הגדרות לא ידועות הושמטו: {settings}.",
+    importColumnSetting: "הגדרה",
+    importColumnCurrent: "נוכחי",
+    importColumnImported: "מיובא",
+    importLockedNotApplied: "מנוהל על ידי החברה שלך, לא הוחל",
+    importApply: "החל",
+    importCancel: "ביטול",
+    importInvalid: "לא ניתן לייבא קובץ זה:",
+    importSuccess: "ההגדרות יובאו בהצלחה!",
+    managedAllowedOrgs: "החברה שלך מגבילה את לחצן השיתוף לארגונים אלה: {orgs}",
     saveButtonText: "שמור הגדרות",
     saveSuccessMessage: "ההגדרות נשמרו בהצלחה!",
     saveErrorMessage: "שגיאה בשמירת הגדרות. אנא נסה שוב."
@@ -350,6 +5290,6 @@ const translations = {
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = translations;
-} else if (typeof window !== 'undefined') {
-  window.sfSharingTranslations = translations;
+} else {
+  globalThis.sfSharingTranslations = translations; // window in pages, self in the background service worker
 }
@@ -0,0 +1,434 @@
+/**
+ * @description Shared UI helpers for the SF Sharing Button Chrome extension.
+ *
+ * The in-page dialogs (sharing panel, access explainer, actions menu) render inside shadow roots,
+ * which keeps their SLDS-like styles identical on Lightning and Classic pages and keeps the
+ * page's styles out of them. This file holds the pieces they share.
+ *
+ * @function el - Creates an element with properties and children
+ * @function formatAccessLevel - Gets the label of a share access level
+ * @function formatRowCause - Gets the label of a share row cause
+ * @function openModal - Opens a modal dialog in a shadow root
+ * @function closeModal - Closes the open modal dialog
+ * @function createLookup - Creates a search-as-you-type lookup field
+ * @function openDropdown - Opens a dropdown menu under an anchor element
+ * @function closeDropdown - Closes the open dropdown menu
+ * @function showToast - Shows a toast notification, with optional details and a report to copy
+ */
+(function () {
+  const MODAL_HOST_ID = "gpt-sf-sharing-modal"; // ID for the shadow host of the modal dialog
+  const DROPDOWN_HOST_ID = "gpt-sf-sharing-dropdown"; // ID for the shadow host of the dropdown menu
+  const TOAST_HOST_ID = "gpt-sf-sharing-toasts"; // ID for the shadow host of the toast notifications
+  const TOAST_DURATION = 5000; // Milliseconds success and info toasts stay; error toasts stay until closed
+  const MAX_TOASTS = 3; // Older toasts are closed when more are shown
+
+  // Translation keys of the labels of the share AccessLevel values, as shown in Salesforce
+  const ACCESS_LEVEL_KEYS = {
+    None: "accessLevelNone",
+    Read: "accessLevelRead",
+    Edit: "accessLevelEdit",
+    All: "accessLevelAll"
+  };
+
+  // Translation keys of the labels of the most common RowCause values
+  const ROW_CAUSE_KEYS = {
+    Owner: "rowCauseOwner",
+    Manual: "rowCauseManual",
+    Rule: "rowCauseRule",
+    ImplicitChild: "rowCauseImplicitChild",
+    ImplicitParent: "rowCauseImplicitParent",
+    ImplicitPerson: "rowCauseImplicitPerson",
+    Team: "rowCauseTeam",
+    Territory: "rowCauseTerritory",
+    TerritoryRule: "rowCauseTerritoryRule",
+    TerritoryManual: "rowCauseTerritoryManual",
+    GuestRule: "rowCauseGuestRule"
+  };
+
+  const MODAL_STYLES = `
+    :host { all: initial; }
+    .backdrop { position: fixed; inset: 0; background: rgba(8, 7, 7, 0.6); z-index: 2147483646; }
+    .modal { position: fixed; top: 5vh; left: 50%; transform: translateX(-50%); width: min(960px, 94vw); max-height: 90vh;
+      display: flex; flex-direction: column; background: #fff; border-radius: 0.25rem; z-index: 2147483647;
+      box-shadow: 0 2px 12px rgba(0, 0, 0, 0.3); font-family: "Salesforce Sans", -apple-system, "Segoe UI", Arial, sans-serif;
+      font-size: 13px; color: #181818; }
+    .header { position: relative; padding: 1rem 3rem; border-bottom: 2px solid #e5e5e5; text-align: center; }
+    .header h2 { margin: 0; font-size: 20px; font-weight: 400; line-height: 1.25; }
+    .header .subtitle { margin-top: 4px; color: #444; font-size: 12px; }
+    .close { position: absolute; top: 12px; inset-inline-end: 12px; border: none; background: none; font-size: 20px; line-height: 1;
+      color: #747474; cursor: pointer; }
+    .toolbar { display: flex; gap: 8px; align-items: center; padding: 12px 16px; border-bottom: 1px solid #e5e5e5; }
+    .toolbar input { flex: 1; height: 32px; padding: 0 12px; border: 1px solid #c9c9c9; border-radius: 0.25rem; font: inherit; }
+    .toolbar input:focus { outline: none; border-color: #1b96ff; box-shadow: 0 0 3px #0176d3; }
+    .link { color: #0176d3; background: none; border: none; padding: 0; font: inherit; cursor: pointer; text-decoration: none; }
+    .link:hover { text-decoration: underline; }
+    .link.danger { color: #ba0517; }
+    .button { height: 32px; padding: 0 16px; border: 1px solid #c9c9c9; border-radius: 0.25rem; background: #fff;
+      color: #0176d3; font: inherit; cursor: pointer; white-space: nowrap; }
+    .button:hover { background: #f3f3f3; }
+    .button.brand { background: #0176d3; border-color: #0176d3; color: #fff; }
+    .button.brand:hover { background: #014486; }
+    .button:disabled { background: #c9c9c9; border-color: #c9c9c9; color: #fff; cursor: default; }
+    .editor { display: flex; gap: 8px; align-items: center; padding: 12px 16px; background: #f3f3f3; border-bottom: 1px solid #e5e5e5; }
+    .editor select, .editor input { height: 32px; padding: 0 8px; border: 1px solid #c9c9c9; border-radius: 0.25rem; font: inherit; background: #fff; }
+    .grow { flex: 1; }
+    .lookup { position: relative; }
+    .lookup input { width: 100%; box-sizing: border-box; }
+    .results { position: absolute; left: 0; right: 0; top: 34px; margin: 0; padding: 4px 0; list-style: none; background: #fff;
+      border: 1px solid #c9c9c9; border-radius: 0.25rem; box-shadow: 0 2px 3px rgba(0, 0, 0, 0.16); max-height: 240px; overflow: auto; z-index: 1; }
+    .results li { padding: 6px 12px; cursor: pointer; color: #444; }
+    .results li:hover, .results li:focus { background: #f3f3f3; }
+    .results li.empty { cursor: default; }
+    .notice { padding: 8px 16px; }
+    .notice.success { background: #2e844a; color: #fff; }
+    .notice.error { background: #ba0517; color: #fff; }
+    .actions { white-space: nowrap; }
+    .actions .link + .link { margin-inline-start: 12px; }
+    th.static { cursor: default; }
+    .assistive { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); }
+    .content { overflow: auto; flex: 1; }
+    table { width: 100%; border-collapse: collapse; }
+    th { position: sticky; top: 0; background: #f3f3f3; color: #444; font-weight: 700; text-align: start; padding: 8px;
+      border-bottom: 1px solid #e5e5e5; white-space: nowrap; cursor: pointer; user-select: none; }
+    th[aria-sort="ascending"]::after { content: " \\25B2"; font-size: 9px; }
+    th[aria-sort="descending"]::after { content: " \\25BC"; font-size: 9px; }
+    td { padding: 8px; border-bottom: 1px solid #e5e5e5; vertical-align: top; }
+    tr:hover td { background: #f3f3f3; }
+    .message { padding: 24px 16px; text-align: center; color: #444; }
+    .message.error { color: #ba0517; }
+    .section { padding: 12px 16px; border-bottom: 1px solid #e5e5e5; }
+    .section h3 { margin: 0 0 8px; font-size: 14px; font-weight: 700; }
+    .badges { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; }
+    .badge { padding: 2px 10px; border-radius: 1rem; border: 1px solid #c9c9c9; background: #f3f3f3; color: #444; }
+    .badge.yes { background: #2e844a; border-color: #2e844a; color: #fff; }
+    .paths { margin: 0; padding-inline-start: 20px; }
+    .paths li { margin-bottom: 6px; }
+    .footer { padding: 12px 16px; border-top: 2px solid #e5e5e5; background: #f3f3f3; border-radius: 0 0 0.25rem 0.25rem;
+      color: #444; font-size: 12px; }
+  `;
+
+  const DROPDOWN_STYLES = `
+    :host { all: initial; }
+    .menu { position: fixed; min-width: 200px; margin: 0; padding: 4px 0; list-style: none; background: #fff; z-index: 2147483647;
+      border: 1px solid #e5e5e5; border-radius: 0.25rem; box-shadow: 0 2px 3px rgba(0, 0, 0, 0.16);
+      font-family: "Salesforce Sans", -apple-system, "Segoe UI", Arial, sans-serif; font-size: 13px; }
+    .menu button { display: block; width: 100%; padding: 8px 12px; border: none; background: none; text-align: start;
+      font: inherit; color: #181818; cursor: pointer; white-space: nowrap; }
+    .menu button:hover, .menu button:focus { background: #f3f3f3; outline: none; }
+  `;
+
+  // SLDS toasts (slds-notify_toast) on Lightning pages, message boxes like Classic's own on Classic pages
+  const TOAST_STYLES = `
+    :host { all: initial; }
+    .toasts { position: fixed; top: 56px; left: 50%; transform: translateX(-50%); z-index: 2147483647; width: min(560px, 94vw);
+      display: flex; flex-direction: column; gap: 8px; font-family: "Salesforce Sans", -apple-system, "Segoe UI", Arial, sans-serif;
+      font-size: 13px; }
+    .toast { position: relative; padding: 12px 48px 12px 16px; border-radius: 0.25rem; color: #fff; background: #706e6b;
+      box-shadow: 0 2px 12px rgba(0, 0, 0, 0.3); }
+    .toast[dir="rtl"] { padding: 12px 16px 12px 48px; }
+    .toast.success { background: #2e844a; }
+    .toast.error { background: #ba0517; }
+    .toast.warning { background: #fe9339; color: #181818; }
+    .message { margin: 0; font-size: 14px; line-height: 1.4; }
+    .close { position: absolute; top: 8px; inset-inline-end: 8px; border: none; background: none; color: inherit; font-size: 20px;
+      line-height: 1; cursor: pointer; }
+    .actions { display: flex; gap: 16px; margin-top: 8px; }
+    .link { padding: 0; border: none; background: none; color: inherit; font: inherit; text-decoration: underline; cursor: pointer; }
+    dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 12px; margin: 8px 0 0; font-size: 12px; }
+    dt { font-weight: 700; }
+    dd { margin: 0; overflow-wrap: anywhere; }
+    .classic .toast { border-radius: 4px; border: 1px solid #c00; background: #ffc; color: #000; box-shadow: none;
+      font-family: Arial, Helvetica, sans-serif; font-size: 12px; }
+    .classic .toast.success { border-color: #390; background: #ffc; }
+    .classic .toast.info, .classic .toast.warning { border-color: #39f; background: #ffc; }
+    .classic .message { font-size: 12px; font-weight: 700; }
+    .classic .link { color: #015ba7; }
+  `;
+
+  /**
+   * @description Creates an element with properties and children. Text is always set with
+   * textContent, so values coming from the org are never parsed as HTML.
+   * @param {string} tag - The tag name
+   * @param {Object} [props] - Properties to assign ("role", "aria-*" and "data-*" are set as attributes, "on*" as listeners)
+   * @param {Array<Node|string>} [children] - Child nodes or text
+   * @returns {HTMLElement} The created element
+   */
+  function el(tag, props = {}, children = []) {
+    const node = document.createElement(tag);
+    Object.keys(props).forEach((key) => {
+      if (key === "role" || key.startsWith("aria-") || key.startsWith("data-")) {
+        node.setAttribute(key, props[key]);
+      } else if (key.startsWith("on")) {
+        node.addEventListener(key.substring(2).toLowerCase(), props[key]);
+      } else {
+        node[key] = props[key];
+      }
+    });
+    children.forEach(child => node.append(child));
+    return node;
+  }
+
+  /**
+   * @description Gets the label of a share access level, in the active language
+   * @param {string} level - The AccessLevel value (e.g. "Edit")
+   * @returns {string} The label (e.g. "Read/Write"), or the value itself if it has none
+   */
+  function formatAccessLevel(level) {
+    return ACCESS_LEVEL_KEYS[level] ? window.sfSharingI18n.t(ACCESS_LEVEL_KEYS[level]) : level || "";
+  }
+
+  /**
+   * @description Gets the label of a share row cause, in the active language
+   * @param {string} rowCause - The RowCause value (e.g. "Rule")
+   * @returns {string} The label (e.g. "Sharing Rule"), or the value itself if it has none
+   */
+  function formatRowCause(rowCause) {
+    return ROW_CAUSE_KEYS[rowCause] ? window.sfSharingI18n.t(ROW_CAUSE_KEYS[rowCause]) : rowCause || "";
+  }
+
+  /**
+   * @description Closes the open modal dialog, if any
+   */
+  function closeModal() {
+    const host = document.getElementById(MODAL_HOST_ID);
+    if (host) host.remove();
+    document.removeEventListener("keydown", onKeyDown, true);
+  }
+
+  /**
+   * @description Closes the modal dialog on Escape
+   * @param {KeyboardEvent} event - The keyboard event
+   */
+  function onKeyDown(event) {
+    if (event.key === "Escape") closeModal();
+  }
+
+  /**
+   * @description Opens a modal dialog, replacing the one already open. The caller appends its
+   * sections (toolbar, content, footer...) to the returned modal element.
+   * @param {Object} options - Dialog options
+   * @param {string} options.title - The dialog title
+   * @param {string} [options.subtitle] - A line shown under the title
+   * @param {Function} options.t - Translation function ((key, params) => text)
+   * @returns {HTMLElement} The modal element
+   */
+  function openModal({ title, subtitle, t }) {
+    closeModal();
+
+    const host = el("div", { id: MODAL_HOST_ID });
+    const root = host.attachShadow({ mode: "open" });
+    const modal = el("section", {
+      className: "modal",
+      "aria-modal": "true",
+      role: "dialog",
+      "aria-label": title,
+      dir: window.sfSharingI18n.getDirection() // Mirrored for right-to-left languages
+    }, [
+      el("div", { className: "header" }, [
+        el("button", { className: "close", title: t("panelClose"), "aria-label": t("panelClose"), onClick: closeModal }, ["×"]),
+        el("h2", {}, [title]),
+        el("div", { className: "subtitle" }, [subtitle || ""])
+      ])
+    ]);
+
+    root.append(
+      el("style", { textContent: MODAL_STYLES }),
+      el("div", { className: "backdrop", onClick: closeModal }),
+      modal
+    );
+    document.body.appendChild(host);
+    document.addEventListener("keydown", onKeyDown, true);
+    return modal;
+  }
+
+  /**
+   * @description Creates a search-as-you-type lookup field. Searches start after 2 characters
+   * and are debounced, and results of outdated searches are ignored.
+   * @param {Object} options - Lookup options
+   * @param {Function} options.t - Translation function ((key, params) => text)
+   * @param {Function} options.search - Returns a promise of matches ({ id, name, detail }) for a term
+   * @param {Function} options.onSelect - Called with the chosen match, or null when the text changes
+   * @param {Function} [options.onError] - Called with the error when a search fails
+   * @returns {{element: HTMLElement, input: HTMLInputElement, refresh: Function}} The field, its input, and a function re-running the search
+   */
+  function createLookup({ t, search, onSelect, onError }) {
+    let searchTimer = null;
+    const results = el("ul", { className: "results", role: "listbox", hidden: true });
+    const input = el("input", { type: "search", placeholder: t("panelSearchPlaceholder"), "aria-label": t("panelSearchPlaceholder") });
+
+    const refresh = () => {
+      const term = input.value.trim();
+      onSelect(null);
+      if (term.length < 2) {
+        results.hidden = true;
+        return;
+      }
+      search(term).then((matches) => {
+        if (input.value.trim() !== term) return; // A newer search is on its way
+        results.replaceChildren(...(matches.length > 0
+          ? matches.map(match => el("li", {
+            role: "option",
+            tabIndex: 0,
+            onKeyDown: (event) => {
+              if (event.key === "Enter") event.target.click();
+            },
+            onClick: () => {
+              input.value = match.name;
+              results.hidden = true;
+              onSelect(match);
+            }
+          }, [el("strong", {}, [match.name]), ` ${match.detail || ""}`]))
+          : [el("li", { className: "empty" }, [t("panelSearchNoResults")])]));
+        results.hidden = false;
+      }).catch(e => onError && onError(e));
+    };
+
+    input.addEventListener("input", () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(refresh, 300);
+    });
+
+    return {
+      element: el("div", { className: "lookup grow" }, [input, results]),
+      input,
+      refresh
+    };
+  }
+
+  /**
+   * @description Closes the open dropdown menu, if any
+   */
+  function closeDropdown() {
+    const host = document.getElementById(DROPDOWN_HOST_ID);
+    if (host) host.remove();
+    document.removeEventListener("mousedown", onOutsideClick, true);
+    document.removeEventListener("keydown", onDropdownKeyDown, true);
+  }
+
+  /**
+   * @description Closes the dropdown menu when the user clicks anywhere else
+   * @param {MouseEvent} event - The mouse event
+   */
+  function onOutsideClick(event) {
+    if (event.target.id !== DROPDOWN_HOST_ID) closeDropdown();
+  }
+
+  /**
+   * @description Closes the dropdown menu on Escape
+   * @param {KeyboardEvent} event - The keyboard event
+   */
+  function onDropdownKeyDown(event) {
+    if (event.key === "Escape") closeDropdown();
+  }
+
+  /**
+   * @description Opens a dropdown menu right-aligned under an anchor element
+   * @param {HTMLElement} anchor - The element the menu belongs to (usually its toggle button)
+   * @param {Array<{label: string, onSelect: Function}>} items - The menu items
+   */
+  function openDropdown(anchor, items) {
+    closeDropdown();
+
+    const rect = anchor.getBoundingClientRect();
+    const host = el("div", { id: DROPDOWN_HOST_ID });
+    const root = host.attachShadow({ mode: "open" });
+    const menu = el("ul", { className: "menu", role: "menu" }, items.map(item => el("li", { role: "none" }, [
+      el("button", {
+        role: "menuitem",
+        onClick: () => {
+          closeDropdown();
+          item.onSelect();
+        }
+      }, [item.label])
+    ])));
+    menu.style.top = `${rect.bottom + 4}px`;
+    menu.style.right = `${Math.max(document.documentElement.clientWidth - rect.right, 4)}px`;
+
+    root.append(el("style", { textContent: DROPDOWN_STYLES }), menu);
+    document.body.appendChild(host);
+    document.addEventListener("mousedown", onOutsideClick, true);
+    document.addEventListener("keydown", onDropdownKeyDown, true);
+    menu.querySelector("button").focus();
+  }
+
+  /**
+   * @description Shows a toast notification at the top of the page, without blocking it like
+   * alert() does. Error toasts can list details, hidden behind a "Details" link, and offer a
+   * report to copy into a bug report.
+   * @param {Object} options - Toast options
+   * @param {string} options.message - The message
+   * @param {string} [options.variant] - "success", "error", "warning" or "info" (default)
+   * @param {Array<{label: string, value: string}>} [options.details] - Details shown on demand
+   * @param {string} [options.report] - Text the "Copy diagnostic report" link copies
+   * @param {boolean} [options.classic] - Whether to look like Classic pages instead of Lightning
+   * @param {Function} options.t - Translation function ((key, params) => text)
+   * @returns {HTMLElement} The toast element
+   */
+  function showToast({ message, variant = "info", details = [], report, classic = false, t }) {
+    let host = document.getElementById(TOAST_HOST_ID);
+    if (!host) {
+      host = el("div", { id: TOAST_HOST_ID });
+      host.attachShadow({ mode: "open" }).append(el("style", { textContent: TOAST_STYLES }), el("div", { className: "toasts" }));
+      document.body.appendChild(host);
+    }
+    const container = host.shadowRoot.querySelector(".toasts");
+    container.classList.toggle("classic", classic);
+
+    const close = () => {
+      toast.remove();
+      if (!container.firstChild) host.remove();
+    };
+
+    const actions = [];
+    let detailList = null;
+    if (details.length > 0) {
+      detailList = el("dl", { hidden: true }, details.flatMap(detail => [el("dt", {}, [detail.label]), el("dd", {}, [detail.value])]));
+      const toggle = el("button", {
+        className: "link",
+        "aria-expanded": "false",
+        onClick: () => {
+          detailList.hidden = !detailList.hidden;
+          toggle.setAttribute("aria-expanded", String(!detailList.hidden));
+          toggle.textContent = t(detailList.hidden ? "toastDetails" : "toastHideDetails");
+        }
+      }, [t("toastDetails")]);
+      actions.push(toggle);
+    }
+    if (report) {
+      const copy = el("button", {
+        className: "link",
+        onClick: () => navigator.clipboard.writeText(report).then(
+          () => { copy.textContent = t("toastReportCopied"); },
+          () => { copy.textContent = t("toastReportCopyFailed"); }
+        )
+      }, [t("toastCopyReport")]);
+      actions.push(copy);
+    }
+
+    const toast = el("div", {
+      className: `toast ${variant}`,
+      role: variant === "error" ? "alert" : "status",
+      dir: window.sfSharingI18n.getDirection()
+    }, [
+      el("p", { className: "message" }, [message]),
+      el("button", { className: "close", title: t("panelClose"), "aria-label": t("panelClose"), onClick: close }, ["×"])
+    ].concat(actions.length > 0 ? [el("div", { className: "actions" }, actions)] : [], detailList ? [detailList] : []));
+
+    container.appendChild(toast);
+    while (container.children.length > MAX_TOASTS) container.firstChild.remove();
+    if (variant !== "error") setTimeout(close, TOAST_DURATION);
+    return toast;
+  }
+
+  globalThis.sfSharingUi = {
+    el,
+    formatAccessLevel,
+    formatRowCause,
+    openModal,
+    closeModal,
+    createLookup,
+    openDropdown,
+    closeDropdown,
+    showToast
+  };
+})();